@@ -1,81 +1,98 @@
-// Contract addresses - Update these after deployment
+// Contract addresses - read from deployments/<network>.json for the wallet's chain
 let AVS_MANAGEMENT_ADDRESS = '';
+let AVS_MANAGEMENT_DEPLOYMENT_BLOCK = null; // null when the manifest has none
 let VC_REGISTRY_ADDRESS = '';
-const DID3_TOKEN_ADDRESS = '0x4e754738cb69D6f066C9A036f67EE44cC3e9aBff';
-
-// Contract ABIs
-const AVS_MANAGEMENT_ABI = [
-    "function registerIssuer(uint256 stakeAmount) external",
-    "function addStake(uint256 amount) external",
-    "function withdrawStake(uint256 amount) external",
-    "function reactivateIssuer(uint256 stakeAmount) external",
-    "function isActiveIssuer(address issuer) external view returns (bool)",
-    "function getIssuerInfo(address issuer) external view returns (tuple(uint256 stakedAmount, bool isActive, uint256 registrationTimestamp, uint256 totalCredentialsIssued, uint256 totalCredentialsRevoked, uint256 lastActivityTimestamp))",
-    "function getStatistics() external view returns (uint256 totalIssuers, uint256 activeIssuers, uint256 totalStakedAmount)",
-    "function MINIMUM_STAKE() external view returns (uint256)"
-];
-
-const VC_REGISTRY_ABI = [
-    "function issueCredential(address _subject, string memory _credentialType, bytes memory _credentialData, uint256 _expirationDate) external returns (bytes32)",
-    "function revokeCredential(bytes32 _credentialHash) external",
-    "function purgeCredential(bytes32 _credentialHash) external",
-    "function batchPurgeCredentials(bytes32[] calldata _credentialHashes) external returns (uint256)",
-    "function isCredentialValid(bytes32 _credentialHash) external view returns (bool)",
-    "function getCredential(bytes32 _credentialHash) external view returns (address subject, address issuer, uint256 issuanceDate, uint256 expirationDate, bool isRevoked, bool isPurged, string memory credentialType)",
-    "function getFullCredential(bytes32 _credentialHash) external view returns (tuple(bytes32 credentialHash, address subject, address issuer, uint256 issuanceDate, uint256 expirationDate, bool isRevoked, uint256 revocationTimestamp, string credentialType, bytes credentialData, bool isPurged, uint256 purgeTimestamp))",
-    "function getSubjectCredentials(address _subject) external view returns (bytes32[] memory)",
-    "function getValidSubjectCredentials(address _subject) external view returns (bytes32[] memory)",
-    "function getIssuerCredentials(address _issuer) external view returns (bytes32[] memory)",
-    "function getStatistics() external view returns (uint256 total, uint256 purged, uint256 active)",
-    "event CredentialIssued(bytes32 indexed credentialHash, address indexed subject, address indexed issuer, string credentialType, uint256 issuanceDate, uint256 expirationDate)",
-    "event CredentialRevoked(bytes32 indexed credentialHash, address indexed subject, address indexed issuer, uint256 revocationDate)",
-    "event CredentialPurged(bytes32 indexed credentialHash, address indexed subject, address indexed issuer, string reason, uint256 purgeDate)"
-];
-
-const ERC20_ABI = [
-    "function approve(address spender, uint256 amount) external returns (bool)",
-    "function allowance(address owner, address spender) external view returns (uint256)",
-    "function balanceOf(address account) external view returns (uint256)"
-];
+let VC_REGISTRY_DEPLOYMENT_BLOCK = null;
+const DEFAULT_CREDENTIAL_TYPE = 'KYCVerification';
+let MULTICALL_ADDRESS = ''; // empty = canonical Multicall3
+let DID3_TOKEN_ADDRESS = '';
+
+// Shared helpers from contract-client.js and contract-errors.js
+const { showStatus, showToast, shortAddress, escapeHtml } = ContractClient;
+const { describeError } = ContractErrors;
 
 // Global variables
 let provider;
 let signer;
 let userAddress;
-let avsManagementContract;
-let vcRegistryContract;
-let did3TokenContract;
-
-// Load deployment info
-async function loadDeploymentInfo() {
+let chainId;
+let network; // networks.js entry whose deployment is loaded
+let walletConnection; // WalletDiscovery.WalletConnection for the wallet the user picked
+let contracts = {}; // signer-backed clients, only while a wallet is connected
+let readContracts = {}; // view-only clients: the wallet's when connected, else the network's public RPC
+let credentialIndex;
+let issuerCredentialTable;
+let userCredentialTable;
+let liveUpdates;
+const schemaRegistry = new SchemaRegistry();
+let credentialForm;
+let challengeStore; // presentation challenges this browser issued as a verifier
+let issuerProfiles; // IssuerProfiles.IssuerProfileCache: verified issuer names for cards and results
+let signedIssuerProfile; // { fields, text } last profile document this issuer signed, reused until the form changes
+let issuerAnalytics; // IssuerAnalytics.IssuerAnalyticsIndex: track records for the dashboard and the DeFi trust threshold
+const qrScanners = {}; // video element id -> QRCodes.QRScanner
+let txManager; // every transaction this page sends, persisted in localStorage
+let bulkQueue; // CSV bulk issuance job for the connected issuer, persisted in localStorage
+let encryptionKey; // { privateKey, publicKey } for the connected account, derived on first use
+let withdrawalCountdown; // interval ticking the queued withdrawal and undelegation countdowns
+let chainClockOffset = 0; // latest block timestamp minus the local clock, for countdowns and deadlines
+const decryptedCredentialData = new Map(); // credentialHash -> decrypted payload
+
+// Load deployment info for a network from its manifest
+async function loadDeploymentInfo(targetNetwork) {
+    network = targetNetwork;
+    let manifest = null;
     try {
-        const response = await fetch('deployment-refactored.json');
-        const data = await response.json();
-        AVS_MANAGEMENT_ADDRESS = data.contracts.AVSManagement.address;
-        VC_REGISTRY_ADDRESS = data.contracts.VCRegistry.address;
-
-        document.getElementById('avsAddress').textContent = `AVSManagement: ${AVS_MANAGEMENT_ADDRESS}`;
-        document.getElementById('vcRegistryAddress').textContent = `VCRegistry: ${VC_REGISTRY_ADDRESS}`;
-
-        return true;
+        manifest = await Networks.loadDeployment(network);
     } catch (error) {
-        console.log('Deployment info not found. Please deploy contracts first.');
-        showStatus('Please deploy contracts first and ensure deployment-refactored.json exists', 'error');
+        console.error(`Could not load ${Networks.manifestPath(network)}:`, error);
+    }
+
+    const addresses = Networks.deploymentAddresses(network, manifest);
+    AVS_MANAGEMENT_ADDRESS = addresses.avsManagement;
+    AVS_MANAGEMENT_DEPLOYMENT_BLOCK = addresses.avsManagementDeploymentBlock;
+    VC_REGISTRY_ADDRESS = addresses.vcRegistry;
+    VC_REGISTRY_DEPLOYMENT_BLOCK = addresses.vcRegistryDeploymentBlock;
+    MULTICALL_ADDRESS = addresses.multicall;
+    DID3_TOKEN_ADDRESS = addresses.did3Token;
+
+    document.getElementById('avsAddress').textContent = `AVSManagement: ${AVS_MANAGEMENT_ADDRESS || 'Not deployed'}`;
+    document.getElementById('vcRegistryAddress').textContent = `VCRegistry: ${VC_REGISTRY_ADDRESS || 'Not deployed'}`;
+    document.getElementById('footerNetworkName').textContent = network.chainName;
+    document.getElementById('footerChainId').textContent = `Chain ID: ${network.chainId}`;
+    document.getElementById('did3TokenAddress').textContent = DID3_TOKEN_ADDRESS || 'Not deployed';
+
+    if (!AVS_MANAGEMENT_ADDRESS || !VC_REGISTRY_ADDRESS) {
+        console.log(`No deployment in ${Networks.manifestPath(network)}. Please deploy contracts first.`);
         return false;
     }
+    return true;
 }
 
 // Initialize on page load
 window.addEventListener('DOMContentLoaded', async () => {
-    await loadDeploymentInfo();
     setupEventListeners();
-
-    // Check if wallet is already connected
-    if (typeof window.ethereum !== 'undefined') {
-        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-        if (accounts.length > 0) {
-            await connectWallet();
-        }
+    setupCredentialTables();
+    setupRevocationReasons();
+    setupChallengeReasons();
+    setupReadOnlyNetworks();
+    setupTrustThreshold();
+    await setupCredentialTypes();
+
+    // Until a wallet connects, verification works read-only against the chosen network
+    await openReadOnlySession(readOnlyNetworkChoice());
+
+    // Reconnect to the wallet chosen on an earlier visit, if it still shares an account
+    walletConnection = new WalletDiscovery.WalletConnection({
+        storage: window.localStorage,
+        onConnect: handleWalletConnected,
+        onDisconnect: handleWalletDisconnected,
+        onError: error => showStatus('Wallet error: ' + describeError(error), 'error')
+    });
+    try {
+        await walletConnection.restore();
+    } catch (error) {
+        console.error('Error reconnecting wallet:', error);
     }
 });
 
@@ -83,6 +100,11 @@ window.addEventListener('DOMContentLoaded', async () => {
 function setupEventListeners() {
     // Wallet connection
     document.getElementById('connectWallet').addEventListener('click', connectWallet);
+    document.getElementById('disconnectWallet').addEventListener('click', disconnectWallet);
+    document.getElementById('readOnlyNetwork').addEventListener('change', event => selectReadOnlyNetwork(event.target.value));
+    document.getElementById('activityToggle').addEventListener('click', () => toggleActivity());
+    document.getElementById('closeActivity').addEventListener('click', () => toggleActivity(false));
+    document.getElementById('clearActivity').addEventListener('click', () => txManager && txManager.clearSettled());
 
     // Role switching
     document.querySelectorAll('.role-btn').forEach(btn => {
@@ -90,87 +112,466 @@ function setupEventListeners() {
     });
 
     // Issuer/Operator actions
-    document.getElementById('approveTokens').addEventListener('click', approveTokens);
     document.getElementById('registerIssuer').addEventListener('click', registerIssuer);
     document.getElementById('addStake').addEventListener('click', addStake);
     document.getElementById('withdrawStake').addEventListener('click', withdrawStake);
+    document.getElementById('publishIssuerProfile').addEventListener('click', publishIssuerProfile);
+    document.getElementById('downloadIssuerProfile').addEventListener('click', downloadIssuerProfile);
+    document.getElementById('profileLogoFile').addEventListener('change', hashProfileLogo);
+    document.getElementById('refreshIssuerAnalytics').addEventListener('click', loadIssuerAnalytics);
+    document.getElementById('challengeResponseFile').addEventListener('change', event => hashFileInto(event, 'challengeResponseHash'));
+    document.getElementById('refreshIssuerChallenges').addEventListener('click', loadIssuerChallenges);
     document.getElementById('issueCredentialForm').addEventListener('submit', issueCredential);
+    document.getElementById('bulkCsvFile').addEventListener('change', loadBulkCsv);
+    document.getElementById('downloadBulkTemplate').addEventListener('click', downloadBulkTemplate);
+    document.getElementById('startBulkIssuance').addEventListener('click', runBulkIssuance);
+    document.getElementById('retryBulkFailed').addEventListener('click', retryBulkFailed);
+    document.getElementById('downloadBulkResults').addEventListener('click', downloadBulkResults);
+    document.getElementById('clearBulkIssuance').addEventListener('click', clearBulkIssuance);
+    document.getElementById('revocationEvidenceFile').addEventListener('change', event => hashFileInto(event, 'revocationEvidence'));
     document.getElementById('loadIssuerCredentials').addEventListener('click', loadIssuerCredentials);
+    document.getElementById('findPurgeable').addEventListener('click', findPurgeableCredentials);
+    document.getElementById('purgeAllEligible').addEventListener('click', purgeAllEligible);
+    document.getElementById('unlockIssuerCredentials').addEventListener('click', unlockCredentials);
 
     // User actions
     document.getElementById('loadUserCredentials').addEventListener('click', loadUserCredentials);
+    document.getElementById('unlockUserCredentials').addEventListener('click', unlockCredentials);
+    document.getElementById('showEncryptionKey').addEventListener('click', showEncryptionKey);
+    document.getElementById('copyEncryptionKey').addEventListener('click', copyEncryptionKey);
     document.getElementById('verifyCredential').addEventListener('click', verifyCredential);
+    document.getElementById('verifyCredentialDocument').addEventListener('click', verifyCredentialDocument);
+    document.getElementById('credentialDocumentFile').addEventListener('change', loadCredentialDocumentFile);
+
+    document.getElementById('signPresentation').addEventListener('click', signPresentation);
+    document.getElementById('copyPresentation').addEventListener('click', () => copyField('presentationOutput', 'Presentation copied'));
+    document.getElementById('scanChallenge').addEventListener('click', () => scanQRCode('challengeScanner', receiveChallenge));
+    document.getElementById('challengeQRFile').addEventListener('change', event => readQRFile(event, receiveChallenge));
 
     // DeFi actions
     document.getElementById('verifyUserKYC').addEventListener('click', verifyUserKYC);
+    document.getElementById('createChallenge').addEventListener('click', createChallenge);
+    document.getElementById('copyChallenge').addEventListener('click', () => copyField('challengeOutput', 'Challenge copied'));
+    document.getElementById('verifyPresentation').addEventListener('click', verifyPresentation);
+    document.getElementById('scanPresentation').addEventListener('click', () => scanQRCode('presentationScanner', receivePresentation));
+    document.getElementById('presentationQRFile').addEventListener('change', event => readQRFile(event, receivePresentation));
+    document.getElementById('credentialChallengeEvidenceFile').addEventListener('change', event => hashFileInto(event, 'credentialChallengeEvidence'));
+    document.getElementById('openCredentialChallenge').addEventListener('click', openCredentialChallenge);
+    document.getElementById('loadCredentialChallenges').addEventListener('click', loadCredentialChallenges);
+
+    // Delegator actions
+    document.getElementById('delegateStake').addEventListener('click', delegateStake);
+    document.getElementById('undelegateStake').addEventListener('click', () => undelegateStake());
+    document.getElementById('refreshDelegations').addEventListener('click', loadDelegations);
+}
+
+// Setup credential tables
+function setupCredentialTables() {
+    issuerCredentialTable = new CredentialTable({
+        container: document.getElementById('issuerCredentialsList'),
+        renderItem: credential => createCredentialElement(credential, true),
+        addressField: 'subject',
+        emptyMessage: 'No credentials issued yet',
+        bulkActions: [
+            {
+                label: 'Revoke Selected',
+                className: 'btn-warning',
+                isEligible: canRevoke,
+                onAction: revokeCredentials
+            },
+            {
+                label: 'Purge Selected',
+                className: 'btn-danger',
+                isEligible: canPurge,
+                onAction: purgeCredentials
+            }
+        ]
+    });
+
+    userCredentialTable = new CredentialTable({
+        container: document.getElementById('userCredentialsList'),
+        renderItem: credential => createCredentialElement(credential, false),
+        addressField: 'issuer'
+    });
 }
 
-// Connect wallet
+// Connect wallet - picks among installed wallets when there is more than one
 async function connectWallet() {
-    if (typeof window.ethereum === 'undefined') {
-        showStatus('Please install MetaMask!', 'error');
-        return;
+    try {
+        await walletConnection.connect();
+    } catch (error) {
+        console.error('Error connecting wallet:', error);
+        showStatus('Failed to connect wallet: ' + describeError(error), 'error');
     }
+}
+
+async function disconnectWallet() {
+    await walletConnection.disconnect();
+}
+
+const WALLET_SWITCH_MESSAGES = {
+    connect: () => 'Wallet connected successfully!',
+    restore: () => 'Wallet connected successfully!',
+    accountsChanged: () => `Switched to account ${shortAddress(userAddress)}`,
+    chainChanged: () => `Switched to ${network.chainName}`
+};
+
+// A previous session's contracts and listeners are bound to the old account/chain
+function resetSession() {
+    stopLiveUpdates();
+    stopTransactionManager();
+    forgetEncryptionKey();
+    resetPurgePlan();
+    contracts = {};
+    readContracts = {};
+    credentialIndex = null;
+    challengeStore = null;
+    issuerProfiles = null;
+    signedIssuerProfile = null;
+    issuerAnalytics = null;
+    bulkQueue = null;
+    // Vote and decide buttons depend on the account
+    document.getElementById('credentialChallengesList').innerHTML = '';
+    document.getElementById('credentialChallengeTerms').textContent = '';
+}
+
+// Connected, or switched account or chain in the wallet: rebuild everything in place, keeping form input
+async function handleWalletConnected(session, reason) {
+    resetSession();
 
     try {
-        provider = new ethers.providers.Web3Provider(window.ethereum);
-        await provider.send("eth_requestAccounts", []);
-        signer = provider.getSigner();
-        userAddress = await signer.getAddress();
+        provider = session.provider;
+        signer = session.signer;
+        userAddress = session.address;
+        chainId = session.chainId;
+
+        // Pending transactions from before a reload resume here
+        openTransactionManager(session.network);
+
+        // Update UI
+        document.getElementById('connectWallet').hidden = true;
+        document.getElementById('disconnectWallet').hidden = false;
+        document.getElementById('readOnlyNetwork').hidden = true;
+        document.getElementById('walletAddress').textContent = `${session.wallet.name}: ${userAddress.substring(0, 6)}...${userAddress.substring(38)}`;
 
         // Check network
-        const network = await provider.getNetwork();
-        if (network.chainId !== 84532) {
-            showStatus('Please switch to Base Sepolia network!', 'error');
-            try {
-                await window.ethereum.request({
-                    method: 'wallet_switchEthereumChain',
-                    params: [{ chainId: '0x14a34' }], // 84532 in hex
-                });
-            } catch (switchError) {
-                if (switchError.code === 4902) {
-                    // Network not added, add it
-                    await window.ethereum.request({
-                        method: 'wallet_addEthereumChain',
-                        params: [{
-                            chainId: '0x14a34',
-                            chainName: 'Base Sepolia',
-                            nativeCurrency: {
-                                name: 'ETH',
-                                symbol: 'ETH',
-                                decimals: 18
-                            },
-                            rpcUrls: ['https://sepolia.base.org'],
-                            blockExplorerUrls: ['https://sepolia.basescan.org']
-                        }]
-                    });
-                }
-            }
+        if (!session.network) {
+            const target = Networks.defaultNetwork();
+            document.getElementById('networkInfo').textContent = `🔴 Unsupported network (${chainId})`;
+            issuerCredentialTable.clear();
+            userCredentialTable.clear();
+            renderBulkIssuance();
+            showStatus(`Chain ${chainId} is not supported - please switch to ${target.chainName}!`, 'error');
+            await ContractClient.switchNetwork(target, walletConnection.ethereum);
             return;
         }
 
-        // Initialize contracts
-        if (AVS_MANAGEMENT_ADDRESS && VC_REGISTRY_ADDRESS) {
-            avsManagementContract = new ethers.Contract(AVS_MANAGEMENT_ADDRESS, AVS_MANAGEMENT_ABI, signer);
-            vcRegistryContract = new ethers.Contract(VC_REGISTRY_ADDRESS, VC_REGISTRY_ABI, signer);
-            did3TokenContract = new ethers.Contract(DID3_TOKEN_ADDRESS, ERC20_ABI, signer);
+        // Initialize contracts deployed on the wallet's chain
+        const deployed = await loadDeploymentInfo(session.network);
+        document.getElementById('networkInfo').textContent = `🟢 ${network.chainName}`;
+        if (deployed) {
+            contracts = ContractClient.createContracts({
+                runner: signer,
+                addresses: {
+                    avsManagement: AVS_MANAGEMENT_ADDRESS,
+                    vcRegistry: VC_REGISTRY_ADDRESS,
+                    multicall: MULTICALL_ADDRESS,
+                    did3Token: DID3_TOKEN_ADDRESS
+                }
+            });
+            readContracts = contracts;
+            openIssuerProfiles(contracts);
+            openIssuerAnalytics(contracts, provider);
+            credentialIndex = new CredentialIndex({
+                vcRegistry: contracts.vcRegistry,
+                multicall: contracts.multicall,
+                provider,
+                chainId: session.chainId,
+                startBlock: VC_REGISTRY_DEPLOYMENT_BLOCK
+            });
+            liveUpdates = new LiveUpdates({ contracts, onEvent: handleLiveEvent });
+            liveUpdates.start();
+            challengeStore = new Presentation.ChallengeStore({
+                key: `${chainId}:${VC_REGISTRY_ADDRESS.toLowerCase()}`,
+                storage: window.localStorage
+            });
+            openBulkIssuance();
+        } else {
+            issuerCredentialTable.clear();
+            userCredentialTable.clear();
+            renderBulkIssuance();
+            showStatus(`Contracts are not deployed on ${network.chainName} - run the deploy script for this network to create ${Networks.manifestPath(network)}`, 'error');
+            return;
         }
 
-        // Update UI
-        document.getElementById('connectWallet').textContent = 'Connected';
-        document.getElementById('connectWallet').disabled = true;
-        document.getElementById('walletAddress').textContent = `${userAddress.substring(0, 6)}...${userAddress.substring(38)}`;
-        document.getElementById('networkInfo').textContent = '🟢 Base Sepolia';
-
-        showStatus('Wallet connected successfully!', 'success');
+        showStatus(WALLET_SWITCH_MESSAGES[reason](), 'success');
 
         // Load issuer info if in issuer view
         if (document.getElementById('issuerView').classList.contains('active')) {
             await loadIssuerInfo();
         }
+        if (document.getElementById('delegatorView').classList.contains('active')) {
+            await loadDelegations();
+        }
+
+        // Lists the user already opened follow the (possibly new) account
+        if (issuerCredentialTable.loaded) await refreshIssuerCredentials();
+        if (userCredentialTable.loaded) await refreshUserCredentials();
     } catch (error) {
         console.error('Error connecting wallet:', error);
-        showStatus('Failed to connect wallet', 'error');
+        showStatus('Failed to connect wallet: ' + describeError(error), 'error');
+    }
+}
+
+// Disconnected here, or the wallet locked / stopped sharing accounts
+async function handleWalletDisconnected(reason) {
+    resetSession();
+    provider = null;
+    signer = null;
+    userAddress = null;
+    issuerCredentialTable.clear();
+    userCredentialTable.clear();
+    renderPresentationChoices([]);
+    stopQRScanners();
+    renderBulkIssuance();
+    document.getElementById('issuerAnalytics').innerHTML = '';
+    document.getElementById('issuerChallengesList').innerHTML = '';
+    renderPendingWithdrawals([]);
+    renderDelegations([]);
+    renderPendingUndelegations([], []);
+
+    document.getElementById('connectWallet').hidden = false;
+    document.getElementById('disconnectWallet').hidden = true;
+    document.getElementById('walletAddress').textContent = '';
+
+    await openReadOnlySession(readOnlyNetworkChoice());
+    showStatus(reason === 'locked' ? 'Wallet locked or disconnected - unlock it to continue' : 'Wallet disconnected', 'info');
+}
+
+// ============ Read-only mode ============
+
+const READ_ONLY_NETWORK_KEY = 'vcReadOnlyNetwork';
+
+function setupReadOnlyNetworks() {
+    const select = document.getElementById('readOnlyNetwork');
+    Object.values(Networks.NETWORKS).forEach(entry => select.add(new Option(entry.chainName, entry.name)));
+}
+
+// Network picked for anonymous verification on an earlier visit, else the default
+function readOnlyNetworkChoice() {
+    return Networks.getNetwork(localStorage.getItem(READ_ONLY_NETWORK_KEY) || '') || Networks.defaultNetwork();
+}
+
+async function selectReadOnlyNetwork(name) {
+    localStorage.setItem(READ_ONLY_NETWORK_KEY, name);
+    await openReadOnlySession(Networks.getNetwork(name));
+}
+
+/**
+ * Without a wallet, verification reads the network's registry over its RPC; everything that
+ * signs still asks for a wallet
+ */
+async function openReadOnlySession(targetNetwork) {
+    resetSession();
+    await loadDeploymentInfo(targetNetwork);
+    chainId = network.chainId;
+
+    const select = document.getElementById('readOnlyNetwork');
+    select.value = network.name;
+    select.hidden = false;
+    document.getElementById('networkInfo').textContent = '👁 Read-only';
+
+    if (!VC_REGISTRY_ADDRESS) return;
+
+    const readProvider = ContractClient.readOnlyProvider(network);
+    readContracts = ContractClient.createContracts({
+        runner: readProvider,
+        addresses: { vcRegistry: VC_REGISTRY_ADDRESS, avsManagement: AVS_MANAGEMENT_ADDRESS, multicall: MULTICALL_ADDRESS }
+    });
+    openIssuerProfiles(readContracts);
+    openIssuerAnalytics(readContracts, readProvider);
+    // Only the DeFi view's verification follows events until a wallet connects
+    liveUpdates = new LiveUpdates({ contracts: readContracts, onEvent: handleLiveEvent });
+    liveUpdates.start();
+    challengeStore = new Presentation.ChallengeStore({
+        key: `${chainId}:${VC_REGISTRY_ADDRESS.toLowerCase()}`,
+        storage: window.localStorage
+    });
+}
+
+// Views that only read the registry work with or without a wallet
+function requireRegistry() {
+    if (readContracts.vcRegistry) return true;
+
+    showStatus(`No VCRegistry is deployed on ${network.chainName} - pick another network or connect a wallet`, 'error');
+    return false;
+}
+
+function stopLiveUpdates() {
+    if (liveUpdates) {
+        liveUpdates.stop();
+        liveUpdates = null;
+    }
+}
+
+// ============ Transactions ============
+
+// Track this account's transactions on this chain; pending ones saved by an earlier visit resume
+function openTransactionManager(txNetwork) {
+    txManager = new TransactionManager({
+        provider,
+        signer,
+        key: `${chainId}:${userAddress.toLowerCase()}`,
+        storage: window.localStorage,
+        container: document.getElementById('activityList'),
+        badge: document.getElementById('activityBadge'),
+        explorerUrl: txNetwork ? txNetwork.explorerUrl : '',
+        onSettled: handleTransactionSettled,
+        onError: (error, kind) => showStatus(`Could not ${kind === 'cancel' ? 'cancel' : 'speed up'} the transaction: ${describeError(error)}`, 'error')
+    });
+    txManager.render();
+    if (txManager.pending.length > 0) {
+        txManager.start();
+        showToast(`Waiting for ${txManager.pending.length} earlier transaction(s) - see Activity`, 'info');
+    }
+}
+
+function stopTransactionManager() {
+    if (txManager) {
+        txManager.stop();
+        txManager = null;
+    }
+    document.getElementById('activityList').innerHTML = '';
+    document.getElementById('activityBadge').hidden = true;
+}
+
+// Outcomes nothing on the page was waiting for (e.g. resumed after a reload) are announced here
+async function handleTransactionSettled(record, awaited) {
+    if (awaited) return;
+
+    const confirmed = record.status === 'confirmed' || (record.status === 'replaced' && record.sameCall && !record.error);
+    showToast(`${record.action}: ${confirmed ? 'confirmed' : record.error || record.status}`, confirmed ? 'success' : 'error');
+    if (confirmed && document.getElementById('issuerView').classList.contains('active')) {
+        await loadIssuerInfo();
+    }
+}
+
+function toggleActivity(open) {
+    const drawer = document.getElementById('activityDrawer');
+    drawer.hidden = open === undefined ? !drawer.hidden : !open;
+}
+
+// ============ Live updates ============
+
+const CREDENTIAL_EVENT_VERBS = {
+    CredentialIssued: 'issued',
+    CredentialRevoked: 'revoked',
+    CredentialPurged: 'purged'
+};
+
+function isCurrentAccount(address) {
+    return Boolean(userAddress) && address.toLowerCase() === userAddress.toLowerCase();
+}
+
+// Route a VCRegistry / AVSManagement event to the views it affects
+async function handleLiveEvent({ name, args }) {
+    // The DeFi view follows the address being verified, with or without a wallet
+    if (CREDENTIAL_EVENT_VERBS[name]) await refreshDefiVerification(name, args);
+    if (!userAddress) return;
+
+    if (CREDENTIAL_EVENT_VERBS[name]) {
+        await handleCredentialEvent(name, args);
+    } else {
+        await handleIssuerEvent(name, args);
+    }
+}
+
+async function handleCredentialEvent(name, args) {
+    const verb = CREDENTIAL_EVENT_VERBS[name];
+
+    // Only the issuer can issue, revoke or purge, so the issuer side updates silently
+    if (isCurrentAccount(args.issuer)) {
+        await loadIssuerInfo();
+        if (issuerCredentialTable.loaded) await refreshIssuerCredentials();
+    }
+
+    if (isCurrentAccount(args.subject)) {
+        const credentials = await credentialIndex.getSubjectCredentials(userAddress);
+        await decryptCredentials(credentials);
+        await loadIssuerProfiles(credentials);
+        if (userCredentialTable.loaded) {
+            userCredentialTable.setCredentials(credentials);
+            renderPresentationChoices(credentials);
+        }
+
+        const credential = credentials.find(record => record.credentialHash === args.credentialHash);
+        const label = credential ? `${credential.credentialType} credential` : 'credential';
+        const reason = name === 'CredentialRevoked' ? ` (${ContractClient.revocationReasonLabel(args.reason)})` : '';
+        showToast(`Your ${label} was ${verb} by ${shortAddress(args.issuer)}${reason}`,
+            name === 'CredentialIssued' ? 'success' : 'error');
+    }
+}
+
+// Re-run a shown KYC verification when a credential of the verified address changes
+async function refreshDefiVerification(name, args) {
+    const kycAddress = document.getElementById('defiUserAddress').value;
+    if (document.getElementById('defiVerificationResult').classList.contains('show') &&
+        ethers.utils.isAddress(kycAddress) && args.subject.toLowerCase() === kycAddress.toLowerCase()) {
+        await verifyUserKYC();
+        showToast(`KYC status of ${shortAddress(args.subject)} changed: credential ${CREDENTIAL_EVENT_VERBS[name]}`, 'info');
+    }
+}
+
+async function handleIssuerEvent(name, args) {
+    if (name === 'IssuerProfileUpdated') {
+        if (issuerProfiles) issuerProfiles.forget(args.issuer);
+        if (issuerCredentialTable.loaded) await refreshIssuerCredentials();
+        if (userCredentialTable.loaded) await refreshUserCredentials();
+        return;
+    }
+
+    if (isCurrentAccount(args.issuer)) {
+        await loadIssuerInfo();
+        if (name === 'IssuerDeactivated') {
+            showToast('Your stake fell below the minimum - you can no longer issue credentials', 'error');
+        } else if (name === 'ChallengeOpened') {
+            showToast(`Challenge #${args.challengeId} was opened against one of your credentials - respond within 7 days`, 'error');
+        } else if (name === 'IssuerSlashed') {
+            showToast(`Challenge #${args.challengeId} was upheld - ${ethers.utils.formatEther(args.amount)} DID3 of your stake and delegations was slashed`, 'error');
+        } else if (name === 'Delegated' && !isCurrentAccount(args.delegator)) {
+            showToast(`${shortAddress(args.delegator)} delegated ${ethers.utils.formatEther(args.amount)} DID3 to you`, 'success');
+        }
+        return;
+    }
+
+    // Positions of the connected delegator follow the issuers it backs
+    if (document.getElementById('delegatorView').classList.contains('active')) {
+        await loadDelegations();
+    }
+    if ((name === 'IssuerSlashed' || name === 'IssuerDeactivated') && contracts.avsManagement) {
+        const backed = await contracts.avsManagement.delegationOf(args.issuer, userAddress);
+        if (!backed.isZero()) {
+            showToast(name === 'IssuerSlashed'
+                ? `Issuer ${shortAddress(args.issuer)} you delegated to was slashed - your delegation is now ${ethers.utils.formatEther(backed)} DID3`
+                : `Issuer ${shortAddress(args.issuer)} you delegated to was deactivated - undelegate to take your DID3 back`, 'error');
+        }
+    }
+
+    // Open challenges shown in the DeFi view change as they are opened and settled
+    if ((name === 'ChallengeOpened' || name === 'ChallengeResolved') &&
+        document.getElementById('credentialChallengesList').innerHTML !== '') {
+        await loadCredentialChallenges();
+    }
+
+    // Let holders know when an issuer behind one of their credentials stops being active
+    if (name === 'IssuerDeactivated' && credentialIndex) {
+        const credentials = await credentialIndex.getSubjectCredentials(userAddress);
+        const affected = credentials.filter(credential =>
+            credential.issuer.toLowerCase() === args.issuer.toLowerCase() && !credential.isPurged);
+
+        if (affected.length > 0) {
+            showToast(`Issuer ${shortAddress(args.issuer)} of ${affected.length} of your credential(s) was deactivated`, 'info');
+        }
     }
 }
 
@@ -181,6 +582,7 @@ function switchRole(role) {
         btn.classList.remove('active');
     });
     event.target.closest('.role-btn').classList.add('active');
+    stopQRScanners();
 
     // Show corresponding view
     document.querySelectorAll('.view').forEach(view => {
@@ -194,25 +596,35 @@ function switchRole(role) {
         document.getElementById('userView').classList.add('active');
     } else if (role === 'defi') {
         document.getElementById('defiView').classList.add('active');
+    } else if (role === 'delegator') {
+        document.getElementById('delegatorView').classList.add('active');
+        loadDelegations();
     }
 }
 
 // Load issuer info
 async function loadIssuerInfo() {
-    if (!avsManagementContract || !userAddress) return;
+    if (!contracts.avsManagement || !userAddress) return;
 
     try {
-        const issuerInfo = await avsManagementContract.getIssuerInfo(userAddress);
+        const [issuerInfo, pool, isActive] = await Promise.all([
+            contracts.avsManagement.getIssuerInfo(userAddress),
+            contracts.avsManagement.delegationPools(userAddress),
+            contracts.avsManagement.isActiveIssuer(userAddress)
+        ]);
         const stakedAmount = ethers.utils.formatEther(issuerInfo.stakedAmount);
 
         document.getElementById('issuerStake').textContent = parseFloat(stakedAmount).toLocaleString();
-        document.getElementById('issuerStatus').textContent = issuerInfo.isActive ? '✅ Active' : '❌ Inactive';
+        document.getElementById('issuerDelegated').textContent = parseFloat(ethers.utils.formatEther(pool.amount)).toLocaleString();
+        // Registered issuers below the minimum wait for delegations to make up the rest
+        document.getElementById('issuerStatus').textContent = isActive ? '✅ Active'
+            : issuerInfo.isActive ? '⏳ Below Minimum' : '❌ Inactive';
         document.getElementById('credentialsIssued').textContent = issuerInfo.totalCredentialsIssued.toString();
         document.getElementById('credentialsRevoked').textContent = issuerInfo.totalCredentialsRevoked.toString();
 
         // Update status card styling
         const statusElement = document.getElementById('issuerStatus');
-        if (issuerInfo.isActive) {
+        if (isActive) {
             statusElement.style.color = 'var(--primary-green)';
         } else {
             statusElement.style.color = 'var(--warning-orange)';
@@ -220,38 +632,43 @@ async function loadIssuerInfo() {
     } catch (error) {
         console.error('Error loading issuer info:', error);
     }
-}
-
-// Approve DID3 tokens
-async function approveTokens() {
-    if (!did3TokenContract) {
-        showStatus('Please connect wallet first', 'error');
-        return;
-    }
-
-    const amountInput = document.getElementById('stakeAmount');
-    const amount = amountInput.value;
 
-    if (!amount || parseFloat(amount) < 999999) {
-        showStatus('Minimum stake is 999,999 DID3 tokens', 'error');
-        return;
-    }
+    await loadPendingWithdrawals();
+    await loadIssuerChallenges();
+    await loadIssuerProfile();
+    await loadIssuerAnalytics();
+}
 
-    try {
-        showStatus('Approving tokens...', 'info');
-        const amountWei = ethers.utils.parseEther(amount);
-        const tx = await did3TokenContract.approve(AVS_MANAGEMENT_ADDRESS, amountWei);
-        await tx.wait();
-        showStatus('Tokens approved successfully!', 'success');
-    } catch (error) {
-        console.error('Error approving tokens:', error);
-        showStatus('Failed to approve tokens: ' + error.message, 'error');
-    }
+// Progress messages for ContractClient.stakeTokens
+const STAKE_STEP_MESSAGES = {
+    approve: 'Approving DID3 tokens...',
+    permit: 'Sign the DID3 permit in your wallet...',
+    stake: 'Staking...'
+};
+
+/**
+ * Stake into AVSManagement with one flow for registering, topping up and delegating: checks the
+ * balance and allowance, then stakes directly, with a permit or after approving the missing allowance
+ * @param {Object} [options] args recorded with the transaction besides the amount, and step messages
+ */
+function stakeWithAllowance(action, amount, stake, stakeWithPermit, { args = {}, messages = STAKE_STEP_MESSAGES } = {}) {
+    return ContractClient.stakeTokens({
+        token: contracts.did3Token,
+        owner: userAddress,
+        spender: AVS_MANAGEMENT_ADDRESS,
+        amount: ethers.utils.parseEther(amount),
+        action,
+        args: { ...args, amount },
+        stake,
+        stakeWithPermit,
+        run: (label, txArgs, send) => txManager.run(label, txArgs, send),
+        onStep: step => showStatus(messages[step], 'info')
+    });
 }
 
 // Register as issuer
 async function registerIssuer() {
-    if (!avsManagementContract) {
+    if (!contracts.avsManagement || !contracts.did3Token) {
         showStatus('Please connect wallet first', 'error');
         return;
     }
@@ -259,27 +676,27 @@ async function registerIssuer() {
     const amountInput = document.getElementById('stakeAmount');
     const amount = amountInput.value;
 
-    if (!amount || parseFloat(amount) < 999999) {
-        showStatus('Minimum stake is 999,999 DID3 tokens', 'error');
+    if (!amount || parseFloat(amount) < 100000) {
+        showStatus('Stake at least 100,000 DID3 of your own; delegations can make up the rest of the 999,999 DID3 minimum', 'error');
         return;
     }
 
     try {
-        showStatus('Registering as issuer...', 'info');
-        const amountWei = ethers.utils.parseEther(amount);
-        const tx = await avsManagementContract.registerIssuer(amountWei);
-        await tx.wait();
+        showStatus('Checking DID3 balance and allowance...', 'info');
+        await stakeWithAllowance('Register as issuer', amount,
+            amountWei => contracts.avsManagement.registerIssuer(amountWei),
+            (amountWei, permit) => contracts.avsManagement.registerIssuerWithPermit(amountWei, permit));
         showStatus('Successfully registered as issuer!', 'success');
         await loadIssuerInfo();
     } catch (error) {
         console.error('Error registering:', error);
-        showStatus('Failed to register: ' + error.message, 'error');
+        showStatus('Failed to register: ' + describeError(error), 'error');
     }
 }
 
 // Add stake
 async function addStake() {
-    if (!avsManagementContract) {
+    if (!contracts.avsManagement || !contracts.did3Token) {
         showStatus('Please connect wallet first', 'error');
         return;
     }
@@ -293,21 +710,21 @@ async function addStake() {
     }
 
     try {
-        showStatus('Adding stake...', 'info');
-        const amountWei = ethers.utils.parseEther(amount);
-        const tx = await avsManagementContract.addStake(amountWei);
-        await tx.wait();
+        showStatus('Checking DID3 balance and allowance...', 'info');
+        await stakeWithAllowance('Add stake', amount,
+            amountWei => contracts.avsManagement.addStake(amountWei),
+            (amountWei, permit) => contracts.avsManagement.addStakeWithPermit(amountWei, permit));
         showStatus('Stake added successfully!', 'success');
         await loadIssuerInfo();
     } catch (error) {
         console.error('Error adding stake:', error);
-        showStatus('Failed to add stake: ' + error.message, 'error');
+        showStatus('Failed to add stake: ' + describeError(error), 'error');
     }
 }
 
-// Withdraw stake
+// Request a withdrawal; it unbonds before it can be claimed
 async function withdrawStake() {
-    if (!avsManagementContract) {
+    if (!contracts.avsManagement) {
         showStatus('Please connect wallet first', 'error');
         return;
     }
@@ -321,268 +738,1720 @@ async function withdrawStake() {
     }
 
     try {
-        showStatus('Withdrawing stake...', 'info');
+        showStatus('Requesting withdrawal...', 'info');
         const amountWei = ethers.utils.parseEther(amount);
-        const tx = await avsManagementContract.withdrawStake(amountWei);
-        await tx.wait();
-        showStatus('Stake withdrawn successfully!', 'success');
+        await txManager.run('Request withdrawal', { amount }, () => contracts.avsManagement.requestWithdrawal(amountWei));
+        showStatus('Withdrawal requested - claim it under Queued Withdrawals once it has unbonded', 'success');
         await loadIssuerInfo();
     } catch (error) {
-        console.error('Error withdrawing stake:', error);
-        showStatus('Failed to withdraw stake: ' + error.message, 'error');
+        console.error('Error requesting withdrawal:', error);
+        showStatus('Failed to request withdrawal: ' + describeError(error), 'error');
     }
 }
 
-// Issue credential
-async function issueCredential(e) {
-    e.preventDefault();
+// Seconds on the chain's clock, which can drift from the local one (e.g. a local node after time travel)
+function chainNow() {
+    return Date.now() / 1000 + chainClockOffset;
+}
 
-    if (!vcRegistryContract) {
-        showStatus('Please connect wallet first', 'error');
+async function syncChainClock(contractProvider) {
+    const block = await contractProvider.getBlock('latest');
+    chainClockOffset = block.timestamp - Date.now() / 1000;
+}
+
+// Time left as "2d 03:04:05"
+function formatCountdown(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    const days = Math.floor(total / 86400);
+    const clock = [Math.floor(total / 3600) % 24, Math.floor(total / 60) % 60, total % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+    return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+// The connected issuer's queued withdrawals, soonest first, with live countdowns
+async function loadPendingWithdrawals() {
+    if (!contracts.avsManagement || !userAddress) {
+        renderPendingWithdrawals([]);
         return;
     }
 
-    const subjectAddress = document.getElementById('subjectAddress').value;
-    const credentialType = document.getElementById('credentialType').value;
-    const fullName = document.getElementById('fullName').value;
-    const dateOfBirth = document.getElementById('dateOfBirth').value;
-    const country = document.getElementById('country').value;
-    const email = document.getElementById('email').value;
-    const expirationDate = document.getElementById('expirationDate').value;
-
-    // Create credential data object
-    const credentialData = {
-        fullName,
-        dateOfBirth,
-        country,
-        email,
-        issuedAt: new Date().toISOString()
-    };
+    try {
+        const [withdrawals, period] = await Promise.all([
+            contracts.avsManagement.getPendingWithdrawals(userAddress),
+            contracts.avsManagement.unbondingPeriod(),
+            syncChainClock(contracts.avsManagement.contract.provider)
+        ]);
+        document.getElementById('unbondingPeriodNote').textContent =
+            `Withdrawn stake unbonds for ${IssuerAnalytics.formatDuration(Number(period))} before it can be claimed. ` +
+            'While it unbonds it no longer counts toward your active stake, and an upheld challenge slashes it like staked DID3.';
+        renderPendingWithdrawals([...withdrawals].sort((a, b) => Number(a.unlockTime) - Number(b.unlockTime)));
+    } catch (error) {
+        console.error('Error loading withdrawals:', error);
+    }
+}
 
-    // Convert to bytes
-    const credentialDataBytes = ethers.utils.toUtf8Bytes(JSON.stringify(credentialData));
+function renderPendingWithdrawals(withdrawals) {
+    const unbonding = withdrawals.reduce((sum, withdrawal) => sum.add(withdrawal.amount), ethers.BigNumber.from(0));
+    document.getElementById('issuerUnbonding').textContent = parseFloat(ethers.utils.formatEther(unbonding)).toLocaleString();
 
-    // Convert expiration date to timestamp
-    let expirationTimestamp = 0;
-    if (expirationDate) {
-        expirationTimestamp = Math.floor(new Date(expirationDate).getTime() / 1000);
+    const container = document.getElementById('pendingWithdrawalsList');
+    if (withdrawals.length === 0) {
+        container.innerHTML = userAddress
+            ? '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">No queued withdrawals</p>'
+            : '';
+        restartCountdowns();
+        return;
     }
 
-    try {
-        showStatus('Issuing credential...', 'info');
-        const tx = await vcRegistryContract.issueCredential(
-            subjectAddress,
-            credentialType,
-            credentialDataBytes,
-            expirationTimestamp
-        );
-        const receipt = await tx.wait();
+    container.innerHTML = withdrawals.map(withdrawal => `
+        <div class="credential-item" data-unlock="${withdrawal.unlockTime}">
+            <div class="credential-header">
+                <div class="credential-type">${parseFloat(ethers.utils.formatEther(withdrawal.amount)).toLocaleString()} DID3</div>
+                <div class="credential-status status-expired withdrawal-countdown"></div>
+            </div>
+            <div class="credential-details">
+                <div class="detail-item">
+                    <div class="detail-label">Requested</div>
+                    <div class="detail-value">${new Date(Number(withdrawal.requestedAt) * 1000).toLocaleString()}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Unlocks</div>
+                    <div class="detail-value">${new Date(Number(withdrawal.unlockTime) * 1000).toLocaleString()}</div>
+                </div>
+            </div>
+            <div class="credential-actions">
+                <button class="btn-primary" onclick="claimWithdrawal('${withdrawal.id}')">Claim</button>
+            </div>
+        </div>
+    `).join('');
 
-        // Get credential hash from event
-        const event = receipt.events.find(e => e.event === 'CredentialIssued');
-        const credentialHash = event.args.credentialHash;
+    restartCountdowns();
+}
 
-        showStatus(`Credential issued successfully! Hash: ${credentialHash}`, 'success');
+// One interval ticks the countdowns of queued withdrawals and undelegations while any are shown
+function restartCountdowns() {
+    clearInterval(withdrawalCountdown);
+    withdrawalCountdown = null;
+    if (!document.querySelector('[data-unlock]')) return;
 
-        // Reset form
-        document.getElementById('issueCredentialForm').reset();
+    tickWithdrawalCountdowns();
+    withdrawalCountdown = setInterval(tickWithdrawalCountdowns, 1000);
+}
 
-        // Reload issuer info
+function tickWithdrawalCountdowns() {
+    const now = chainNow();
+    document.querySelectorAll('[data-unlock]').forEach(item => {
+        const remaining = Number(item.dataset.unlock) - now;
+        const countdown = item.querySelector('.withdrawal-countdown');
+        countdown.textContent = remaining > 0 ? `Unbonding: ${formatCountdown(remaining)}` : 'Ready to claim';
+        countdown.className = `credential-status withdrawal-countdown ${remaining > 0 ? 'status-expired' : 'status-valid'}`;
+        item.querySelector('button').disabled = remaining > 0;
+    });
+}
+
+async function claimWithdrawal(withdrawalId) {
+    if (!contracts.avsManagement) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus(`Claiming withdrawal #${withdrawalId}...`, 'info');
+        const receipt = await txManager.run('Claim withdrawal', { withdrawalId },
+            () => contracts.avsManagement.claimWithdrawal(withdrawalId));
+        const claimed = ContractClient.findEvent(contracts.avsManagement.contract, receipt, 'WithdrawalClaimed');
+        showStatus(claimed ? `Claimed ${ethers.utils.formatEther(claimed.args.amount)} DID3` : 'Withdrawal claimed', 'success');
         await loadIssuerInfo();
     } catch (error) {
-        console.error('Error issuing credential:', error);
-        showStatus('Failed to issue credential: ' + error.message, 'error');
+        console.error('Error claiming withdrawal:', error);
+        showStatus('Failed to claim withdrawal: ' + describeError(error), 'error');
     }
 }
 
-// Load issuer credentials
-async function loadIssuerCredentials() {
-    if (!vcRegistryContract || !userAddress) {
-        showStatus('Please connect wallet first', 'error');
+// ============ Issuer profiles ============
+
+// Issuer profile form fields -> input ids
+const ISSUER_PROFILE_INPUTS = {
+    name: 'profileName',
+    did: 'profileDid',
+    website: 'profileWebsite',
+    jurisdiction: 'profileJurisdiction',
+    logoHash: 'profileLogoHash'
+};
+
+// Issuer names for credential cards and verification results, when AVSManagement is deployed
+function openIssuerProfiles(clients) {
+    issuerProfiles = clients.avsManagement
+        ? new IssuerProfiles.IssuerProfileCache({ avsManagement: clients.avsManagement, multicall: clients.multicall, chainId })
+        : null;
+}
+
+// Profiles only label credentials, so a failed lookup leaves the bare addresses
+async function loadIssuerProfiles(credentials) {
+    if (!issuerProfiles || credentials.length === 0) return;
+
+    try {
+        await issuerProfiles.load(credentials.map(credential => credential.issuer));
+    } catch (error) {
+        console.error('Error loading issuer profiles:', error);
+    }
+}
+
+function issuerName(address) {
+    return issuerProfiles ? issuerProfiles.name(address) : null;
+}
+
+// Verified profile name above the address, or just the address
+function issuerDetailValue(address) {
+    const name = issuerName(address);
+    return name ? `${escapeHtml(name)} ✓<br><small>${address}</small>` : address;
+}
+
+function issuerProfileFields() {
+    const fields = {};
+    Object.entries(ISSUER_PROFILE_INPUTS).forEach(([field, id]) => {
+        fields[field] = document.getElementById(id).value.trim();
+    });
+    return fields;
+}
+
+// Show whether the connected issuer's profile verifies, and fill an empty form from it
+async function loadIssuerProfile() {
+    const status = document.getElementById('issuerProfileStatus');
+    if (!issuerProfiles || !userAddress) {
+        status.textContent = '';
         return;
     }
 
     try {
-        showStatus('Loading credentials...', 'info');
-        const credentialHashes = await vcRegistryContract.getIssuerCredentials(userAddress);
-
-        const container = document.getElementById('issuerCredentialsList');
-        container.innerHTML = '';
+        issuerProfiles.forget(userAddress);
+        const [entry] = await issuerProfiles.load([userAddress]);
 
-        if (credentialHashes.length === 0) {
-            container.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">No credentials issued yet</p>';
-            showStatus('No credentials found', 'info');
+        if (!entry.uri) {
+            status.textContent = 'No profile published yet - credential holders and verifiers only see your address';
             return;
         }
-
-        for (const hash of credentialHashes) {
-            const credential = await vcRegistryContract.getFullCredential(hash);
-            const credentialElement = createCredentialElement(credential, true);
-            container.appendChild(credentialElement);
+        if (!entry.isValid) {
+            status.textContent = `⚠️ Your published profile does not verify: ${entry.error}`;
+            return;
         }
 
-        showStatus(`Loaded ${credentialHashes.length} credentials`, 'success');
+        status.textContent = `✅ Published ${new Date(entry.updatedAt * 1000).toLocaleString()} - shown as "${entry.profile.name}"`;
+        if (!document.getElementById('profileName').value) {
+            Object.entries(ISSUER_PROFILE_INPUTS).forEach(([field, id]) => {
+                const value = entry.profile[field];
+                document.getElementById(id).value = field === 'logoHash' && value === IssuerProfiles.NO_LOGO_HASH ? '' : value;
+            });
+            document.getElementById('profileUri').value = entry.uri.startsWith('data:') ? '' : entry.uri;
+        }
     } catch (error) {
-        console.error('Error loading credentials:', error);
-        showStatus('Failed to load credentials: ' + error.message, 'error');
+        console.error('Error loading issuer profile:', error);
     }
 }
 
-// Load user credentials
-async function loadUserCredentials() {
-    if (!vcRegistryContract || !userAddress) {
+// Sign the form's profile, reusing the last signature while the fields are unchanged
+async function signIssuerProfile() {
+    const fields = issuerProfileFields();
+    const key = JSON.stringify(fields);
+
+    if (!signedIssuerProfile || signedIssuerProfile.key !== key) {
+        const profile = await IssuerProfiles.createProfile(signer, fields, { chainId, avsManagementAddress: AVS_MANAGEMENT_ADDRESS });
+        signedIssuerProfile = { key, text: IssuerProfiles.serializeProfile(profile) };
+    }
+    return signedIssuerProfile.text;
+}
+
+// Signed profile document to host at the profile URL
+async function downloadIssuerProfile() {
+    if (!contracts.avsManagement) {
         showStatus('Please connect wallet first', 'error');
         return;
     }
 
     try {
-        showStatus('Loading credentials...', 'info');
-        const credentialHashes = await vcRegistryContract.getSubjectCredentials(userAddress);
+        downloadFile(await signIssuerProfile(), 'application/json', 'issuer-profile.json');
+        showToast('Host this file unchanged at your profile URL, then publish', 'success');
+    } catch (error) {
+        console.error('Error signing issuer profile:', error);
+        showStatus('Failed to sign profile: ' + describeError(error), 'error');
+    }
+}
 
-        const container = document.getElementById('userCredentialsList');
-        container.innerHTML = '';
+// Record the signed profile with AVSManagement: at the given URL, or inline without one
+async function publishIssuerProfile() {
+    if (!contracts.avsManagement) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
 
-        if (credentialHashes.length === 0) {
-            container.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">No credentials found</p>';
-            showStatus('No credentials found', 'info');
-            return;
-        }
+    const url = document.getElementById('profileUri').value.trim();
+    if (url && !/^(https:\/\/|ipfs:\/\/)/.test(url)) {
+        showStatus('The profile URL must start with https:// or ipfs://', 'error');
+        return;
+    }
 
-        for (const hash of credentialHashes) {
-            const credential = await vcRegistryContract.getFullCredential(hash);
-            const credentialElement = createCredentialElement(credential, false);
-            container.appendChild(credentialElement);
-        }
+    try {
+        showStatus('Sign the profile in your wallet...', 'info');
+        const text = await signIssuerProfile();
+        const contentHash = IssuerProfiles.contentHash(text);
 
-        showStatus(`Loaded ${credentialHashes.length} credentials`, 'success');
+        showStatus('Publishing profile...', 'info');
+        await txManager.run('Publish issuer profile', { uri: url || 'inline (data: URI)', contentHash },
+            () => contracts.avsManagement.setIssuerProfile(url || IssuerProfiles.toDataUri(text), contentHash));
+
+        showStatus(url ? 'Profile published - it shows once the file at the URL matches the download' : 'Profile published', 'success');
+        await loadIssuerProfile();
     } catch (error) {
-        console.error('Error loading credentials:', error);
-        showStatus('Failed to load credentials: ' + error.message, 'error');
+        console.error('Error publishing issuer profile:', error);
+        showStatus('Failed to publish profile: ' + describeError(error), 'error');
     }
 }
 
-// Create credential element
-function createCredentialElement(credential, isIssuer) {
-    const div = document.createElement('div');
-    div.className = 'credential-item';
+// Hash a chosen logo file locally into the logo hash field
+async function hashProfileLogo(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    document.getElementById('profileLogoHash').value = ethers.utils.keccak256(bytes);
+    e.target.value = '';
+    showToast(`Logo hash computed from ${file.name}`, 'success');
+}
 
-    // Determine status
-    let status = 'Valid';
-    let statusClass = 'status-valid';
+// ============ Issuer analytics ============
+
+const TRUST_THRESHOLD_KEY = 'vcTrustThreshold';
+
+// Track records need both contracts' events
+function openIssuerAnalytics(clients, eventProvider) {
+    issuerAnalytics = clients.avsManagement && clients.vcRegistry
+        ? new IssuerAnalytics.IssuerAnalyticsIndex({
+            avsManagement: clients.avsManagement,
+            vcRegistry: clients.vcRegistry,
+            multicall: clients.multicall,
+            provider: eventProvider,
+            chainId: network.chainId,
+            // AVSManagement is deployed just before the registry; older manifests only record the registry's block
+            startBlock: AVS_MANAGEMENT_DEPLOYMENT_BLOCK || VC_REGISTRY_DEPLOYMENT_BLOCK
+        })
+        : null;
+}
 
-    if (credential.isPurged) {
-        status = 'Purged';
-        statusClass = 'status-purged';
-    } else if (credential.isRevoked) {
-        status = 'Revoked';
-        statusClass = 'status-revoked';
-    } else if (credential.expirationDate > 0 && Date.now() / 1000 > credential.expirationDate) {
-        status = 'Expired';
-        statusClass = 'status-expired';
+// Stake, issuance and revocation history of the connected issuer, with its reputation score
+async function loadIssuerAnalytics() {
+    const container = document.getElementById('issuerAnalytics');
+    if (!issuerAnalytics || !userAddress) {
+        container.innerHTML = '';
+        return;
     }
 
-    // Parse credential data
-    let credentialDataObj = {};
     try {
-        const dataString = ethers.utils.toUtf8String(credential.credentialData);
-        credentialDataObj = JSON.parse(dataString);
-    } catch (e) {
-        console.error('Error parsing credential data:', e);
+        const [summary] = await issuerAnalytics.load([userAddress]);
+        container.innerHTML = summary.stakeSeries.length > 0
+            ? IssuerAnalytics.renderDashboard(summary)
+            : '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">Stake and issue credentials to build a track record</p>';
+    } catch (error) {
+        console.error('Error loading issuer analytics:', error);
+        showStatus('Failed to load your track record: ' + describeError(error), 'error');
     }
+}
 
-    div.innerHTML = `
-        <div class="credential-header">
-            <div class="credential-type">${credential.credentialType}</div>
-            <div class="credential-status ${statusClass}">${status}</div>
-        </div>
-        <div class="credential-details">
-            <div class="detail-item">
-                <div class="detail-label">Credential Hash</div>
-                <div class="detail-value">${credential.credentialHash}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Subject</div>
-                <div class="detail-value">${credential.subject}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Issuer</div>
-                <div class="detail-value">${credential.issuer}</div>
-            </div>
-            <div class="detail-item">
-                <div class="detail-label">Issued Date</div>
+// The DeFi view's threshold is kept across visits
+function setupTrustThreshold() {
+    const input = document.getElementById('defiMinReputation');
+    input.value = localStorage.getItem(TRUST_THRESHOLD_KEY) || '0';
+    input.addEventListener('change', () => localStorage.setItem(TRUST_THRESHOLD_KEY, String(trustThreshold())));
+}
+
+// Minimum issuer reputation score (0-100) the DeFi view accepts; 0 accepts every issuer
+function trustThreshold() {
+    const value = Number(document.getElementById('defiMinReputation').value);
+    return Number.isFinite(value) ? Math.min(100, Math.max(0, value)) : 0;
+}
+
+/**
+ * Reputation scores of the given issuers while a trust threshold is set
+ * @return {Promise<Map<string, number>|null>} Scores by lowercase address, null without a threshold
+ */
+async function issuerReputations(issuers) {
+    if (trustThreshold() === 0) return null;
+    if (!issuerAnalytics) {
+        throw new Error(`No AVSManagement on ${network.chainName} to score issuers with - set the minimum reputation to 0`);
+    }
+    return issuerAnalytics.scores(issuers);
+}
+
+// ============ Challenges ============
+
+// ChallengeStatus code -> credential status badge class
+const CHALLENGE_STATUS_CLASSES = ['', 'status-expired', 'status-revoked', 'status-valid'];
+
+function setupChallengeReasons() {
+    const select = document.getElementById('credentialChallengeReason');
+    ContractClient.CHALLENGE_REASONS.forEach(code => select.add(new Option(ContractClient.revocationReasonLabel(code), code)));
+}
+
+/**
+ * A 32-byte hash from a form field
+ * @return {string|null} null (with a status message) if it is missing or malformed
+ */
+function readHashField(id, label) {
+    const value = document.getElementById(id).value.trim();
+    if (!/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        showStatus(`${label} must be 32 bytes (0x followed by 64 hex characters)`, 'error');
+        return null;
+    }
+    return value;
+}
+
+// Challenges are open until openedAt + CHALLENGE_PERIOD
+function challengeDeadline(challenge, period) {
+    return Number(challenge.openedAt) + Number(period);
+}
+
+function isChallengeOpen(challenge) {
+    return Number(challenge.status) === 1;
+}
+
+/**
+ * Card for one challenge, in the credential card layout
+ * @param {string} actions Buttons for the viewer, '' for none
+ */
+function renderChallenge(challengeId, challenge, period, actions) {
+    const status = ContractClient.challengeStatusLabel(challenge.status);
+    const deadline = challengeDeadline(challenge, period);
+    const open = isChallengeOpen(challenge);
+    const votingEnded = deadline < chainNow();
+    const votes = [challenge.votesFor, challenge.votesAgainst]
+        .map(weight => parseFloat(ethers.utils.formatEther(weight)).toLocaleString());
+
+    return `
+        <div class="credential-item">
+            <div class="credential-header">
+                <div class="credential-type">Challenge #${challengeId}</div>
+                <div class="credential-status ${CHALLENGE_STATUS_CLASSES[Number(challenge.status)]}">${open && votingEnded ? 'Awaiting finalization' : status}</div>
+            </div>
+            <div class="credential-details">
+                <div class="detail-item">
+                    <div class="detail-label">Credential Hash</div>
+                    <div class="detail-value">${challenge.credentialHash}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Issuer</div>
+                    <div class="detail-value">${issuerDetailValue(challenge.issuer)}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Challenger</div>
+                    <div class="detail-value">${challenge.challenger}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Reason</div>
+                    <div class="detail-value">${escapeHtml(ContractClient.revocationReasonLabel(challenge.reason))}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Evidence</div>
+                    <div class="detail-value">${challenge.evidenceHash}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Issuer Response</div>
+                    <div class="detail-value">${Number(challenge.respondedAt) > 0 ? challenge.responseHash : 'None yet'}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Bond</div>
+                    <div class="detail-value">${parseFloat(ethers.utils.formatEther(challenge.bond)).toLocaleString()} DID3</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Votes (DID3 staked)</div>
+                    <div class="detail-value">${votes[0]} uphold / ${votes[1]} dismiss of ${parseFloat(ethers.utils.formatEther(challenge.eligibleStake)).toLocaleString()} eligible</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">${open ? 'Challenge Period Ends' : 'Slashed'}</div>
+                    <div class="detail-value">${open
+                        ? new Date(deadline * 1000).toLocaleString()
+                        : `${parseFloat(ethers.utils.formatEther(challenge.slashedAmount)).toLocaleString()} DID3 (${parseFloat(ethers.utils.formatEther(challenge.challengerReward)).toLocaleString()} to the challenger)`}</div>
+                </div>
+            </div>
+            ${actions ? `<div class="credential-actions">${actions}</div>` : ''}
+        </div>
+    `;
+}
+
+// Challenges against the connected issuer's credentials, newest first, with response submission
+async function loadIssuerChallenges() {
+    const container = document.getElementById('issuerChallengesList');
+    if (!contracts.avsManagement || !userAddress) {
+        container.innerHTML = '';
+        return;
+    }
+
+    try {
+        const { avsManagement, multicall } = contracts;
+        const [ids, period] = await Promise.all([
+            avsManagement.getIssuerChallenges(userAddress),
+            avsManagement.challengePeriod(),
+            syncChainClock(avsManagement.contract.provider)
+        ]);
+        const challenges = await multicall.map(avsManagement, 'getChallenge', ids.map(id => [id]));
+
+        if (challenges.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">No challenges against your credentials</p>';
+            return;
+        }
+
+        const now = chainNow();
+        container.innerHTML = challenges.map((challenge, index) => {
+            const canRespond = isChallengeOpen(challenge) && challengeDeadline(challenge, period) >= now;
+            const action = canRespond
+                ? `<button class="btn-primary" onclick="respondToChallenge('${ids[index]}')">${Number(challenge.respondedAt) > 0 ? 'Replace Response' : 'Submit Response'}</button>`
+                : '';
+            return renderChallenge(ids[index].toString(), challenge, period, action);
+        }).reverse().join('');
+    } catch (error) {
+        console.error('Error loading challenges:', error);
+        showStatus('Failed to load challenges against you: ' + describeError(error), 'error');
+    }
+}
+
+async function respondToChallenge(challengeId) {
+    if (!contracts.avsManagement) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    const responseHash = readHashField('challengeResponseHash', 'Response hash');
+    if (!responseHash) return;
+
+    try {
+        showStatus(`Submitting your response to challenge #${challengeId}...`, 'info');
+        await txManager.run('Respond to challenge', { challengeId, responseHash },
+            () => contracts.avsManagement.respondToChallenge(challengeId, responseHash));
+        showStatus('Response recorded', 'success');
+        await loadIssuerChallenges();
+    } catch (error) {
+        console.error('Error responding to challenge:', error);
+        showStatus('Failed to respond: ' + describeError(error), 'error');
+    }
+}
+
+// Post the bond (approving it first if needed) and open a challenge against a credential
+async function openCredentialChallenge() {
+    if (!contracts.avsManagement || !contracts.did3Token) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    const credentialHash = readHashField('credentialChallengeHash', 'Credential hash');
+    const evidenceHash = credentialHash && readHashField('credentialChallengeEvidence', 'Evidence hash');
+    if (!evidenceHash) return;
+    const reason = Number(document.getElementById('credentialChallengeReason').value);
+
+    try {
+        const [openChallenge, bond] = await Promise.all([
+            contracts.avsManagement.openChallengeOf(credentialHash),
+            contracts.avsManagement.challengeBond()
+        ]);
+        if (!openChallenge.isZero()) {
+            showStatus(`This credential is already challenged (#${openChallenge}) - vote on it below`, 'error');
+            return;
+        }
+
+        showStatus('Checking DID3 balance and allowance...', 'info');
+        await ContractClient.stakeTokens({
+            token: contracts.did3Token,
+            owner: userAddress,
+            spender: AVS_MANAGEMENT_ADDRESS,
+            amount: bond,
+            action: 'Open challenge',
+            args: { credentialHash, reason: ContractClient.revocationReasonLabel(reason), evidenceHash },
+            stake: () => contracts.avsManagement.openChallenge(credentialHash, reason, evidenceHash),
+            run: (label, args, send) => txManager.run(label, args, send),
+            onStep: step => showStatus(step === 'approve' ? 'Approving the DID3 bond...' : 'Opening the challenge...', 'info')
+        });
+        showStatus('Challenge opened - the issuer has 7 days to respond', 'success');
+        await loadCredentialChallenges();
+    } catch (error) {
+        console.error('Error opening challenge:', error);
+        showStatus('Failed to open challenge: ' + describeError(error), 'error');
+    }
+}
+
+/**
+ * Every open challenge, with vote and finalize buttons for the connected account and decide
+ * buttons for the arbiter
+ */
+async function loadCredentialChallenges() {
+    const container = document.getElementById('credentialChallengesList');
+    if (!readContracts.avsManagement) {
+        showStatus(`No AVSManagement is deployed on ${network.chainName} - pick another network or connect a wallet`, 'error');
+        return;
+    }
+
+    try {
+        const { avsManagement, multicall } = readContracts;
+        const [count, period, bond, slashBasisPoints, arbiter] = await Promise.all([
+            avsManagement.challengeCount(),
+            avsManagement.challengePeriod(),
+            avsManagement.challengeBond(),
+            avsManagement.slashBasisPoints(),
+            avsManagement.arbiter(),
+            syncChainClock(avsManagement.contract.provider)
+        ]);
+        document.getElementById('credentialChallengeTerms').textContent =
+            `Bond: ${parseFloat(ethers.utils.formatEther(bond)).toLocaleString()} DID3 · Slash: ${Number(slashBasisPoints) / 100}% of the issuer's stake and delegations · ` +
+            `Arbiter: ${arbiter === ethers.constants.AddressZero ? 'none, the vote decides' : arbiter}`;
+
+        const ids = Array.from({ length: Number(count) }, (_, index) => index + 1);
+        const challenges = await multicall.map(avsManagement, 'getChallenge', ids.map(id => [id]));
+        const open = ids
+            .map((id, index) => ({ id, challenge: challenges[index] }))
+            .filter(entry => isChallengeOpen(entry.challenge))
+            .reverse();
+
+        const voted = userAddress
+            ? await multicall.map(avsManagement, 'hasVotedOnChallenge', open.map(entry => [entry.id, userAddress]))
+            : [];
+        const isArbiter = isCurrentAccount(arbiter);
+        const now = chainNow();
+
+        container.innerHTML = open.length === 0
+            ? '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">No open challenges</p>'
+            : open.map(({ id, challenge }, index) => {
+                const votingOpen = challengeDeadline(challenge, period) >= now;
+                const isParty = isCurrentAccount(challenge.issuer) || isCurrentAccount(challenge.challenger);
+                const actions = [];
+                if (userAddress && votingOpen && !isParty && !voted[index]) {
+                    actions.push(`<button class="btn-warning" onclick="voteOnChallenge(${id}, true)">Vote Uphold</button>`);
+                    actions.push(`<button class="btn-secondary" onclick="voteOnChallenge(${id}, false)">Vote Dismiss</button>`);
+                }
+                if (userAddress && !votingOpen) {
+                    actions.push(`<button class="btn-primary" onclick="finalizeChallenge(${id})">Finalize</button>`);
+                }
+                if (isArbiter) {
+                    actions.push(`<button class="btn-danger" onclick="resolveChallenge(${id}, true)">Uphold &amp; Slash</button>`);
+                    actions.push(`<button class="btn-secondary" onclick="resolveChallenge(${id}, false)">Dismiss</button>`);
+                }
+                return renderChallenge(id, challenge, period, actions.join(''));
+            }).join('');
+    } catch (error) {
+        console.error('Error loading challenges:', error);
+        showStatus('Failed to load challenges: ' + describeError(error, { contract: 'AVSManagement' }), 'error');
+    }
+}
+
+// Active issuers vote with their stake as it stood when the challenge opened, delegations included
+async function voteOnChallenge(challengeId, uphold) {
+    if (!contracts.avsManagement) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus(`Voting to ${uphold ? 'uphold' : 'dismiss'} challenge #${challengeId}...`, 'info');
+        await txManager.run('Vote on challenge', { challengeId, vote: uphold ? 'uphold' : 'dismiss' },
+            () => contracts.avsManagement.voteOnChallenge(challengeId, uphold));
+        showStatus('Vote recorded', 'success');
+        await loadCredentialChallenges();
+    } catch (error) {
+        console.error('Error voting on challenge:', error);
+        showStatus('Failed to vote: ' + describeError(error), 'error');
+    }
+}
+
+// Settle a challenge by its vote once the period is over; anyone can
+async function finalizeChallenge(challengeId) {
+    if (!contracts.avsManagement) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus(`Finalizing challenge #${challengeId}...`, 'info');
+        await txManager.run('Finalize challenge', { challengeId }, () => contracts.avsManagement.finalizeChallenge(challengeId));
+        const challenge = await contracts.avsManagement.getChallenge(challengeId);
+        showStatus(`Challenge #${challengeId} ${ContractClient.challengeStatusLabel(challenge.status).toLowerCase()}`, 'success');
+        await loadCredentialChallenges();
+    } catch (error) {
+        console.error('Error finalizing challenge:', error);
+        showStatus('Failed to finalize: ' + describeError(error), 'error');
+    }
+}
+
+async function resolveChallenge(challengeId, upheld) {
+    if (!contracts.avsManagement) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus(`${upheld ? 'Upholding' : 'Dismissing'} challenge #${challengeId}...`, 'info');
+        await txManager.run(upheld ? 'Uphold challenge' : 'Dismiss challenge', { challengeId },
+            () => contracts.avsManagement.resolveChallenge(challengeId, upheld));
+        showStatus(`Challenge #${challengeId} ${upheld ? 'upheld' : 'dismissed'}`, 'success');
+        await loadCredentialChallenges();
+    } catch (error) {
+        console.error('Error resolving challenge:', error);
+        showStatus('Failed to resolve: ' + describeError(error), 'error');
+    }
+}
+
+// Issue form input for each form-level field, for per-field errors (claim inputs come from credentialForm)
+const ISSUE_FORM_INPUTS = {
+    subjectAddress: 'subjectAddress',
+    subjectEncryptionKey: 'subjectEncryptionKey',
+    credentialType: 'credentialType'
+};
+
+// Fill the credential type picker from the schema manifest
+async function setupCredentialTypes() {
+    credentialForm = new SchemaForm({ container: document.getElementById('credentialFields') });
+
+    const select = document.getElementById('credentialType');
+    const bulkSelect = document.getElementById('bulkCredentialType');
+    select.addEventListener('change', renderCredentialFields);
+
+    try {
+        await schemaRegistry.ready();
+        schemaRegistry.types().forEach(({ type, label }) => {
+            select.add(new Option(label, type));
+            bulkSelect.add(new Option(label, type));
+        });
+    } catch (error) {
+        console.error('Error loading credential schemas:', error);
+        showStatus('Failed to load credential schemas: ' + error.message, 'error');
+    }
+}
+
+// Swap the claim fields for the selected type's schema
+async function renderCredentialFields() {
+    const credentialType = document.getElementById('credentialType').value;
+
+    if (!schemaRegistry.has(credentialType)) {
+        credentialForm.clear();
+        return;
+    }
+
+    try {
+        credentialForm.render(await schemaRegistry.load(credentialType));
+    } catch (error) {
+        console.error('Error loading schema:', error);
+        showStatus(`Failed to load the ${credentialType} schema: ` + error.message, 'error');
+    }
+}
+
+// Issue credential
+async function issueCredential(e) {
+    e.preventDefault();
+
+    if (!contracts.vcRegistry) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    const form = document.getElementById('issueCredentialForm');
+    const subjectAddress = document.getElementById('subjectAddress').value.trim();
+    const subjectEncryptionKey = document.getElementById('subjectEncryptionKey').value.trim();
+    const credentialType = document.getElementById('credentialType').value;
+    const claims = credentialForm.values();
+    const expirationDate = document.getElementById('expirationDate').value;
+
+    // Form-level fields are checked here; the claims are checked against the type's schema below
+    const errors = [];
+    if (!ethers.utils.isAddress(subjectAddress)) {
+        errors.push({ field: 'subjectAddress', message: 'Subject Address must be a valid address' });
+    }
+    if (!CredentialCrypto.isPublicKey(subjectEncryptionKey)) {
+        errors.push({ field: 'subjectEncryptionKey', message: 'Subject Encryption Key must be a public key (0x04...)' });
+    }
+    if (!schemaRegistry.has(credentialType)) {
+        errors.push({ field: 'credentialType', message: 'Select a credential type' });
+    }
+
+    // Convert expiration date to timestamp
+    const expirationTimestamp = ContractClient.toTimestamp(expirationDate);
+
+    try {
+        if (schemaRegistry.has(credentialType)) {
+            const { errors: claimErrors } = await schemaRegistry.validate(credentialType, claims);
+            errors.push(...claimErrors);
+        }
+
+        SchemaRegistry.renderFieldErrors(form, errors, Object.assign({}, ISSUE_FORM_INPUTS, credentialForm.inputIds()));
+        if (errors.length > 0) {
+            showStatus(`Please fix ${errors.length} field(s): ${errors.map(error => error.message).join('; ')}`, 'error');
+            return;
+        }
+
+        // Record which schema (and version) the claims were validated against
+        const credentialData = Object.assign(claims, {
+            issuedAt: new Date().toISOString(),
+            credentialSchema: await schemaRegistry.reference(credentialType)
+        });
+
+        // Only the subject and this issuer can read the details; everyone else sees ciphertext
+        const credentialDataBytes = await CredentialCrypto.encryptCredentialData(credentialData, [
+            { role: 'subject', publicKey: subjectEncryptionKey },
+            { role: 'issuer', publicKey: (await getEncryptionKey()).publicKey }
+        ]);
+
+        showStatus('Issuing credential...', 'info');
+        const receipt = await txManager.run('Issue credential', { subject: subjectAddress, credentialType, expirationDate: expirationTimestamp },
+            () => contracts.vcRegistry.issueCredential(subjectAddress, credentialType, credentialDataBytes, expirationTimestamp));
+        // Get credential hash from event
+        const [credentialHash] = contracts.vcRegistry.issuedCredentialHashes(receipt);
+
+        showStatus(`Credential issued successfully! Hash: ${credentialHash}`, 'success');
+
+        // Reset form
+        form.reset();
+        credentialForm.clear();
+
+        // Reload issuer info
+        await loadIssuerInfo();
+    } catch (error) {
+        console.error('Error issuing credential:', error);
+        showStatus('Failed to issue credential: ' + describeError(error), 'error');
+    }
+}
+
+// ============ Delegation ============
+
+const DELEGATE_STEP_MESSAGES = { ...STAKE_STEP_MESSAGES, stake: 'Delegating...' };
+
+function formatTokens(amount) {
+    return parseFloat(ethers.utils.formatEther(amount)).toLocaleString();
+}
+
+/**
+ * Issuer and amount from the delegation form
+ * @return {{ issuer, amount }|null} null (with a status message) if either is invalid
+ */
+function readDelegationForm() {
+    const issuer = document.getElementById('delegateIssuer').value.trim();
+    const amount = document.getElementById('delegateAmount').value;
+
+    if (!ethers.utils.isAddress(issuer)) {
+        showStatus('Enter the address of the issuer', 'error');
+        return null;
+    }
+    if (!amount || parseFloat(amount) <= 0) {
+        showStatus('Please enter a valid amount', 'error');
+        return null;
+    }
+    return { issuer: ethers.utils.getAddress(issuer), amount };
+}
+
+// Fill the form from an issuer card
+function chooseIssuerToBack(issuer, amount = '') {
+    document.getElementById('delegateIssuer').value = issuer;
+    document.getElementById('delegateAmount').value = amount;
+    document.getElementById('delegateIssuer').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+async function delegateStake() {
+    if (!contracts.avsManagement || !contracts.did3Token) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    const form = readDelegationForm();
+    if (!form) return;
+
+    try {
+        showStatus('Checking DID3 balance and allowance...', 'info');
+        await stakeWithAllowance('Delegate', form.amount,
+            amountWei => contracts.avsManagement.delegate(form.issuer, amountWei),
+            (amountWei, permit) => contracts.avsManagement.delegateWithPermit(form.issuer, amountWei, permit),
+            { args: { issuer: form.issuer }, messages: DELEGATE_STEP_MESSAGES });
+        showStatus(`Delegated ${form.amount} DID3 to ${shortAddress(form.issuer)}`, 'success');
+        await loadDelegations();
+    } catch (error) {
+        console.error('Error delegating:', error);
+        showStatus('Failed to delegate: ' + describeError(error), 'error');
+    }
+}
+
+/**
+ * Request an undelegation from the form, or of a whole position from its card
+ * @param {string} [issuer]
+ * @param {string} [amountWei] Everything the position is worth
+ */
+async function undelegateStake(issuer, amountWei) {
+    if (!contracts.avsManagement) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    const request = issuer ? { issuer, amount: ethers.utils.formatEther(amountWei) } : readDelegationForm();
+    if (!request) return;
+
+    try {
+        showStatus('Requesting undelegation...', 'info');
+        const value = amountWei ? ethers.BigNumber.from(amountWei) : ethers.utils.parseEther(request.amount);
+        await txManager.run('Request undelegation', request,
+            () => contracts.avsManagement.requestUndelegation(request.issuer, value));
+        showStatus('Undelegation requested - claim it under Queued Undelegations once it has unbonded', 'success');
+        await loadDelegations();
+    } catch (error) {
+        console.error('Error requesting undelegation:', error);
+        showStatus('Failed to request undelegation: ' + describeError(error), 'error');
+    }
+}
+
+async function claimUndelegation(undelegationId) {
+    if (!contracts.avsManagement) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus(`Claiming undelegation #${undelegationId}...`, 'info');
+        const receipt = await txManager.run('Claim undelegation', { undelegationId },
+            () => contracts.avsManagement.claimUndelegation(undelegationId));
+        const claimed = ContractClient.findEvent(contracts.avsManagement.contract, receipt, 'UndelegationClaimed');
+        showStatus(claimed ? `Claimed ${ethers.utils.formatEther(claimed.args.amount)} DID3` : 'Undelegation claimed', 'success');
+        await loadDelegations();
+    } catch (error) {
+        console.error('Error claiming undelegation:', error);
+        showStatus('Failed to claim undelegation: ' + describeError(error), 'error');
+    }
+}
+
+// The connected account's positions and undelegations, and every issuer it could back
+async function loadDelegations() {
+    if (contracts.avsManagement && userAddress) {
+        try {
+            const [positions, undelegations, period] = await Promise.all([
+                contracts.avsManagement.getDelegations(userAddress),
+                contracts.avsManagement.getPendingUndelegations(userAddress),
+                contracts.avsManagement.unbondingPeriod(),
+                syncChainClock(contracts.avsManagement.contract.provider)
+            ]);
+            await loadIssuerProfiles([...positions, ...undelegations.pending]);
+            document.getElementById('undelegationPeriodNote').textContent =
+                `Undelegated DID3 unbonds for ${IssuerAnalytics.formatDuration(Number(period))} before it can be claimed, ` +
+                'and is slashed with the issuer until then. Claims wait while challenges against the issuer are open.';
+            renderDelegations(positions);
+            renderPendingUndelegations(undelegations.pending, undelegations.amounts);
+        } catch (error) {
+            console.error('Error loading delegations:', error);
+            showStatus('Failed to load your delegations: ' + describeError(error, { contract: 'AVSManagement' }), 'error');
+        }
+    } else {
+        renderDelegations([]);
+        renderPendingUndelegations([], []);
+    }
+
+    await loadDelegationIssuers();
+}
+
+function renderDelegations(positions) {
+    const total = positions.reduce((sum, position) => sum.add(position.amount), ethers.BigNumber.from(0));
+    document.getElementById('delegatorTotal').textContent = formatTokens(total);
+    document.getElementById('delegatorIssuerCount').textContent = positions.length.toString();
+
+    const container = document.getElementById('delegationsList');
+    if (positions.length === 0) {
+        container.innerHTML = userAddress
+            ? '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">You have not delegated to any issuer</p>'
+            : '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">Connect a wallet to delegate</p>';
+        return;
+    }
+
+    container.innerHTML = positions.map(position => `
+        <div class="credential-item">
+            <div class="credential-header">
+                <div class="credential-type">${formatTokens(position.amount)} DID3</div>
+            </div>
+            <div class="credential-details">
+                <div class="detail-item">
+                    <div class="detail-label">Issuer</div>
+                    <div class="detail-value">${issuerDetailValue(position.issuer)}</div>
+                </div>
+            </div>
+            <div class="credential-actions">
+                <button class="btn-secondary" onclick="chooseIssuerToBack('${position.issuer}')">Delegate More</button>
+                <button class="btn-warning" onclick="undelegateStake('${position.issuer}', '${position.amount}')">Undelegate All</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Soonest first, with the same countdowns as queued withdrawals
+function renderPendingUndelegations(pending, amounts) {
+    const undelegations = pending
+        .map((undelegation, index) => ({ undelegation, amount: amounts[index] }))
+        .sort((a, b) => Number(a.undelegation.unlockTime) - Number(b.undelegation.unlockTime));
+
+    const unbonding = undelegations.reduce((sum, entry) => sum.add(entry.amount), ethers.BigNumber.from(0));
+    document.getElementById('delegatorUnbonding').textContent = formatTokens(unbonding);
+
+    const container = document.getElementById('pendingUndelegationsList');
+    container.innerHTML = undelegations.length === 0
+        ? (userAddress ? '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">No queued undelegations</p>' : '')
+        : undelegations.map(({ undelegation, amount }) => `
+            <div class="credential-item" data-unlock="${undelegation.unlockTime}">
+                <div class="credential-header">
+                    <div class="credential-type">${formatTokens(amount)} DID3</div>
+                    <div class="credential-status status-expired withdrawal-countdown"></div>
+                </div>
+                <div class="credential-details">
+                    <div class="detail-item">
+                        <div class="detail-label">Issuer</div>
+                        <div class="detail-value">${issuerDetailValue(undelegation.issuer)}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Requested</div>
+                        <div class="detail-value">${new Date(Number(undelegation.requestedAt) * 1000).toLocaleString()}</div>
+                    </div>
+                    <div class="detail-item">
+                        <div class="detail-label">Unlocks</div>
+                        <div class="detail-value">${new Date(Number(undelegation.unlockTime) * 1000).toLocaleString()}</div>
+                    </div>
+                </div>
+                <div class="credential-actions">
+                    <button class="btn-primary" onclick="claimUndelegation('${undelegation.id}')">Claim</button>
+                </div>
+            </div>
+        `).join('');
+
+    restartCountdowns();
+}
+
+// Registered issuers that have not withdrawn, those furthest from the minimum first; read-only without a wallet
+async function loadDelegationIssuers() {
+    const container = document.getElementById('delegationIssuersList');
+    if (!readContracts.avsManagement) {
+        container.innerHTML = '';
+        return;
+    }
+
+    try {
+        const { avsManagement, multicall } = readContracts;
+        const [total, minimumStake] = await Promise.all([avsManagement.getTotalIssuers(), avsManagement.minimumStake()]);
+        const indexes = Array.from({ length: Number(total) }, (_, index) => [index]);
+        const addresses = await multicall.map(avsManagement, 'issuerAddresses', indexes);
+        const [infos, pools, active] = await Promise.all([
+            multicall.map(avsManagement, 'getIssuerInfo', addresses.map(address => [address])),
+            multicall.map(avsManagement, 'delegationPools', addresses.map(address => [address])),
+            multicall.map(avsManagement, 'isActiveIssuer', addresses.map(address => [address]))
+        ]);
+
+        const issuers = addresses
+            .map((issuer, index) => ({
+                issuer,
+                info: infos[index],
+                delegated: pools[index].amount,
+                effective: infos[index].stakedAmount.add(pools[index].amount),
+                isActive: active[index]
+            }))
+            .filter(entry => entry.info.isActive)
+            .sort((a, b) => (a.effective.lt(b.effective) ? -1 : a.effective.gt(b.effective) ? 1 : 0));
+        await loadIssuerProfiles(issuers);
+
+        container.innerHTML = issuers.length === 0
+            ? '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">No registered issuers</p>'
+            : issuers.map(entry => {
+                const shortfall = minimumStake.sub(entry.effective);
+                const canBack = userAddress && !isCurrentAccount(entry.issuer);
+                return `
+                    <div class="credential-item">
+                        <div class="credential-header">
+                            <div class="credential-type">${issuerDetailValue(entry.issuer)}</div>
+                            <div class="credential-status ${entry.isActive ? 'status-valid' : 'status-expired'}">${entry.isActive ? 'Active' : `Needs ${formatTokens(shortfall)} DID3`}</div>
+                        </div>
+                        <div class="credential-details">
+                            <div class="detail-item">
+                                <div class="detail-label">Own Stake</div>
+                                <div class="detail-value">${formatTokens(entry.info.stakedAmount)} DID3</div>
+                            </div>
+                            <div class="detail-item">
+                                <div class="detail-label">Delegated</div>
+                                <div class="detail-value">${formatTokens(entry.delegated)} DID3</div>
+                            </div>
+                            <div class="detail-item">
+                                <div class="detail-label">Credentials Issued</div>
+                                <div class="detail-value">${entry.info.totalCredentialsIssued.toString()}</div>
+                            </div>
+                        </div>
+                        ${canBack ? `
+                            <div class="credential-actions">
+                                <button class="btn-primary" onclick="chooseIssuerToBack('${entry.issuer}', '${entry.isActive ? '' : ethers.utils.formatEther(shortfall)}')">Back This Issuer</button>
+                            </div>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+    } catch (error) {
+        console.error('Error loading issuers:', error);
+        showStatus('Failed to load issuers: ' + describeError(error, { contract: 'AVSManagement' }), 'error');
+    }
+}
+
+// ============ Bulk issuance ============
+
+// Rows listed in the preview; the results CSV always has every row
+const BULK_PREVIEW_LIMIT = 500;
+
+const BULK_STATUS_CLASSES = {
+    pending: 'status-purged',
+    submitted: 'status-expired',
+    issued: 'status-valid',
+    failed: 'status-revoked',
+    invalid: 'status-revoked'
+};
+
+// Load the connected issuer's saved bulk job, if any
+function openBulkIssuance() {
+    bulkQueue = new BulkIssuance.BulkIssuanceQueue({
+        key: `${chainId}:${VC_REGISTRY_ADDRESS.toLowerCase()}:${userAddress.toLowerCase()}`,
+        storage: window.localStorage
+    });
+    renderBulkIssuance();
+
+    if (bulkQueue.unfinished > 0) {
+        showToast(`Bulk issuance of ${bulkQueue.job.fileName || 'a CSV'} is unfinished - resume it in the issuer view`, 'info');
+    }
+}
+
+// Header-only CSV for the selected type
+async function downloadBulkTemplate() {
+    const credentialType = document.getElementById('bulkCredentialType').value;
+
+    if (!schemaRegistry.has(credentialType)) {
+        showStatus('Select a credential type first', 'error');
+        return;
+    }
+
+    try {
+        const schema = await schemaRegistry.load(credentialType);
+        downloadFile(BulkIssuance.templateCSV(schema), 'text/csv', `${credentialType}-template.csv`);
+    } catch (error) {
+        console.error('Error creating template:', error);
+        showStatus('Failed to create template: ' + error.message, 'error');
+    }
+}
+
+// Validate an uploaded CSV against the selected type and make it the current job
+async function loadBulkCsv(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!bulkQueue) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    const credentialType = document.getElementById('bulkCredentialType').value;
+    if (!schemaRegistry.has(credentialType)) {
+        showStatus('Select the credential type of the CSV first', 'error');
+        return;
+    }
+
+    if (bulkQueue.running) {
+        showStatus('Wait for the current bulk issuance to finish', 'error');
+        return;
+    }
+    if (bulkQueue.unfinished > 0 && !window.confirm('Replace the unfinished bulk issuance? Its remaining rows will not be issued.')) {
+        return;
+    }
+
+    try {
+        const schema = await schemaRegistry.load(credentialType);
+        const { columnErrors, rows } = BulkIssuance.prepareRows(schema, BulkIssuance.parseCSV(await file.text()), {
+            isAddress: value => ethers.utils.isAddress(value),
+            isPublicKey: CredentialCrypto.isPublicKey
+        });
+
+        if (columnErrors.length > 0) {
+            showStatus(`${file.name}: ${columnErrors.join('; ')}`, 'error');
+            return;
+        }
+        if (rows.length === 0) {
+            showStatus(`${file.name} has no rows`, 'error');
+            return;
+        }
+
+        bulkQueue.start(credentialType, rows, file.name);
+        renderBulkIssuance();
+
+        const { pending, invalid } = bulkQueue.summary();
+        showStatus(`${pending} row(s) ready to issue` + (invalid ? `, ${invalid} with errors (see preview)` : ''), 'info');
+    } catch (error) {
+        console.error('Error reading CSV:', error);
+        showStatus('Failed to read CSV: ' + error.message, 'error');
+    }
+}
+
+// Issue the job's pending rows in chunks; safe to call again after an interruption
+async function runBulkIssuance() {
+    if (!contracts.vcRegistry || !bulkQueue || !bulkQueue.job || bulkQueue.running) return;
+
+    const { credentialType } = bulkQueue.job;
+
+    try {
+        // Every row is encrypted to its subject and to this issuer, and records the same schema
+        const issuerKey = (await getEncryptionKey()).publicKey;
+        const credentialSchema = await schemaRegistry.reference(credentialType);
+
+        const issueChunk = async rows => {
+            const credentialData = await Promise.all(rows.map(row => CredentialCrypto.encryptCredentialData(
+                Object.assign({}, row.claims, { issuedAt: new Date().toISOString(), credentialSchema }),
+                [
+                    { role: 'subject', publicKey: row.subjectEncryptionKey },
+                    { role: 'issuer', publicKey: issuerKey }
+                ]
+            )));
+
+            const subjects = rows.map(row => row.subjectAddress);
+            return txManager.submit('Bulk issue credentials', { credentialType, subjects }, () => contracts.vcRegistry.batchIssueCredentials(
+                subjects,
+                credentialType,
+                credentialData,
+                rows.map(row => row.expirationDate)
+            ));
+        };
+
+        showStatus('Issuing credentials - confirm each batch in your wallet...', 'info');
+        const running = bulkQueue.run({ issueChunk, confirm: confirmBulkTransaction, onProgress: renderBulkIssuance });
+        renderBulkIssuance();
+        const summary = await running;
+
+        const notIssued = summary.failed + summary.invalid;
+        showStatus(`Bulk issuance finished: ${summary.issued} issued, ${notIssued} not issued`, summary.failed > 0 ? 'error' : 'success');
+        await loadIssuerInfo();
+    } catch (error) {
+        if (BulkIssuance.isUserRejection(error)) {
+            showStatus('Bulk issuance paused - click Resume to continue', 'info');
+        } else {
+            console.error('Error in bulk issuance:', error);
+            showStatus('Bulk issuance stopped: ' + describeError(error), 'error');
+        }
+    } finally {
+        renderBulkIssuance();
+    }
+}
+
+// Credential hashes of a bulk issuance transaction, or null if the node does not know it
+async function confirmBulkTransaction(txHash) {
+    // Jobs saved before transactions were tracked pick their transaction up here
+    if (!(await txManager.track(txHash, 'Bulk issue credentials'))) return null;
+
+    // A sped-up transaction makes the same calls under a new hash; its receipt is returned instead
+    return contracts.vcRegistry.issuedCredentialHashes(await txManager.waitFor(txHash));
+}
+
+async function retryBulkFailed() {
+    if (!bulkQueue || !bulkQueue.job || bulkQueue.running) return;
+
+    bulkQueue.retryFailed();
+    await runBulkIssuance();
+}
+
+function downloadBulkResults() {
+    if (!bulkQueue || !bulkQueue.job) return;
+
+    const baseName = (bulkQueue.job.fileName || 'bulk-issuance').replace(/\.csv$/i, '');
+    downloadFile(bulkQueue.resultCSV(), 'text/csv', `${baseName}-results.csv`);
+}
+
+function clearBulkIssuance() {
+    if (!bulkQueue || bulkQueue.running) return;
+    if (bulkQueue.unfinished > 0 && !window.confirm('Discard the unfinished bulk issuance?')) return;
+
+    bulkQueue.clear();
+    renderBulkIssuance();
+}
+
+// Progress line, buttons and per-row preview for the current job
+function renderBulkIssuance() {
+    const job = bulkQueue ? bulkQueue.job : null;
+    const running = Boolean(bulkQueue && bulkQueue.running);
+    const summary = bulkQueue ? bulkQueue.summary() : null;
+    const startButton = document.getElementById('startBulkIssuance');
+    const progress = document.getElementById('bulkProgress');
+    const preview = document.getElementById('bulkPreview');
+
+    startButton.disabled = !job || running || bulkQueue.unfinished === 0;
+    if (running) {
+        startButton.textContent = 'Issuing...';
+    } else if (job && summary.issued + summary.failed + summary.submitted > 0 && bulkQueue.unfinished > 0) {
+        startButton.textContent = 'Resume';
+    } else {
+        startButton.textContent = job ? `Issue ${summary.pending} Valid Row(s)` : 'Issue Valid Rows';
+    }
+    document.getElementById('retryBulkFailed').hidden = !job || running || summary.failed === 0;
+    document.getElementById('downloadBulkResults').hidden = !job;
+    document.getElementById('clearBulkIssuance').hidden = !job || running;
+
+    if (!job) {
+        progress.innerHTML = '';
+        preview.innerHTML = '';
+        return;
+    }
+
+    const sendable = summary.total - summary.invalid;
+    progress.innerHTML = `
+        <div><strong>${escapeHtml(job.fileName || 'CSV')}</strong> · ${escapeHtml(job.credentialType)}</div>
+        <progress value="${summary.issued}" max="${Math.max(sendable, 1)}"></progress>
+        <small>${summary.issued}/${sendable} issued · ${summary.pending + summary.submitted} to go · ${summary.failed} failed · ${summary.invalid} invalid</small>
+    `;
+
+    const rows = job.rows.slice(0, BULK_PREVIEW_LIMIT);
+    preview.innerHTML = `
+        <table>
+            <thead>
+                <tr><th>Row</th><th>Subject</th><th>Status</th><th>Credential hash / error</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                <tr>
+                    <td>${row.row}</td>
+                    <td><code>${escapeHtml(row.subjectAddress ? shortAddress(row.subjectAddress) : '-')}</code></td>
+                    <td><span class="credential-status ${BULK_STATUS_CLASSES[row.status]}">${row.status}</span></td>
+                    <td>${row.credentialHash ? `<code>${row.credentialHash}</code>` : escapeHtml(row.error || '')}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${job.rows.length > rows.length ? `<small>Showing ${rows.length} of ${job.rows.length} rows - download the results for all of them</small>` : ''}
+    `;
+}
+
+// Load issuer credentials
+async function loadIssuerCredentials() {
+    if (!credentialIndex || !userAddress) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus('Loading credentials...', 'info');
+        const credentials = await refreshIssuerCredentials();
+
+        showStatus(credentials.length > 0 ? `Loaded ${credentials.length} credentials` : 'No credentials found',
+            credentials.length > 0 ? 'success' : 'info');
+    } catch (error) {
+        console.error('Error loading credentials:', error);
+        showStatus('Failed to load credentials: ' + error.message, 'error');
+    }
+}
+
+// Load user credentials
+async function loadUserCredentials() {
+    if (!credentialIndex || !userAddress) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus('Loading credentials...', 'info');
+        const credentials = await refreshUserCredentials();
+
+        showStatus(credentials.length > 0 ? `Loaded ${credentials.length} credentials` : 'No credentials found',
+            credentials.length > 0 ? 'success' : 'info');
+    } catch (error) {
+        console.error('Error loading credentials:', error);
+        showStatus('Failed to load credentials: ' + error.message, 'error');
+    }
+}
+
+// Re-sync a table from the index without status messages (filters, page and selection are kept)
+async function refreshIssuerCredentials() {
+    const credentials = await credentialIndex.getIssuerCredentials(userAddress);
+    await decryptCredentials(credentials);
+    await loadIssuerProfiles(credentials);
+    issuerCredentialTable.setCredentials(credentials);
+    return credentials;
+}
+
+async function refreshUserCredentials() {
+    const credentials = await credentialIndex.getSubjectCredentials(userAddress);
+    await decryptCredentials(credentials);
+    await loadIssuerProfiles(credentials);
+    userCredentialTable.setCredentials(credentials);
+    renderPresentationChoices(credentials);
+    return credentials;
+}
+
+// Create credential element
+function createCredentialElement(credential, isIssuer) {
+    const div = document.createElement('div');
+    div.className = 'credential-item';
+
+    const { status, statusClass } = ContractClient.getCredentialStatus(credential);
+
+    // Decrypted (or legacy plaintext) details; null while still encrypted
+    const credentialDataObj = readCredentialData(credential);
+
+    div.innerHTML = `
+        <div class="credential-header">
+            <div class="credential-type">${escapeHtml(credential.credentialType)}</div>
+            <div class="credential-status ${statusClass}">${status}</div>
+        </div>
+        <div class="credential-details">
+            <div class="detail-item">
+                <div class="detail-label">Credential Hash</div>
+                <div class="detail-value">${credential.credentialHash}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Subject</div>
+                <div class="detail-value">${credential.subject}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Issuer</div>
+                <div class="detail-value">${issuerDetailValue(credential.issuer)}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Issued Date</div>
                 <div class="detail-value">${new Date(credential.issuanceDate * 1000).toLocaleDateString()}</div>
             </div>
             <div class="detail-item">
-                <div class="detail-label">Expiration Date</div>
-                <div class="detail-value">${credential.expirationDate > 0 ? new Date(credential.expirationDate * 1000).toLocaleDateString() : 'No Expiration'}</div>
+                <div class="detail-label">Expiration Date</div>
+                <div class="detail-value">${credential.expirationDate > 0 ? new Date(credential.expirationDate * 1000).toLocaleDateString() : 'No Expiration'}</div>
+            </div>
+            ${revocationDetails(credential)}
+            ${credentialDataObj === null ? `
+            <div class="detail-item">
+                <div class="detail-label">Details</div>
+                <div class="detail-value">🔒 Encrypted</div>
+            </div>
+            ` : credentialClaims(credentialDataObj).map(claim => `
+            <div class="detail-item">
+                <div class="detail-label">${escapeHtml(claim.label)}</div>
+                <div class="detail-value">${escapeHtml(claim.value)}</div>
+            </div>
+            `).join('')}
+        </div>
+        ${isIssuer ? `
+        <div class="credential-actions">
+            ${canRevoke(credential) ? `
+                <button class="btn-warning" onclick="revokeCredential('${credential.credentialHash}')">Revoke</button>
+            ` : ''}
+            ${canPurge(credential) ? `
+                <button class="btn-danger" onclick="purgeCredential('${credential.credentialHash}')">Purge</button>
+            ` : ''}
+        </div>
+        ` : `
+        <div class="credential-actions">
+            <button class="btn-secondary" onclick="downloadCredential('${credential.credentialHash}')">Download VC</button>
+        </div>
+        `}
+    `;
+
+    return div;
+}
+
+function canRevoke(credential) {
+    return !credential.isRevoked && !credential.isPurged;
+}
+
+// Purging needs the credential revoked or expired first
+function canPurge(credential) {
+    const { status } = ContractClient.getCredentialStatus(credential);
+    return status === 'Revoked' || status === 'Expired';
+}
+
+// ============ Revoke and purge ============
+
+function setupRevocationReasons() {
+    const select = document.getElementById('revocationReason');
+    ContractClient.REVOCATION_REASONS.forEach((label, code) => select.add(new Option(label, code)));
+}
+
+// Hash a chosen file locally (revocation evidence, challenge evidence or response) into a hash field
+async function hashFileInto(e, fieldId) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    document.getElementById(fieldId).value = ethers.utils.keccak256(bytes);
+    e.target.value = '';
+    showToast(`Hash computed from ${file.name}`, 'success');
+}
+
+/**
+ * Reason and evidence from the Manage Credentials card
+ * @return {{ reason, evidenceHash } | null} null (with a status message) if they are not usable
+ */
+function getRevocationOptions() {
+    const reason = document.getElementById('revocationReason').value;
+    const evidence = document.getElementById('revocationEvidence').value.trim();
+
+    if (reason === '') {
+        showStatus('Select a revocation reason first', 'error');
+        return null;
+    }
+    if (evidence && !/^0x[0-9a-fA-F]{64}$/.test(evidence)) {
+        showStatus('Evidence hash must be 32 bytes (0x followed by 64 hex characters)', 'error');
+        return null;
+    }
+
+    return { reason: Number(reason), evidenceHash: evidence || ContractClient.NO_EVIDENCE_HASH };
+}
+
+// Reason and evidence rows for a revoked credential (cards and the verification panel)
+function revocationDetails(credential) {
+    if (!credential.isRevoked) return '';
+
+    const evidenceHash = credential.revocationEvidenceHash;
+    const hasEvidence = Boolean(evidenceHash) && evidenceHash !== ContractClient.NO_EVIDENCE_HASH;
+
+    return `
+            <div class="detail-item">
+                <div class="detail-label">Revocation Reason</div>
+                <div class="detail-value">${escapeHtml(ContractClient.revocationReasonLabel(credential.revocationReason))}</div>
             </div>
-            ${credentialDataObj.fullName ? `
+            ${hasEvidence ? `
             <div class="detail-item">
-                <div class="detail-label">Full Name</div>
-                <div class="detail-value">${credentialDataObj.fullName}</div>
+                <div class="detail-label">Revocation Evidence</div>
+                <div class="detail-value">${escapeHtml(evidenceHash)}</div>
             </div>
             ` : ''}
-        </div>
-        ${isIssuer ? `
-        <div class="credential-actions">
-            ${!credential.isRevoked && !credential.isPurged ? `
-                <button class="btn-warning" onclick="revokeCredential('${credential.credentialHash}')">Revoke</button>
-            ` : ''}
-            ${(credential.isRevoked || (credential.expirationDate > 0 && Date.now() / 1000 > credential.expirationDate)) && !credential.isPurged ? `
-                <button class="btn-danger" onclick="purgeCredential('${credential.credentialHash}')">Purge</button>
-            ` : ''}
-        </div>
-        ` : ''}
     `;
-
-    return div;
 }
 
 // Revoke credential
 async function revokeCredential(credentialHash) {
-    if (!vcRegistryContract) {
+    if (!contracts.vcRegistry) {
         showStatus('Please connect wallet first', 'error');
         return;
     }
 
+    const options = getRevocationOptions();
+    if (!options) return;
+
     try {
-        showStatus('Revoking credential...', 'info');
-        const tx = await vcRegistryContract.revokeCredential(credentialHash);
-        await tx.wait();
+        showStatus(`Revoking credential (${ContractClient.revocationReasonLabel(options.reason)})...`, 'info');
+        await txManager.run('Revoke credential', { credentialHash, reason: ContractClient.revocationReasonLabel(options.reason), evidenceHash: options.evidenceHash },
+            () => contracts.vcRegistry.revokeCredential(credentialHash, options.reason, options.evidenceHash));
         showStatus('Credential revoked successfully!', 'success');
         await loadIssuerCredentials();
     } catch (error) {
         console.error('Error revoking credential:', error);
-        showStatus('Failed to revoke credential: ' + error.message, 'error');
+        showStatus('Failed to revoke credential: ' + describeError(error), 'error');
     }
 }
 
 // Purge credential
 async function purgeCredential(credentialHash) {
-    if (!vcRegistryContract) {
+    if (!contracts.vcRegistry) {
         showStatus('Please connect wallet first', 'error');
         return;
     }
 
     try {
         showStatus('Purging credential...', 'info');
-        const tx = await vcRegistryContract.purgeCredential(credentialHash);
-        await tx.wait();
+        await txManager.run('Purge credential', { credentialHash }, () => contracts.vcRegistry.purgeCredential(credentialHash));
         showStatus('Credential purged successfully!', 'success');
         await loadIssuerCredentials();
     } catch (error) {
         console.error('Error purging credential:', error);
-        showStatus('Failed to purge credential: ' + error.message, 'error');
+        showStatus('Failed to purge credential: ' + describeError(error), 'error');
     }
 }
 
-// Verify credential
-async function verifyCredential() {
-    if (!vcRegistryContract) {
+// Revoke selected credentials in one batchRevokeCredentials transaction, all with the chosen reason
+async function revokeCredentials(credentialHashes) {
+    if (!contracts.vcRegistry) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    const options = getRevocationOptions();
+    if (!options) return;
+
+    try {
+        showStatus(`Revoking ${credentialHashes.length} credential(s) (${ContractClient.revocationReasonLabel(options.reason)})...`, 'info');
+        await txManager.run('Revoke credentials', { credentialHashes, reason: ContractClient.revocationReasonLabel(options.reason), evidenceHash: options.evidenceHash },
+            () => contracts.vcRegistry.batchRevokeCredentials(credentialHashes, options.reason, options.evidenceHash));
+        showStatus(`Revoked ${credentialHashes.length} credential(s)`, 'success');
+        await loadIssuerCredentials();
+    } catch (error) {
+        console.error('Error revoking credentials:', error);
+        showStatus('Failed to revoke credentials: ' + describeError(error), 'error');
+    }
+}
+
+// Purge selected credentials in one batchPurgeCredentials transaction
+async function purgeCredentials(credentialHashes) {
+    if (!contracts.vcRegistry) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus(`Purging ${credentialHashes.length} credential(s)...`, 'info');
+        const receipt = await txManager.run('Purge credentials', { credentialHashes }, () => contracts.vcRegistry.batchPurgeCredentials(credentialHashes));
+        const purged = contracts.vcRegistry.purgedCredentialHashes(receipt);
+        showStatus(`Purged ${purged.length} credential(s)`, 'success');
+        await loadIssuerCredentials();
+    } catch (error) {
+        console.error('Error purging credentials:', error);
+        showStatus('Failed to purge credentials: ' + describeError(error), 'error');
+    }
+}
+
+// ============ Purge all eligible ============
+
+// Purging one credential costs ~60k gas, so a chunk of 100 needs ~6M
+const PURGE_CHUNK_SIZE = 100;
+
+let purgePlan = null; // { chunks: Array<Array<string>>, total } from the last findPurgeableCredentials
+
+// A plan belongs to one account and registry
+function resetPurgePlan() {
+    purgePlan = null;
+    document.getElementById('purgeAllEligible').hidden = true;
+    document.getElementById('purgeSummary').innerHTML = '';
+}
+
+/**
+ * Every credential this issuer can purge: revoked ones from the index, plus expired ones from
+ * getExpiredCredentials for each subject (the registry's clock decides expiry, not the browser's)
+ */
+async function getPurgeableCredentials() {
+    const records = await credentialIndex.getIssuerCredentials(userAddress);
+    const active = records.filter(record => !record.isPurged);
+    const issuedHere = new Set(active.map(record => record.credentialHash));
+
+    const revoked = active.filter(record => record.isRevoked).map(record => record.credentialHash);
+
+    const subjects = [...new Set(active.map(record => record.subject))];
+    const expiredLists = await contracts.multicall.map(
+        contracts.vcRegistry,
+        'getExpiredCredentials',
+        subjects.map(subject => [subject])
+    );
+    const revokedSet = new Set(revoked);
+    const expired = [...new Set(expiredLists.flat())]
+        .filter(hash => issuedHere.has(hash) && !revokedSet.has(hash));
+
+    return { revoked, expired };
+}
+
+// Count and gas estimate for purging everything eligible
+async function findPurgeableCredentials() {
+    if (!credentialIndex || !userAddress) {
         showStatus('Please connect wallet first', 'error');
         return;
     }
 
+    const summary = document.getElementById('purgeSummary');
+    const purgeButton = document.getElementById('purgeAllEligible');
+    resetPurgePlan();
+
+    try {
+        showStatus('Finding purgeable credentials...', 'info');
+        const { revoked, expired } = await getPurgeableCredentials();
+        const hashes = [...revoked, ...expired];
+
+        if (hashes.length === 0) {
+            summary.innerHTML = '<p>No revoked or expired credentials left to purge.</p>';
+            showStatus('Nothing to purge', 'info');
+            return;
+        }
+
+        const chunks = [];
+        for (let i = 0; i < hashes.length; i += PURGE_CHUNK_SIZE) {
+            chunks.push(hashes.slice(i, i + PURGE_CHUNK_SIZE));
+        }
+
+        const [previews, feeData] = await Promise.all([
+            Promise.all(chunks.map(chunk => contracts.vcRegistry.previewBatchPurge(chunk))),
+            provider.getFeeData()
+        ]);
+        const gas = previews.reduce((total, preview) => total.add(preview.gas), ethers.BigNumber.from(0));
+        const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+        const cost = gasPrice ? `≈ ${Number(ethers.utils.formatEther(gas.mul(gasPrice))).toPrecision(3)} ETH` : '';
+
+        purgePlan = { chunks, total: hashes.length };
+        purgeButton.hidden = false;
+        purgeButton.textContent = `Purge All ${hashes.length} Eligible`;
+
+        summary.innerHTML = `
+            <p><strong>${hashes.length}</strong> credential(s) can be purged: ${revoked.length} revoked, ${expired.length} expired.</p>
+            <p><small>Estimated ${gas.toString()} gas in ${chunks.length} transaction(s) ${cost}</small></p>
+        `;
+        showStatus(`${hashes.length} credential(s) can be purged`, 'info');
+    } catch (error) {
+        console.error('Error finding purgeable credentials:', error);
+        showStatus('Failed to find purgeable credentials: ' + describeError(error), 'error');
+    }
+}
+
+// Purge the planned credentials chunk by chunk and list exactly which were purged
+async function purgeAllEligible() {
+    if (!purgePlan || !contracts.vcRegistry) return;
+
+    const { chunks, total } = purgePlan;
+    const purgeButton = document.getElementById('purgeAllEligible');
+    const purged = [];
+    const skipped = [];
+    let error = null;
+
+    purgePlan = null;
+    purgeButton.hidden = true;
+
+    for (const [index, chunk] of chunks.entries()) {
+        try {
+            // The dry run's purgedCount is what this chunk should purge; events say what it did
+            const { purgedCount } = await contracts.vcRegistry.previewBatchPurge(chunk);
+            if (purgedCount === 0) {
+                skipped.push(...chunk);
+                continue;
+            }
+
+            showStatus(`Purging batch ${index + 1} of ${chunks.length} (${purgedCount} credential(s))...`, 'info');
+            const receipt = await txManager.run(`Purge eligible credentials (batch ${index + 1} of ${chunks.length})`, { credentialHashes: chunk },
+                () => contracts.vcRegistry.batchPurgeCredentials(chunk));
+            const purgedHere = contracts.vcRegistry.purgedCredentialHashes(receipt);
+
+            const purgedSet = new Set(purgedHere);
+            purged.push(...purgedHere);
+            skipped.push(...chunk.filter(hash => !purgedSet.has(hash)));
+        } catch (chunkError) {
+            console.error('Error purging credentials:', chunkError);
+            error = chunkError;
+            break;
+        }
+    }
+
+    renderPurgeReport(purged, skipped, total, error);
+    await loadIssuerCredentials();
+}
+
+function renderPurgeReport(purged, skipped, total, error) {
+    const notSent = total - purged.length - skipped.length;
+
+    document.getElementById('purgeSummary').innerHTML = `
+        <p><strong>Purged ${purged.length} of ${total}</strong>${skipped.length ? ` · ${skipped.length} no longer eligible` : ''}${notSent ? ` · ${notSent} not sent` : ''}</p>
+        ${purged.length ? `
+        <details>
+            <summary>Purged credential hashes</summary>
+            <ul class="hash-list">${purged.map(hash => `<li><code>${hash}</code></li>`).join('')}</ul>
+        </details>
+        ` : ''}
+        ${skipped.length ? `
+        <details>
+            <summary>Skipped (already purged or changed since the estimate)</summary>
+            <ul class="hash-list">${skipped.map(hash => `<li><code>${hash}</code></li>`).join('')}</ul>
+        </details>
+        ` : ''}
+    `;
+
+    if (error) {
+        showStatus(`Purged ${purged.length} of ${total} before an error: ` + describeError(error), 'error');
+    } else {
+        showStatus(`Purged ${purged.length} credential(s)`, 'success');
+    }
+}
+
+// Verify credential
+async function verifyCredential() {
+    if (!requireRegistry()) return;
+
     const credentialHash = document.getElementById('verifyCredentialHash').value;
 
     if (!credentialHash) {
@@ -591,8 +2460,8 @@ async function verifyCredential() {
     }
 
     try {
-        const isValid = await vcRegistryContract.isCredentialValid(credentialHash);
-        const credential = await vcRegistryContract.getFullCredential(credentialHash);
+        const { isValid, credential } = await readContracts.vcRegistry.verifyCredential(credentialHash);
+        await loadIssuerProfiles([credential]);
 
         const resultDiv = document.getElementById('verificationResult');
         resultDiv.className = 'verification-result show ' + (isValid ? 'valid' : 'invalid');
@@ -602,7 +2471,7 @@ async function verifyCredential() {
             <div class="credential-details">
                 <div class="detail-item">
                     <div class="detail-label">Type</div>
-                    <div class="detail-value">${credential.credentialType}</div>
+                    <div class="detail-value">${escapeHtml(credential.credentialType)}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Subject</div>
@@ -610,27 +2479,439 @@ async function verifyCredential() {
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Issuer</div>
-                    <div class="detail-value">${credential.issuer}</div>
+                    <div class="detail-value">${issuerDetailValue(credential.issuer)}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Status</div>
                     <div class="detail-value">${credential.isPurged ? 'Purged' : credential.isRevoked ? 'Revoked' : 'Active'}</div>
                 </div>
+                ${revocationDetails(credential)}
             </div>
         `;
     } catch (error) {
         console.error('Error verifying credential:', error);
-        showStatus('Failed to verify credential: ' + error.message, 'error');
+        showStatus('Failed to verify credential: ' + describeError(error), 'error');
     }
 }
 
-// Verify user KYC (DeFi view)
-async function verifyUserKYC() {
-    if (!vcRegistryContract) {
+// ============ Encrypted credential data ============
+
+// Ask the wallet for the key-derivation signature once per account
+async function getEncryptionKey() {
+    if (!encryptionKey) {
+        encryptionKey = await CredentialCrypto.deriveEncryptionKey(signer);
+    }
+    return encryptionKey;
+}
+
+function forgetEncryptionKey() {
+    encryptionKey = null;
+    decryptedCredentialData.clear();
+    document.getElementById('encryptionPublicKey').value = '';
+}
+
+/**
+ * Credential details for display: the decrypted payload, the plaintext of a legacy
+ * credential, or null when the payload is encrypted and not (yet) decrypted
+ */
+function readCredentialData(credential) {
+    if (!CredentialCrypto.parseEnvelope(credential.credentialData)) {
+        return ContractClient.decodeCredentialData(credential.credentialData);
+    }
+    return decryptedCredentialData.get(credential.credentialHash) || null;
+}
+
+// Payload keys that describe the credential rather than the subject
+const CREDENTIAL_METADATA_KEYS = ['issuedAt', 'credentialSchema'];
+
+/**
+ * Claims to show on a card, whatever the payload shape: schema properties (Full_Legal_Name),
+ * the legacy form keys (fullName) or a nested W3C credentialSubject (index.html)
+ * @return {Array<{ label, value }>}
+ */
+function credentialClaims(data) {
+    const claims = data.credentialSubject && typeof data.credentialSubject === 'object' ? data.credentialSubject : data;
+
+    return Object.entries(claims)
+        .filter(([key, value]) => key !== 'id' && !CREDENTIAL_METADATA_KEYS.includes(key) &&
+            value !== '' && value !== null && (typeof value !== 'object' || Array.isArray(value)))
+        .map(([key, value]) => ({
+            label: (VCDocument.CREDENTIAL_DATA_FIELDS[key] || key)
+                .replace(/_/g, ' ')
+                .replace(/([a-z])([A-Z])/g, '$1 $2'),
+            value: [].concat(value).join(', ')
+        }));
+}
+
+// Decrypt whatever this account can open; a no-op until the user has unlocked
+async function decryptCredentials(credentials) {
+    if (!encryptionKey) return;
+
+    for (const credential of credentials) {
+        if (decryptedCredentialData.has(credential.credentialHash)) continue;
+
+        const envelope = CredentialCrypto.parseEnvelope(credential.credentialData);
+        if (!envelope) continue;
+
+        try {
+            const { data } = await CredentialCrypto.decryptCredentialData(envelope, encryptionKey);
+            decryptedCredentialData.set(credential.credentialHash, data);
+        } catch (error) {
+            // Not a recipient (e.g. issued before the subject shared a key) - stays encrypted
+        }
+    }
+}
+
+// Derive the key and re-render both lists with decrypted details
+async function unlockCredentials() {
+    if (!credentialIndex || !userAddress) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        showStatus('Sign the message in your wallet to decrypt your credentials...', 'info');
+        await getEncryptionKey();
+
+        if (issuerCredentialTable.loaded) await refreshIssuerCredentials();
+        if (userCredentialTable.loaded) await refreshUserCredentials();
+        showStatus('Credential details decrypted', 'success');
+    } catch (error) {
+        console.error('Error decrypting credentials:', error);
+        showStatus('Failed to decrypt credentials: ' + error.message, 'error');
+    }
+}
+
+async function showEncryptionKey() {
+    if (!signer) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        const { publicKey } = await getEncryptionKey();
+        document.getElementById('encryptionPublicKey').value = publicKey;
+    } catch (error) {
+        console.error('Error deriving encryption key:', error);
+        showStatus('Failed to derive encryption key: ' + describeError(error), 'error');
+    }
+}
+
+async function copyEncryptionKey() {
+    if (!document.getElementById('encryptionPublicKey').value) {
+        showStatus('Click "Show My Key" first', 'error');
+        return;
+    }
+
+    await copyField('encryptionPublicKey', 'Encryption key copied');
+}
+
+async function copyField(id, message) {
+    const value = document.getElementById(id).value;
+    if (!value) return;
+
+    await navigator.clipboard.writeText(value);
+    showToast(message, 'success');
+}
+
+// ============ Presentations ============
+
+// Who a challenge is for; the holder sees it before signing
+function presentationDomain() {
+    return window.location.host || window.location.pathname;
+}
+
+// Checkbox per valid credential in the Present Credentials card, keeping earlier choices
+function renderPresentationChoices(credentials) {
+    const container = document.getElementById('presentationCredentialChoices');
+    const checked = new Set([...container.querySelectorAll('input:checked')].map(input => input.value));
+    const valid = credentials.filter(credential => ContractClient.getCredentialStatus(credential).status === 'Valid');
+
+    if (valid.length === 0) {
+        container.innerHTML = `<small>${credentials.length === 0 ? 'Load your credentials to choose from them' : 'You have no valid credentials to present'}</small>`;
+        return;
+    }
+
+    container.innerHTML = valid.map(credential => `
+        <label>
+            <input type="checkbox" value="${credential.credentialHash}"${checked.has(credential.credentialHash) ? ' checked' : ''}>
+            <span>${escapeHtml(credential.credentialType)} from ${escapeHtml(issuerName(credential.issuer) || shortAddress(credential.issuer))}</span>
+            <code>${credential.credentialHash.substring(0, 10)}...</code>
+        </label>
+    `).join('');
+}
+
+// Holder: sign a presentation of the chosen credentials in answer to a verifier's challenge
+async function signPresentation() {
+    if (!contracts.vcRegistry) {
+        showStatus('Please connect wallet first', 'error');
+        return;
+    }
+
+    try {
+        const challenge = Presentation.parseChallenge(document.getElementById('presentationChallengeInput').value.trim());
+        const credentialHashes = [...document.querySelectorAll('#presentationCredentialChoices input:checked')]
+            .map(input => input.value);
+
+        showStatus(`Sign the presentation for ${challenge.domain} in your wallet...`, 'info');
+        const presentation = await Presentation.createPresentation(signer, {
+            challenge,
+            credentialHashes,
+            chainId,
+            registryAddress: VC_REGISTRY_ADDRESS
+        });
+
+        document.getElementById('presentationOutput').value = JSON.stringify(presentation, null, 2);
+        // Compact JSON keeps the code small enough to scan off a phone screen
+        QRCodes.renderQRCode(document.getElementById('presentationQR'), JSON.stringify(presentation));
+        showStatus('Presentation signed - show the QR code or give the JSON to the verifier', 'success');
+    } catch (error) {
+        console.error('Error signing presentation:', error);
+        showStatus('Failed to sign presentation: ' + describeError(error), 'error');
+    }
+}
+
+// Verifier: hand out a fresh challenge
+function createChallenge() {
+    if (!requireRegistry()) return;
+
+    const challenge = challengeStore.create(presentationDomain());
+    document.getElementById('challengeOutput').value = JSON.stringify(challenge);
+    QRCodes.renderQRCode(document.getElementById('challengeQR'), JSON.stringify(challenge));
+    document.getElementById('presentationInput').value = '';
+    document.getElementById('presentationResult').className = 'verification-result';
+}
+
+// Verifier: check signature, challenge and on-chain validity of a pasted presentation
+async function verifyPresentation() {
+    if (!requireRegistry()) return;
+
+    const input = document.getElementById('presentationInput').value.trim();
+
+    if (!input) {
+        showStatus('Please paste the user\'s signed presentation', 'error');
+        return;
+    }
+
+    try {
+        const { isValid: verified, checks, holder, credentials } = await Presentation.verifyPresentation(input, {
+            challenges: challengeStore,
+            domain: presentationDomain(),
+            chainId,
+            registryAddress: VC_REGISTRY_ADDRESS,
+            vcRegistry: readContracts.vcRegistry,
+            multicall: readContracts.multicall
+        });
+
+        // With a trust threshold, every presented credential's issuer has to meet it
+        let isValid = verified;
+        const reputations = verified ? await issuerReputations(credentials.map(entry => entry.credential.issuer)) : null;
+        if (reputations) {
+            const threshold = trustThreshold();
+            credentials.forEach(entry => {
+                const reputation = reputations.get(entry.credential.issuer.toLowerCase());
+                checks.push({
+                    name: `${entry.credentialType} issuer reputation`,
+                    passed: reputation >= threshold,
+                    detail: `${reputation}/100, minimum ${threshold}`
+                });
+                isValid = isValid && reputation >= threshold;
+            });
+        }
+
+        const resultDiv = document.getElementById('presentationResult');
+        resultDiv.className = 'verification-result show ' + (isValid ? 'valid' : 'invalid');
+
+        resultDiv.innerHTML = `
+            <h3>${isValid ? '✅ Holder Verified' : '❌ Presentation Rejected'}</h3>
+            <p><small>${holder ? escapeHtml(holder) : 'No holder'}</small></p>
+            <div class="credential-details">
+                ${checks.map(check => `
+                <div class="detail-item">
+                    <div class="detail-label">${check.passed ? '✅' : '❌'} ${escapeHtml(check.name)}</div>
+                    <div class="detail-value">${escapeHtml(check.detail)}</div>
+                </div>
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error verifying presentation:', error);
+        showStatus('Failed to verify presentation: ' + error.message, 'error');
+    }
+}
+
+// ============ QR codes ============
+
+// Scan a QR code with the camera into the given <video>; a second click stops the camera
+async function scanQRCode(videoId, onResult) {
+    const video = document.getElementById(videoId);
+    const scanner = qrScanners[videoId] || (qrScanners[videoId] = new QRCodes.QRScanner({ video, onResult }));
+
+    if (scanner.scanning) {
+        scanner.stop();
+        return;
+    }
+
+    try {
+        stopQRScanners();
+        await scanner.start();
+        showStatus('Point the camera at the QR code...', 'info');
+    } catch (error) {
+        scanner.stop();
+        console.error('Error starting camera:', error);
+        showStatus('Failed to start camera: ' + error.message, 'error');
+    }
+}
+
+function stopQRScanners() {
+    Object.values(qrScanners).forEach(scanner => scanner.stop());
+}
+
+// Read a QR code from a photo or screenshot chosen in a file input
+async function readQRFile(event, onResult) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        onResult(await QRCodes.decodeImageFile(file));
+    } catch (error) {
+        console.error('Error reading QR image:', error);
+        showStatus('Failed to read QR code: ' + error.message, 'error');
+    }
+}
+
+// Holder: a scanned challenge fills the challenge field
+function receiveChallenge(text) {
+    try {
+        Presentation.parseChallenge(text);
+    } catch (error) {
+        showStatus('That QR code is not a presentation challenge', 'error');
+        return;
+    }
+
+    document.getElementById('presentationChallengeInput').value = text;
+    showToast('Challenge scanned - choose credentials and sign', 'success');
+}
+
+// Verifier: a scanned presentation is verified straight away
+function receivePresentation(text) {
+    document.getElementById('presentationInput').value = text;
+    verifyPresentation();
+}
+
+// ============ W3C VC documents ============
+
+// Options shared by VC export and verification: the type's schema, where it is published, and the registry
+async function getVCDocumentOptions(credentialType) {
+    await schemaRegistry.ready();
+
+    // Older credentials may use a type with no registered schema; they export as KYC
+    const type = schemaRegistry.has(credentialType) ? credentialType : DEFAULT_CREDENTIAL_TYPE;
+
+    return {
+        schema: await schemaRegistry.load(type),
+        schemaId: await schemaRegistry.schemaId(type),
+        chainId,
+        registryAddress: VC_REGISTRY_ADDRESS,
+        vcRegistry: readContracts.vcRegistry
+    };
+}
+
+// Download a credential as a W3C VC JSON-LD document
+async function downloadCredential(credentialHash) {
+    if (!contracts.vcRegistry) {
         showStatus('Please connect wallet first', 'error');
         return;
     }
 
+    try {
+        const credential = await contracts.vcRegistry.getFullCredential(credentialHash);
+        const options = await getVCDocumentOptions(credential.credentialType);
+
+        // Encrypted details are disclosed in the document so a verifier can check them
+        const envelope = CredentialCrypto.parseEnvelope(credential.credentialData);
+        if (envelope) {
+            const { plaintext } = await CredentialCrypto.decryptCredentialData(envelope, await getEncryptionKey());
+            options.plaintext = plaintext;
+        }
+
+        const vc = VCDocument.createVerifiableCredential(credential, options);
+
+        downloadFile(JSON.stringify(vc, null, 2), 'application/ld+json', `credential-${credentialHash.substring(0, 10)}.jsonld`);
+    } catch (error) {
+        console.error('Error exporting credential:', error);
+        showStatus('Failed to export credential: ' + error.message, 'error');
+    }
+}
+
+// Save generated text as a file
+function downloadFile(content, type, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Put an uploaded VC file into the paste box
+async function loadCredentialDocumentFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    document.getElementById('credentialDocumentInput').value = await file.text();
+    e.target.value = '';
+}
+
+// Verify a pasted VC document against the registry
+async function verifyCredentialDocument() {
+    if (!requireRegistry()) return;
+
+    const input = document.getElementById('credentialDocumentInput').value.trim();
+
+    if (!input) {
+        showStatus('Please paste or upload a credential document', 'error');
+        return;
+    }
+
+    try {
+        const pasted = JSON.parse(input);
+
+        // The registry entry decides which schema the document is checked against
+        const credentialType = /^0x[0-9a-fA-F]{64}$/.test(pasted.id || '')
+            ? (await readContracts.vcRegistry.getCredential(pasted.id)).credentialType
+            : DEFAULT_CREDENTIAL_TYPE;
+
+        const { isValid, checks, document: vc } = await VCDocument.verifyVerifiableCredential(
+            pasted,
+            await getVCDocumentOptions(credentialType)
+        );
+
+        const resultDiv = document.getElementById('verificationResult');
+        resultDiv.className = 'verification-result show ' + (isValid ? 'valid' : 'invalid');
+
+        resultDiv.innerHTML = `
+            <h3>${isValid ? '✅ Valid Credential Document' : '❌ Invalid Credential Document'}</h3>
+            <p><small>${escapeHtml(vc.id || 'No id')}</small></p>
+            <div class="credential-details">
+                ${checks.map(check => `
+                <div class="detail-item">
+                    <div class="detail-label">${check.passed ? '✅' : '❌'} ${escapeHtml(check.name)}</div>
+                    <div class="detail-value">${escapeHtml(check.detail)}</div>
+                </div>
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error verifying credential document:', error);
+        showStatus('Failed to verify credential document: ' + error.message, 'error');
+    }
+}
+
+// Verify user KYC (DeFi view)
+async function verifyUserKYC() {
+    if (!requireRegistry()) return;
+
     const userAddress = document.getElementById('defiUserAddress').value;
 
     if (!userAddress) {
@@ -639,26 +2920,51 @@ async function verifyUserKYC() {
     }
 
     try {
-        const validCredentials = await vcRegistryContract.getValidSubjectCredentials(userAddress);
-
-        const resultDiv = document.getElementById('defiVerificationResult');
-        resultDiv.className = 'verification-result show ' + (validCredentials.length > 0 ? 'valid' : 'invalid');
+        const validCredentials = await readContracts.vcRegistry.getValidSubjectCredentials(userAddress);
+        const threshold = trustThreshold();
+        let trusted = [];
+        let credentialsHtml = '';
 
         if (validCredentials.length > 0) {
-            let credentialsHtml = '';
-            for (const hash of validCredentials) {
-                const cred = await vcRegistryContract.getCredential(hash);
+            const credentials = await readContracts.multicall.map(
+                readContracts.vcRegistry,
+                'getCredential',
+                validCredentials.map(hash => [hash])
+            );
+            await loadIssuerProfiles(credentials);
+
+            // Below the threshold a credential is listed but does not count
+            const reputations = await issuerReputations(credentials.map(cred => cred.issuer));
+            const reputationOf = cred => reputations.get(cred.issuer.toLowerCase());
+            trusted = reputations ? credentials.filter(cred => reputationOf(cred) >= threshold) : credentials;
+
+            for (const cred of credentials) {
+                const reputation = reputations
+                    ? `<br><small>Issuer reputation: ${reputationOf(cred)}/100${reputationOf(cred) >= threshold ? '' : ' - below your minimum'}</small>`
+                    : '';
                 credentialsHtml += `
                     <div style="margin: 10px 0; padding: 10px; background: var(--background-card); border-radius: 8px;">
-                        <strong>${cred.credentialType}</strong><br>
-                        <small>Issued: ${new Date(cred.issuanceDate * 1000).toLocaleDateString()}</small>
+                        <strong>${escapeHtml(cred.credentialType)}</strong><br>
+                        <small>Issuer: ${issuerDetailValue(cred.issuer)}</small><br>
+                        <small>Issued: ${new Date(cred.issuanceDate * 1000).toLocaleDateString()}</small>${reputation}
                     </div>
                 `;
             }
+        }
+
+        const resultDiv = document.getElementById('defiVerificationResult');
+        resultDiv.className = 'verification-result show ' + (trusted.length > 0 ? 'valid' : 'invalid');
 
+        if (trusted.length > 0) {
             resultDiv.innerHTML = `
                 <h3>✅ User is KYC Verified</h3>
-                <p>Found ${validCredentials.length} valid credential(s):</p>
+                <p>Found ${trusted.length} valid credential(s)${threshold > 0 ? ` from issuers with a reputation of at least ${threshold}` : ''}:</p>
+                ${credentialsHtml}
+            `;
+        } else if (validCredentials.length > 0) {
+            resultDiv.innerHTML = `
+                <h3>❌ User is NOT KYC Verified</h3>
+                <p>${validCredentials.length} valid credential(s), but none from an issuer with a reputation of at least ${threshold}:</p>
                 ${credentialsHtml}
             `;
         } else {
@@ -669,21 +2975,11 @@ async function verifyUserKYC() {
         }
     } catch (error) {
         console.error('Error verifying user KYC:', error);
-        showStatus('Failed to verify user KYC: ' + error.message, 'error');
+        showStatus('Failed to verify user KYC: ' + describeError(error), 'error');
     }
 }
 
-// Show status message
-function showStatus(message, type) {
-    const statusDiv = document.getElementById('statusMessage');
-    statusDiv.className = `status-message show ${type}`;
-    statusDiv.textContent = message;
-
-    setTimeout(() => {
-        statusDiv.classList.remove('show');
-    }, 5000);
-}
-
 // Make functions globally available
 window.revokeCredential = revokeCredential;
 window.purgeCredential = purgeCredential;
+window.downloadCredential = downloadCredential;
@@ -1,78 +1,63 @@
-// DID3 Token Configuration
-const DID3_TOKEN_ADDRESS = '0x4e754738cb69d6f066c9a036f67ee44cc3e9abff';
-const MINIMUM_DID3_STAKE = '999999000000000000000000'; // 999,999 DID3 with 18 decimals
-
-// ERC20 Token ABI (for DID3)
-const ERC20_ABI = [
-    "function balanceOf(address owner) view returns (uint256)",
-    "function approve(address spender, uint256 amount) returns (bool)",
-    "function allowance(address owner, address spender) view returns (uint256)",
-    "function transfer(address to, uint256 amount) returns (bool)",
-    "function decimals() view returns (uint8)",
-    "function symbol() view returns (string)",
-    "function name() view returns (string)"
-];
-
-// AVS VC Registry ABI
-const AVS_REGISTRY_ABI = [
-    // Operator Management
-    "function registerOperator(uint256 _stakeAmount)",
-    "function addStake(uint256 _additionalStake)",
-    "function withdrawStake()",
-    "function DID3_TOKEN() view returns (address)",
-    "function MINIMUM_STAKE() view returns (uint256)",
-    "function getOperator(address _operator) view returns (uint256 stake, bool isActive, uint256 credentialsIssued, uint256 lastActivityTimestamp)",
-    "function getActiveOperators() view returns (address[])",
-    "function getActiveOperatorCount() view returns (uint256)",
-
-    // Credential Issuance
-    "function issueCredential(address _subject, string _credentialType, bytes _credentialData, uint256 _expirationDate) returns (bytes32)",
-    "function getCredential(bytes32 _credentialHash) view returns (address subject, address issuer, uint256 issuanceDate, uint256 expirationDate, bool isRevoked, string credentialType)",
-    "function isCredentialValid(bytes32 _credentialHash) view returns (bool)",
-    "function getSubjectCredentials(address _subject) view returns (bytes32[])",
-
-    // Purge Proposals
-    "function proposePurge(bytes32 _credentialHash, string _reason) returns (uint256)",
-    "function voteOnPurge(uint256 _proposalId)",
-    "function executePurge(uint256 _proposalId)",
-    "function getPurgeProposal(uint256 _proposalId) view returns (bytes32 credentialHash, address proposer, string reason, uint256 proposalTimestamp, uint256 approvalCount, uint256 totalVotingPower, bool executed, bool quorumReached)",
-    "function hasVotedOnProposal(uint256 _proposalId, address _operator) view returns (bool)",
-
-    // View Functions
-    "function getQuorumRequirement() view returns (uint256)",
-    "function totalStake() view returns (uint256)",
-    "function MINIMUM_STAKE() view returns (uint256)",
-    "function QUORUM_PERCENTAGE() view returns (uint256)",
-
-    // Events
-    "event CredentialIssued(bytes32 indexed credentialHash, address indexed subject, address indexed issuer, string credentialType, uint256 issuanceDate, uint256 expirationDate)",
-    "event OperatorRegistered(address indexed operator, uint256 stake)",
-    "event OperatorStakeUpdated(address indexed operator, uint256 newStake)",
-    "event PurgeProposalCreated(uint256 indexed proposalId, bytes32 indexed credentialHash, address indexed proposer, string reason)",
-    "event PurgeVoteCast(uint256 indexed proposalId, address indexed voter, uint256 votingPower)",
-    "event PurgeExecuted(uint256 indexed proposalId, bytes32 indexed credentialHash, uint256 approvalCount, uint256 totalVotingPower)"
-];
-
 // Global AVS variables
 let avsRegistryContract;
-let avsContractAddress = localStorage.getItem('avsRegistryAddress') || '';
+let avsMulticall;
+let avsToken; // the DID3 token the registry stakes, read from the contract
+let avsContractAddress = '';
 let isOperator = false;
 let operatorStake = '0';
 
+// AVS registry address entered by hand for the wallet's chain, else the deployment manifest's
+function getAVSRegistryAddress() {
+    return localStorage.getItem(`avsRegistryAddress:${network.chainId}`) || networkAddresses.avsVcRegistry;
+}
+
+function setAVSRegistryAddress(address) {
+    localStorage.setItem(`avsRegistryAddress:${network.chainId}`, address);
+    avsContractAddress = address;
+}
+
 // Initialize AVS functionality
 async function initializeAVS() {
     if (avsContractAddress && signer) {
-        avsRegistryContract = new ethers.Contract(
-            avsContractAddress,
-            AVS_REGISTRY_ABI,
-            signer
-        );
+        const avsContracts = ContractClient.createContracts({
+            runner: signer,
+            addresses: { avsVcRegistry: avsContractAddress, multicall: networkAddresses.multicall }
+        });
+        avsRegistryContract = avsContracts.avsVcRegistry;
+        avsMulticall = avsContracts.multicall;
+
+        const tokenAddress = await avsRegistryContract.contract.DID3_TOKEN();
+        avsToken = ContractClient.createContracts({ runner: signer, addresses: { did3Token: tokenAddress } }).did3Token;
+        document.querySelectorAll('.did3-token-address').forEach(el => {
+            el.textContent = tokenAddress;
+        });
 
         // Check if current user is an operator
         await updateOperatorStatus();
     }
 }
 
+// Forget the previous account's or chain's operator state
+function resetAVS() {
+    avsRegistryContract = null;
+    avsMulticall = null;
+    avsToken = null;
+    avsContractAddress = '';
+    isOperator = false;
+    operatorStake = '0';
+
+    document.getElementById('operatorStatus').innerHTML = `
+        <div class="operator-inactive">
+            <h3>Operator Status: Not Connected</h3>
+            <p>Connect your wallet to continue</p>
+        </div>
+    `;
+    document.querySelectorAll('.operator-only').forEach(el => {
+        el.style.display = 'none';
+    });
+    document.getElementById('networkStats').style.display = 'none';
+}
+
 // Update operator status for current user
 async function updateOperatorStatus() {
     if (!avsRegistryContract || !userAddress) return;
@@ -89,10 +74,16 @@ async function updateOperatorStatus() {
     }
 }
 
+// Progress messages for ContractClient.stakeTokens
+const OPERATOR_STAKE_STEP_MESSAGES = {
+    approve: 'Approving DID3 tokens...',
+    stake: 'Staking...'
+};
+
 // Register as AVS operator with DID3 tokens
 async function registerAsOperator() {
     if (!avsRegistryContract) {
-        showAVSStatus('Please deploy AVS contract first!', 'error');
+        showStatus('Please deploy AVS contract first!', 'error');
         return;
     }
 
@@ -101,7 +92,7 @@ async function registerAsOperator() {
 
     // Minimum is 999,999 DID3 tokens
     if (!stakeAmount || parseFloat(stakeAmount) < 999999) {
-        showAVSStatus('Minimum stake is 999,999 DID3 tokens!', 'error');
+        showStatus('Minimum stake is 999,999 DID3 tokens!', 'error');
         return;
     }
 
@@ -113,58 +104,26 @@ async function registerAsOperator() {
         // Convert to wei (18 decimals)
         const stakeAmountWei = ethers.utils.parseEther(stakeAmount);
 
-        // Get DID3 token contract
-        const did3Token = new ethers.Contract(DID3_TOKEN_ADDRESS, ERC20_ABI, signer);
-
-        // Check balance
-        showAVSStatus('Checking DID3 token balance...', 'info');
-        const balance = await did3Token.balanceOf(userAddress);
-        if (balance.lt(stakeAmountWei)) {
-            showAVSStatus(`Insufficient DID3 balance. You have ${ethers.utils.formatEther(balance)} DID3`, 'error');
-            return;
-        }
-
-        // Check current allowance
-        const currentAllowance = await did3Token.allowance(userAddress, avsContractAddress);
-
-        // Approve DID3 tokens if needed
-        if (currentAllowance.lt(stakeAmountWei)) {
-            showAVSStatus('Approving DID3 tokens...', 'info');
-            const approveTx = await did3Token.approve(avsContractAddress, stakeAmountWei);
-            showAVSStatus('Approval transaction submitted! Waiting for confirmation...', 'info');
-            await approveTx.wait();
-            showAVSStatus('DID3 tokens approved! Now registering...', 'info');
-        }
-
-        // Register as operator
-        showAVSStatus('Registering as operator...', 'info');
-        const tx = await avsRegistryContract.registerOperator(stakeAmountWei);
-        showAVSStatus('Registration transaction submitted! Waiting for confirmation...', 'info');
-        await tx.wait();
+        // AVSVCRegistry has no permit entry point, so a missing allowance is approved first
+        await ContractClient.stakeTokens({
+            token: avsToken,
+            owner: userAddress,
+            spender: avsContractAddress,
+            amount: stakeAmountWei,
+            action: 'Register as operator',
+            stake: amount => avsRegistryContract.registerOperator(amount),
+            onStep: step => showStatus(OPERATOR_STAKE_STEP_MESSAGES[step], 'info')
+        });
 
         // Update operator status
         await updateOperatorStatus();
 
-        showAVSStatus(`Successfully registered as operator with ${stakeAmount} DID3 tokens!`, 'success');
+        showStatus(`Successfully registered as operator with ${stakeAmount} DID3 tokens!`, 'success');
         stakeInput.value = '';
 
     } catch (error) {
         console.error('Error registering operator:', error);
-        let errorMessage = 'Error registering operator: ';
-
-        if (error.code === 'ACTION_REJECTED') {
-            errorMessage += 'Transaction was rejected';
-        } else if (error.message.includes('Already registered')) {
-            errorMessage += 'Already registered as operator';
-        } else if (error.message.includes('Insufficient stake')) {
-            errorMessage += 'Insufficient stake amount';
-        } else if (error.message) {
-            errorMessage += error.message;
-        } else {
-            errorMessage += 'Unknown error occurred';
-        }
-
-        showAVSStatus(errorMessage, 'error');
+        showStatus('Error registering operator: ' + describeError(error, { contract: 'AVSVCRegistry' }), 'error');
     } finally {
         registerBtn.disabled = false;
         registerBtn.textContent = 'Register as Operator';
@@ -174,7 +133,7 @@ async function registerAsOperator() {
 // Add more stake with DID3 tokens
 async function addOperatorStake() {
     if (!avsRegistryContract || !isOperator) {
-        showAVSStatus('You are not a registered operator!', 'error');
+        showStatus('You are not a registered operator!', 'error');
         return;
     }
 
@@ -182,7 +141,7 @@ async function addOperatorStake() {
     const stakeAmount = stakeInput.value;
 
     if (!stakeAmount || parseFloat(stakeAmount) <= 0) {
-        showAVSStatus('Please enter a valid stake amount!', 'error');
+        showStatus('Please enter a valid stake amount!', 'error');
         return;
     }
 
@@ -193,43 +152,25 @@ async function addOperatorStake() {
     try {
         const stakeAmountWei = ethers.utils.parseEther(stakeAmount);
 
-        // Get DID3 token contract
-        const did3Token = new ethers.Contract(DID3_TOKEN_ADDRESS, ERC20_ABI, signer);
-
-        // Check balance
-        showAVSStatus('Checking DID3 token balance...', 'info');
-        const balance = await did3Token.balanceOf(userAddress);
-        if (balance.lt(stakeAmountWei)) {
-            showAVSStatus(`Insufficient DID3 balance. You have ${ethers.utils.formatEther(balance)} DID3`, 'error');
-            return;
-        }
-
-        // Check current allowance
-        const currentAllowance = await did3Token.allowance(userAddress, avsContractAddress);
-
-        // Approve DID3 tokens if needed
-        if (currentAllowance.lt(stakeAmountWei)) {
-            showAVSStatus('Approving DID3 tokens...', 'info');
-            const approveTx = await did3Token.approve(avsContractAddress, stakeAmountWei);
-            showAVSStatus('Approval transaction submitted! Waiting for confirmation...', 'info');
-            await approveTx.wait();
-        }
-
-        // Add stake
-        showAVSStatus('Adding stake...', 'info');
-        const tx = await avsRegistryContract.addStake(stakeAmountWei);
-        showAVSStatus('Transaction submitted! Waiting for confirmation...', 'info');
-        await tx.wait();
+        await ContractClient.stakeTokens({
+            token: avsToken,
+            owner: userAddress,
+            spender: avsContractAddress,
+            amount: stakeAmountWei,
+            action: 'Add operator stake',
+            stake: amount => avsRegistryContract.addStake(amount),
+            onStep: step => showStatus(OPERATOR_STAKE_STEP_MESSAGES[step], 'info')
+        });
 
         // Update operator status
         await updateOperatorStatus();
 
-        showAVSStatus(`Successfully added ${stakeAmount} DID3 tokens to stake!`, 'success');
+        showStatus(`Successfully added ${stakeAmount} DID3 tokens to stake!`, 'success');
         stakeInput.value = '';
 
     } catch (error) {
         console.error('Error adding stake:', error);
-        showAVSStatus('Error adding stake: ' + error.message, 'error');
+        showStatus('Error adding stake: ' + describeError(error, { contract: 'AVSVCRegistry' }), 'error');
     } finally {
         addStakeBtn.disabled = false;
         addStakeBtn.textContent = 'Add Stake';
@@ -239,7 +180,7 @@ async function addOperatorStake() {
 // Withdraw stake
 async function withdrawOperatorStake() {
     if (!avsRegistryContract || !isOperator) {
-        showAVSStatus('You are not a registered operator!', 'error');
+        showStatus('You are not a registered operator!', 'error');
         return;
     }
 
@@ -252,34 +193,42 @@ async function withdrawOperatorStake() {
     withdrawBtn.innerHTML = '<span class="loading-spinner"></span>Withdrawing...';
 
     try {
-        showAVSStatus('Withdrawing stake...', 'info');
+        showStatus('Withdrawing stake...', 'info');
 
         const tx = await avsRegistryContract.withdrawStake();
 
-        showAVSStatus('Transaction submitted! Waiting for confirmation...', 'info');
+        showStatus('Transaction submitted! Waiting for confirmation...', 'info');
 
         await tx.wait();
 
         // Update operator status
         await updateOperatorStatus();
 
-        showAVSStatus('Successfully withdrawn stake and deactivated!', 'success');
+        showStatus('Successfully withdrawn stake and deactivated!', 'success');
 
     } catch (error) {
         console.error('Error withdrawing stake:', error);
-        showAVSStatus('Error withdrawing stake: ' + error.message, 'error');
+        showStatus('Error withdrawing stake: ' + describeError(error, { contract: 'AVSVCRegistry' }), 'error');
     } finally {
         withdrawBtn.disabled = false;
         withdrawBtn.textContent = 'Withdraw Stake';
     }
 }
 
+// Operator KYC form input for each credentialSubject property
+const AVS_KYC_FORM_INPUTS = {
+    Full_Legal_Name: 'avsFullName',
+    DateOfBirth: 'avsDateOfBirth',
+    Country: 'avsCountry',
+    Email: 'avsEmail'
+};
+
 // Issue credential (for operators only)
 async function issueAVSCredential(event) {
     event.preventDefault();
 
     if (!avsRegistryContract || !isOperator) {
-        showAVSStatus('Only operators with >= 3 ETH stake can issue credentials!', 'error');
+        showStatus('Only operators with >= 3 ETH stake can issue credentials!', 'error');
         return;
     }
 
@@ -290,18 +239,32 @@ async function issueAVSCredential(event) {
     try {
         // Get form data
         const formData = {
-            fullName: document.getElementById('avsFullName').value,
+            fullName: document.getElementById('avsFullName').value.trim(),
             dateOfBirth: document.getElementById('avsDateOfBirth').value,
-            country: document.getElementById('avsCountry').value || 'Not Specified',
-            email: document.getElementById('avsEmail').value || 'Not Provided',
+            country: document.getElementById('avsCountry').value,
+            email: document.getElementById('avsEmail').value.trim(),
             expirationDate: document.getElementById('avsExpirationDate').value,
-            subjectAddress: document.getElementById('avsSubjectAddress').value
+            subjectAddress: document.getElementById('avsSubjectAddress').value,
+            subjectEncryptionKey: document.getElementById('avsSubjectEncryptionKey').value.trim()
         };
 
         // Validate subject address
         if (!ethers.utils.isAddress(formData.subjectAddress)) {
             throw new Error('Invalid subject address');
         }
+        if (!CredentialCrypto.isPublicKey(formData.subjectEncryptionKey)) {
+            throw new Error('Invalid subject encryption key');
+        }
+
+        const claims = withoutEmptyClaims({
+            Full_Legal_Name: formData.fullName,
+            DateOfBirth: formData.dateOfBirth,
+            Country: formData.country,
+            Email: formData.email
+        });
+
+        const credentialSchema = await validateKYCClaims(event.target, claims, AVS_KYC_FORM_INPUTS);
+        if (!credentialSchema) return;
 
         // Create credential data
         const credentialData = {
@@ -309,27 +272,23 @@ async function issueAVSCredential(event) {
             type: ['VerifiableCredential', 'KYCVerification'],
             issuer: userAddress,
             issuanceDate: new Date().toISOString(),
-            credentialSubject: {
-                id: formData.subjectAddress,
-                Full_Legal_Name: formData.fullName,
-                DateOfBirth: formData.dateOfBirth,
-                Country: formData.country,
-                Email: formData.email
-            }
+            credentialSubject: Object.assign({ id: formData.subjectAddress }, claims),
+            credentialSchema
         };
 
         if (formData.expirationDate) {
             credentialData.expirationDate = new Date(formData.expirationDate).toISOString();
         }
 
-        const credentialJSON = JSON.stringify(credentialData);
-        const credentialBytes = ethers.utils.toUtf8Bytes(credentialJSON);
+        // Readable by the subject and by this operator only
+        const credentialBytes = await CredentialCrypto.encryptCredentialData(credentialData, [
+            { role: 'subject', publicKey: formData.subjectEncryptionKey },
+            { role: 'issuer', publicKey: (await getEncryptionKey()).publicKey }
+        ]);
 
-        const expirationTimestamp = formData.expirationDate
-            ? Math.floor(new Date(formData.expirationDate).getTime() / 1000)
-            : 0;
+        const expirationTimestamp = ContractClient.toTimestamp(formData.expirationDate);
 
-        showAVSStatus('Waiting for transaction confirmation...', 'info');
+        showStatus('Waiting for transaction confirmation...', 'info');
 
         const tx = await avsRegistryContract.issueCredential(
             formData.subjectAddress,
@@ -338,23 +297,20 @@ async function issueAVSCredential(event) {
             expirationTimestamp
         );
 
-        showAVSStatus('Transaction submitted! Waiting for confirmation...', 'info');
-
-        const receipt = await tx.wait();
+        showStatus('Transaction submitted! Waiting for confirmation...', 'info');
 
         // Get credential hash from event
-        const event = receipt.events?.find(e => e.event === 'CredentialIssued');
-        const credentialHash = event?.args?.credentialHash;
+        const { receipt, credentialHash } = await avsRegistryContract.waitForIssuedCredential(tx);
 
         displayAVSCredentialResult(receipt.transactionHash, credentialHash, formData.subjectAddress);
-        showAVSStatus('Credential issued successfully!', 'success');
+        showStatus('Credential issued successfully!', 'success');
 
         // Reset form
         document.getElementById('avsKycForm').reset();
 
     } catch (error) {
         console.error('Error issuing credential:', error);
-        showAVSStatus('Error issuing credential: ' + error.message, 'error');
+        showStatus('Error issuing credential: ' + describeError(error, { contract: 'AVSVCRegistry' }), 'error');
     } finally {
         submitBtn.disabled = false;
         submitBtn.textContent = 'Issue Verifiable Credential';
@@ -364,7 +320,7 @@ async function issueAVSCredential(event) {
 // Propose purge
 async function proposePurgeCredential() {
     if (!avsRegistryContract || !isOperator) {
-        showAVSStatus('Only operators can propose purge!', 'error');
+        showStatus('Only operators can propose purge!', 'error');
         return;
     }
 
@@ -375,7 +331,7 @@ async function proposePurgeCredential() {
     const reason = reasonSelect.value;
 
     if (!credHash || credHash.length !== 66 || !credHash.startsWith('0x')) {
-        showAVSStatus('Please enter a valid credential hash!', 'error');
+        showStatus('Please enter a valid credential hash!', 'error');
         return;
     }
 
@@ -384,19 +340,16 @@ async function proposePurgeCredential() {
     proposeBtn.innerHTML = '<span class="loading-spinner"></span>Proposing...';
 
     try {
-        showAVSStatus('Creating purge proposal...', 'info');
+        showStatus('Creating purge proposal...', 'info');
 
         const tx = await avsRegistryContract.proposePurge(credHash, reason);
 
-        showAVSStatus('Transaction submitted! Waiting for confirmation...', 'info');
-
-        const receipt = await tx.wait();
+        showStatus('Transaction submitted! Waiting for confirmation...', 'info');
 
         // Get proposal ID from event
-        const event = receipt.events?.find(e => e.event === 'PurgeProposalCreated');
-        const proposalId = event?.args?.proposalId;
+        const { proposalId } = await avsRegistryContract.waitForPurgeProposal(tx);
 
-        showAVSStatus(`Purge proposal created! Proposal ID: ${proposalId}`, 'success');
+        showStatus(`Purge proposal created! Proposal ID: ${proposalId}`, 'success');
 
         credHashInput.value = '';
 
@@ -405,7 +358,7 @@ async function proposePurgeCredential() {
 
     } catch (error) {
         console.error('Error proposing purge:', error);
-        showAVSStatus('Error proposing purge: ' + error.message, 'error');
+        showStatus('Error proposing purge: ' + describeError(error, { contract: 'AVSVCRegistry' }), 'error');
     } finally {
         proposeBtn.disabled = false;
         proposeBtn.textContent = 'Propose Purge';
@@ -415,54 +368,54 @@ async function proposePurgeCredential() {
 // Vote on purge
 async function voteOnPurgeProposal(proposalId) {
     if (!avsRegistryContract || !isOperator) {
-        showAVSStatus('Only operators can vote!', 'error');
+        showStatus('Only operators can vote!', 'error');
         return;
     }
 
     try {
-        showAVSStatus('Casting vote...', 'info');
+        showStatus('Casting vote...', 'info');
 
         const tx = await avsRegistryContract.voteOnPurge(proposalId);
 
-        showAVSStatus('Transaction submitted! Waiting for confirmation...', 'info');
+        showStatus('Transaction submitted! Waiting for confirmation...', 'info');
 
         await tx.wait();
 
-        showAVSStatus('Vote cast successfully!', 'success');
+        showStatus('Vote cast successfully!', 'success');
 
         // Reload proposals
         await loadPurgeProposals();
 
     } catch (error) {
         console.error('Error voting:', error);
-        showAVSStatus('Error voting: ' + error.message, 'error');
+        showStatus('Error voting: ' + describeError(error, { contract: 'AVSVCRegistry' }), 'error');
     }
 }
 
 // Execute purge
 async function executePurgeProposal(proposalId) {
     if (!avsRegistryContract) {
-        showAVSStatus('Contract not initialized!', 'error');
+        showStatus('Contract not initialized!', 'error');
         return;
     }
 
     try {
-        showAVSStatus('Executing purge...', 'info');
+        showStatus('Executing purge...', 'info');
 
         const tx = await avsRegistryContract.executePurge(proposalId);
 
-        showAVSStatus('Transaction submitted! Waiting for confirmation...', 'info');
+        showStatus('Transaction submitted! Waiting for confirmation...', 'info');
 
         await tx.wait();
 
-        showAVSStatus('Purge executed successfully!', 'success');
+        showStatus('Purge executed successfully!', 'success');
 
         // Reload proposals
         await loadPurgeProposals();
 
     } catch (error) {
         console.error('Error executing purge:', error);
-        showAVSStatus('Error executing purge: ' + error.message, 'error');
+        showStatus('Error executing purge: ' + describeError(error, { contract: 'AVSVCRegistry' }), 'error');
     }
 }
 
@@ -474,34 +427,31 @@ async function loadPurgeProposals() {
     proposalsList.innerHTML = '<p>Loading proposals...</p>';
 
     try {
-        // This is a simple implementation - in production you'd want to track proposal IDs
-        // For now, we'll check the last 20 proposals
-        const proposals = [];
-
-        for (let i = 0; i < 20; i++) {
-            try {
-                const proposal = await avsRegistryContract.getPurgeProposal(i);
-                if (proposal.proposalTimestamp > 0) {
-                    const hasVoted = await avsRegistryContract.hasVotedOnProposal(i, userAddress);
-                    proposals.push({
-                        id: i,
-                        ...proposal,
-                        hasVoted
-                    });
-                }
-            } catch (error) {
-                // Proposal doesn't exist, continue
-                break;
-            }
-        }
+        const [proposalCount, quorumRequirement] = await avsMulticall.call([
+            { client: avsRegistryContract, method: 'purgeProposalCounter' },
+            { client: avsRegistryContract, method: 'getQuorumRequirement' }
+        ]);
+
+        // Every proposal and this operator's vote on it, in one batch
+        const ids = [...Array(proposalCount.toNumber()).keys()];
+        const results = await avsMulticall.call(ids.flatMap(id => [
+            { client: avsRegistryContract, method: 'getPurgeProposal', args: [id] },
+            { client: avsRegistryContract, method: 'hasVotedOnProposal', args: [id, userAddress] }
+        ]));
+
+        const proposals = ids
+            .map(id => ({
+                id,
+                ...results[id * 2],
+                hasVoted: results[id * 2 + 1]
+            }))
+            .filter(proposal => !proposal.proposalTimestamp.isZero());
 
         if (proposals.length === 0) {
             proposalsList.innerHTML = '<p>No active proposals</p>';
             return;
         }
 
-        // Get quorum requirement once
-        const quorumRequirement = await avsRegistryContract.getQuorumRequirement();
         const quorumFormatted = ethers.utils.formatEther(quorumRequirement);
 
         // Display proposals
@@ -568,31 +518,18 @@ function displayAVSCredentialResult(txHash, credHash, subject) {
     document.getElementById('avsSubjectAddr').textContent = subject;
 
     const explorerLink = document.getElementById('avsExplorerLink');
-    explorerLink.href = `${BASE_SEPOLIA_EXPLORER}/tx/${txHash}`;
+    const explorerUrl = Networks.explorerLink(network, 'tx', txHash);
+    explorerLink.href = explorerUrl || '#';
+    explorerLink.hidden = !explorerUrl;
 
     resultDiv.style.display = 'block';
     resultDiv.scrollIntoView({ behavior: 'smooth' });
 }
 
-// Show AVS status message
-function showAVSStatus(message, type) {
-    const statusDiv = document.getElementById('avsStatusMessage');
-    statusDiv.textContent = message;
-    statusDiv.className = `status-message ${type}`;
-    statusDiv.style.display = 'block';
-
-    // Auto-hide success messages after 5 seconds
-    if (type === 'success') {
-        setTimeout(() => {
-            statusDiv.style.display = 'none';
-        }, 5000);
-    }
-}
-
 // Deploy AVS Registry Contract
 async function deployAVSRegistry() {
     if (!signer) {
-        showAVSStatus('Please connect your wallet first!', 'error');
+        showStatus('Please connect your wallet first!', 'error');
         return;
     }
 
@@ -600,7 +537,7 @@ async function deployAVSRegistry() {
     deployBtn.disabled = true;
     deployBtn.innerHTML = '<span class="loading-spinner"></span>Deploying Contract...';
 
-    showAVSStatus('Please use the deploy-avs.js script with Hardhat to deploy the AVS contract.', 'info');
+    showStatus('Please use the deploy-avs.js script with Hardhat to deploy the AVS contract.', 'info');
 
     deployBtn.disabled = false;
     deployBtn.textContent = 'Deploy AVS Registry';
@@ -0,0 +1,374 @@
+/**
+ * Bulk credential issuance from CSV
+ *
+ * One CSV row per credential: subjectAddress, subjectEncryptionKey and optional expirationDate
+ * (YYYY-MM-DD), plus one column per credentialSubject claim of the chosen type's schema. Rows are
+ * validated up front; the valid ones go to VCRegistry.batchIssueCredentials in chunks.
+ *
+ * Progress is persisted after every step, so closing the tab mid-run loses nothing: rows whose
+ * chunk was submitted are settled from the transaction hash on resume, and the rest are sent
+ * again. The result CSV maps each row to its credential hash or failure reason. A row's claims are
+ * personal data, so they are kept only while the row may still be sent: invalid rows never store
+ * them, and issued rows drop them.
+ *
+ * Browser: load after schema-registry.js, then use window.BulkIssuance.
+ * Node:    const BulkIssuance = require("./bulk-issuance");
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schema-registry'));
+    } else {
+        root.BulkIssuance = factory(root.SchemaRegistry);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (SchemaRegistry) {
+    'use strict';
+
+    // Columns that are not claims
+    const SUBJECT_COLUMN = 'subjectAddress';
+    const ENCRYPTION_KEY_COLUMN = 'subjectEncryptionKey';
+    const EXPIRATION_COLUMN = 'expirationDate';
+    const FIXED_COLUMNS = [SUBJECT_COLUMN, ENCRYPTION_KEY_COLUMN, EXPIRATION_COLUMN];
+
+    // Storing one encrypted credential costs ~1.5M gas; 10 stays under the 16.7M per-transaction cap
+    const DEFAULT_CHUNK_SIZE = 10;
+
+    const RESULT_COLUMNS = ['row', SUBJECT_COLUMN, 'status', 'credentialHash', 'txHash', 'error'];
+
+    const STORAGE_PREFIX = 'vcBulkIssuance';
+
+    // ============ CSV ============
+
+    /**
+     * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF); blank lines are skipped
+     * @return {{ columns: Array<string>, records: Array<Object> }} Records keyed by header
+     */
+    function parseCSV(text) {
+        const lines = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+
+        const input = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                fields.push(field);
+                lines.push(fields);
+                fields = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        lines.push(fields);
+
+        const nonBlank = lines.filter(line => line.some(value => value.trim() !== ''));
+        if (nonBlank.length === 0) return { columns: [], records: [] };
+
+        const columns = nonBlank[0].map(column => column.trim());
+        const records = nonBlank.slice(1).map(line =>
+            Object.fromEntries(columns.map((column, index) => [column, (line[index] || '').trim()]))
+        );
+        return { columns, records };
+    }
+
+    function escapeCSV(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Serialize records to CSV with the given column order
+     */
+    function toCSV(columns, records) {
+        return [columns, ...records.map(record => columns.map(column => record[column]))]
+            .map(values => values.map(escapeCSV).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Header row for a credential type: the fixed columns, then the schema's claims
+     */
+    function templateCSV(schema) {
+        return toCSV([...FIXED_COLUMNS, ...SchemaRegistry.claimFields(schema).map(field => field.name)], []);
+    }
+
+    // ============ Validation ============
+
+    /**
+     * Validate CSV records for one credential type
+     * @param {Object} schema The type's JSON Schema
+     * @param {{ columns, records }} csv Output of parseCSV
+     * @param {Object} checks
+     * @param {Function} checks.isAddress (value) => boolean
+     * @param {Function} checks.isPublicKey (value) => boolean
+     * @return {{ columnErrors: Array<string>, rows: Array<{ row, subjectAddress, subjectEncryptionKey,
+     *           expirationDate, claims, errors }> }} row numbers records as a spreadsheet would (header is 1)
+     */
+    function prepareRows(schema, { columns, records }, { isAddress, isPublicKey }) {
+        const claimNames = SchemaRegistry.claimFields(schema).map(field => field.name);
+        const columnErrors = [];
+
+        [SUBJECT_COLUMN, ENCRYPTION_KEY_COLUMN].forEach(column => {
+            if (!columns.includes(column)) columnErrors.push(`Missing column ${column}`);
+        });
+        columns.filter(column => !FIXED_COLUMNS.includes(column) && !claimNames.includes(column))
+            .forEach(column => columnErrors.push(`Column ${column} is not a claim of this credential type`));
+
+        const rows = records.map((record, index) => {
+            const errors = [];
+            const subjectAddress = record[SUBJECT_COLUMN] || '';
+            const subjectEncryptionKey = record[ENCRYPTION_KEY_COLUMN] || '';
+            const expiration = record[EXPIRATION_COLUMN] || '';
+
+            if (!isAddress(subjectAddress)) errors.push('subjectAddress must be a valid address');
+            if (!isPublicKey(subjectEncryptionKey)) errors.push('subjectEncryptionKey must be a public key (0x04...)');
+
+            let expirationDate = 0;
+            if (expiration) {
+                expirationDate = Math.floor(new Date(expiration).getTime() / 1000);
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(expiration) || isNaN(expirationDate)) {
+                    errors.push('expirationDate must be a valid date (YYYY-MM-DD)');
+                    expirationDate = 0;
+                }
+            }
+
+            const claimValues = Object.fromEntries(claimNames.map(name => [name, record[name]]));
+            const claims = SchemaRegistry.coerceClaims(schema, claimValues);
+            SchemaRegistry.validateSchema(schema.properties.credentialSubject, claims)
+                .forEach(error => errors.push(error.message));
+
+            return { row: index + 2, subjectAddress, subjectEncryptionKey, expirationDate, claims, errors };
+        });
+
+        return { columnErrors, rows };
+    }
+
+    // ============ Queue ============
+
+    // Wallet "reject" in ethers v5/v6 and EIP-1193
+    function isUserRejection(error) {
+        return error && (error.code === 'ACTION_REJECTED' || error.code === 4001);
+    }
+
+    function errorReason(error) {
+        return (error && (error.reason || error.shortMessage || error.message)) || 'Unknown error';
+    }
+
+    /**
+     * A bulk issuance job persisted row by row
+     *
+     * Row status: invalid (failed validation, never sent) -> pending -> submitted (txHash known)
+     * -> issued (credentialHash) or failed (error). claims is null for invalid and issued rows.
+     */
+    class BulkIssuanceQueue {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.key] Storage key suffix, e.g. chain, registry and issuer
+         * @param {Storage} [options.storage] localStorage-like store (in-memory if omitted)
+         */
+        constructor({ key = 'default', storage } = {}) {
+            this.storageKey = `${STORAGE_PREFIX}:${key}`;
+            this.storage = storage || null;
+            this.job = this.read();
+            this.running = false;
+        }
+
+        read() {
+            if (!this.storage) return null;
+            try {
+                return JSON.parse(this.storage.getItem(this.storageKey));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        save() {
+            if (!this.storage) return;
+            if (this.job) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.job));
+            } else {
+                this.storage.removeItem(this.storageKey);
+            }
+        }
+
+        /**
+         * Replace the job with newly validated rows
+         * @param {string} credentialType
+         * @param {Array} rows Output rows of prepareRows
+         * @param {string} [fileName]
+         */
+        start(credentialType, rows, fileName = '') {
+            if (this.running) throw new Error('A bulk issuance is in progress');
+
+            this.job = {
+                credentialType,
+                fileName,
+                createdAt: new Date().toISOString(),
+                rows: rows.map(({ row, subjectAddress, subjectEncryptionKey, expirationDate, claims, errors }) => ({
+                    row,
+                    subjectAddress,
+                    subjectEncryptionKey,
+                    expirationDate,
+                    claims: errors.length > 0 ? null : claims,
+                    status: errors.length > 0 ? 'invalid' : 'pending',
+                    credentialHash: null,
+                    txHash: null,
+                    error: errors.join('; ') || null
+                }))
+            };
+            this.save();
+            return this.job;
+        }
+
+        clear() {
+            if (this.running) throw new Error('A bulk issuance is in progress');
+            this.job = null;
+            this.save();
+        }
+
+        /**
+         * Row counts by status
+         * @return {{ total, invalid, pending, submitted, issued, failed }}
+         */
+        summary() {
+            const counts = { total: 0, invalid: 0, pending: 0, submitted: 0, issued: 0, failed: 0 };
+            (this.job ? this.job.rows : []).forEach(row => {
+                counts.total++;
+                counts[row.status]++;
+            });
+            return counts;
+        }
+
+        // Rows still to send or settle
+        get unfinished() {
+            const { pending, submitted } = this.summary();
+            return pending + submitted;
+        }
+
+        /**
+         * Send failed rows again on the next run
+         */
+        retryFailed() {
+            if (this.running) throw new Error('A bulk issuance is in progress');
+            this.job.rows.filter(row => row.status === 'failed').forEach(row => {
+                Object.assign(row, { status: 'pending', txHash: null, error: null });
+            });
+            this.save();
+        }
+
+        /**
+         * Issue every pending row, settling chunks left submitted by an earlier run first
+         * @param {Object} handlers
+         * @param {Function} handlers.issueChunk (rows) => Promise<tx> Sends one batchIssueCredentials
+         * @param {Function} handlers.confirm (txHash) => Promise<Array<string>|null> Credential hashes
+         *        of a mined transaction in row order, null if the transaction is unknown; throws if it reverted
+         * @param {Function} [handlers.onProgress] (summary) => void, after every change
+         * @param {number} [handlers.chunkSize]
+         * @throws If the user rejects a transaction in the wallet; the job stays resumable
+         */
+        async run({ issueChunk, confirm, onProgress = () => {}, chunkSize = DEFAULT_CHUNK_SIZE }) {
+            if (this.running) throw new Error('A bulk issuance is in progress');
+            if (!this.job) throw new Error('No bulk issuance to run');
+
+            this.running = true;
+            const progress = () => {
+                this.save();
+                onProgress(this.summary());
+            };
+
+            try {
+                // Chunks sent before a reload are settled from their transaction, never re-sent
+                const submitted = new Map();
+                this.job.rows.filter(row => row.status === 'submitted').forEach(row => {
+                    if (!submitted.has(row.txHash)) submitted.set(row.txHash, []);
+                    submitted.get(row.txHash).push(row);
+                });
+                for (const [txHash, rows] of submitted) {
+                    await this.settle(txHash, rows, confirm);
+                    progress();
+                }
+
+                let chunk;
+                while ((chunk = this.job.rows.filter(row => row.status === 'pending').slice(0, chunkSize)).length > 0) {
+                    let tx;
+                    try {
+                        tx = await issueChunk(chunk);
+                    } catch (error) {
+                        if (isUserRejection(error)) throw error;
+                        chunk.forEach(row => Object.assign(row, { status: 'failed', error: errorReason(error) }));
+                        progress();
+                        continue;
+                    }
+
+                    chunk.forEach(row => Object.assign(row, { status: 'submitted', txHash: tx.hash }));
+                    progress();
+
+                    await this.settle(tx.hash, chunk, confirm);
+                    progress();
+                }
+            } finally {
+                this.running = false;
+                this.save();
+            }
+
+            return this.summary();
+        }
+
+        async settle(txHash, rows, confirm) {
+            try {
+                const hashes = await confirm(txHash);
+                if (!hashes) {
+                    // Re-sending could issue twice if the transaction is only delayed, so let the issuer decide
+                    throw new Error(`Transaction ${txHash} was not found; check the explorer before retrying`);
+                }
+                if (hashes.length !== rows.length) {
+                    throw new Error(`Transaction ${txHash} issued ${hashes.length} credentials for ${rows.length} rows`);
+                }
+                rows.forEach((row, index) => Object.assign(row, {
+                    status: 'issued',
+                    credentialHash: hashes[index],
+                    claims: null,
+                    error: null
+                }));
+            } catch (error) {
+                rows.forEach(row => Object.assign(row, { status: 'failed', error: errorReason(error) }));
+            }
+        }
+
+        /**
+         * One line per CSV row: its credential hash, or why it was not issued
+         */
+        resultCSV() {
+            return toCSV(RESULT_COLUMNS, this.job ? this.job.rows : []);
+        }
+    }
+
+    return {
+        FIXED_COLUMNS,
+        DEFAULT_CHUNK_SIZE,
+        parseCSV,
+        toCSV,
+        templateCSV,
+        prepareRows,
+        isUserRejection,
+        BulkIssuanceQueue
+    };
+});
@@ -0,0 +1,217 @@
+// AUTO-GENERATED by generate-contract-abis.js from the Hardhat artifacts - do not edit.
+// Run `npm run compile` to regenerate after changing anything in contracts/.
+(function (root) {
+    const CONTRACT_ABIS = {
+        AVSManagement: [
+            "constructor(address _did3TokenAddress)",
+            "event ArbiterUpdated(address indexed previousArbiter, address indexed newArbiter)",
+            "event ChallengeOpened(uint256 indexed challengeId, bytes32 indexed credentialHash, address indexed issuer, address challenger, uint8 reason, bytes32 evidenceHash, uint256 bond)",
+            "event ChallengeResolved(uint256 indexed challengeId, address indexed issuer, bool upheld, bool byArbiter, uint256 slashedAmount)",
+            "event ChallengeResponded(uint256 indexed challengeId, address indexed issuer, bytes32 responseHash)",
+            "event ChallengeVoteCast(uint256 indexed challengeId, address indexed voter, bool uphold, uint256 weight)",
+            "event CredentialIssued(address indexed issuer, bytes32 credentialHash)",
+            "event CredentialRegistryUpdated(address indexed previousRegistry, address indexed newRegistry)",
+            "event CredentialRevoked(address indexed issuer, bytes32 credentialHash)",
+            "event Delegated(address indexed delegator, address indexed issuer, uint256 amount, uint256 delegatedTotal)",
+            "event DelegationsSlashed(address indexed issuer, uint256 amount, uint256 indexed challengeId)",
+            "event IssuerDeactivated(address indexed issuer, uint256 timestamp)",
+            "event IssuerProfileUpdated(address indexed issuer, string uri, bytes32 contentHash)",
+            "event IssuerReactivated(address indexed issuer, uint256 timestamp)",
+            "event IssuerRegistered(address indexed issuer, uint256 stakedAmount, uint256 timestamp)",
+            "event IssuerSlashed(address indexed issuer, uint256 amount, uint256 remaining, uint256 indexed challengeId)",
+            "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+            "event SlashDistributed(uint256 indexed challengeId, address indexed challenger, uint256 challengerReward, address indexed treasury, uint256 treasuryAmount)",
+            "event SlashingParametersUpdated(uint256 slashBasisPoints, uint256 challengeBond)",
+            "event StakeAdded(address indexed issuer, uint256 amount, uint256 newTotal)",
+            "event StakeWithdrawn(address indexed issuer, uint256 amount, uint256 remaining)",
+            "event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury)",
+            "event UnbondingPeriodUpdated(uint256 unbondingPeriod)",
+            "event UndelegationClaimed(address indexed delegator, address indexed issuer, uint256 indexed undelegationId, uint256 amount)",
+            "event UndelegationRequested(address indexed delegator, address indexed issuer, uint256 indexed undelegationId, uint256 amount, uint256 unlockTime)",
+            "event WithdrawalClaimed(address indexed issuer, uint256 indexed withdrawalId, uint256 amount)",
+            "event WithdrawalRequested(address indexed issuer, uint256 indexed withdrawalId, uint256 amount, uint256 unlockTime)",
+            "function BASIS_POINTS() view returns (uint256)",
+            "function CHALLENGER_REWARD_SHARE() view returns (uint256)",
+            "function CHALLENGE_PERIOD() view returns (uint256)",
+            "function CHALLENGE_QUORUM() view returns (uint256)",
+            "function MAX_PENDING_UNDELEGATIONS() view returns (uint256)",
+            "function MAX_PENDING_WITHDRAWALS() view returns (uint256)",
+            "function MAX_UNBONDING_PERIOD() view returns (uint256)",
+            "function MINIMUM_SELF_STAKE() view returns (uint256)",
+            "function MINIMUM_STAKE() view returns (uint256)",
+            "function REASON_FRAUDULENT_INFORMATION() view returns (uint8)",
+            "function REASON_ISSUER_ERROR() view returns (uint8)",
+            "function addStake(uint256 amount)",
+            "function addStakeWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+            "function arbiter() view returns (address)",
+            "function challengeBond() view returns (uint256)",
+            "function challengeCount() view returns (uint256)",
+            "function claimUndelegation(uint256 undelegationId)",
+            "function claimWithdrawal(uint256 withdrawalId)",
+            "function credentialRegistry() view returns (address)",
+            "function credentialSlashed(bytes32) view returns (bool)",
+            "function delegate(address issuer, uint256 amount)",
+            "function delegateWithPermit(address issuer, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+            "function delegationOf(address issuer, address delegator) view returns (uint256)",
+            "function delegationPools(address) view returns (uint256 amount, uint256 shares, uint256 unbondingAmount, uint256 unbondingShares)",
+            "function did3Token() view returns (address)",
+            "function effectiveStake(address issuer) view returns (uint256)",
+            "function finalizeChallenge(uint256 challengeId)",
+            "function getActiveIssuers() view returns (address[])",
+            "function getChallenge(uint256 challengeId) view returns ((bytes32 credentialHash, address registry, address issuer, address challenger, uint8 reason, bytes32 evidenceHash, bytes32 responseHash, uint256 bond, uint256 openedAt, uint256 snapshotBlock, uint256 eligibleStake, uint256 respondedAt, uint256 votesFor, uint256 votesAgainst, uint256 slashedAmount, uint256 challengerReward, uint8 status))",
+            "function getDelegations(address delegator) view returns ((address issuer, uint256 shares, uint256 amount)[])",
+            "function getIssuerChallenges(address issuer) view returns (uint256[])",
+            "function getIssuerInfo(address issuer) view returns ((uint256 stakedAmount, bool isActive, uint256 registrationTimestamp, uint256 totalCredentialsIssued, uint256 totalCredentialsRevoked, uint256 lastActivityTimestamp))",
+            "function getIssuerProfile(address issuer) view returns ((string uri, bytes32 contentHash, uint256 updatedAt))",
+            "function getPastTotalVotingStake(uint256 blockNumber) view returns (uint256)",
+            "function getPastVotingStake(address issuer, uint256 blockNumber) view returns (uint256)",
+            "function getPendingUndelegations(address delegator) view returns ((uint256 id, address delegator, address issuer, uint256 shares, uint256 requestedAt, uint256 unlockTime)[] pending, uint256[] amounts)",
+            "function getPendingWithdrawals(address issuer) view returns ((uint256 id, address issuer, uint256 amount, uint256 requestedAt, uint256 unlockTime)[])",
+            "function getStatistics() view returns (uint256 totalIssuers, uint256 activeIssuers, uint256 totalStakedAmount)",
+            "function getTotalIssuers() view returns (uint256)",
+            "function hasVotedOnChallenge(uint256 challengeId, address voter) view returns (bool)",
+            "function isActiveIssuer(address issuer) view returns (bool)",
+            "function issuerAddresses(uint256) view returns (address)",
+            "function issuers(address) view returns (uint256 stakedAmount, bool isActive, uint256 registrationTimestamp, uint256 totalCredentialsIssued, uint256 totalCredentialsRevoked, uint256 lastActivityTimestamp)",
+            "function openChallenge(bytes32 credentialHash, uint8 reason, bytes32 evidenceHash) returns (uint256 challengeId)",
+            "function openChallengeCount(address) view returns (uint256)",
+            "function openChallengeOf(bytes32) view returns (uint256)",
+            "function owner() view returns (address)",
+            "function reactivateIssuer(uint256 stakeAmount)",
+            "function recordCredentialIssued(address issuer, bytes32 credentialHash)",
+            "function recordCredentialRevoked(address issuer, bytes32 credentialHash)",
+            "function registerIssuer(uint256 stakeAmount)",
+            "function registerIssuerWithPermit(uint256 stakeAmount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+            "function requestUndelegation(address issuer, uint256 amount) returns (uint256 undelegationId)",
+            "function requestWithdrawal(uint256 amount) returns (uint256 withdrawalId)",
+            "function resolveChallenge(uint256 challengeId, bool upheld)",
+            "function respondToChallenge(uint256 challengeId, bytes32 responseHash)",
+            "function setArbiter(address newArbiter)",
+            "function setCredentialRegistry(address registry)",
+            "function setIssuerProfile(string uri, bytes32 contentHash)",
+            "function setSlashingParameters(uint256 newSlashBasisPoints, uint256 newChallengeBond)",
+            "function setTreasury(address newTreasury)",
+            "function setUnbondingPeriod(uint256 newUnbondingPeriod)",
+            "function slashBasisPoints() view returns (uint256)",
+            "function totalDelegated() view returns (uint256)",
+            "function totalStaked() view returns (uint256)",
+            "function totalUnbonding() view returns (uint256)",
+            "function transferOwnership(address newOwner)",
+            "function treasury() view returns (address)",
+            "function unbondingPeriod() view returns (uint256)",
+            "function unbondingStake(address) view returns (uint256)",
+            "function undelegationCount() view returns (uint256)",
+            "function voteOnChallenge(uint256 challengeId, bool uphold)",
+            "function withdrawalCount() view returns (uint256)"
+        ],
+        AVSVCRegistry: [
+            "constructor()",
+            "event CredentialIssued(bytes32 indexed credentialHash, address indexed subject, address indexed issuer, string credentialType, uint256 issuanceDate, uint256 expirationDate)",
+            "event CredentialRevoked(bytes32 indexed credentialHash, address indexed subject, uint256 revocationDate)",
+            "event OperatorDeactivated(address indexed operator)",
+            "event OperatorRegistered(address indexed operator, uint256 stake)",
+            "event OperatorStakeUpdated(address indexed operator, uint256 newStake)",
+            "event PurgeExecuted(uint256 indexed proposalId, bytes32 indexed credentialHash, uint256 approvalCount, uint256 totalVotingPower)",
+            "event PurgeProposalCreated(uint256 indexed proposalId, bytes32 indexed credentialHash, address indexed proposer, string reason)",
+            "event PurgeVoteCast(uint256 indexed proposalId, address indexed voter, uint256 votingPower)",
+            "function BASIS_POINTS() view returns (uint256)",
+            "function DID3_TOKEN() view returns (address)",
+            "function MINIMUM_STAKE() view returns (uint256)",
+            "function QUORUM_PERCENTAGE() view returns (uint256)",
+            "function VOTING_PERIOD() view returns (uint256)",
+            "function addStake(uint256 _additionalStake)",
+            "function admin() view returns (address)",
+            "function credentials(bytes32) view returns (bytes32 credentialHash, address subject, address issuer, uint256 issuanceDate, uint256 expirationDate, bool isRevoked, uint256 revocationTimestamp, string credentialType, bytes credentialData)",
+            "function emergencyDeactivateOperator(address _operator)",
+            "function executePurge(uint256 _proposalId)",
+            "function getActiveOperatorCount() view returns (uint256 count)",
+            "function getActiveOperators() view returns (address[])",
+            "function getCredential(bytes32 _credentialHash) view returns (address subject, address issuer, uint256 issuanceDate, uint256 expirationDate, bool isRevoked, string credentialType)",
+            "function getOperator(address _operator) view returns (uint256 stake, bool isActive, uint256 credentialsIssued, uint256 lastActivityTimestamp)",
+            "function getPurgeProposal(uint256 _proposalId) view returns (bytes32 credentialHash, address proposer, string reason, uint256 proposalTimestamp, uint256 approvalCount, uint256 totalVotingPower, bool executed, bool quorumReached)",
+            "function getQuorumRequirement() view returns (uint256)",
+            "function getSubjectCredentials(address _subject) view returns (bytes32[])",
+            "function hasVotedOnProposal(uint256 _proposalId, address _operator) view returns (bool)",
+            "function isCredentialValid(bytes32 _credentialHash) view returns (bool)",
+            "function issueCredential(address _subject, string _credentialType, bytes _credentialData, uint256 _expirationDate) returns (bytes32 credentialHash)",
+            "function issuerCredentials(address, uint256) view returns (bytes32)",
+            "function operatorList(uint256) view returns (address)",
+            "function operators(address) view returns (uint256 stake, bool isActive, uint256 credentialsIssued, uint256 lastActivityTimestamp)",
+            "function proposePurge(bytes32 _credentialHash, string _reason) returns (uint256 proposalId)",
+            "function purgeProposalCounter() view returns (uint256)",
+            "function purgeProposals(uint256) view returns (bytes32 credentialHash, address proposer, string reason, uint256 proposalTimestamp, uint256 approvalCount, uint256 totalVotingPower, bool executed)",
+            "function registerOperator(uint256 _stakeAmount)",
+            "function subjectCredentials(address, uint256) view returns (bytes32)",
+            "function totalCredentials() view returns (uint256)",
+            "function totalStake() view returns (uint256)",
+            "function transferAdmin(address _newAdmin)",
+            "function voteOnPurge(uint256 _proposalId)",
+            "function withdrawStake()"
+        ],
+        MockERC20: [
+            "constructor(string _name, string _symbol, uint256 _initialSupply)",
+            "event Approval(address indexed owner, address indexed spender, uint256 value)",
+            "event Transfer(address indexed from, address indexed to, uint256 value)",
+            "function DOMAIN_SEPARATOR() view returns (bytes32)",
+            "function PERMIT_TYPEHASH() view returns (bytes32)",
+            "function allowance(address, address) view returns (uint256)",
+            "function approve(address spender, uint256 amount) returns (bool)",
+            "function balanceOf(address) view returns (uint256)",
+            "function decimals() view returns (uint8)",
+            "function mint(address to, uint256 amount)",
+            "function name() view returns (string)",
+            "function nonces(address) view returns (uint256)",
+            "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+            "function symbol() view returns (string)",
+            "function totalSupply() view returns (uint256)",
+            "function transfer(address to, uint256 amount) returns (bool)",
+            "function transferFrom(address from, address to, uint256 amount) returns (bool)"
+        ],
+        Multicall3: [
+            "function aggregate((address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes[] returnData)",
+            "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+            "function getBlockNumber() view returns (uint256)",
+            "function getCurrentBlockTimestamp() view returns (uint256)",
+            "function getEthBalance(address account) view returns (uint256)"
+        ],
+        VCRegistry: [
+            "constructor(address _avsManagementAddress)",
+            "event AVSManagementUpdated(address indexed oldAddress, address indexed newAddress)",
+            "event CredentialIssued(bytes32 indexed credentialHash, address indexed subject, address indexed issuer, string credentialType, uint256 issuanceDate, uint256 expirationDate)",
+            "event CredentialPurged(bytes32 indexed credentialHash, address indexed subject, address indexed issuer, string reason, uint256 purgeDate)",
+            "event CredentialRevoked(bytes32 indexed credentialHash, address indexed subject, address indexed issuer, uint256 revocationDate, uint8 reason, bytes32 evidenceHash)",
+            "function admin() view returns (address)",
+            "function avsManagement() view returns (address)",
+            "function batchIssueCredentials(address[] _subjects, string _credentialType, bytes[] _credentialData, uint256[] _expirationDates) returns (bytes32[] credentialHashes)",
+            "function batchPurgeCredentials(bytes32[] _credentialHashes) returns (uint256 purgedCount)",
+            "function batchRevokeCredentials(bytes32[] _credentialHashes, uint8 _reason, bytes32 _evidenceHash) returns (uint256 revokedCount)",
+            "function credentials(bytes32) view returns (bytes32 credentialHash, address subject, address issuer, uint256 issuanceDate, uint256 expirationDate, bool isRevoked, uint256 revocationTimestamp, uint8 revocationReason, bytes32 revocationEvidenceHash, string credentialType, bytes credentialData, bool isPurged, uint256 purgeTimestamp)",
+            "function getCredential(bytes32 _credentialHash) view returns (address subject, address issuer, uint256 issuanceDate, uint256 expirationDate, bool isRevoked, bool isPurged, string credentialType)",
+            "function getExpiredCredentials(address _subject) view returns (bytes32[] expiredCredentials)",
+            "function getFullCredential(bytes32 _credentialHash) view returns ((bytes32 credentialHash, address subject, address issuer, uint256 issuanceDate, uint256 expirationDate, bool isRevoked, uint256 revocationTimestamp, uint8 revocationReason, bytes32 revocationEvidenceHash, string credentialType, bytes credentialData, bool isPurged, uint256 purgeTimestamp) credential)",
+            "function getIssuerCredentials(address _issuer) view returns (bytes32[])",
+            "function getIssuerCredentialsPaginated(address _issuer, uint256 _offset, uint256 _limit) view returns (bytes32[] page, uint256 total)",
+            "function getStatistics() view returns (uint256 total, uint256 purged, uint256 active)",
+            "function getSubjectCredentials(address _subject) view returns (bytes32[])",
+            "function getSubjectCredentialsPaginated(address _subject, uint256 _offset, uint256 _limit) view returns (bytes32[] page, uint256 total)",
+            "function getValidSubjectCredentials(address _subject) view returns (bytes32[] validCredentials)",
+            "function isCredentialValid(bytes32 _credentialHash) view returns (bool isValid)",
+            "function issueCredential(address _subject, string _credentialType, bytes _credentialData, uint256 _expirationDate) returns (bytes32 credentialHash)",
+            "function issuerCredentials(address, uint256) view returns (bytes32)",
+            "function purgeCredential(bytes32 _credentialHash)",
+            "function revokeChallengedCredential(bytes32 _credentialHash, uint8 _reason, bytes32 _evidenceHash) returns (bool revoked)",
+            "function revokeCredential(bytes32 _credentialHash, uint8 _reason, bytes32 _evidenceHash)",
+            "function subjectCredentials(address, uint256) view returns (bytes32)",
+            "function totalCredentials() view returns (uint256)",
+            "function totalPurged() view returns (uint256)",
+            "function transferAdmin(address _newAdmin)",
+            "function updateAVSManagement(address _newAVSManagement)"
+        ]
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = CONTRACT_ABIS;
+    } else {
+        root.CONTRACT_ABIS = CONTRACT_ABIS;
+    }
+})(this);
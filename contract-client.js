@@ -0,0 +1,1048 @@
+/**
+ * Shared contract client for the VC Registry frontends and deploy scripts
+ *
+ * Browser: load after ethers, contract-abis.js, contract-errors.js and networks.js, then use
+ *          window.ContractClient.
+ * Node:    const ContractClient = require("./contract-client"); pass hre.ethers as `ethers`.
+ *
+ * Every ABI comes from contract-abis.js, which is regenerated from the Hardhat artifacts on
+ * each compile, so a signature change in contracts/ shows up here instead of in a page.
+ *
+ * State-changing methods dry-run the call as the signer first, so a call that would revert
+ * throws a ContractErrors.ContractError (see contract-errors.js) before the wallet asks for a
+ * signature.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./contract-abis'), require('./contract-errors'), require('./networks'));
+    } else {
+        root.ContractClient = factory(root.CONTRACT_ABIS, root.ContractErrors, root.Networks);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (CONTRACT_ABIS, ContractErrors, Networks) {
+    'use strict';
+
+    // ============ Configuration ============
+
+    // Canonical Multicall3 deployment (same address on Base Sepolia and most chains)
+    const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+    // Keep each aggregate3 eth_call well under node gas caps
+    const MULTICALL_BATCH_SIZE = 100;
+
+    // VCRegistry.RevocationReason labels, indexed by code
+    const REVOCATION_REASONS = [
+        'Unspecified',
+        'Key compromise',
+        'Fraudulent information',
+        'Information changed',
+        'Superseded',
+        'Subject request',
+        'Issuer error'
+    ];
+
+    // RevocationReason codes a challenge can allege: fraudulent information, issuer error
+    const CHALLENGE_REASONS = [2, 6];
+
+    // AVSManagement.ChallengeStatus labels, indexed by code
+    const CHALLENGE_STATUSES = ['None', 'Open', 'Upheld', 'Dismissed'];
+
+    // evidenceHash for a revocation without evidence
+    const NO_EVIDENCE_HASH = '0x' + '0'.repeat(64);
+
+    // How long a staking permit stays valid; it is submitted right after it is signed
+    const PERMIT_TTL_SECONDS = 60 * 60;
+
+    const PERMIT_TYPES = {
+        Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    };
+
+    // ============ Helpers ============
+
+    // ethers v5 (browser UMD build) keeps its helpers under ethers.utils, ethers v6 (Hardhat) at the top level
+    function ethersUtils(ethersLib) {
+        return ethersLib.utils || ethersLib;
+    }
+
+    // The page's ethers global; every module defaults to it when no ethers library is passed
+    function defaultEthers() {
+        return (typeof globalThis !== 'undefined' && globalThis.ethers) || undefined;
+    }
+
+    // eth_call a state-changing signature: contract.callStatic.fn in ethers v5, contract.fn.staticCall in v6
+    function staticCall(contract, method, args) {
+        return contract.callStatic
+            ? contract.callStatic[method](...args)
+            : contract[method].staticCall(...args);
+    }
+
+    // Gas estimate for a state-changing call: contract.estimateGas.fn in ethers v5, contract.fn.estimateGas in v6
+    function estimateGas(contract, method, args) {
+        return contract.estimateGas
+            ? contract.estimateGas[method](...args)
+            : contract[method].estimateGas(...args);
+    }
+
+    /**
+     * Send a state-changing call on a client's contract after a static-call preflight
+     * @throws {ContractErrors.ContractError} If the preflight reverts; nothing is sent
+     */
+    async function sendTransaction(client, method, args) {
+        try {
+            await staticCall(client.contract, method, args);
+        } catch (error) {
+            throw ContractErrors.decodeError(error, { contract: client.contractName, ethers: client.ethersLib });
+        }
+        return client.contract[method](...args);
+    }
+
+    // The contract's signer: contract.signer in ethers v5, contract.runner in v6
+    function signerOf(contract) {
+        return contract.signer || contract.runner;
+    }
+
+    async function chainIdOf(contract) {
+        const provider = contract.provider || signerOf(contract).provider;
+        return Number((await provider.getNetwork()).chainId);
+    }
+
+    // Compare token amounts across ethers v5 BigNumbers and v6 bigints
+    function toBigInt(value) {
+        return BigInt(value.toString());
+    }
+
+    /**
+     * Find a named event in a transaction receipt
+     * @dev Parses raw logs so it works with both ethers v5 and v6 receipts
+     */
+    function findEvent(contract, receipt, eventName) {
+        for (const log of receipt.logs) {
+            try {
+                const parsed = contract.interface.parseLog(log);
+                if (parsed && parsed.name === eventName) {
+                    return parsed;
+                }
+            } catch (error) {
+                // Log emitted by another contract
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Every occurrence of a named event in a transaction receipt, in log order
+     */
+    function findEvents(contract, receipt, eventName) {
+        return receipt.logs.map(log => {
+            try {
+                return contract.interface.parseLog(log);
+            } catch (error) {
+                return null; // Log emitted by another contract
+            }
+        }).filter(parsed => parsed && parsed.name === eventName);
+    }
+
+    /**
+     * Encode a credential payload object as UTF-8 JSON bytes for issueCredential
+     */
+    function encodeCredentialData(data, ethersLib = defaultEthers()) {
+        return ethersUtils(ethersLib).toUtf8Bytes(JSON.stringify(data));
+    }
+
+    /**
+     * Decode credentialData bytes back into an object ({} if it is not JSON)
+     */
+    function decodeCredentialData(bytes, ethersLib = defaultEthers()) {
+        try {
+            return JSON.parse(ethersUtils(ethersLib).toUtf8String(bytes));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Display status of a credential record: Purged, Revoked, Expired or Valid (in that precedence)
+     * @return {{ status, statusClass }}
+     */
+    function getCredentialStatus(credential, now = Date.now() / 1000) {
+        if (credential.isPurged) return { status: 'Purged', statusClass: 'status-purged' };
+        if (credential.isRevoked) return { status: 'Revoked', statusClass: 'status-revoked' };
+        if (credential.expirationDate > 0 && now > credential.expirationDate) {
+            return { status: 'Expired', statusClass: 'status-expired' };
+        }
+        return { status: 'Valid', statusClass: 'status-valid' };
+    }
+
+    /**
+     * Label for a RevocationReason code
+     */
+    function revocationReasonLabel(code) {
+        return REVOCATION_REASONS[Number(code)] || `Reason ${code}`;
+    }
+
+    /**
+     * Label for a ChallengeStatus code
+     */
+    function challengeStatusLabel(code) {
+        return CHALLENGE_STATUSES[Number(code)] || `Status ${code}`;
+    }
+
+    /**
+     * Convert a date input value (YYYY-MM-DD) into a unix timestamp, 0 when empty
+     */
+    function toTimestamp(dateString) {
+        return dateString ? Math.floor(new Date(dateString).getTime() / 1000) : 0;
+    }
+
+    // ============ VCRegistry ============
+
+    class VCRegistryClient {
+        constructor(ethersLib, address, runner) {
+            this.address = address;
+            this.contractName = 'VCRegistry';
+            this.ethersLib = ethersLib;
+            this.contract = new ethersLib.Contract(address, CONTRACT_ABIS.VCRegistry, runner);
+        }
+
+        issueCredential(subject, credentialType, credentialData, expirationDate) {
+            return sendTransaction(this, 'issueCredential', [subject, credentialType, credentialData, expirationDate]);
+        }
+
+        /**
+         * Wait for an issueCredential transaction and read the new hash from CredentialIssued
+         * @return {{ receipt, credentialHash }}
+         */
+        async waitForIssuedCredential(tx) {
+            const receipt = await tx.wait();
+            const event = findEvent(this.contract, receipt, 'CredentialIssued');
+            return { receipt, credentialHash: event ? event.args.credentialHash : null };
+        }
+
+        batchIssueCredentials(subjects, credentialType, credentialData, expirationDates) {
+            return sendTransaction(this, 'batchIssueCredentials', [subjects, credentialType, credentialData, expirationDates]);
+        }
+
+        /**
+         * Credential hashes from the CredentialIssued events of a batchIssueCredentials receipt
+         * @return {Array<string>} In the order the subjects were passed
+         */
+        issuedCredentialHashes(receipt) {
+            return findEvents(this.contract, receipt, 'CredentialIssued').map(event => event.args.credentialHash);
+        }
+
+        /**
+         * @param {number} reason RevocationReason code (index into REVOCATION_REASONS)
+         * @param {string} [evidenceHash] bytes32 hash of off-chain evidence
+         */
+        revokeCredential(credentialHash, reason, evidenceHash = NO_EVIDENCE_HASH) {
+            return sendTransaction(this, 'revokeCredential', [credentialHash, reason, evidenceHash]);
+        }
+
+        batchRevokeCredentials(credentialHashes, reason, evidenceHash = NO_EVIDENCE_HASH) {
+            return sendTransaction(this, 'batchRevokeCredentials', [credentialHashes, reason, evidenceHash]);
+        }
+
+        purgeCredential(credentialHash) {
+            return sendTransaction(this, 'purgeCredential', [credentialHash]);
+        }
+
+        batchPurgeCredentials(credentialHashes) {
+            return sendTransaction(this, 'batchPurgeCredentials', [credentialHashes]);
+        }
+
+        /**
+         * Dry-run batchPurgeCredentials as the connected account
+         * @return {{ purgedCount: number, gas }} How many it would purge (the rest are skipped) and its gas estimate
+         */
+        async previewBatchPurge(credentialHashes) {
+            try {
+                const [purgedCount, gas] = await Promise.all([
+                    staticCall(this.contract, 'batchPurgeCredentials', [credentialHashes]),
+                    estimateGas(this.contract, 'batchPurgeCredentials', [credentialHashes])
+                ]);
+                return { purgedCount: Number(purgedCount.toString()), gas };
+            } catch (error) {
+                throw ContractErrors.decodeError(error, { contract: this.contractName, ethers: this.ethersLib });
+            }
+        }
+
+        /**
+         * Credential hashes from the CredentialPurged events of a purge receipt
+         */
+        purgedCredentialHashes(receipt) {
+            return findEvents(this.contract, receipt, 'CredentialPurged').map(event => event.args.credentialHash);
+        }
+
+        isCredentialValid(credentialHash) {
+            return this.contract.isCredentialValid(credentialHash);
+        }
+
+        /**
+         * Validity plus the full stored credential in one call site
+         * @return {{ isValid, credential }}
+         */
+        async verifyCredential(credentialHash) {
+            const [isValid, credential] = await Promise.all([
+                this.contract.isCredentialValid(credentialHash),
+                this.contract.getFullCredential(credentialHash)
+            ]);
+            return { isValid, credential };
+        }
+
+        getCredential(credentialHash) {
+            return this.contract.getCredential(credentialHash);
+        }
+
+        getFullCredential(credentialHash) {
+            return this.contract.getFullCredential(credentialHash);
+        }
+
+        getSubjectCredentials(subject) {
+            return this.contract.getSubjectCredentials(subject);
+        }
+
+        getValidSubjectCredentials(subject) {
+            return this.contract.getValidSubjectCredentials(subject);
+        }
+
+        getIssuerCredentials(issuer) {
+            return this.contract.getIssuerCredentials(issuer);
+        }
+
+        /**
+         * @return {[string[], BigNumber]} [page of hashes, total count]
+         */
+        getSubjectCredentialsPaginated(subject, offset, limit) {
+            return this.contract.getSubjectCredentialsPaginated(subject, offset, limit);
+        }
+
+        getIssuerCredentialsPaginated(issuer, offset, limit) {
+            return this.contract.getIssuerCredentialsPaginated(issuer, offset, limit);
+        }
+
+        getExpiredCredentials(subject) {
+            return this.contract.getExpiredCredentials(subject);
+        }
+
+        getStatistics() {
+            return this.contract.getStatistics();
+        }
+    }
+
+    // ============ AVSManagement ============
+
+    class AVSManagementClient {
+        constructor(ethersLib, address, runner) {
+            this.address = address;
+            this.contractName = 'AVSManagement';
+            this.ethersLib = ethersLib;
+            this.contract = new ethersLib.Contract(address, CONTRACT_ABIS.AVSManagement, runner);
+        }
+
+        registerIssuer(stakeAmount) {
+            return sendTransaction(this, 'registerIssuer', [stakeAmount]);
+        }
+
+        registerIssuerWithPermit(stakeAmount, { deadline, v, r, s }) {
+            return sendTransaction(this, 'registerIssuerWithPermit', [stakeAmount, deadline, v, r, s]);
+        }
+
+        addStake(amount) {
+            return sendTransaction(this, 'addStake', [amount]);
+        }
+
+        addStakeWithPermit(amount, { deadline, v, r, s }) {
+            return sendTransaction(this, 'addStakeWithPermit', [amount, deadline, v, r, s]);
+        }
+
+        // Withdrawals unbond for unbondingPeriod, then are claimed by ID
+        requestWithdrawal(amount) {
+            return sendTransaction(this, 'requestWithdrawal', [amount]);
+        }
+
+        claimWithdrawal(withdrawalId) {
+            return sendTransaction(this, 'claimWithdrawal', [withdrawalId]);
+        }
+
+        getPendingWithdrawals(issuer) {
+            return this.contract.getPendingWithdrawals(issuer);
+        }
+
+        unbondingPeriod() {
+            return this.contract.unbondingPeriod();
+        }
+
+        reactivateIssuer(stakeAmount) {
+            return sendTransaction(this, 'reactivateIssuer', [stakeAmount]);
+        }
+
+        isActiveIssuer(issuer) {
+            return this.contract.isActiveIssuer(issuer);
+        }
+
+        getIssuerInfo(issuer) {
+            return this.contract.getIssuerInfo(issuer);
+        }
+
+        getActiveIssuers() {
+            return this.contract.getActiveIssuers();
+        }
+
+        setIssuerProfile(uri, contentHash) {
+            return sendTransaction(this, 'setIssuerProfile', [uri, contentHash]);
+        }
+
+        getIssuerProfile(issuer) {
+            return this.contract.getIssuerProfile(issuer);
+        }
+
+        getStatistics() {
+            return this.contract.getStatistics();
+        }
+
+        minimumStake() {
+            return this.contract.MINIMUM_STAKE();
+        }
+
+        minimumSelfStake() {
+            return this.contract.MINIMUM_SELF_STAKE();
+        }
+
+        did3Token() {
+            return this.contract.did3Token();
+        }
+
+        getTotalIssuers() {
+            return this.contract.getTotalIssuers();
+        }
+
+        // Every registered issuer by index, active or not
+        issuerAddresses(index) {
+            return this.contract.issuerAddresses(index);
+        }
+
+        // Delegations back a registered issuer; undelegations unbond like withdrawals
+
+        delegate(issuer, amount) {
+            return sendTransaction(this, 'delegate', [issuer, amount]);
+        }
+
+        delegateWithPermit(issuer, amount, { deadline, v, r, s }) {
+            return sendTransaction(this, 'delegateWithPermit', [issuer, amount, deadline, v, r, s]);
+        }
+
+        requestUndelegation(issuer, amount) {
+            return sendTransaction(this, 'requestUndelegation', [issuer, amount]);
+        }
+
+        claimUndelegation(undelegationId) {
+            return sendTransaction(this, 'claimUndelegation', [undelegationId]);
+        }
+
+        // Own stake plus delegations, counted toward MINIMUM_STAKE and challenge votes
+        effectiveStake(issuer) {
+            return this.contract.effectiveStake(issuer);
+        }
+
+        delegationPools(issuer) {
+            return this.contract.delegationPools(issuer);
+        }
+
+        delegationOf(issuer, delegator) {
+            return this.contract.delegationOf(issuer, delegator);
+        }
+
+        getDelegations(delegator) {
+            return this.contract.getDelegations(delegator);
+        }
+
+        // { pending, amounts }: the undelegations and what each would claim now
+        getPendingUndelegations(delegator) {
+            return this.contract.getPendingUndelegations(delegator);
+        }
+
+        // Challenges against credentials: a bond from the challenger, then a vote or the arbiter
+
+        openChallenge(credentialHash, reason, evidenceHash) {
+            return sendTransaction(this, 'openChallenge', [credentialHash, reason, evidenceHash]);
+        }
+
+        respondToChallenge(challengeId, responseHash) {
+            return sendTransaction(this, 'respondToChallenge', [challengeId, responseHash]);
+        }
+
+        voteOnChallenge(challengeId, uphold) {
+            return sendTransaction(this, 'voteOnChallenge', [challengeId, uphold]);
+        }
+
+        finalizeChallenge(challengeId) {
+            return sendTransaction(this, 'finalizeChallenge', [challengeId]);
+        }
+
+        resolveChallenge(challengeId, upheld) {
+            return sendTransaction(this, 'resolveChallenge', [challengeId, upheld]);
+        }
+
+        getChallenge(challengeId) {
+            return this.contract.getChallenge(challengeId);
+        }
+
+        challengeCount() {
+            return this.contract.challengeCount();
+        }
+
+        getIssuerChallenges(issuer) {
+            return this.contract.getIssuerChallenges(issuer);
+        }
+
+        openChallengeOf(credentialHash) {
+            return this.contract.openChallengeOf(credentialHash);
+        }
+
+        hasVotedOnChallenge(challengeId, voter) {
+            return this.contract.hasVotedOnChallenge(challengeId, voter);
+        }
+
+        challengeBond() {
+            return this.contract.challengeBond();
+        }
+
+        slashBasisPoints() {
+            return this.contract.slashBasisPoints();
+        }
+
+        challengePeriod() {
+            return this.contract.CHALLENGE_PERIOD();
+        }
+
+        arbiter() {
+            return this.contract.arbiter();
+        }
+    }
+
+    // ============ AVSVCRegistry ============
+
+    class AVSVCRegistryClient {
+        constructor(ethersLib, address, runner) {
+            this.address = address;
+            this.contractName = 'AVSVCRegistry';
+            this.ethersLib = ethersLib;
+            this.contract = new ethersLib.Contract(address, CONTRACT_ABIS.AVSVCRegistry, runner);
+        }
+
+        // Operator staking
+
+        registerOperator(stakeAmount) {
+            return sendTransaction(this, 'registerOperator', [stakeAmount]);
+        }
+
+        addStake(amount) {
+            return sendTransaction(this, 'addStake', [amount]);
+        }
+
+        withdrawStake() {
+            return sendTransaction(this, 'withdrawStake', []);
+        }
+
+        getOperator(operator) {
+            return this.contract.getOperator(operator);
+        }
+
+        getActiveOperators() {
+            return this.contract.getActiveOperators();
+        }
+
+        getActiveOperatorCount() {
+            return this.contract.getActiveOperatorCount();
+        }
+
+        totalStake() {
+            return this.contract.totalStake();
+        }
+
+        minimumStake() {
+            return this.contract.MINIMUM_STAKE();
+        }
+
+        // Credentials
+
+        issueCredential(subject, credentialType, credentialData, expirationDate) {
+            return sendTransaction(this, 'issueCredential', [subject, credentialType, credentialData, expirationDate]);
+        }
+
+        async waitForIssuedCredential(tx) {
+            const receipt = await tx.wait();
+            const event = findEvent(this.contract, receipt, 'CredentialIssued');
+            return { receipt, credentialHash: event ? event.args.credentialHash : null };
+        }
+
+        isCredentialValid(credentialHash) {
+            return this.contract.isCredentialValid(credentialHash);
+        }
+
+        getCredential(credentialHash) {
+            return this.contract.getCredential(credentialHash);
+        }
+
+        getSubjectCredentials(subject) {
+            return this.contract.getSubjectCredentials(subject);
+        }
+
+        // Purge proposals
+
+        proposePurge(credentialHash, reason) {
+            return sendTransaction(this, 'proposePurge', [credentialHash, reason]);
+        }
+
+        async waitForPurgeProposal(tx) {
+            const receipt = await tx.wait();
+            const event = findEvent(this.contract, receipt, 'PurgeProposalCreated');
+            return { receipt, proposalId: event ? event.args.proposalId : null };
+        }
+
+        voteOnPurge(proposalId) {
+            return sendTransaction(this, 'voteOnPurge', [proposalId]);
+        }
+
+        executePurge(proposalId) {
+            return sendTransaction(this, 'executePurge', [proposalId]);
+        }
+
+        getPurgeProposal(proposalId) {
+            return this.contract.getPurgeProposal(proposalId);
+        }
+
+        hasVotedOnProposal(proposalId, operator) {
+            return this.contract.hasVotedOnProposal(proposalId, operator);
+        }
+
+        getQuorumRequirement() {
+            return this.contract.getQuorumRequirement();
+        }
+
+        purgeProposalCounter() {
+            return this.contract.purgeProposalCounter();
+        }
+    }
+
+    // ============ DID3 Token ============
+
+    // MockERC20 exposes the same ERC20 surface as the deployed DID3 token
+    class TokenClient {
+        constructor(ethersLib, address, runner) {
+            this.address = address;
+            this.contractName = 'DID3Token';
+            this.ethersLib = ethersLib;
+            this.contract = new ethersLib.Contract(address, CONTRACT_ABIS.MockERC20, runner);
+        }
+
+        approve(spender, amount) {
+            return sendTransaction(this, 'approve', [spender, amount]);
+        }
+
+        allowance(owner, spender) {
+            return this.contract.allowance(owner, spender);
+        }
+
+        balanceOf(account) {
+            return this.contract.balanceOf(account);
+        }
+
+        /**
+         * Whether the token accepts EIP-2612 permits
+         * @dev Checks that DOMAIN_SEPARATOR matches the domain signPermit signs for, so a token
+         *      with a different name or version is treated as permit-less rather than failing later
+         */
+        async supportsPermit() {
+            if (this.permitSupport === undefined) {
+                try {
+                    const [separator, domain] = await Promise.all([this.contract.DOMAIN_SEPARATOR(), this.permitDomain()]);
+                    const utils = ethersUtils(this.ethersLib);
+                    const encoder = utils._TypedDataEncoder || this.ethersLib.TypedDataEncoder;
+                    this.permitSupport = separator === encoder.hashDomain(domain);
+                } catch (error) {
+                    this.permitSupport = false;
+                }
+            }
+            return this.permitSupport;
+        }
+
+        async permitDomain() {
+            return {
+                name: await this.contract.name(),
+                version: '1',
+                chainId: await chainIdOf(this.contract),
+                verifyingContract: this.address
+            };
+        }
+
+        /**
+         * Sign an EIP-2612 permit letting `spender` take `value` from the connected account
+         * @return {Promise<{ deadline, v, r, s }>}
+         */
+        async signPermit(spender, value, deadline = Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS) {
+            const signer = signerOf(this.contract);
+            const owner = await signer.getAddress();
+            const message = { owner, spender, value, nonce: await this.contract.nonces(owner), deadline };
+            const domain = await this.permitDomain();
+
+            // ethers v5 signers still call it _signTypedData
+            const signature = signer._signTypedData
+                ? await signer._signTypedData(domain, PERMIT_TYPES, message)
+                : await signer.signTypedData(domain, PERMIT_TYPES, message);
+
+            const { v, r, s } = ethersUtils(this.ethersLib).splitSignature
+                ? ethersUtils(this.ethersLib).splitSignature(signature)
+                : this.ethersLib.Signature.from(signature);
+            return { deadline, v, r, s };
+        }
+    }
+
+    // ============ Staking ============
+
+    /**
+     * Stake tokens in as few transactions as the token allows
+     *
+     * Reads the balance and allowance first. An allowance that already covers the amount is used
+     * as is; otherwise a permit is signed when the token supports EIP-2612 and the caller has a
+     * permit entry point, so staking takes one transaction. Failing that, the allowance is raised
+     * to exactly the amount (approve sets it, so this approves only what is missing) before staking.
+     *
+     * @param {Object} options
+     * @param {TokenClient} options.token Staking token, connected to the staker's signer
+     * @param {string} options.owner Staker address
+     * @param {string} options.spender Contract that pulls the stake
+     * @param {BigNumber|bigint} options.amount
+     * @param {string} options.action Label of the staking transaction, e.g. 'Register as issuer'
+     * @param {Object} [options.args] Arguments recorded with the staking transaction
+     * @param {Function} options.stake (amount) => Promise<TransactionResponse>
+     * @param {Function} [options.stakeWithPermit] (amount, permit) => Promise<TransactionResponse>
+     * @param {Function} [options.run] (action, args, send) => Promise<receipt>, e.g. a
+     *        TransactionManager's run; defaults to sending and waiting
+     * @param {Function} [options.onStep] ('approve' | 'permit' | 'stake') => void, for progress messages
+     * @return {Promise<Object>} Receipt of the staking transaction
+     * @throws {ContractErrors.ContractError} INSUFFICIENT_TOKEN_BALANCE before anything is sent
+     */
+    async function stakeTokens({
+        token,
+        owner,
+        spender,
+        amount,
+        action,
+        args = {},
+        stake,
+        stakeWithPermit = null,
+        run = async (label, details, send) => (await send()).wait(),
+        onStep = () => {}
+    }) {
+        const [balance, allowance] = await Promise.all([token.balanceOf(owner), token.allowance(owner, spender)]);
+        if (toBigInt(balance) < toBigInt(amount)) {
+            throw new ContractErrors.ContractError({
+                code: 'INSUFFICIENT_TOKEN_BALANCE',
+                message: `Not enough DID3 in your wallet - you have ${ethersUtils(token.ethersLib).formatEther(balance)} DID3`,
+                contract: token.contractName
+            });
+        }
+
+        if (toBigInt(allowance) < toBigInt(amount)) {
+            if (stakeWithPermit && await token.supportsPermit()) {
+                onStep('permit');
+                const permit = await token.signPermit(spender, amount);
+                onStep('stake');
+                return run(action, args, () => stakeWithPermit(amount, permit));
+            }
+
+            onStep('approve');
+            await run('Approve DID3', { spender, amount: ethersUtils(token.ethersLib).formatEther(amount) }, () => token.approve(spender, amount));
+        }
+
+        onStep('stake');
+        return run(action, args, () => stake(amount));
+    }
+
+    // ============ Multicall ============
+
+    /**
+     * Batches view calls on any of the clients above into Multicall3 aggregate3 calls
+     * @dev Falls back to parallel single calls when no Multicall3 is deployed at the address
+     *      (e.g. a fresh local node), so callers never need two code paths
+     */
+    class MulticallClient {
+        constructor(ethersLib, address, runner) {
+            this.address = address;
+            this.runner = runner;
+            this.contract = new ethersLib.Contract(address, CONTRACT_ABIS.Multicall3, runner);
+            this.deployedPromise = null;
+        }
+
+        isDeployed() {
+            if (!this.deployedPromise) {
+                const provider = this.runner.provider || this.runner;
+                this.deployedPromise = provider.getCode(this.address).then(code => code !== '0x');
+            }
+            return this.deployedPromise;
+        }
+
+        /**
+         * Run view calls in as few round trips as possible
+         * @param {Array<{ client, method, args, allowFailure }>} calls client is any *Client instance
+         * @return {Array} Decoded results in call order; single-output functions are unwrapped and
+         *         failed calls with allowFailure resolve to null
+         */
+        async call(calls) {
+            if (calls.length === 0) return [];
+
+            if (!(await this.isDeployed())) {
+                return Promise.all(calls.map(call => this.callDirect(call)));
+            }
+
+            const results = [];
+            for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+                const batch = calls.slice(i, i + MULTICALL_BATCH_SIZE);
+                const responses = await staticCall(this.contract, 'aggregate3', [batch.map(call => ({
+                    target: call.client.address,
+                    allowFailure: Boolean(call.allowFailure),
+                    callData: call.client.contract.interface.encodeFunctionData(call.method, call.args || [])
+                }))]);
+
+                responses.forEach((response, index) => {
+                    results.push(response.success ? decodeResult(batch[index], response.returnData) : null);
+                });
+            }
+            return results;
+        }
+
+        /**
+         * Call one method once per argument list
+         * @example multicall.map(vcRegistry, 'getCredential', hashes.map(hash => [hash]))
+         */
+        map(client, method, argsList, { allowFailure = false } = {}) {
+            return this.call(argsList.map(args => ({ client, method, args, allowFailure })));
+        }
+
+        async callDirect({ client, method, args = [], allowFailure }) {
+            try {
+                return await staticCall(client.contract, method, args);
+            } catch (error) {
+                if (allowFailure) return null;
+                throw error;
+            }
+        }
+    }
+
+    function decodeResult({ client, method }, returnData) {
+        const result = client.contract.interface.decodeFunctionResult(method, returnData);
+        return result.length === 1 ? result[0] : result;
+    }
+
+    /**
+     * Create clients for every contract that has an address
+     * @param {Object} options
+     * @param {Object} options.runner Signer or provider
+     * @param {Object} options.addresses { vcRegistry, avsManagement, avsVcRegistry, did3Token, multicall },
+     *        e.g. Networks.deploymentAddresses(network, manifest)
+     * @param {Object} [options.ethers] ethers library (defaults to the browser global)
+     */
+    function createContracts({ runner, addresses = {}, ethers: ethersLib = defaultEthers() }) {
+        const contracts = {};
+
+        if (addresses.vcRegistry) {
+            contracts.vcRegistry = new VCRegistryClient(ethersLib, addresses.vcRegistry, runner);
+        }
+        if (addresses.avsManagement) {
+            contracts.avsManagement = new AVSManagementClient(ethersLib, addresses.avsManagement, runner);
+        }
+        if (addresses.avsVcRegistry) {
+            contracts.avsVcRegistry = new AVSVCRegistryClient(ethersLib, addresses.avsVcRegistry, runner);
+        }
+        if (addresses.did3Token) {
+            contracts.did3Token = new TokenClient(ethersLib, addresses.did3Token, runner);
+        }
+        contracts.multicall = new MulticallClient(ethersLib, addresses.multicall || MULTICALL3_ADDRESS, runner);
+
+        return contracts;
+    }
+
+    // ============ Read-only access ============
+
+    /**
+     * Provider for view calls over a network's RPC, for visitors without a wallet
+     * @param {Object} network networks.js entry
+     */
+    function readOnlyProvider(network, ethersLib = defaultEthers()) {
+        return new ethersLib.providers.StaticJsonRpcProvider(network.rpcUrl, { name: network.name, chainId: network.chainId });
+    }
+
+    // ============ Wallet (browser only) ============
+
+    function injectedEthereum() {
+        return typeof window === 'undefined' ? undefined : window.ethereum;
+    }
+
+    /**
+     * Request accounts from a wallet and build an ethers v5 provider/signer
+     * @param {Object} [ethereum] EIP-1193 provider, e.g. one announced over EIP-6963 (see
+     *        wallet-discovery.js); defaults to window.ethereum
+     * @param {Object} [options]
+     * @param {boolean} [options.request=true] Prompt for accounts; false only reuses accounts the
+     *        wallet already shares with the page (silent reconnect)
+     * @return {Promise<{ provider, signer, address, chainId, network }|null>} network is the
+     *         networks.js entry for the wallet's chain, or null if the chain is not in the registry;
+     *         null without `request` if no account is shared
+     */
+    async function connectWallet(ethereum = injectedEthereum(), { request = true } = {}) {
+        if (!ethereum) {
+            throw new Error('Please install MetaMask or another Web3 wallet!');
+        }
+
+        const ethersLib = defaultEthers();
+        const provider = new ethersLib.providers.Web3Provider(ethereum);
+        const accounts = await provider.send(request ? 'eth_requestAccounts' : 'eth_accounts', []);
+        if (accounts.length === 0) return null;
+
+        const signer = provider.getSigner();
+        const address = await signer.getAddress();
+        const network = await provider.getNetwork();
+
+        return {
+            provider,
+            signer,
+            address,
+            chainId: network.chainId,
+            network: Networks.getNetwork(network.chainId)
+        };
+    }
+
+    /**
+     * Ask the wallet to switch to a registry network, adding it if the wallet does not know it
+     * @param {Object} [network] networks.js entry (defaults to Networks.DEFAULT_NETWORK)
+     * @param {Object} [ethereum] EIP-1193 provider (defaults to window.ethereum)
+     */
+    async function switchNetwork(network = Networks.defaultNetwork(), ethereum = injectedEthereum()) {
+        try {
+            await ethereum.request({
+                method: 'wallet_switchEthereumChain',
+                params: [{ chainId: Networks.chainIdHex(network) }]
+            });
+        } catch (switchError) {
+            // Chain doesn't exist in the wallet yet, add it
+            if (switchError.code !== 4902) throw switchError;
+
+            await ethereum.request({
+                method: 'wallet_addEthereumChain',
+                params: [{
+                    chainId: Networks.chainIdHex(network),
+                    chainName: network.chainName,
+                    nativeCurrency: Networks.NATIVE_CURRENCY,
+                    rpcUrls: [network.rpcUrl],
+                    blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : null
+                }]
+            });
+        }
+    }
+
+    /**
+     * Show a status message in the page's status element
+     * @dev Works with both the fixed toast in app.html (.show class) and the inline
+     *      messages in index.html / avs-dashboard.html (display style). Errors stay visible.
+     */
+    function showStatus(message, type) {
+        const statusDiv = document.getElementById('avsStatusMessage') || document.getElementById('statusMessage');
+
+        if (!statusDiv) {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+
+        statusDiv.textContent = message;
+        statusDiv.className = `status-message show ${type}`;
+        statusDiv.style.display = 'block';
+
+        clearTimeout(statusDiv.hideTimer);
+        if (type !== 'error') {
+            statusDiv.hideTimer = setTimeout(() => {
+                statusDiv.classList.remove('show');
+                statusDiv.style.display = 'none';
+            }, 5000);
+        }
+    }
+
+    /**
+     * Stack a non-blocking toast in the corner of the page; it dismisses itself or on click
+     * @dev For background notices (live events) that should not replace the current status message
+     */
+    function showToast(message, type = 'info') {
+        let container = document.getElementById('toastContainer');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toastContainer';
+            container.className = 'toast-container';
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        toast.addEventListener('click', () => toast.remove());
+        container.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 8000);
+    }
+
+    /**
+     * 0x1234…abcd for addresses in messages
+     */
+    function shortAddress(address) {
+        return `${address.substring(0, 6)}…${address.substring(address.length - 4)}`;
+    }
+
+    /**
+     * Escape text for interpolation into innerHTML, including attribute values
+     */
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    return {
+        ABIS: CONTRACT_ABIS,
+        MULTICALL3_ADDRESS,
+        REVOCATION_REASONS,
+        NO_EVIDENCE_HASH,
+        CHALLENGE_REASONS,
+        CHALLENGE_STATUSES,
+        PERMIT_TTL_SECONDS,
+        VCRegistryClient,
+        AVSManagementClient,
+        AVSVCRegistryClient,
+        TokenClient,
+        MulticallClient,
+        createContracts,
+        stakeTokens,
+        findEvent,
+        findEvents,
+        encodeCredentialData,
+        decodeCredentialData,
+        getCredentialStatus,
+        revocationReasonLabel,
+        challengeStatusLabel,
+        toTimestamp,
+        readOnlyProvider,
+        connectWallet,
+        switchNetwork,
+        showStatus,
+        showToast,
+        shortAddress,
+        escapeHtml,
+        defaultEthers
+    };
+});
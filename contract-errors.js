@@ -0,0 +1,391 @@
+/**
+ * Contract error decoding for the VC Registry frontends
+ *
+ * Turns whatever a wallet, ethers or the node threw into a ContractError with a stable code
+ * (e.g. CREDENTIAL_NOT_FOUND) and a message a user can act on. Revert strings from every require
+ * in VCRegistry, AVSManagement and AVSVCRegistry, DID3AttestationCenter's custom errors, the DID3
+ * token's errors and Solidity panics are all mapped; anything else keeps its raw reason.
+ *
+ * The revert data is dug out of the error wherever the wallet or RPC put it (ethers v5 nests it
+ * under error.error or a JSON body, ethers v6 exposes error.data and error.reason), so the same
+ * decoder works for a callStatic preflight, a failed estimateGas and a Hardhat test.
+ *
+ * Browser: load after ethers, then use window.ContractErrors (contract-client.js needs it).
+ * Node:    const ContractErrors = require("./contract-errors"); pass hre.ethers as ethersLib.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // contract-client.js requires this module, so it is only looked up once an error is decoded
+        module.exports = factory(() => require('./contract-client'));
+    } else {
+        root.ContractErrors = factory(() => root.ContractClient);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (contractClient) {
+    'use strict';
+
+    // ============ Error tables ============
+
+    // require() messages per contract -> { code, message }
+    const REVERT_REASONS = {
+        VCRegistry: {
+            'Caller must be active issuer with minimum stake': { code: 'ISSUER_NOT_ACTIVE', message: 'Only active issuers with at least 999,999 DID3 staked can do this' },
+            'Only admin can perform this action': { code: 'NOT_ADMIN', message: 'Only the registry admin can do this' },
+            'Invalid AVSManagement address': { code: 'INVALID_ADDRESS', message: 'The AVSManagement address cannot be the zero address' },
+            'Invalid admin address': { code: 'INVALID_ADDRESS', message: 'The new admin cannot be the zero address' },
+            'Invalid address': { code: 'INVALID_ADDRESS', message: 'The address cannot be the zero address' },
+            'Invalid subject address': { code: 'INVALID_SUBJECT', message: 'The subject address cannot be the zero address' },
+            'Credential type cannot be empty': { code: 'EMPTY_CREDENTIAL_TYPE', message: 'Choose a credential type' },
+            'Credential already exists': { code: 'CREDENTIAL_EXISTS', message: 'An identical credential was already issued in this block - try again' },
+            'No credentials to issue': { code: 'EMPTY_BATCH', message: 'The batch has no credentials to issue' },
+            'Array lengths mismatch': { code: 'BATCH_LENGTH_MISMATCH', message: 'Every credential in the batch needs a subject, data and expiration date' },
+            'Credential does not exist': { code: 'CREDENTIAL_NOT_FOUND', message: 'No credential with this hash exists' },
+            'Credential has been purged': { code: 'CREDENTIAL_PURGED', message: 'This credential has been purged' },
+            'Credential already purged': { code: 'CREDENTIAL_ALREADY_PURGED', message: 'This credential is already purged' },
+            'Credential already revoked': { code: 'CREDENTIAL_ALREADY_REVOKED', message: 'This credential is already revoked' },
+            'Only original issuer can revoke': { code: 'NOT_CREDENTIAL_ISSUER', message: 'Only the issuer of this credential can revoke it' },
+            'Only original issuer can purge': { code: 'NOT_CREDENTIAL_ISSUER', message: 'Only the issuer of this credential can purge it' },
+            'Credential must be revoked or expired to purge': { code: 'CREDENTIAL_NOT_PURGEABLE', message: 'Only revoked or expired credentials can be purged' },
+            'ZK proof verification not yet implemented': { code: 'NOT_IMPLEMENTED', message: 'ZK proof verification is not available yet' },
+            'DeFi protocol integration not yet implemented': { code: 'NOT_IMPLEMENTED', message: 'DeFi protocol integration is not available yet' },
+            'Only AVSManagement can revoke challenged credentials': { code: 'NOT_AVS_MANAGEMENT', message: 'Only an upheld challenge can revoke a credential this way' }
+        },
+        AVSManagement: {
+            'Only owner can call this function': { code: 'NOT_OWNER', message: 'Only the AVSManagement owner can do this' },
+            'Caller is not an active issuer': { code: 'ISSUER_NOT_ACTIVE', message: 'Your account is not an active issuer' },
+            'Invalid token address': { code: 'INVALID_ADDRESS', message: 'The DID3 token address cannot be the zero address' },
+            'Stake amount below minimum required': { code: 'STAKE_BELOW_MINIMUM', message: 'Stake at least 100,000 DID3 of your own' },
+            'Issuer already registered': { code: 'ISSUER_ALREADY_REGISTERED', message: 'This account is already registered as an issuer' },
+            'Token transfer failed': { code: 'TOKEN_TRANSFER_FAILED', message: 'The DID3 transfer failed - check your balance and approve the tokens first' },
+            'Amount must be greater than 0': { code: 'AMOUNT_ZERO', message: 'Enter an amount greater than 0' },
+            'Issuer not registered': { code: 'ISSUER_NOT_REGISTERED', message: 'That account is not a registered issuer - register or reactivate first' },
+            'Insufficient stake': { code: 'INSUFFICIENT_STAKE', message: 'You have less than that amount staked' },
+            'Must withdraw all if going below minimum': { code: 'STAKE_BELOW_MINIMUM', message: 'Withdraw everything, or keep at least 100,000 DID3 of your own and 999,999 DID3 with delegations' },
+            'Issuer already active': { code: 'ISSUER_ALREADY_ACTIVE', message: 'This issuer is already active' },
+            'Issuer never registered': { code: 'ISSUER_NOT_REGISTERED', message: 'This account never registered as an issuer' },
+            'Issuer is not active': { code: 'ISSUER_NOT_ACTIVE', message: 'The issuer is not active' },
+            'New owner cannot be zero address': { code: 'INVALID_ADDRESS', message: 'The new owner cannot be the zero address' },
+            'Permit failed': { code: 'PERMIT_FAILED', message: 'The DID3 permit was not accepted - it may have expired, sign a new one' },
+            'Profile URI required': { code: 'PROFILE_URI_REQUIRED', message: 'Give the location of the profile document' },
+            'Profile hash required': { code: 'PROFILE_HASH_REQUIRED', message: 'The profile document hash is missing' },
+            'Reactivate to use remaining stake': { code: 'ISSUER_HAS_STAKE', message: 'This account still has stake from an earlier registration - reactivate instead' },
+            'Open challenges against issuer': { code: 'OPEN_CHALLENGES', message: 'Withdrawals and undelegations cannot be claimed while challenges against the issuer are open' },
+            'Too many pending withdrawals': { code: 'TOO_MANY_WITHDRAWALS', message: 'Claim one of your queued withdrawals before requesting another' },
+            'Withdrawal not found': { code: 'WITHDRAWAL_NOT_FOUND', message: 'No queued withdrawal with this ID belongs to your account' },
+            'Withdrawal still unbonding': { code: 'WITHDRAWAL_UNBONDING', message: 'This withdrawal is still unbonding - claim it once the countdown ends' },
+            'Too many pending undelegations': { code: 'TOO_MANY_UNDELEGATIONS', message: 'Claim one of your queued undelegations before requesting another' },
+            'Undelegation not found': { code: 'UNDELEGATION_NOT_FOUND', message: 'No queued undelegation with this ID belongs to your account' },
+            'Undelegation still unbonding': { code: 'UNDELEGATION_UNBONDING', message: 'This undelegation is still unbonding - claim it once the countdown ends' },
+            'Cannot delegate to self': { code: 'SELF_DELEGATION', message: 'Issuers add to their own stake with Add More Stake rather than delegating' },
+            'Insufficient delegation': { code: 'INSUFFICIENT_DELEGATION', message: 'You have less than that delegated to this issuer' },
+            'Unbonding period too long': { code: 'INVALID_UNBONDING_PERIOD', message: 'The unbonding period can be at most 90 days' },
+            'Unbonding period too short': { code: 'INVALID_UNBONDING_PERIOD', message: 'The unbonding period must be at least the 7-day challenge period' },
+            'Only arbiter can call this function': { code: 'NOT_ARBITER', message: 'Only the challenge arbiter can do this' },
+            'Credential registry not set': { code: 'CHALLENGES_DISABLED', message: 'Challenges are not enabled on this network - AVSManagement has no linked registry' },
+            'Invalid registry address': { code: 'INVALID_ADDRESS', message: 'The credential registry cannot be the zero address' },
+            'Invalid treasury address': { code: 'INVALID_ADDRESS', message: 'The treasury cannot be the zero address' },
+            'Invalid slash share': { code: 'INVALID_SLASH_SHARE', message: 'The slash share must be between 0.01% and 99.99%' },
+            'Challenge bond required': { code: 'CHALLENGE_BOND_REQUIRED', message: 'The challenge bond must be greater than 0' },
+            'Invalid challenge reason': { code: 'INVALID_CHALLENGE_REASON', message: 'Challenges are for fraudulent information or issuer error' },
+            'Evidence hash required': { code: 'EVIDENCE_REQUIRED', message: 'Attach evidence for the challenge' },
+            'Cannot challenge own credential': { code: 'OWN_CREDENTIAL', message: 'Issuers cannot challenge their own credentials - revoke it instead' },
+            'Credential already challenged': { code: 'CREDENTIAL_CHALLENGED', message: 'This credential already has an open challenge' },
+            'Issuer already slashed for credential': { code: 'ALREADY_SLASHED', message: 'The issuer was already slashed for this credential' },
+            'Challenge not open': { code: 'CHALLENGE_CLOSED', message: 'This challenge is not open' },
+            'Only challenged issuer can respond': { code: 'NOT_CHALLENGED_ISSUER', message: 'Only the issuer of the challenged credential can respond' },
+            'Response hash required': { code: 'RESPONSE_REQUIRED', message: 'Attach a response' },
+            'Challenge period ended': { code: 'CHALLENGE_PERIOD_ENDED', message: 'The 7-day challenge period has ended' },
+            'Challenge period not over': { code: 'CHALLENGE_PERIOD_ACTIVE', message: 'The vote can be finalized once the 7-day challenge period is over' },
+            'Parties cannot vote': { code: 'CHALLENGE_PARTY', message: 'The challenger and the challenged issuer cannot vote' },
+            'No voting stake when challenge opened': { code: 'NO_VOTING_STAKE', message: 'Only issuers that were active when the challenge opened can vote on it' },
+            'Block not yet mined': { code: 'BLOCK_NOT_MINED', message: 'Voting stake can only be read for past blocks' },
+            'Already voted': { code: 'ALREADY_VOTED', message: 'You already voted on this challenge' }
+        },
+        AVSVCRegistry: {
+            'Only admin': { code: 'NOT_ADMIN', message: 'Only the AVS registry admin can do this' },
+            'Not active operator': { code: 'OPERATOR_NOT_ACTIVE', message: 'Only active AVS operators can do this' },
+            'Not an active operator': { code: 'OPERATOR_NOT_ACTIVE', message: 'Your account is not an active AVS operator' },
+            'Operator not active': { code: 'OPERATOR_NOT_ACTIVE', message: 'That operator is not active' },
+            'Insufficient stake': { code: 'INSUFFICIENT_STAKE', message: 'Operators need at least 999,999 DID3 staked' },
+            'Already registered': { code: 'OPERATOR_ALREADY_REGISTERED', message: 'This account is already registered as an operator' },
+            'Token transfer failed': { code: 'TOKEN_TRANSFER_FAILED', message: 'The DID3 transfer failed - check your balance and approve the tokens first' },
+            'Stake amount must be greater than 0': { code: 'AMOUNT_ZERO', message: 'Enter a stake greater than 0' },
+            'No stake to withdraw': { code: 'NO_STAKE', message: 'You have no stake to withdraw' },
+            'Invalid subject': { code: 'INVALID_SUBJECT', message: 'The subject address cannot be the zero address' },
+            'Credential already exists': { code: 'CREDENTIAL_EXISTS', message: 'An identical credential was already issued in this block - try again' },
+            'Credential does not exist': { code: 'CREDENTIAL_NOT_FOUND', message: 'No credential with this hash exists' },
+            'Only issuer can propose purge': { code: 'NOT_CREDENTIAL_ISSUER', message: 'Only the issuer of this credential can propose purging it' },
+            'Invalid purge reason or credential status': { code: 'INVALID_PURGE_REASON', message: 'The credential is not in the state the purge reason requires' },
+            'Credential status no longer matches purge reason': { code: 'INVALID_PURGE_REASON', message: 'The credential no longer matches the proposal\'s purge reason' },
+            'Proposal does not exist': { code: 'PROPOSAL_NOT_FOUND', message: 'No purge proposal with this ID exists' },
+            'Proposal already executed': { code: 'PROPOSAL_EXECUTED', message: 'This purge proposal was already executed' },
+            'Already executed': { code: 'PROPOSAL_EXECUTED', message: 'This purge proposal was already executed' },
+            'Voting period ended': { code: 'VOTING_ENDED', message: 'Voting on this proposal has ended' },
+            'Already voted': { code: 'ALREADY_VOTED', message: 'You already voted on this proposal' },
+            'Quorum not reached': { code: 'QUORUM_NOT_REACHED', message: 'The proposal does not have enough voting power yet' },
+            'Proposer is not the issuer': { code: 'PROPOSER_NOT_ISSUER', message: 'The proposer is no longer the credential\'s issuer' },
+            'Invalid address': { code: 'INVALID_ADDRESS', message: 'The address cannot be the zero address' }
+        },
+        // MockERC20 and OpenZeppelin 4.x ERC20 messages
+        DID3Token: {
+            'Insufficient balance': { code: 'INSUFFICIENT_TOKEN_BALANCE', message: 'Not enough DID3 in your wallet' },
+            'Insufficient allowance': { code: 'INSUFFICIENT_ALLOWANCE', message: 'Approve the DID3 tokens first' },
+            'ERC20: transfer amount exceeds balance': { code: 'INSUFFICIENT_TOKEN_BALANCE', message: 'Not enough DID3 in your wallet' },
+            'ERC20: insufficient allowance': { code: 'INSUFFICIENT_ALLOWANCE', message: 'Approve the DID3 tokens first' },
+            'Permit expired': { code: 'PERMIT_EXPIRED', message: 'The DID3 permit has expired - sign a new one' },
+            'Invalid signature': { code: 'PERMIT_INVALID', message: 'The DID3 permit was not signed by this account' },
+            'ERC20Permit: expired deadline': { code: 'PERMIT_EXPIRED', message: 'The DID3 permit has expired - sign a new one' },
+            'ERC20Permit: invalid signature': { code: 'PERMIT_INVALID', message: 'The DID3 permit was not signed by this account' }
+        }
+    };
+
+    // Reasons that embed values, e.g. OpenZeppelin 4.x AccessControl
+    const REVERT_PATTERNS = [
+        { pattern: /^AccessControl: account \S+ is missing role/, code: 'MISSING_ROLE', message: 'Your account does not have the role this needs' },
+        { pattern: /^ReentrancyGuard: reentrant call/, code: 'REENTRANT_CALL', message: 'The contract rejected a reentrant call' }
+    ];
+
+    // Custom error signatures -> { code, message }
+    const CUSTOM_ERRORS = {
+        DID3AttestationCenter: {
+            'InvalidTaskType()': { code: 'INVALID_TASK_TYPE', message: 'Unknown attestation task type' },
+            'TaskNotFound()': { code: 'TASK_NOT_FOUND', message: 'No attestation task with this ID exists' },
+            'TaskAlreadyProcessed()': { code: 'TASK_ALREADY_PROCESSED', message: 'This attestation task was already processed' },
+            'InsufficientQuorum()': { code: 'INSUFFICIENT_QUORUM', message: 'The operators who signed do not reach the quorum' },
+            'TaskTypeDisabled()': { code: 'TASK_TYPE_DISABLED', message: 'This kind of attestation task is currently disabled' },
+            'InvalidQuorumPercentage()': { code: 'INVALID_QUORUM', message: 'The quorum must be at most 100%' },
+            'CredentialAlreadyRevoked()': { code: 'CREDENTIAL_ALREADY_REVOKED', message: 'This credential is already revoked' },
+            'CredentialNotFound()': { code: 'CREDENTIAL_NOT_FOUND', message: 'No credential with this hash exists' },
+            'InvalidSignature()': { code: 'INVALID_SIGNATURE', message: 'The operators\' BLS signature is invalid' },
+            'MinimumVotingPowerNotMet()': { code: 'MINIMUM_VOTING_POWER', message: 'An operator who signed is below the minimum voting power' },
+            'TaskExpired()': { code: 'TASK_EXPIRED', message: 'This attestation task has expired' },
+            'UnauthorizedIssuer()': { code: 'NOT_CREDENTIAL_ISSUER', message: 'Only the issuer of this credential can do this' }
+        },
+        // OpenZeppelin 5.x ERC20
+        DID3Token: {
+            'ERC20InsufficientBalance(address,uint256,uint256)': { code: 'INSUFFICIENT_TOKEN_BALANCE', message: 'Not enough DID3 in your wallet' },
+            'ERC20InsufficientAllowance(address,uint256,uint256)': { code: 'INSUFFICIENT_ALLOWANCE', message: 'Approve the DID3 tokens first' },
+            'ERC2612ExpiredSignature(uint256)': { code: 'PERMIT_EXPIRED', message: 'The DID3 permit has expired - sign a new one' },
+            'ERC2612InvalidSigner(address,address)': { code: 'PERMIT_INVALID', message: 'The DID3 permit was not signed by this account' }
+        }
+    };
+
+    // Panic(uint256) codes the compiler inserts
+    const PANIC_CODES = {
+        0x01: 'An internal assertion failed',
+        0x11: 'A number overflowed or underflowed',
+        0x12: 'Division by zero',
+        0x21: 'A value is out of range for its enum (e.g. an unknown revocation reason)',
+        0x32: 'An array index is out of bounds',
+        0x41: 'The contract ran out of memory'
+    };
+
+    const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+    const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+    // ethers error codes (v5 and v6) and EIP-1193 wallet codes
+    const WALLET_ERRORS = {
+        ACTION_REJECTED: { code: 'USER_REJECTED', message: 'You rejected the request in your wallet' },
+        4001: { code: 'USER_REJECTED', message: 'You rejected the request in your wallet' },
+        INSUFFICIENT_FUNDS: { code: 'INSUFFICIENT_FUNDS', message: 'Not enough ETH to pay for gas' },
+        NETWORK_ERROR: { code: 'NETWORK_ERROR', message: 'The network changed or could not be reached - try again' },
+        NONCE_EXPIRED: { code: 'NONCE_EXPIRED', message: 'The wallet used a nonce that is already taken - try again' },
+        REPLACEMENT_UNDERPRICED: { code: 'REPLACEMENT_UNDERPRICED', message: 'The replacement fee is too low' }
+    };
+
+    // ============ ContractError ============
+
+    class ContractError extends Error {
+        /**
+         * @param {Object} fields
+         * @param {string} fields.code Stable code, e.g. CREDENTIAL_NOT_FOUND
+         * @param {string} fields.message Human-readable explanation
+         * @param {string} [fields.revertReason] Raw require message or custom error signature
+         * @param {string} [fields.contract] Contract whose table matched
+         * @param {Error} [fields.cause] The original error
+         */
+        constructor({ code, message, revertReason = null, contract = null, cause = null }) {
+            super(message);
+            this.name = 'ContractError';
+            this.code = code;
+            this.revertReason = revertReason;
+            this.contract = contract;
+            this.cause = cause;
+        }
+    }
+
+    // ============ Helpers ============
+
+    function utilsOf(ethersLib) {
+        return ethersLib.utils || ethersLib;
+    }
+
+    function abiCoder(ethersLib) {
+        const utils = utilsOf(ethersLib);
+        return utils.defaultAbiCoder || ethersLib.AbiCoder.defaultAbiCoder();
+    }
+
+    let customErrorSelectors = null;
+
+    // selector -> { signature, contract, entry }, built on first use
+    function customErrorsBySelector(ethersLib) {
+        if (!customErrorSelectors) {
+            customErrorSelectors = {};
+            Object.entries(CUSTOM_ERRORS).forEach(([contract, errors]) => {
+                Object.entries(errors).forEach(([signature, entry]) => {
+                    customErrorSelectors[utilsOf(ethersLib).id(signature).substring(0, 10)] = { signature, contract, entry };
+                });
+            });
+        }
+        return customErrorSelectors;
+    }
+
+    /**
+     * Look up a revert string, preferring the named contract's table
+     * @return {{ code, message, contract }|null}
+     */
+    function lookupReason(reason, contract) {
+        const tables = contract && REVERT_REASONS[contract]
+            ? [[contract, REVERT_REASONS[contract]]].concat(Object.entries(REVERT_REASONS))
+            : Object.entries(REVERT_REASONS);
+
+        for (const [name, table] of tables) {
+            if (table[reason]) return Object.assign({ contract: name }, table[reason]);
+        }
+        const match = REVERT_PATTERNS.find(entry => entry.pattern.test(reason));
+        return match ? { code: match.code, message: match.message, contract: null } : null;
+    }
+
+    // Pull revert data, reason strings and codes out of however deeply the wallet/RPC nested them
+    function collectDetails(error) {
+        const details = { data: null, reasons: [], codes: [], messages: [] };
+        const seen = new Set();
+
+        const visit = (value, depth) => {
+            if (!value || typeof value !== 'object' || seen.has(value) || depth > 6) return;
+            seen.add(value);
+
+            if (!details.data && typeof value.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(value.data)) {
+                details.data = value.data;
+            }
+            if (typeof value.reason === 'string' && value.reason) details.reasons.push(value.reason);
+            if (value.code !== undefined) details.codes.push(value.code);
+            if (typeof value.message === 'string') details.messages.push(value.message);
+            if (typeof value.body === 'string') {
+                try {
+                    visit(JSON.parse(value.body), depth + 1);
+                } catch (parseError) {
+                    // Not a JSON-RPC body
+                }
+            }
+            ['error', 'data', 'cause', 'info', 'originalError'].forEach(key => visit(value[key], depth + 1));
+        };
+
+        visit(error, 0);
+
+        // Some providers only put the reason in the message text
+        details.messages.forEach(message => {
+            const match = message.match(/reverted with reason string '([^']*)'/) ||
+                message.match(/execution reverted: ([^"\n]+?)(?:"|\n|$)/) ||
+                message.match(/reason="([^"]*)"/);
+            if (match) details.reasons.push(match[1].trim());
+        });
+        return details;
+    }
+
+    function decodeRevertData(data, contract, ethersLib) {
+        const selector = data.substring(0, 10).toLowerCase();
+
+        if (selector === ERROR_STRING_SELECTOR) {
+            const [reason] = abiCoder(ethersLib).decode(['string'], '0x' + data.substring(10));
+            return fromReason(reason, contract);
+        }
+        if (selector === PANIC_SELECTOR) {
+            const [panicCode] = abiCoder(ethersLib).decode(['uint256'], '0x' + data.substring(10));
+            const code = Number(panicCode.toString());
+            return {
+                code: 'PANIC',
+                message: PANIC_CODES[code] || `The contract panicked (code 0x${code.toString(16)})`,
+                revertReason: `Panic(0x${code.toString(16)})`
+            };
+        }
+
+        const custom = customErrorsBySelector(ethersLib)[selector];
+        if (custom) {
+            return Object.assign({ revertReason: custom.signature, contract: custom.contract }, custom.entry);
+        }
+        return { code: 'CUSTOM_ERROR', message: `The contract rejected the call (error ${selector})`, revertReason: selector };
+    }
+
+    function fromReason(reason, contract) {
+        const cleaned = reason.replace(/^execution reverted:?\s*/, '');
+        if (!cleaned) return null;
+
+        const known = lookupReason(cleaned, contract);
+        return known
+            ? Object.assign({ revertReason: cleaned }, known)
+            : { code: 'REVERTED', message: cleaned, revertReason: cleaned };
+    }
+
+    // ============ Decoding ============
+
+    /**
+     * Decode any error from a contract call or wallet request
+     * @param {Error} error What ethers, the wallet or the node threw
+     * @param {Object} [options]
+     * @param {string} [options.contract] Contract that was called (VCRegistry, AVSManagement, AVSVCRegistry,
+     *        DID3AttestationCenter, DID3Token); its messages win when two contracts share a require string
+     * @param {Object} [options.ethers] ethers library (defaults to the browser global)
+     * @return {ContractError}
+     */
+    function decodeError(error, { contract = null, ethers: ethersLib = contractClient().defaultEthers() } = {}) {
+        if (error instanceof ContractError) return error;
+
+        const details = collectDetails(error);
+        const make = fields => new ContractError(Object.assign({ cause: error, contract }, fields));
+
+        const walletCode = details.codes.find(code => WALLET_ERRORS[code]);
+        if (walletCode === 'ACTION_REJECTED' || walletCode === 4001) return make(WALLET_ERRORS[walletCode]);
+
+        if (details.data) {
+            try {
+                const decoded = decodeRevertData(details.data, contract, ethersLib);
+                if (decoded) return make(decoded);
+            } catch (decodeFailure) {
+                // Not ABI-encoded revert data; fall back to the reason strings
+            }
+        }
+
+        for (const reason of details.reasons) {
+            const decoded = fromReason(reason, contract);
+            if (decoded) return make(decoded);
+        }
+
+        if (walletCode !== undefined) return make(WALLET_ERRORS[walletCode]);
+
+        // Nodes report an unfunded account as a plain server error
+        if (details.messages.some(message => /insufficient funds|doesn't have enough funds/i.test(message))) {
+            return make(WALLET_ERRORS.INSUFFICIENT_FUNDS);
+        }
+
+        if (details.codes.includes('CALL_EXCEPTION') || details.codes.includes('UNPREDICTABLE_GAS_LIMIT')) {
+            return make({ code: 'REVERTED', message: 'The contract rejected the call without a reason' });
+        }
+        return make({ code: 'UNKNOWN', message: (error && (error.shortMessage || error.message)) || 'Unknown error' });
+    }
+
+    /**
+     * The message to show a user for an error
+     */
+    function describeError(error, options) {
+        return decodeError(error, options).message;
+    }
+
+    return {
+        REVERT_REASONS,
+        CUSTOM_ERRORS,
+        PANIC_CODES,
+        ContractError,
+        decodeError,
+        describeError
+    };
+});
@@ -4,7 +4,8 @@ pragma solidity ^0.8.25;
 /**
  * @title AVSManagement
  * @dev Manages issuer staking in DID3 tokens for Verifiable Credential issuance
- * @notice Issuers must stake a minimum of 999,999 DID3 tokens to issue credentials
+ * @notice Issuers need 999,999 DID3 tokens staked to issue credentials: at least 100,000 of
+ *         their own, the rest delegated by any DID3 holder
  */
 
 interface IERC20 {
@@ -14,6 +15,31 @@ interface IERC20 {
     function allowance(address owner, address spender) external view returns (uint256);
 }
 
+interface IERC20Permit {
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+}
+
+interface ICredentialRegistry {
+    function getCredential(bytes32 credentialHash) external view returns (
+        address subject,
+        address issuer,
+        uint256 issuanceDate,
+        uint256 expirationDate,
+        bool isRevoked,
+        bool isPurged,
+        string memory credentialType
+    );
+    function revokeChallengedCredential(bytes32 credentialHash, uint8 reason, bytes32 evidenceHash) external returns (bool);
+}
+
 contract AVSManagement {
     // DID3 Token contract address on Base Sepolia
     IERC20 public immutable did3Token;
@@ -21,9 +47,58 @@ contract AVSManagement {
     // Minimum stake required to be an issuer (999,999 DID3 tokens)
     uint256 public constant MINIMUM_STAKE = 999_999 * 10**18;
 
+    // Least an issuer must stake itself; delegations can make up the rest of MINIMUM_STAKE
+    uint256 public constant MINIMUM_SELF_STAKE = 100_000 * 10**18;
+
+    // VCRegistry.RevocationReason codes a challenge can allege
+    uint8 public constant REASON_FRAUDULENT_INFORMATION = 2;
+    uint8 public constant REASON_ISSUER_ERROR = 6;
+
+    // How long the issuer has to respond and other issuers have to vote on a challenge
+    uint256 public constant CHALLENGE_PERIOD = 7 days;
+
+    // Share of the voting stake, as it stood when the challenge opened and without the parties',
+    // that must vote for a vote to count
+    uint256 public constant CHALLENGE_QUORUM = 5000;
+
+    // Share of the issuer's own slashed stake paid to the challenger of an upheld challenge; the
+    // rest of the slash, delegations included, goes to the treasury so a challenge the issuer
+    // opens against itself never pays
+    uint256 public constant CHALLENGER_REWARD_SHARE = 5000;
+
+    uint256 public constant BASIS_POINTS = 10000;
+
+    // Longest unbonding period the owner can set
+    uint256 public constant MAX_UNBONDING_PERIOD = 90 days;
+
+    // Queued withdrawals per issuer; bounded so slashing can always walk them
+    uint256 public constant MAX_PENDING_WITHDRAWALS = 10;
+
+    // Queued undelegations per delegator, bounded like withdrawals
+    uint256 public constant MAX_PENDING_UNDELEGATIONS = 10;
+
     // Owner of the contract
     address public owner;
 
+    // Resolves challenges directly; address(0) leaves them to the stake-weighted vote
+    address public arbiter;
+
+    // Receives slashed DID3 not paid to challengers
+    address public treasury;
+
+    // Registry whose credentials can be challenged and that revokes them when a challenge is upheld
+    ICredentialRegistry public credentialRegistry;
+
+    // Share of the issuer's stake taken by an upheld challenge, in basis points
+    uint256 public slashBasisPoints = 1000;
+
+    // DID3 a challenger locks; returned with a reward if the challenge is upheld, paid to the
+    // issuer if dismissed
+    uint256 public challengeBond = 10_000 * 10**18;
+
+    // How long requested withdrawals stay locked (and slashable) before they can be claimed
+    uint256 public unbondingPeriod = 7 days;
+
     // Issuer information
     struct IssuerInfo {
         uint256 stakedAmount;
@@ -34,15 +109,139 @@ contract AVSManagement {
         uint256 lastActivityTimestamp;
     }
 
+    // Public profile an issuer publishes about itself
+    struct IssuerProfile {
+        string uri;             // Where the signed profile document lives (https://, ipfs:// or data:)
+        bytes32 contentHash;    // keccak256 of the document's bytes
+        uint256 updatedAt;
+    }
+
     // Mapping from issuer address to their info
     mapping(address => IssuerInfo) public issuers;
 
+    enum ChallengeStatus { None, Open, Upheld, Dismissed }
+
+    // A claim that a credential was issued fraudulently or in error
+    struct Challenge {
+        bytes32 credentialHash;
+        ICredentialRegistry registry; // Where the credential is; kept if credentialRegistry changes
+        address issuer;
+        address challenger;
+        uint8 reason;           // REASON_FRAUDULENT_INFORMATION or REASON_ISSUER_ERROR
+        bytes32 evidenceHash;   // keccak256 of the challenger's off-chain evidence
+        bytes32 responseHash;   // keccak256 of the issuer's off-chain response (0 until it responds)
+        uint256 bond;
+        uint256 openedAt;
+        uint256 snapshotBlock;  // Votes and quorum use voting stake as of the end of this block
+        uint256 eligibleStake;  // Voting stake at snapshotBlock, less the parties'
+        uint256 respondedAt;
+        uint256 votesFor;       // Stake voting to uphold
+        uint256 votesAgainst;   // Stake voting to dismiss
+        uint256 slashedAmount;
+        uint256 challengerReward; // Part of slashedAmount paid to the challenger
+        ChallengeStatus status;
+    }
+
+    // Mapping from issuer address to their published profile
+    mapping(address => IssuerProfile) private issuerProfiles;
+
+    // Challenges by ID, starting at 1
+    mapping(uint256 => Challenge) private challenges;
+    uint256 public challengeCount;
+
+    // Challenge IDs against each issuer, oldest first
+    mapping(address => uint256[]) private issuerChallenges;
+
+    // Open challenges against each issuer; stake cannot be withdrawn while any are open
+    mapping(address => uint256) public openChallengeCount;
+
+    // The open challenge against a credential (0 if none), and whether one was upheld
+    mapping(bytes32 => uint256) public openChallengeOf;
+    mapping(bytes32 => bool) public credentialSlashed;
+
+    mapping(uint256 => mapping(address => bool)) private challengeVoted;
+
+    // A value from block fromBlock on
+    struct Checkpoint {
+        uint256 fromBlock;
+        uint256 value;
+    }
+
+    // Stake each issuer votes with (its effectiveStake while it is an active issuer, 0 otherwise)
+    // and the sum over issuers, so challenges can weigh votes as they stood when opened
+    mapping(address => Checkpoint[]) private votingStakeCheckpoints;
+    Checkpoint[] private totalVotingStakeCheckpoints;
+
+    // Stake on its way out: no longer counts toward isActiveIssuer, still slashable until claimed
+    struct Withdrawal {
+        uint256 id;
+        address issuer;
+        uint256 amount;         // Reduced if the issuer is slashed while it unbonds
+        uint256 requestedAt;
+        uint256 unlockTime;
+    }
+
+    // Withdrawals by ID, starting at 1; deleted once claimed
+    mapping(uint256 => Withdrawal) private withdrawals;
+    uint256 public withdrawalCount;
+
+    // Unclaimed withdrawal IDs of each issuer, and their total
+    mapping(address => uint256[]) private pendingWithdrawalIds;
+    mapping(address => uint256) public unbondingStake;
+
+    // DID3 delegated to an issuer. Delegators hold shares rather than amounts, so a slash cuts
+    // every position at once; undelegated DID3 moves to a second pool, slashed the same way
+    // until it is claimed
+    struct DelegationPool {
+        uint256 amount;
+        uint256 shares;
+        uint256 unbondingAmount;
+        uint256 unbondingShares;
+    }
+
+    // A delegator's position with one issuer
+    struct Delegation {
+        address issuer;
+        uint256 shares;
+        uint256 amount;         // Current value of the shares
+    }
+
+    // Delegated DID3 on its way back to the delegator
+    struct Undelegation {
+        uint256 id;
+        address delegator;
+        address issuer;
+        uint256 shares;         // Of the issuer's unbonding pool, so slashing reduces what it claims
+        uint256 requestedAt;
+        uint256 unlockTime;
+    }
+
+    // Delegation pool of each issuer, and each delegator's shares in it
+    mapping(address => DelegationPool) public delegationPools;
+    mapping(address => mapping(address => uint256)) private delegationShares;
+
+    // Issuers each delegator holds shares with
+    mapping(address => address[]) private delegatedIssuers;
+
+    // Undelegations by ID, starting at 1; deleted once claimed
+    mapping(uint256 => Undelegation) private undelegations;
+    uint256 public undelegationCount;
+
+    // Unclaimed undelegation IDs of each delegator
+    mapping(address => uint256[]) private pendingUndelegationIds;
+
     // Array of all issuer addresses for enumeration
     address[] public issuerAddresses;
 
-    // Total staked in the system
+    // Total staked in the system, delegations included, not counting unbonding withdrawals
     uint256 public totalStaked;
 
+    // Total delegated, also counted in totalStaked
+    uint256 public totalDelegated;
+
+    // Total in unbonding withdrawals and undelegations
+    uint256 public totalUnbonding;
+
     // Events
     event IssuerRegistered(address indexed issuer, uint256 stakedAmount, uint256 timestamp);
     event StakeAdded(address indexed issuer, uint256 amount, uint256 newTotal);
@@ -51,7 +250,33 @@ contract AVSManagement {
     event IssuerReactivated(address indexed issuer, uint256 timestamp);
     event CredentialIssued(address indexed issuer, bytes32 credentialHash);
     event CredentialRevoked(address indexed issuer, bytes32 credentialHash);
+    event IssuerProfileUpdated(address indexed issuer, string uri, bytes32 contentHash);
     event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event ChallengeOpened(
+        uint256 indexed challengeId,
+        bytes32 indexed credentialHash,
+        address indexed issuer,
+        address challenger,
+        uint8 reason,
+        bytes32 evidenceHash,
+        uint256 bond
+    );
+    event ChallengeResponded(uint256 indexed challengeId, address indexed issuer, bytes32 responseHash);
+    event ChallengeVoteCast(uint256 indexed challengeId, address indexed voter, bool uphold, uint256 weight);
+    event ChallengeResolved(uint256 indexed challengeId, address indexed issuer, bool upheld, bool byArbiter, uint256 slashedAmount);
+    event IssuerSlashed(address indexed issuer, uint256 amount, uint256 remaining, uint256 indexed challengeId);
+    event ArbiterUpdated(address indexed previousArbiter, address indexed newArbiter);
+    event CredentialRegistryUpdated(address indexed previousRegistry, address indexed newRegistry);
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event SlashDistributed(uint256 indexed challengeId, address indexed challenger, uint256 challengerReward, address indexed treasury, uint256 treasuryAmount);
+    event SlashingParametersUpdated(uint256 slashBasisPoints, uint256 challengeBond);
+    event WithdrawalRequested(address indexed issuer, uint256 indexed withdrawalId, uint256 amount, uint256 unlockTime);
+    event WithdrawalClaimed(address indexed issuer, uint256 indexed withdrawalId, uint256 amount);
+    event UnbondingPeriodUpdated(uint256 unbondingPeriod);
+    event Delegated(address indexed delegator, address indexed issuer, uint256 amount, uint256 delegatedTotal);
+    event UndelegationRequested(address indexed delegator, address indexed issuer, uint256 indexed undelegationId, uint256 amount, uint256 unlockTime);
+    event UndelegationClaimed(address indexed delegator, address indexed issuer, uint256 indexed undelegationId, uint256 amount);
+    event DelegationsSlashed(address indexed issuer, uint256 amount, uint256 indexed challengeId);
 
     // Modifiers
     modifier onlyOwner() {
@@ -59,6 +284,11 @@ contract AVSManagement {
         _;
     }
 
+    modifier onlyArbiter() {
+        require(arbiter != address(0) && msg.sender == arbiter, "Only arbiter can call this function");
+        _;
+    }
+
     modifier onlyActiveIssuer() {
         require(isActiveIssuer(msg.sender), "Caller is not an active issuer");
         _;
@@ -72,37 +302,40 @@ contract AVSManagement {
         require(_did3TokenAddress != address(0), "Invalid token address");
         did3Token = IERC20(_did3TokenAddress);
         owner = msg.sender;
+        arbiter = msg.sender;
+        treasury = msg.sender;
         emit OwnershipTransferred(address(0), msg.sender);
+        emit ArbiterUpdated(address(0), msg.sender);
+        emit TreasuryUpdated(address(0), msg.sender);
     }
 
     /**
      * @dev Register as an issuer by staking DID3 tokens
-     * @param stakeAmount Amount of DID3 tokens to stake (must be >= MINIMUM_STAKE)
+     * @notice Below MINIMUM_STAKE the issuer is registered but cannot issue until delegations
+     *         make up the difference
+     * @param stakeAmount Amount of DID3 tokens to stake (must be >= MINIMUM_SELF_STAKE)
      */
     function registerIssuer(uint256 stakeAmount) external {
-        require(stakeAmount >= MINIMUM_STAKE, "Stake amount below minimum required");
-        require(!issuers[msg.sender].isActive, "Issuer already registered");
-
-        // Transfer tokens from issuer to this contract
-        require(
-            did3Token.transferFrom(msg.sender, address(this), stakeAmount),
-            "Token transfer failed"
-        );
-
-        // Create issuer record
-        issuers[msg.sender] = IssuerInfo({
-            stakedAmount: stakeAmount,
-            isActive: true,
-            registrationTimestamp: block.timestamp,
-            totalCredentialsIssued: 0,
-            totalCredentialsRevoked: 0,
-            lastActivityTimestamp: block.timestamp
-        });
-
-        issuerAddresses.push(msg.sender);
-        totalStaked += stakeAmount;
+        _registerIssuer(stakeAmount);
+    }
 
-        emit IssuerRegistered(msg.sender, stakeAmount, block.timestamp);
+    /**
+     * @dev Register as an issuer in one transaction, approving the stake with an EIP-2612 permit
+     * @param stakeAmount Amount of DID3 tokens to stake (must be >= MINIMUM_SELF_STAKE)
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function registerIssuerWithPermit(
+        uint256 stakeAmount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _permit(stakeAmount, deadline, v, r, s);
+        _registerIssuer(stakeAmount);
     }
 
     /**
@@ -110,33 +343,44 @@ contract AVSManagement {
      * @param amount Amount of DID3 tokens to add
      */
     function addStake(uint256 amount) external {
-        require(amount > 0, "Amount must be greater than 0");
-        require(issuers[msg.sender].isActive, "Issuer not registered");
-
-        require(
-            did3Token.transferFrom(msg.sender, address(this), amount),
-            "Token transfer failed"
-        );
-
-        issuers[msg.sender].stakedAmount += amount;
-        issuers[msg.sender].lastActivityTimestamp = block.timestamp;
-        totalStaked += amount;
+        _addStake(amount);
+    }
 
-        emit StakeAdded(msg.sender, amount, issuers[msg.sender].stakedAmount);
+    /**
+     * @dev Add stake in one transaction, approving it with an EIP-2612 permit
+     * @param amount Amount of DID3 tokens to add
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function addStakeWithPermit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _permit(amount, deadline, v, r, s);
+        _addStake(amount);
     }
 
     /**
-     * @dev Withdraw stake (can withdraw down to minimum if still active, or all if deactivating)
+     * @dev Start withdrawing stake (while it and delegations still meet the minimums, or all of
+     *      it to deactivate). The amount leaves the active stake at once and can be claimed after
+     *      unbondingPeriod; until then it is slashed along with the stake
      * @param amount Amount of DID3 tokens to withdraw
+     * @return withdrawalId ID to claim the withdrawal with
      */
-    function withdrawStake(uint256 amount) external {
+    function requestWithdrawal(uint256 amount) external returns (uint256 withdrawalId) {
         require(amount > 0, "Amount must be greater than 0");
         require(issuers[msg.sender].stakedAmount >= amount, "Insufficient stake");
+        require(pendingWithdrawalIds[msg.sender].length < MAX_PENDING_WITHDRAWALS, "Too many pending withdrawals");
 
         uint256 remainingStake = issuers[msg.sender].stakedAmount - amount;
 
         // If withdrawing below minimum, deactivate the issuer
-        if (remainingStake < MINIMUM_STAKE) {
+        if (!_meetsMinimumStake(msg.sender, remainingStake)) {
             require(remainingStake == 0, "Must withdraw all if going below minimum");
             issuers[msg.sender].isActive = false;
             emit IssuerDeactivated(msg.sender, block.timestamp);
@@ -145,21 +389,53 @@ contract AVSManagement {
         issuers[msg.sender].stakedAmount = remainingStake;
         issuers[msg.sender].lastActivityTimestamp = block.timestamp;
         totalStaked -= amount;
+        _updateVotingStake(msg.sender);
 
-        require(
-            did3Token.transfer(msg.sender, amount),
-            "Token transfer failed"
-        );
+        withdrawalId = ++withdrawalCount;
+        uint256 unlockTime = block.timestamp + unbondingPeriod;
+        withdrawals[withdrawalId] = Withdrawal({
+            id: withdrawalId,
+            issuer: msg.sender,
+            amount: amount,
+            requestedAt: block.timestamp,
+            unlockTime: unlockTime
+        });
+        pendingWithdrawalIds[msg.sender].push(withdrawalId);
+        unbondingStake[msg.sender] += amount;
+        totalUnbonding += amount;
 
         emit StakeWithdrawn(msg.sender, amount, remainingStake);
+        emit WithdrawalRequested(msg.sender, withdrawalId, amount, unlockTime);
+    }
+
+    /**
+     * @dev Transfer an unbonded withdrawal to the issuer
+     * @notice Waits for open challenges against the issuer, which could still slash it
+     * @param withdrawalId ID from requestWithdrawal
+     */
+    function claimWithdrawal(uint256 withdrawalId) external {
+        Withdrawal memory withdrawal = withdrawals[withdrawalId];
+        require(withdrawal.issuer == msg.sender, "Withdrawal not found");
+        require(block.timestamp >= withdrawal.unlockTime, "Withdrawal still unbonding");
+        require(openChallengeCount[msg.sender] == 0, "Open challenges against issuer");
+
+        _removePendingWithdrawal(msg.sender, withdrawalId);
+        unbondingStake[msg.sender] -= withdrawal.amount;
+        totalUnbonding -= withdrawal.amount;
+
+        emit WithdrawalClaimed(msg.sender, withdrawalId, withdrawal.amount);
+        if (withdrawal.amount > 0) {
+            require(did3Token.transfer(msg.sender, withdrawal.amount), "Token transfer failed");
+        }
     }
 
     /**
      * @dev Reactivate a deactivated issuer by staking minimum amount
-     * @param stakeAmount Amount to stake (must be >= MINIMUM_STAKE)
+     * @notice Delegations left with the issuer count toward MINIMUM_STAKE again
+     * @param stakeAmount Amount to stake (must be >= MINIMUM_SELF_STAKE)
      */
     function reactivateIssuer(uint256 stakeAmount) external {
-        require(stakeAmount >= MINIMUM_STAKE, "Stake amount below minimum required");
+        require(stakeAmount >= MINIMUM_SELF_STAKE, "Stake amount below minimum required");
         require(issuers[msg.sender].registrationTimestamp > 0, "Issuer never registered");
         require(!issuers[msg.sender].isActive, "Issuer already active");
 
@@ -172,8 +448,278 @@ contract AVSManagement {
         issuers[msg.sender].isActive = true;
         issuers[msg.sender].lastActivityTimestamp = block.timestamp;
         totalStaked += stakeAmount;
+        _updateVotingStake(msg.sender);
 
         emit IssuerReactivated(msg.sender, block.timestamp);
+        // Stake history is rebuilt from StakeAdded/StakeWithdrawn, so reactivation stakes count too
+        emit StakeAdded(msg.sender, stakeAmount, issuers[msg.sender].stakedAmount);
+    }
+
+    /**
+     * @dev Delegate DID3 to a registered issuer, counting toward its stake
+     * @notice Delegations are slashed along with the issuer's own stake when a challenge
+     *         against it is upheld
+     * @param issuer Issuer to back
+     * @param amount Amount of DID3 tokens to delegate
+     */
+    function delegate(address issuer, uint256 amount) external {
+        _delegate(issuer, amount);
+    }
+
+    /**
+     * @dev Delegate in one transaction, approving it with an EIP-2612 permit
+     * @param issuer Issuer to back
+     * @param amount Amount of DID3 tokens to delegate
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function delegateWithPermit(
+        address issuer,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _permit(amount, deadline, v, r, s);
+        _delegate(issuer, amount);
+    }
+
+    /**
+     * @dev Start taking back delegated DID3. It stops counting toward the issuer's stake at once
+     *      and can be claimed after unbondingPeriod; until then it is slashed with the issuer
+     * @notice An issuer the undelegation takes below MINIMUM_STAKE stops being active (emitting
+     *         IssuerDeactivated) until delegations or its own stake make up the difference
+     * @param issuer Issuer the DID3 is delegated to
+     * @param amount Amount of DID3 tokens to undelegate
+     * @return undelegationId ID to claim the undelegation with
+     */
+    function requestUndelegation(address issuer, uint256 amount) external returns (uint256 undelegationId) {
+        require(amount > 0, "Amount must be greater than 0");
+        require(pendingUndelegationIds[msg.sender].length < MAX_PENDING_UNDELEGATIONS, "Too many pending undelegations");
+
+        DelegationPool storage pool = delegationPools[issuer];
+        require(pool.amount >= amount, "Insufficient delegation");
+        // Round up so a partial undelegation never takes more than its shares are worth
+        uint256 shares = (amount * pool.shares + pool.amount - 1) / pool.amount;
+        require(delegationShares[issuer][msg.sender] >= shares, "Insufficient delegation");
+
+        bool wasActive = isActiveIssuer(issuer);
+        delegationShares[issuer][msg.sender] -= shares;
+        if (delegationShares[issuer][msg.sender] == 0) {
+            _removeDelegatedIssuer(msg.sender, issuer);
+        }
+        pool.shares -= shares;
+        pool.amount -= amount;
+        totalDelegated -= amount;
+        totalStaked -= amount;
+
+        // isActive stays set, so the issuer can still take delegations and add stake
+        if (wasActive && !isActiveIssuer(issuer)) {
+            emit IssuerDeactivated(issuer, block.timestamp);
+        }
+        _updateVotingStake(issuer);
+
+        uint256 unbondingShares = pool.unbondingShares == 0
+            ? amount
+            : (amount * pool.unbondingShares) / pool.unbondingAmount;
+        pool.unbondingShares += unbondingShares;
+        pool.unbondingAmount += amount;
+        totalUnbonding += amount;
+
+        undelegationId = ++undelegationCount;
+        uint256 unlockTime = block.timestamp + unbondingPeriod;
+        undelegations[undelegationId] = Undelegation({
+            id: undelegationId,
+            delegator: msg.sender,
+            issuer: issuer,
+            shares: unbondingShares,
+            requestedAt: block.timestamp,
+            unlockTime: unlockTime
+        });
+        pendingUndelegationIds[msg.sender].push(undelegationId);
+
+        emit UndelegationRequested(msg.sender, issuer, undelegationId, amount, unlockTime);
+    }
+
+    /**
+     * @dev Transfer an unbonded undelegation to the delegator
+     * @notice Waits for open challenges against the issuer, which could still slash it
+     * @param undelegationId ID from requestUndelegation
+     */
+    function claimUndelegation(uint256 undelegationId) external {
+        Undelegation memory undelegation = undelegations[undelegationId];
+        require(undelegation.delegator == msg.sender, "Undelegation not found");
+        require(block.timestamp >= undelegation.unlockTime, "Undelegation still unbonding");
+        require(openChallengeCount[undelegation.issuer] == 0, "Open challenges against issuer");
+
+        DelegationPool storage pool = delegationPools[undelegation.issuer];
+        uint256 amount = (undelegation.shares * pool.unbondingAmount) / pool.unbondingShares;
+        pool.unbondingShares -= undelegation.shares;
+        pool.unbondingAmount -= amount;
+        totalUnbonding -= amount;
+
+        uint256[] storage ids = pendingUndelegationIds[msg.sender];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (ids[i] == undelegationId) {
+                ids[i] = ids[ids.length - 1];
+                ids.pop();
+                break;
+            }
+        }
+        delete undelegations[undelegationId];
+
+        emit UndelegationClaimed(msg.sender, undelegation.issuer, undelegationId, amount);
+        if (amount > 0) {
+            require(did3Token.transfer(msg.sender, amount), "Token transfer failed");
+        }
+    }
+
+    /**
+     * @dev Publish or replace the caller's issuer profile
+     * @notice The document is signed by the issuer (EIP-712), so it can be mirrored anywhere and
+     *         still be checked against contentHash and the issuer's address
+     * @param uri Location of the profile document
+     * @param contentHash keccak256 of the document's bytes
+     */
+    function setIssuerProfile(string calldata uri, bytes32 contentHash) external {
+        require(issuers[msg.sender].registrationTimestamp > 0, "Issuer never registered");
+        require(bytes(uri).length > 0, "Profile URI required");
+        require(contentHash != bytes32(0), "Profile hash required");
+
+        issuerProfiles[msg.sender] = IssuerProfile({
+            uri: uri,
+            contentHash: contentHash,
+            updatedAt: block.timestamp
+        });
+
+        emit IssuerProfileUpdated(msg.sender, uri, contentHash);
+    }
+
+    /**
+     * @dev Challenge a credential as fraudulent or issued in error, locking challengeBond DID3
+     * @notice Approve challengeBond first. The issuer's stake is locked until the challenge is
+     *         resolved; an upheld challenge slashes it and revokes the credential
+     * @param credentialHash Credential in credentialRegistry
+     * @param reason REASON_FRAUDULENT_INFORMATION or REASON_ISSUER_ERROR
+     * @param evidenceHash keccak256 of the evidence, published off-chain
+     * @return challengeId ID of the new challenge
+     */
+    function openChallenge(bytes32 credentialHash, uint8 reason, bytes32 evidenceHash) external returns (uint256 challengeId) {
+        require(address(credentialRegistry) != address(0), "Credential registry not set");
+        require(reason == REASON_FRAUDULENT_INFORMATION || reason == REASON_ISSUER_ERROR, "Invalid challenge reason");
+        require(evidenceHash != bytes32(0), "Evidence hash required");
+
+        (, address issuer, uint256 issuanceDate, , , bool isPurged, ) = credentialRegistry.getCredential(credentialHash);
+        require(issuanceDate != 0, "Credential does not exist");
+        require(!isPurged, "Credential has been purged");
+        require(issuer != msg.sender, "Cannot challenge own credential");
+        require(issuers[issuer].registrationTimestamp > 0, "Issuer never registered");
+        require(openChallengeOf[credentialHash] == 0, "Credential already challenged");
+        require(!credentialSlashed[credentialHash], "Issuer already slashed for credential");
+
+        uint256 bond = challengeBond;
+        require(
+            did3Token.transferFrom(msg.sender, address(this), bond),
+            "Token transfer failed"
+        );
+
+        challengeId = ++challengeCount;
+        Challenge storage challenge = challenges[challengeId];
+        challenge.credentialHash = credentialHash;
+        challenge.registry = credentialRegistry;
+        challenge.issuer = issuer;
+        challenge.challenger = msg.sender;
+        challenge.reason = reason;
+        challenge.evidenceHash = evidenceHash;
+        challenge.bond = bond;
+        challenge.openedAt = block.timestamp;
+        // The previous block, so stake added in the opening block cannot sway the vote
+        uint256 snapshotBlock = block.number - 1;
+        challenge.snapshotBlock = snapshotBlock;
+        challenge.eligibleStake = _checkpointAt(totalVotingStakeCheckpoints, snapshotBlock)
+            - _checkpointAt(votingStakeCheckpoints[issuer], snapshotBlock)
+            - _checkpointAt(votingStakeCheckpoints[msg.sender], snapshotBlock);
+        challenge.status = ChallengeStatus.Open;
+
+        issuerChallenges[issuer].push(challengeId);
+        openChallengeCount[issuer]++;
+        openChallengeOf[credentialHash] = challengeId;
+
+        emit ChallengeOpened(challengeId, credentialHash, issuer, msg.sender, reason, evidenceHash, bond);
+    }
+
+    /**
+     * @dev Answer a challenge against one of the caller's credentials
+     * @param challengeId Challenge to answer
+     * @param responseHash keccak256 of the response, published off-chain; a later call replaces it
+     */
+    function respondToChallenge(uint256 challengeId, bytes32 responseHash) external {
+        Challenge storage challenge = challenges[challengeId];
+        require(challenge.status == ChallengeStatus.Open, "Challenge not open");
+        require(msg.sender == challenge.issuer, "Only challenged issuer can respond");
+        require(block.timestamp <= challenge.openedAt + CHALLENGE_PERIOD, "Challenge period ended");
+        require(responseHash != bytes32(0), "Response hash required");
+
+        challenge.responseHash = responseHash;
+        challenge.respondedAt = block.timestamp;
+
+        emit ChallengeResponded(challengeId, msg.sender, responseHash);
+    }
+
+    /**
+     * @dev Vote on a challenge with the caller's voting stake as of the challenge's snapshotBlock
+     * @notice Open to active issuers that were active when the challenge was opened, except the
+     *         challenged issuer and the challenger
+     * @param challengeId Challenge to vote on
+     * @param uphold True to slash the issuer, false to dismiss the challenge
+     */
+    function voteOnChallenge(uint256 challengeId, bool uphold) external onlyActiveIssuer {
+        Challenge storage challenge = challenges[challengeId];
+        require(challenge.status == ChallengeStatus.Open, "Challenge not open");
+        require(block.timestamp <= challenge.openedAt + CHALLENGE_PERIOD, "Challenge period ended");
+        require(msg.sender != challenge.issuer && msg.sender != challenge.challenger, "Parties cannot vote");
+        require(!challengeVoted[challengeId][msg.sender], "Already voted");
+
+        uint256 weight = _checkpointAt(votingStakeCheckpoints[msg.sender], challenge.snapshotBlock);
+        require(weight > 0, "No voting stake when challenge opened");
+        challengeVoted[challengeId][msg.sender] = true;
+        if (uphold) {
+            challenge.votesFor += weight;
+        } else {
+            challenge.votesAgainst += weight;
+        }
+
+        emit ChallengeVoteCast(challengeId, msg.sender, uphold, weight);
+    }
+
+    /**
+     * @dev Settle a challenge by its vote once the challenge period is over (anyone can call)
+     * @notice Upheld when votes reach CHALLENGE_QUORUM of the challenge's eligibleStake and
+     *         more of them uphold than dismiss; dismissed otherwise
+     * @param challengeId Challenge to settle
+     */
+    function finalizeChallenge(uint256 challengeId) external {
+        Challenge storage challenge = challenges[challengeId];
+        require(challenge.status == ChallengeStatus.Open, "Challenge not open");
+        require(block.timestamp > challenge.openedAt + CHALLENGE_PERIOD, "Challenge period not over");
+
+        uint256 votes = challenge.votesFor + challenge.votesAgainst;
+        bool quorumReached = votes > 0 && votes * BASIS_POINTS >= challenge.eligibleStake * CHALLENGE_QUORUM;
+
+        _resolveChallenge(challengeId, quorumReached && challenge.votesFor > challenge.votesAgainst, false);
+    }
+
+    /**
+     * @dev Decide an open challenge directly, before or after its period ends
+     * @param challengeId Challenge to decide
+     * @param upheld True to slash the issuer and revoke the credential, false to dismiss
+     */
+    function resolveChallenge(uint256 challengeId, bool upheld) external onlyArbiter {
+        require(challenges[challengeId].status == ChallengeStatus.Open, "Challenge not open");
+        _resolveChallenge(challengeId, upheld, true);
     }
 
     /**
@@ -206,7 +752,49 @@ contract AVSManagement {
      * @return bool True if the address is an active issuer with sufficient stake
      */
     function isActiveIssuer(address issuer) public view returns (bool) {
-        return issuers[issuer].isActive && issuers[issuer].stakedAmount >= MINIMUM_STAKE;
+        return issuers[issuer].isActive && _meetsMinimumStake(issuer, issuers[issuer].stakedAmount);
+    }
+
+    /**
+     * @dev Get an issuer's own stake plus the DID3 delegated to it
+     * @param issuer Address of the issuer
+     * @return uint256 Stake counted toward MINIMUM_STAKE and challenge votes
+     */
+    function effectiveStake(address issuer) public view returns (uint256) {
+        return issuers[issuer].stakedAmount + delegationPools[issuer].amount;
+    }
+
+    /**
+     * @dev Get the stake an issuer votes on challenges with
+     * @param issuer Address of the issuer
+     * @param blockNumber A past block
+     * @return uint256 effectiveStake as of the end of the block if the issuer was active then, else 0
+     */
+    function getPastVotingStake(address issuer, uint256 blockNumber) external view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return _checkpointAt(votingStakeCheckpoints[issuer], blockNumber);
+    }
+
+    /**
+     * @dev Get the voting stake of all issuers
+     * @param blockNumber A past block
+     * @return uint256 Sum of getPastVotingStake over issuers as of the end of the block
+     */
+    function getPastTotalVotingStake(uint256 blockNumber) external view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return _checkpointAt(totalVotingStakeCheckpoints, blockNumber);
+    }
+
+    /**
+     * @dev Get what a delegator's shares with an issuer are worth
+     * @param issuer Address of the issuer
+     * @param delegator Address of the delegator
+     * @return uint256 DID3 the delegator could undelegate
+     */
+    function delegationOf(address issuer, address delegator) public view returns (uint256) {
+        DelegationPool storage pool = delegationPools[issuer];
+        if (pool.shares == 0) return 0;
+        return (delegationShares[issuer][delegator] * pool.amount) / pool.shares;
     }
 
     /**
@@ -218,6 +806,92 @@ contract AVSManagement {
         return issuers[issuer];
     }
 
+    /**
+     * @dev Get an issuer's unclaimed withdrawals
+     * @param issuer Address of the issuer
+     * @return Withdrawal[] In no particular order
+     */
+    function getPendingWithdrawals(address issuer) external view returns (Withdrawal[] memory) {
+        uint256[] storage ids = pendingWithdrawalIds[issuer];
+        Withdrawal[] memory pending = new Withdrawal[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            pending[i] = withdrawals[ids[i]];
+        }
+        return pending;
+    }
+
+    /**
+     * @dev Get a delegator's positions
+     * @param delegator Address of the delegator
+     * @return Delegation[] One per issuer the delegator holds shares with, in no particular order
+     */
+    function getDelegations(address delegator) external view returns (Delegation[] memory) {
+        address[] storage backed = delegatedIssuers[delegator];
+        Delegation[] memory positions = new Delegation[](backed.length);
+        for (uint256 i = 0; i < backed.length; i++) {
+            positions[i] = Delegation({
+                issuer: backed[i],
+                shares: delegationShares[backed[i]][delegator],
+                amount: delegationOf(backed[i], delegator)
+            });
+        }
+        return positions;
+    }
+
+    /**
+     * @dev Get a delegator's unclaimed undelegations
+     * @param delegator Address of the delegator
+     * @return pending Undelegation structs, in no particular order
+     * @return amounts What each would claim now
+     */
+    function getPendingUndelegations(address delegator) external view returns (
+        Undelegation[] memory pending,
+        uint256[] memory amounts
+    ) {
+        uint256[] storage ids = pendingUndelegationIds[delegator];
+        pending = new Undelegation[](ids.length);
+        amounts = new uint256[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            pending[i] = undelegations[ids[i]];
+            DelegationPool storage pool = delegationPools[pending[i].issuer];
+            amounts[i] = (pending[i].shares * pool.unbondingAmount) / pool.unbondingShares;
+        }
+    }
+
+    /**
+     * @dev Get an issuer's published profile
+     * @param issuer Address of the issuer
+     * @return IssuerProfile struct (empty uri if none was published)
+     */
+    function getIssuerProfile(address issuer) external view returns (IssuerProfile memory) {
+        return issuerProfiles[issuer];
+    }
+
+    /**
+     * @dev Get a challenge
+     * @param challengeId ID from ChallengeOpened
+     * @return Challenge struct (status None if it does not exist)
+     */
+    function getChallenge(uint256 challengeId) external view returns (Challenge memory) {
+        return challenges[challengeId];
+    }
+
+    /**
+     * @dev Get the IDs of every challenge opened against an issuer
+     * @param issuer Address of the issuer
+     * @return uint256[] Challenge IDs, oldest first
+     */
+    function getIssuerChallenges(address issuer) external view returns (uint256[] memory) {
+        return issuerChallenges[issuer];
+    }
+
+    /**
+     * @dev Check whether an issuer has voted on a challenge
+     */
+    function hasVotedOnChallenge(uint256 challengeId, address voter) external view returns (bool) {
+        return challengeVoted[challengeId][voter];
+    }
+
     /**
      * @dev Get total number of registered issuers
      * @return uint256 Total count of issuers
@@ -265,6 +939,68 @@ contract AVSManagement {
         emit OwnershipTransferred(oldOwner, newOwner);
     }
 
+    /**
+     * @dev Set who resolves challenges directly
+     * @param newArbiter Arbiter address, or address(0) to leave every challenge to the vote
+     */
+    function setArbiter(address newArbiter) external onlyOwner {
+        address oldArbiter = arbiter;
+        arbiter = newArbiter;
+        emit ArbiterUpdated(oldArbiter, newArbiter);
+    }
+
+    /**
+     * @dev Set who receives the slashed DID3 not paid to challengers
+     * @param newTreasury Treasury address
+     */
+    function setTreasury(address newTreasury) external onlyOwner {
+        require(newTreasury != address(0), "Invalid treasury address");
+        address oldTreasury = treasury;
+        treasury = newTreasury;
+        emit TreasuryUpdated(oldTreasury, newTreasury);
+    }
+
+    /**
+     * @dev Link the VCRegistry whose credentials can be challenged
+     * @notice The registry must name this contract as its AVSManagement to accept revocations from it.
+     *         Open challenges still resolve against the registry they were opened in
+     * @param registry Address of the VCRegistry
+     */
+    function setCredentialRegistry(address registry) external onlyOwner {
+        require(registry != address(0), "Invalid registry address");
+        address oldRegistry = address(credentialRegistry);
+        credentialRegistry = ICredentialRegistry(registry);
+        emit CredentialRegistryUpdated(oldRegistry, registry);
+    }
+
+    /**
+     * @dev Set the slashed share of stake and the challenge bond; open challenges keep their bond
+     * @notice Never the whole stake: a slash that emptied a delegation pool would leave its
+     *         shares with nothing to price new delegations against
+     * @param newSlashBasisPoints Share of stake an upheld challenge slashes (1 to 9999)
+     * @param newChallengeBond DID3 locked by each new challenge
+     */
+    function setSlashingParameters(uint256 newSlashBasisPoints, uint256 newChallengeBond) external onlyOwner {
+        require(newSlashBasisPoints > 0 && newSlashBasisPoints < BASIS_POINTS, "Invalid slash share");
+        require(newChallengeBond > 0, "Challenge bond required");
+        slashBasisPoints = newSlashBasisPoints;
+        challengeBond = newChallengeBond;
+        emit SlashingParametersUpdated(newSlashBasisPoints, newChallengeBond);
+    }
+
+    /**
+     * @dev Set how long new withdrawals unbond; queued withdrawals keep their unlock time
+     * @notice At least CHALLENGE_PERIOD, so stake cannot leave before a challenge against a
+     *         credential issued with it could be opened and decided
+     * @param newUnbondingPeriod Seconds, from CHALLENGE_PERIOD to MAX_UNBONDING_PERIOD
+     */
+    function setUnbondingPeriod(uint256 newUnbondingPeriod) external onlyOwner {
+        require(newUnbondingPeriod >= CHALLENGE_PERIOD, "Unbonding period too short");
+        require(newUnbondingPeriod <= MAX_UNBONDING_PERIOD, "Unbonding period too long");
+        unbondingPeriod = newUnbondingPeriod;
+        emit UnbondingPeriodUpdated(newUnbondingPeriod);
+    }
+
     /**
      * @dev Get contract statistics
      * @return totalIssuers Total number of registered issuers
@@ -286,4 +1022,269 @@ contract AVSManagement {
 
         totalStakedAmount = totalStaked;
     }
+
+    /**
+     * @dev Shared by registerIssuer and registerIssuerWithPermit
+     */
+    function _registerIssuer(uint256 stakeAmount) internal {
+        require(stakeAmount >= MINIMUM_SELF_STAKE, "Stake amount below minimum required");
+        require(!issuers[msg.sender].isActive, "Issuer already registered");
+        require(issuers[msg.sender].stakedAmount == 0, "Reactivate to use remaining stake");
+
+        // Transfer tokens from issuer to this contract
+        require(
+            did3Token.transferFrom(msg.sender, address(this), stakeAmount),
+            "Token transfer failed"
+        );
+
+        // Create issuer record
+        issuers[msg.sender] = IssuerInfo({
+            stakedAmount: stakeAmount,
+            isActive: true,
+            registrationTimestamp: block.timestamp,
+            totalCredentialsIssued: 0,
+            totalCredentialsRevoked: 0,
+            lastActivityTimestamp: block.timestamp
+        });
+
+        issuerAddresses.push(msg.sender);
+        totalStaked += stakeAmount;
+        _updateVotingStake(msg.sender);
+
+        emit IssuerRegistered(msg.sender, stakeAmount, block.timestamp);
+    }
+
+    /**
+     * @dev Shared by addStake and addStakeWithPermit
+     */
+    function _addStake(uint256 amount) internal {
+        require(amount > 0, "Amount must be greater than 0");
+        require(issuers[msg.sender].isActive, "Issuer not registered");
+
+        require(
+            did3Token.transferFrom(msg.sender, address(this), amount),
+            "Token transfer failed"
+        );
+
+        issuers[msg.sender].stakedAmount += amount;
+        issuers[msg.sender].lastActivityTimestamp = block.timestamp;
+        totalStaked += amount;
+        _updateVotingStake(msg.sender);
+
+        emit StakeAdded(msg.sender, amount, issuers[msg.sender].stakedAmount);
+    }
+
+    /**
+     * @dev Shared by delegate and delegateWithPermit
+     */
+    function _delegate(address issuer, uint256 amount) internal {
+        require(amount > 0, "Amount must be greater than 0");
+        require(issuers[issuer].isActive, "Issuer not registered");
+        require(issuer != msg.sender, "Cannot delegate to self");
+
+        require(
+            did3Token.transferFrom(msg.sender, address(this), amount),
+            "Token transfer failed"
+        );
+
+        DelegationPool storage pool = delegationPools[issuer];
+        uint256 shares = pool.shares == 0 ? amount : (amount * pool.shares) / pool.amount;
+        if (delegationShares[issuer][msg.sender] == 0) {
+            delegatedIssuers[msg.sender].push(issuer);
+        }
+        delegationShares[issuer][msg.sender] += shares;
+        pool.shares += shares;
+        pool.amount += amount;
+        totalDelegated += amount;
+        totalStaked += amount;
+        _updateVotingStake(issuer);
+
+        emit Delegated(msg.sender, issuer, amount, pool.amount);
+    }
+
+    /**
+     * @dev Close a challenge. Upheld: slash the issuer, revoke the credential, pay the challenger
+     *      its bond plus CHALLENGER_REWARD_SHARE of the issuer's own slashed stake and the rest of
+     *      the slash to the treasury. Dismissed: pay the bond to the issuer
+     */
+    function _resolveChallenge(uint256 challengeId, bool upheld, bool byArbiter) internal {
+        Challenge storage challenge = challenges[challengeId];
+        address issuer = challenge.issuer;
+
+        challenge.status = upheld ? ChallengeStatus.Upheld : ChallengeStatus.Dismissed;
+        openChallengeCount[issuer]--;
+        openChallengeOf[challenge.credentialHash] = 0;
+
+        if (!upheld) {
+            emit ChallengeResolved(challengeId, issuer, false, byArbiter, 0);
+            require(did3Token.transfer(issuer, challenge.bond), "Token transfer failed");
+            return;
+        }
+
+        credentialSlashed[challenge.credentialHash] = true;
+        (uint256 slashed, uint256 issuerSlashed) = _slash(issuer, challengeId);
+        uint256 reward = (issuerSlashed * CHALLENGER_REWARD_SHARE) / BASIS_POINTS;
+        challenge.slashedAmount = slashed;
+        challenge.challengerReward = reward;
+
+        // Already revoked or purged credentials stay as they are; the slash stands regardless
+        if (challenge.registry.revokeChallengedCredential(challenge.credentialHash, challenge.reason, challenge.evidenceHash)) {
+            issuers[issuer].totalCredentialsRevoked++;
+            emit CredentialRevoked(issuer, challenge.credentialHash);
+        }
+
+        emit ChallengeResolved(challengeId, issuer, true, byArbiter, slashed);
+        emit SlashDistributed(challengeId, challenge.challenger, reward, treasury, slashed - reward);
+        require(did3Token.transfer(challenge.challenger, challenge.bond + reward), "Token transfer failed");
+        if (slashed > reward) {
+            require(did3Token.transfer(treasury, slashed - reward), "Token transfer failed");
+        }
+    }
+
+    /**
+     * @dev Take slashBasisPoints of the issuer's stake, of each of its unbonding withdrawals and
+     *      of its delegation pools. An issuer left below MINIMUM_SELF_STAKE of its own is
+     *      deactivated; one left below MINIMUM_STAKE only by its delegations stays registered, so
+     *      delegations or more of its own stake make it active again
+     * @return amount Everything slashed
+     * @return issuerAmount The part taken from the issuer's own stake and withdrawals
+     */
+    function _slash(address issuer, uint256 challengeId) internal returns (uint256 amount, uint256 issuerAmount) {
+        IssuerInfo storage info = issuers[issuer];
+        bool wasActive = isActiveIssuer(issuer);
+        amount = (info.stakedAmount * slashBasisPoints) / BASIS_POINTS;
+
+        info.stakedAmount -= amount;
+        totalStaked -= amount;
+
+        uint256[] storage ids = pendingWithdrawalIds[issuer];
+        uint256 unbondingSlashed = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            Withdrawal storage withdrawal = withdrawals[ids[i]];
+            uint256 cut = (withdrawal.amount * slashBasisPoints) / BASIS_POINTS;
+            withdrawal.amount -= cut;
+            unbondingSlashed += cut;
+        }
+        unbondingStake[issuer] -= unbondingSlashed;
+        totalUnbonding -= unbondingSlashed;
+        amount += unbondingSlashed;
+        issuerAmount = amount;
+
+        DelegationPool storage pool = delegationPools[issuer];
+        uint256 delegationSlashed = (pool.amount * slashBasisPoints) / BASIS_POINTS;
+        uint256 undelegationSlashed = (pool.unbondingAmount * slashBasisPoints) / BASIS_POINTS;
+        pool.amount -= delegationSlashed;
+        pool.unbondingAmount -= undelegationSlashed;
+        totalDelegated -= delegationSlashed;
+        totalStaked -= delegationSlashed;
+        totalUnbonding -= undelegationSlashed;
+        if (delegationSlashed + undelegationSlashed > 0) {
+            amount += delegationSlashed + undelegationSlashed;
+            emit DelegationsSlashed(issuer, delegationSlashed + undelegationSlashed, challengeId);
+        }
+
+        if (info.isActive && info.stakedAmount < MINIMUM_SELF_STAKE) {
+            info.isActive = false;
+            emit IssuerDeactivated(issuer, block.timestamp);
+        } else if (wasActive && !isActiveIssuer(issuer)) {
+            emit IssuerDeactivated(issuer, block.timestamp);
+        }
+        _updateVotingStake(issuer);
+
+        emit IssuerSlashed(issuer, amount, info.stakedAmount, challengeId);
+    }
+
+    /**
+     * @dev Checkpoint the issuer's voting stake, and the total, after its stake or status changed
+     */
+    function _updateVotingStake(address issuer) internal {
+        uint256 weight = isActiveIssuer(issuer) ? effectiveStake(issuer) : 0;
+        Checkpoint[] storage checkpoints = votingStakeCheckpoints[issuer];
+        uint256 previous = checkpoints.length == 0 ? 0 : checkpoints[checkpoints.length - 1].value;
+        if (weight == previous) return;
+
+        uint256 total = totalVotingStakeCheckpoints.length == 0
+            ? 0
+            : totalVotingStakeCheckpoints[totalVotingStakeCheckpoints.length - 1].value;
+        _writeCheckpoint(checkpoints, weight);
+        _writeCheckpoint(totalVotingStakeCheckpoints, total + weight - previous);
+    }
+
+    /**
+     * @dev Record a value from the current block on, replacing one written earlier in the block
+     */
+    function _writeCheckpoint(Checkpoint[] storage checkpoints, uint256 value) internal {
+        uint256 length = checkpoints.length;
+        if (length > 0 && checkpoints[length - 1].fromBlock == block.number) {
+            checkpoints[length - 1].value = value;
+        } else {
+            checkpoints.push(Checkpoint({ fromBlock: block.number, value: value }));
+        }
+    }
+
+    /**
+     * @dev Value of checkpoints as of the end of blockNumber (0 before the first one)
+     */
+    function _checkpointAt(Checkpoint[] storage checkpoints, uint256 blockNumber) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = checkpoints.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (checkpoints[mid].fromBlock > blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low == 0 ? 0 : checkpoints[low - 1].value;
+    }
+
+    /**
+     * @dev Whether `selfStake` of the issuer's own meets MINIMUM_SELF_STAKE and, with the
+     *      issuer's delegations, MINIMUM_STAKE
+     */
+    function _meetsMinimumStake(address issuer, uint256 selfStake) internal view returns (bool) {
+        return selfStake >= MINIMUM_SELF_STAKE && selfStake + delegationPools[issuer].amount >= MINIMUM_STAKE;
+    }
+
+    /**
+     * @dev Drop an issuer from a delegator's list once it holds no shares with it
+     */
+    function _removeDelegatedIssuer(address delegator, address issuer) internal {
+        address[] storage backed = delegatedIssuers[delegator];
+        for (uint256 i = 0; i < backed.length; i++) {
+            if (backed[i] == issuer) {
+                backed[i] = backed[backed.length - 1];
+                backed.pop();
+                break;
+            }
+        }
+    }
+
+    /**
+     * @dev Delete a claimed withdrawal and drop it from the issuer's pending list
+     */
+    function _removePendingWithdrawal(address issuer, uint256 withdrawalId) internal {
+        uint256[] storage ids = pendingWithdrawalIds[issuer];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (ids[i] == withdrawalId) {
+                ids[i] = ids[ids.length - 1];
+                ids.pop();
+                break;
+            }
+        }
+        delete withdrawals[withdrawalId];
+    }
+
+    /**
+     * @dev Apply the caller's permit for `amount`
+     * @notice A permit is public once it is in the mempool, so anyone can submit it first and make
+     *         this call revert on a used nonce; the permit still counts if the allowance is in place
+     */
+    function _permit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        try IERC20Permit(address(did3Token)).permit(msg.sender, address(this), amount, deadline, v, r, s) {
+        } catch {
+        }
+        require(did3Token.allowance(msg.sender, address(this)) >= amount, "Permit failed");
+    }
 }
@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.25;
+
+/**
+ * @title Multicall3
+ * @dev Read-batching subset of the canonical Multicall3 (0xcA11bde05977b3631167028862bE2a173976CA11).
+ * Base Sepolia already has the canonical deployment; this copy exists so local Hardhat networks
+ * expose the same aggregate3 interface to the frontends.
+ */
+contract Multicall3 {
+    // ============ Structs ============
+
+    struct Call {
+        address target;
+        bytes callData;
+    }
+
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    // ============ Aggregation ============
+
+    /**
+     * @dev Execute calls in order and revert if any of them fails
+     * @param calls Targets and encoded calldata
+     * @return blockNumber Block the calls were executed in
+     * @return returnData Raw return data per call
+     */
+    function aggregate(Call[] calldata calls)
+        external
+        payable
+        returns (uint256 blockNumber, bytes[] memory returnData)
+    {
+        blockNumber = block.number;
+        returnData = new bytes[](calls.length);
+
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory result) = calls[i].target.call(calls[i].callData);
+            require(success, "Multicall3: call failed");
+            returnData[i] = result;
+        }
+    }
+
+    /**
+     * @dev Execute calls in order, reverting only for failed calls that do not allow failure
+     * @param calls Targets, failure policy and encoded calldata
+     * @return returnData Success flag and raw return data per call
+     */
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory result) = calls[i].target.call(calls[i].callData);
+            require(success || calls[i].allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, result);
+        }
+    }
+
+    // ============ Block Helpers ============
+
+    function getBlockNumber() external view returns (uint256) {
+        return block.number;
+    }
+
+    function getCurrentBlockTimestamp() external view returns (uint256) {
+        return block.timestamp;
+    }
+
+    function getEthBalance(address account) external view returns (uint256) {
+        return account.balance;
+    }
+}
@@ -16,6 +16,19 @@ interface IAVSManagement {
 
 contract VCRegistry {
 
+    // ============ Enums ============
+
+    /// @notice Why an issuer revoked a credential
+    enum RevocationReason {
+        Unspecified,           // No reason given
+        KeyCompromise,         // Subject's wallet or keys are compromised
+        FraudulentInformation, // Claims were false or obtained fraudulently
+        InformationChanged,    // Claims are out of date (e.g. new address or name)
+        Superseded,            // Replaced by a newer credential
+        SubjectRequest,        // Subject asked for revocation
+        IssuerError            // Issued by mistake
+    }
+
     // ============ Structs ============
 
     struct VerifiableCredential {
@@ -26,6 +39,8 @@ contract VCRegistry {
         uint256 expirationDate;      // When credential expires (0 for no expiration)
         bool isRevoked;              // Whether credential has been revoked
         uint256 revocationTimestamp; // When credential was revoked (0 if not revoked)
+        RevocationReason revocationReason; // Why it was revoked (Unspecified if not revoked)
+        bytes32 revocationEvidenceHash;    // Hash of off-chain evidence for the revocation (0 if none)
         string credentialType;       // Type of credential (e.g., "KYCVerification")
         bytes credentialData;        // Encrypted or hashed credential data
         bool isPurged;               // Whether credential has been purged from active registry
@@ -60,7 +75,9 @@ contract VCRegistry {
         bytes32 indexed credentialHash,
         address indexed subject,
         address indexed issuer,
-        uint256 revocationDate
+        uint256 revocationDate,
+        RevocationReason reason,
+        bytes32 evidenceHash
     );
 
     event CredentialPurged(
@@ -117,65 +134,53 @@ contract VCRegistry {
         bytes memory _credentialData,
         uint256 _expirationDate
     ) external onlyActiveIssuer returns (bytes32 credentialHash) {
-        require(_subject != address(0), "Invalid subject address");
-        require(bytes(_credentialType).length > 0, "Credential type cannot be empty");
+        return _issueCredential(_subject, _credentialType, _credentialData, _expirationDate);
+    }
 
-        // Generate unique credential hash
-        credentialHash = keccak256(
-            abi.encodePacked(
-                _subject,
-                msg.sender,
-                _credentialType,
-                _credentialData,
-                block.timestamp,
-                totalCredentials
-            )
+    /**
+     * @notice Issue credentials of one type to many subjects in a single transaction
+     * @dev Caller must be an active issuer; every entry gets the same checks as issueCredential
+     *      and one invalid entry reverts the whole batch
+     * @param _subjects Addresses of the credential subjects
+     * @param _credentialType Type shared by every credential in the batch
+     * @param _credentialData Credential data per subject (can be encrypted/hashed)
+     * @param _expirationDates Expiration timestamp per subject (0 for no expiration)
+     * @return credentialHashes Hashes of the new credentials, in input order
+     */
+    function batchIssueCredentials(
+        address[] calldata _subjects,
+        string calldata _credentialType,
+        bytes[] calldata _credentialData,
+        uint256[] calldata _expirationDates
+    ) external onlyActiveIssuer returns (bytes32[] memory credentialHashes) {
+        require(_subjects.length > 0, "No credentials to issue");
+        require(
+            _credentialData.length == _subjects.length && _expirationDates.length == _subjects.length,
+            "Array lengths mismatch"
         );
 
-        require(credentials[credentialHash].issuanceDate == 0, "Credential already exists");
+        credentialHashes = new bytes32[](_subjects.length);
 
-        // Create credential
-        VerifiableCredential memory newCredential = VerifiableCredential({
-            credentialHash: credentialHash,
-            subject: _subject,
-            issuer: msg.sender,
-            issuanceDate: block.timestamp,
-            expirationDate: _expirationDate,
-            isRevoked: false,
-            revocationTimestamp: 0,
-            credentialType: _credentialType,
-            credentialData: _credentialData,
-            isPurged: false,
-            purgeTimestamp: 0
-        });
-
-        // Store credential
-        credentials[credentialHash] = newCredential;
-        subjectCredentials[_subject].push(credentialHash);
-        issuerCredentials[msg.sender].push(credentialHash);
-        totalCredentials++;
-
-        // Record issuance in AVSManagement
-        avsManagement.recordCredentialIssued(msg.sender, credentialHash);
-
-        emit CredentialIssued(
-            credentialHash,
-            _subject,
-            msg.sender,
-            _credentialType,
-            block.timestamp,
-            _expirationDate
-        );
+        for (uint256 i = 0; i < _subjects.length; i++) {
+            credentialHashes[i] = _issueCredential(
+                _subjects[i],
+                _credentialType,
+                _credentialData[i],
+                _expirationDates[i]
+            );
+        }
 
-        return credentialHash;
+        return credentialHashes;
     }
 
     /**
      * @notice Revoke a credential
      * @dev Only the original issuer can revoke their credential
      * @param _credentialHash Hash of the credential to revoke
+     * @param _reason Why the credential is revoked
+     * @param _evidenceHash Hash of off-chain evidence supporting the revocation (0 for none)
      */
-    function revokeCredential(bytes32 _credentialHash) external {
+    function revokeCredential(bytes32 _credentialHash, RevocationReason _reason, bytes32 _evidenceHash) external {
         VerifiableCredential storage credential = credentials[_credentialHash];
 
         require(credential.issuanceDate != 0, "Credential does not exist");
@@ -186,18 +191,69 @@ contract VCRegistry {
             "Only original issuer can revoke"
         );
 
-        credential.isRevoked = true;
-        credential.revocationTimestamp = block.timestamp;
+        _revokeCredential(_credentialHash, credential, _reason, _evidenceHash);
+    }
 
-        // Record revocation in AVSManagement
-        avsManagement.recordCredentialRevoked(msg.sender, _credentialHash);
+    /**
+     * @notice Batch revoke multiple credentials with one reason
+     * @dev Only the original issuer can revoke their credentials; missing, already revoked,
+     *      purged and other issuers' credentials are skipped
+     * @param _credentialHashes Array of credential hashes to revoke
+     * @param _reason Why the credentials are revoked
+     * @param _evidenceHash Hash of off-chain evidence supporting the revocation (0 for none)
+     * @return revokedCount Number of credentials successfully revoked
+     */
+    function batchRevokeCredentials(
+        bytes32[] calldata _credentialHashes,
+        RevocationReason _reason,
+        bytes32 _evidenceHash
+    ) external returns (uint256 revokedCount) {
+        revokedCount = 0;
 
-        emit CredentialRevoked(
-            _credentialHash,
-            credential.subject,
-            credential.issuer,
-            block.timestamp
-        );
+        for (uint256 i = 0; i < _credentialHashes.length; i++) {
+            bytes32 credHash = _credentialHashes[i];
+            VerifiableCredential storage credential = credentials[credHash];
+
+            // Skip if credential doesn't exist, is already revoked or purged
+            if (credential.issuanceDate == 0 || credential.isRevoked || credential.isPurged) {
+                continue;
+            }
+
+            // Skip if not the original issuer
+            if (msg.sender != credential.issuer) {
+                continue;
+            }
+
+            _revokeCredential(credHash, credential, _reason, _evidenceHash);
+            revokedCount++;
+        }
+
+        return revokedCount;
+    }
+
+    /**
+     * @notice Revoke a credential after AVSManagement upheld a challenge against it
+     * @dev Only callable by AVSManagement, which slashes the issuer and records the revocation itself
+     * @param _credentialHash Hash of the challenged credential
+     * @param _reason Reason the challenge alleged (FraudulentInformation or IssuerError)
+     * @param _evidenceHash The challenger's evidence hash
+     * @return revoked False if the credential was already revoked or purged
+     */
+    function revokeChallengedCredential(
+        bytes32 _credentialHash,
+        RevocationReason _reason,
+        bytes32 _evidenceHash
+    ) external returns (bool revoked) {
+        require(msg.sender == address(avsManagement), "Only AVSManagement can revoke challenged credentials");
+
+        VerifiableCredential storage credential = credentials[_credentialHash];
+        require(credential.issuanceDate != 0, "Credential does not exist");
+        if (credential.isRevoked || credential.isPurged) {
+            return false;
+        }
+
+        _markRevoked(_credentialHash, credential, _reason, _evidenceHash);
+        return true;
     }
 
     /**
@@ -467,6 +523,169 @@ contract VCRegistry {
         return expiredCredentials;
     }
 
+    // ============ Paginated Views ============
+
+    /**
+     * @notice Get one page of the credentials held by a subject
+     * @dev Prefer this over getSubjectCredentials for large holders; the unbounded array
+     *      eventually exceeds the gas cap RPC nodes apply to eth_call
+     * @param _subject Address of the subject
+     * @param _offset Index of the first credential to return
+     * @param _limit Maximum number of credentials to return
+     * @return page Credential hashes in issuance order
+     * @return total Total number of credentials held by the subject
+     */
+    function getSubjectCredentialsPaginated(address _subject, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (bytes32[] memory page, uint256 total)
+    {
+        return _paginate(subjectCredentials[_subject], _offset, _limit);
+    }
+
+    /**
+     * @notice Get one page of the credentials issued by an issuer
+     * @param _issuer Address of the issuer
+     * @param _offset Index of the first credential to return
+     * @param _limit Maximum number of credentials to return
+     * @return page Credential hashes in issuance order
+     * @return total Total number of credentials issued by the issuer
+     */
+    function getIssuerCredentialsPaginated(address _issuer, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (bytes32[] memory page, uint256 total)
+    {
+        return _paginate(issuerCredentials[_issuer], _offset, _limit);
+    }
+
+    /**
+     * @dev Copy at most _limit hashes starting at _offset; an offset past the end yields an empty page
+     */
+    function _paginate(bytes32[] storage _hashes, uint256 _offset, uint256 _limit)
+        internal
+        view
+        returns (bytes32[] memory page, uint256 total)
+    {
+        total = _hashes.length;
+        if (_offset >= total) {
+            return (new bytes32[](0), total);
+        }
+
+        // Compared against what is left so a huge _limit cannot overflow
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new bytes32[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = _hashes[i];
+        }
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Store a credential issued by msg.sender and record it in AVSManagement
+     */
+    function _issueCredential(
+        address _subject,
+        string memory _credentialType,
+        bytes memory _credentialData,
+        uint256 _expirationDate
+    ) internal returns (bytes32 credentialHash) {
+        require(_subject != address(0), "Invalid subject address");
+        require(bytes(_credentialType).length > 0, "Credential type cannot be empty");
+
+        // Generate unique credential hash
+        credentialHash = keccak256(
+            abi.encodePacked(
+                _subject,
+                msg.sender,
+                _credentialType,
+                _credentialData,
+                block.timestamp,
+                totalCredentials
+            )
+        );
+
+        require(credentials[credentialHash].issuanceDate == 0, "Credential already exists");
+
+        // Create credential
+        VerifiableCredential memory newCredential = VerifiableCredential({
+            credentialHash: credentialHash,
+            subject: _subject,
+            issuer: msg.sender,
+            issuanceDate: block.timestamp,
+            expirationDate: _expirationDate,
+            isRevoked: false,
+            revocationTimestamp: 0,
+            revocationReason: RevocationReason.Unspecified,
+            revocationEvidenceHash: bytes32(0),
+            credentialType: _credentialType,
+            credentialData: _credentialData,
+            isPurged: false,
+            purgeTimestamp: 0
+        });
+
+        // Store credential
+        credentials[credentialHash] = newCredential;
+        subjectCredentials[_subject].push(credentialHash);
+        issuerCredentials[msg.sender].push(credentialHash);
+        totalCredentials++;
+
+        // Record issuance in AVSManagement
+        avsManagement.recordCredentialIssued(msg.sender, credentialHash);
+
+        emit CredentialIssued(
+            credentialHash,
+            _subject,
+            msg.sender,
+            _credentialType,
+            block.timestamp,
+            _expirationDate
+        );
+
+        return credentialHash;
+    }
+
+    /**
+     * @dev Mark a credential revoked and record it in AVSManagement; callers check eligibility
+     */
+    function _revokeCredential(
+        bytes32 _credentialHash,
+        VerifiableCredential storage _credential,
+        RevocationReason _reason,
+        bytes32 _evidenceHash
+    ) internal {
+        // Record revocation in AVSManagement
+        avsManagement.recordCredentialRevoked(msg.sender, _credentialHash);
+
+        _markRevoked(_credentialHash, _credential, _reason, _evidenceHash);
+    }
+
+    /**
+     * @dev Set a credential's revocation fields and emit CredentialRevoked
+     */
+    function _markRevoked(
+        bytes32 _credentialHash,
+        VerifiableCredential storage _credential,
+        RevocationReason _reason,
+        bytes32 _evidenceHash
+    ) internal {
+        _credential.isRevoked = true;
+        _credential.revocationTimestamp = block.timestamp;
+        _credential.revocationReason = _reason;
+        _credential.revocationEvidenceHash = _evidenceHash;
+
+        emit CredentialRevoked(
+            _credentialHash,
+            _credential.subject,
+            _credential.issuer,
+            block.timestamp,
+            _reason,
+            _evidenceHash
+        );
+    }
+
     // ============ Admin Functions ============
 
     /**
@@ -0,0 +1,210 @@
+/**
+ * Encrypted credential payloads
+ *
+ * credentialData is public on-chain, so the PII in it is sealed in an envelope that only its
+ * recipients (the subject and the issuer) can open:
+ *
+ *   - each party derives a secp256k1 encryption key pair by signing KEY_DERIVATION_MESSAGE;
+ *     the public half is what they hand out, the private half never leaves the browser
+ *   - the payload is encrypted once with a random AES-256-GCM content key
+ *   - the content key is wrapped per recipient with ECDH (ephemeral key) + AES-256-GCM
+ *   - digest = keccak256(plaintext) lets a verifier check plaintext the subject discloses;
+ *     a random salt inside the plaintext stops anyone guessing the PII from the digest
+ *
+ * Envelope (UTF-8 JSON stored as credentialData):
+ *   { type: "EncryptedCredentialData", version: 1, alg, digest, iv, ciphertext,
+ *     recipients: [{ role, publicKey, ephemeralPublicKey, iv, encryptedKey }] }
+ *
+ * Browser: load after ethers and contract-client.js, then use window.CredentialCrypto (uses WebCrypto).
+ * Node:    const CredentialCrypto = require("./credential-crypto"); pass hre.ethers as ethersLib.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./contract-client'));
+    } else {
+        root.CredentialCrypto = factory(root.ContractClient);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (ContractClient) {
+    'use strict';
+
+    const ENVELOPE_TYPE = 'EncryptedCredentialData';
+    const ENVELOPE_VERSION = 1;
+    const ALGORITHM = 'ECDH-ES+A256GCM/secp256k1';
+
+    // Changing this text changes every derived key, so it is versioned rather than edited
+    const KEY_DERIVATION_MESSAGE = 'VC Registry encryption key v1\n\n' +
+        'Signing this message unlocks your encrypted credentials. Only sign it on the VC Registry app.';
+
+    const IV_LENGTH = 12;
+    const SALT_LENGTH = 16;
+
+    // ============ Helpers ============
+
+    const { defaultEthers } = ContractClient;
+
+    // Same helpers under their ethers v5 (utils) and v6 (top-level) names
+    function cryptoUtils(ethersLib) {
+        const lib = ethersLib.utils || ethersLib;
+        return {
+            getBytes: lib.arrayify || lib.getBytes,
+            hexlify: lib.hexlify,
+            keccak256: lib.keccak256,
+            toUtf8Bytes: lib.toUtf8Bytes,
+            toUtf8String: lib.toUtf8String,
+            randomBytes: lib.randomBytes,
+            SigningKey: lib.SigningKey,
+            computePublicKey: lib.computePublicKey || ((key, compressed) => lib.SigningKey.computePublicKey(key, compressed))
+        };
+    }
+
+    async function aesGcm(mode, keyBytes, iv, data) {
+        const subtle = globalThis.crypto.subtle;
+        const key = await subtle.importKey('raw', keyBytes, 'AES-GCM', false, [mode]);
+        const output = mode === 'encrypt'
+            ? await subtle.encrypt({ name: 'AES-GCM', iv }, key, data)
+            : await subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+        return new Uint8Array(output);
+    }
+
+    /**
+     * Key-encryption key for one recipient: keccak256 of the ECDH shared x coordinate
+     * @dev ethers v5 returns the x coordinate, v6 the full uncompressed point
+     */
+    function sharedKey(utils, privateKey, publicKey) {
+        const shared = utils.getBytes(new utils.SigningKey(privateKey).computeSharedSecret(publicKey));
+        const x = shared.length === 65 ? shared.slice(1, 33) : shared;
+        return utils.getBytes(utils.keccak256(x));
+    }
+
+    // ============ Keys ============
+
+    /**
+     * Derive the caller's encryption key pair from a wallet signature
+     * @dev Wallets sign deterministically (RFC 6979), so the same account always gets the same key
+     * @param {Object} signer ethers signer
+     * @return {{ privateKey, publicKey }} hex strings; publicKey is uncompressed (0x04...)
+     */
+    async function deriveEncryptionKey(signer, ethersLib = defaultEthers()) {
+        const utils = cryptoUtils(ethersLib);
+        const signature = await signer.signMessage(KEY_DERIVATION_MESSAGE);
+        const privateKey = utils.keccak256(signature);
+        return { privateKey, publicKey: new utils.SigningKey(privateKey).publicKey };
+    }
+
+    /**
+     * True for an uncompressed or compressed secp256k1 public key in hex
+     */
+    function isPublicKey(value) {
+        return /^0x(04[0-9a-fA-F]{128}|0[23][0-9a-fA-F]{64})$/.test(value || '');
+    }
+
+    // ============ Envelope ============
+
+    /**
+     * Encrypt a credential payload for its recipients
+     * @param {Object} data Payload object (e.g. fullName, dateOfBirth, ...)
+     * @param {Array<{ role, publicKey }>} recipients Usually the subject and the issuer
+     * @return {Uint8Array} Envelope bytes for issueCredential
+     */
+    async function encryptCredentialData(data, recipients, ethersLib = defaultEthers()) {
+        const utils = cryptoUtils(ethersLib);
+        const plaintext = utils.toUtf8Bytes(JSON.stringify(
+            Object.assign({}, data, { salt: utils.hexlify(utils.randomBytes(SALT_LENGTH)) })
+        ));
+
+        const contentKey = utils.randomBytes(32);
+        const iv = utils.randomBytes(IV_LENGTH);
+        const ciphertext = await aesGcm('encrypt', contentKey, iv, plaintext);
+
+        // One wrapped key per distinct public key (a self-issued credential has one)
+        const seen = new Set();
+        const wrapped = [];
+        for (const recipient of recipients) {
+            const publicKey = utils.computePublicKey(recipient.publicKey, false);
+            if (seen.has(publicKey)) continue;
+            seen.add(publicKey);
+
+            const ephemeralPrivateKey = utils.hexlify(utils.randomBytes(32));
+            const keyIv = utils.randomBytes(IV_LENGTH);
+            const encryptedKey = await aesGcm('encrypt', sharedKey(utils, ephemeralPrivateKey, publicKey), keyIv, contentKey);
+
+            wrapped.push({
+                role: recipient.role,
+                publicKey,
+                ephemeralPublicKey: new utils.SigningKey(ephemeralPrivateKey).publicKey,
+                iv: utils.hexlify(keyIv),
+                encryptedKey: utils.hexlify(encryptedKey)
+            });
+        }
+
+        return utils.toUtf8Bytes(JSON.stringify({
+            type: ENVELOPE_TYPE,
+            version: ENVELOPE_VERSION,
+            alg: ALGORITHM,
+            digest: utils.keccak256(plaintext),
+            iv: utils.hexlify(iv),
+            ciphertext: utils.hexlify(ciphertext),
+            recipients: wrapped
+        }));
+    }
+
+    /**
+     * Parse credentialData as an envelope
+     * @return {Object|null} The envelope, or null for plaintext (legacy) payloads
+     */
+    function parseEnvelope(bytes, ethersLib = defaultEthers()) {
+        const utils = cryptoUtils(ethersLib);
+        try {
+            const parsed = JSON.parse(utils.toUtf8String(bytes));
+            return parsed && parsed.type === ENVELOPE_TYPE ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Open an envelope with one of its recipients' key pairs
+     * @return {{ data, plaintext }} data without the salt; plaintext is the exact decrypted bytes (hex)
+     * @throws If the key is not a recipient or the ciphertext was tampered with
+     */
+    async function decryptCredentialData(envelope, keyPair, ethersLib = defaultEthers()) {
+        const utils = cryptoUtils(ethersLib);
+        const publicKey = utils.computePublicKey(keyPair.publicKey, false);
+        const recipient = envelope.recipients.find(entry => entry.publicKey === publicKey);
+
+        if (!recipient) {
+            throw new Error('This credential was not encrypted for your key');
+        }
+
+        const contentKey = await aesGcm(
+            'decrypt',
+            sharedKey(utils, keyPair.privateKey, recipient.ephemeralPublicKey),
+            utils.getBytes(recipient.iv),
+            utils.getBytes(recipient.encryptedKey)
+        );
+        const plaintext = await aesGcm('decrypt', contentKey, utils.getBytes(envelope.iv), utils.getBytes(envelope.ciphertext));
+
+        const data = JSON.parse(utils.toUtf8String(plaintext));
+        delete data.salt;
+        return { data, plaintext: utils.hexlify(plaintext) };
+    }
+
+    /**
+     * Check disclosed plaintext against the digest in an envelope
+     */
+    function matchesDigest(envelope, plaintext, ethersLib = defaultEthers()) {
+        const utils = cryptoUtils(ethersLib);
+        return utils.keccak256(plaintext) === envelope.digest;
+    }
+
+    return {
+        ENVELOPE_TYPE,
+        KEY_DERIVATION_MESSAGE,
+        deriveEncryptionKey,
+        isPublicKey,
+        encryptCredentialData,
+        parseEnvelope,
+        decryptCredentialData,
+        matchesDigest
+    };
+});
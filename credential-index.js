@@ -0,0 +1,358 @@
+/**
+ * Event-sourced credential index
+ *
+ * Builds issuer and subject credential lists from the CredentialIssued, CredentialRevoked and
+ * CredentialPurged logs emitted by VCRegistry instead of one getFullCredential call per hash.
+ * Results are cached in IndexedDB together with a last-scanned-block cursor per address, so a
+ * reload only fetches logs for blocks that arrived since the previous visit.
+ *
+ * Scanning needs the registry's deployment block. Without one the index reads the paginated
+ * registry views instead of walking the chain from genesis, and caches nothing.
+ *
+ * Load after ethers, contract-client.js and log-scan.js; exposes window.CredentialIndex.
+ */
+(function (root) {
+    'use strict';
+
+    const { canScan, scanFrom, forEachWindow, promisifyRequest, transactionDone } = root.LogScan;
+
+    const DB_VERSION = 1;
+
+    // Hashes per paginated view call when there is no deployment block to scan from
+    const VIEW_PAGE_SIZE = 100;
+
+    // ============ IndexedDB helpers ============
+
+    function openDatabase(name) {
+        const request = indexedDB.open(name, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const credentials = db.createObjectStore('credentials', { keyPath: 'credentialHash' });
+            credentials.createIndex('issuer', 'issuer');
+            credentials.createIndex('subject', 'subject');
+            db.createObjectStore('cursors', { keyPath: 'scope' });
+        };
+
+        return promisifyRequest(request);
+    }
+
+    // ============ Event application ============
+
+    function toNumber(value) {
+        return typeof value === 'number' ? value : Number(value.toString());
+    }
+
+    function compareLogs(a, b) {
+        return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+    }
+
+    /**
+     * Fold one registry event into a stored credential record
+     * @dev Records mirror the getFullCredential struct (with plain numbers) so existing
+     *      rendering code can use either source
+     */
+    function applyEvent(record, event) {
+        const args = event.args;
+
+        switch (event.event) {
+            case 'CredentialIssued':
+                return Object.assign({
+                    isRevoked: false,
+                    revocationTimestamp: 0,
+                    revocationReason: 0,
+                    revocationEvidenceHash: ContractClient.NO_EVIDENCE_HASH,
+                    isPurged: false,
+                    purgeTimestamp: 0
+                }, record, {
+                    credentialHash: args.credentialHash,
+                    subject: args.subject,
+                    issuer: args.issuer,
+                    credentialType: args.credentialType,
+                    issuanceDate: toNumber(args.issuanceDate),
+                    expirationDate: toNumber(args.expirationDate),
+                    issuedInBlock: event.blockNumber
+                });
+            case 'CredentialRevoked':
+                return Object.assign({}, record, {
+                    credentialHash: args.credentialHash,
+                    subject: args.subject,
+                    issuer: args.issuer,
+                    isRevoked: true,
+                    revocationTimestamp: toNumber(args.revocationDate),
+                    revocationReason: toNumber(args.reason),
+                    revocationEvidenceHash: args.evidenceHash,
+                    revokedInBlock: event.blockNumber
+                });
+            case 'CredentialPurged':
+                return Object.assign({}, record, {
+                    credentialHash: args.credentialHash,
+                    subject: args.subject,
+                    issuer: args.issuer,
+                    isPurged: true,
+                    purgeTimestamp: toNumber(args.purgeDate),
+                    purgeReason: args.reason,
+                    purgedInBlock: event.blockNumber
+                });
+            default:
+                return record;
+        }
+    }
+
+    /**
+     * Undo whatever a record took from blocks at or after fromBlock
+     * @return {Object|null} The record as it was before those blocks, null if it was issued in them
+     */
+    function rollbackRecord(record, fromBlock) {
+        if (record.issuedInBlock >= fromBlock) return null;
+
+        const rolledBack = Object.assign({}, record);
+        if (record.purgedInBlock >= fromBlock) {
+            Object.assign(rolledBack, { isPurged: false, purgeTimestamp: 0 });
+            delete rolledBack.purgeReason;
+            delete rolledBack.purgedInBlock;
+        }
+        if (record.revokedInBlock >= fromBlock) {
+            Object.assign(rolledBack, {
+                isRevoked: false,
+                revocationTimestamp: 0,
+                revocationReason: 0,
+                revocationEvidenceHash: ContractClient.NO_EVIDENCE_HASH
+            });
+            delete rolledBack.revokedInBlock;
+        }
+        return rolledBack;
+    }
+
+    /**
+     * A getFullCredential struct in the shape of an indexed record
+     */
+    function recordFromCredential(credential, ethersLib) {
+        const record = {
+            credentialHash: credential.credentialHash,
+            subject: credential.subject,
+            issuer: credential.issuer,
+            credentialType: credential.credentialType,
+            issuanceDate: toNumber(credential.issuanceDate),
+            expirationDate: toNumber(credential.expirationDate),
+            isRevoked: credential.isRevoked,
+            revocationTimestamp: toNumber(credential.revocationTimestamp),
+            revocationReason: toNumber(credential.revocationReason),
+            revocationEvidenceHash: credential.revocationEvidenceHash,
+            isPurged: credential.isPurged,
+            purgeTimestamp: toNumber(credential.purgeTimestamp),
+            credentialData: ethersLib.utils.hexlify(credential.credentialData)
+        };
+        // The registry only purges revoked or expired credentials and records which in the event
+        if (credential.isPurged) {
+            record.purgeReason = credential.isRevoked ? 'revoked' : 'expired';
+        }
+        return record;
+    }
+
+    // ============ CredentialIndex ============
+
+    class CredentialIndex {
+        /**
+         * @param {Object} options
+         * @param {VCRegistryClient} options.vcRegistry Client from ContractClient.createContracts
+         * @param {MulticallClient} options.multicall Batches the credentialData reads
+         * @param {Object} options.provider ethers provider used for the latest block number
+         * @param {number} options.chainId Chain the registry lives on (part of the cache key)
+         * @param {number|null} [options.startBlock] Block the registry was deployed in; without it
+         *        credentials are read from the paginated views instead of logs
+         */
+        constructor({ vcRegistry, multicall, provider, chainId, startBlock = null }) {
+            this.vcRegistry = vcRegistry;
+            this.multicall = multicall;
+            this.provider = provider;
+            this.startBlock = startBlock;
+            this.dbName = `vc-credential-index-${chainId}-${vcRegistry.address.toLowerCase()}`;
+            this.dbPromise = null;
+            this.syncs = new Map();
+        }
+
+        db() {
+            if (!this.dbPromise) {
+                this.dbPromise = openDatabase(this.dbName);
+            }
+            return this.dbPromise;
+        }
+
+        /**
+         * Credentials issued by an address, oldest first
+         */
+        async getIssuerCredentials(issuer) {
+            if (!this.canScanLogs()) return this.readFromViews('issuer', issuer);
+            await this.sync('issuer', issuer);
+            return this.readByIndex('issuer', issuer);
+        }
+
+        /**
+         * Credentials held by an address, oldest first
+         */
+        async getSubjectCredentials(subject) {
+            if (!this.canScanLogs()) return this.readFromViews('subject', subject);
+            await this.sync('subject', subject);
+            return this.readByIndex('subject', subject);
+        }
+
+        canScanLogs() {
+            return canScan(this.startBlock);
+        }
+
+        /**
+         * Scan new blocks for one issuer or subject and update the cache
+         * @dev Concurrent calls for the same scope share one scan
+         */
+        sync(role, address) {
+            const scope = `${role}:${address.toLowerCase()}`;
+
+            if (!this.syncs.has(scope)) {
+                const run = this.runSync(scope, role, address)
+                    .finally(() => this.syncs.delete(scope));
+                this.syncs.set(scope, run);
+            }
+
+            return this.syncs.get(scope);
+        }
+
+        async runSync(scope, role, address) {
+            const db = await this.db();
+            const cursor = await promisifyRequest(
+                db.transaction('cursors').objectStore('cursors').get(scope)
+            );
+
+            const latestBlock = await this.provider.getBlockNumber();
+            const fromBlock = scanFrom(this.startBlock, cursor ? cursor.lastScannedBlock : null);
+            // Whatever the cache took from the re-scanned blocks is rolled back in the first window
+            let rollbackFrom = cursor ? fromBlock : null;
+
+            await forEachWindow(fromBlock, latestBlock, async (windowFrom, windowTo) => {
+                const events = await this.fetchEvents(role, address, windowFrom, windowTo);
+                await this.applyEvents(events, scope, windowTo, { role, address, rollbackFrom });
+                rollbackFrom = null;
+            });
+
+            await this.fetchMissingData(await this.readByIndex(role, address));
+        }
+
+        /**
+         * All three registry events for one address in a block range, in chain order
+         * @dev subject and issuer are the 2nd and 3rd indexed topics on every event
+         */
+        async fetchEvents(role, address, fromBlock, toBlock) {
+            const contract = this.vcRegistry.contract;
+            const topicArgs = role === 'issuer' ? [null, null, address] : [null, address];
+
+            const results = await Promise.all([
+                contract.queryFilter(contract.filters.CredentialIssued(...topicArgs), fromBlock, toBlock),
+                contract.queryFilter(contract.filters.CredentialRevoked(...topicArgs), fromBlock, toBlock),
+                contract.queryFilter(contract.filters.CredentialPurged(...topicArgs), fromBlock, toBlock)
+            ]);
+
+            return results.flat().sort(compareLogs);
+        }
+
+        /**
+         * Apply one window of events and move the cursor in a single transaction
+         * @dev With rollbackFrom set, the scope's records first drop what they took from the re-scanned
+         *      blocks, so the window's events rebuild them from what the chain holds now
+         */
+        async applyEvents(events, scope, scannedToBlock, { role, address, rollbackFrom = null } = {}) {
+            const db = await this.db();
+            const tx = db.transaction(['credentials', 'cursors'], 'readwrite');
+            const credentials = tx.objectStore('credentials');
+
+            if (rollbackFrom !== null) {
+                const records = await promisifyRequest(
+                    credentials.index(role).getAll(root.ethers.utils.getAddress(address))
+                );
+                for (const record of records) {
+                    const rolledBack = rollbackRecord(record, rollbackFrom);
+                    if (rolledBack) {
+                        credentials.put(rolledBack);
+                    } else {
+                        credentials.delete(record.credentialHash);
+                    }
+                }
+            }
+
+            for (const event of events) {
+                const existing = await promisifyRequest(credentials.get(event.args.credentialHash));
+                credentials.put(applyEvent(existing, event));
+            }
+            tx.objectStore('cursors').put({ scope, lastScannedBlock: scannedToBlock });
+
+            return transactionDone(tx);
+        }
+
+        /**
+         * credentialData is immutable once issued, so it is fetched once per credential and kept
+         */
+        async fetchMissingData(records) {
+            const missing = records.filter(record => record.credentialData === undefined);
+            if (missing.length === 0) return;
+
+            const fullCredentials = await this.multicall.map(
+                this.vcRegistry,
+                'getFullCredential',
+                missing.map(record => [record.credentialHash])
+            );
+
+            const db = await this.db();
+            const tx = db.transaction('credentials', 'readwrite');
+            missing.forEach((record, index) => {
+                record.credentialData = root.ethers.utils.hexlify(fullCredentials[index].credentialData);
+                tx.objectStore('credentials').put(record);
+            });
+            await transactionDone(tx);
+        }
+
+        /**
+         * Every credential of an issuer or subject straight from the registry, oldest first
+         */
+        async readFromViews(role, address) {
+            const method = role === 'issuer' ? 'getIssuerCredentialsPaginated' : 'getSubjectCredentialsPaginated';
+            const hashes = [];
+            let total = Infinity;
+
+            while (hashes.length < total) {
+                const result = await this.vcRegistry[method](address, hashes.length, VIEW_PAGE_SIZE);
+                total = toNumber(result.total);
+                if (result.page.length === 0) break;
+                hashes.push(...result.page);
+            }
+
+            const fullCredentials = await this.multicall.map(
+                this.vcRegistry,
+                'getFullCredential',
+                hashes.map(hash => [hash])
+            );
+            return fullCredentials
+                .map(credential => recordFromCredential(credential, root.ethers))
+                .sort((a, b) => a.issuanceDate - b.issuanceDate);
+        }
+
+        async readByIndex(role, address) {
+            const db = await this.db();
+            const checksummed = root.ethers.utils.getAddress(address);
+            const records = await promisifyRequest(
+                db.transaction('credentials').objectStore('credentials').index(role).getAll(checksummed)
+            );
+            return records.sort((a, b) => a.issuanceDate - b.issuanceDate);
+        }
+
+        /**
+         * Drop the cached index (e.g. after a registry redeploy on a local node)
+         */
+        async clear() {
+            const db = await this.db();
+            db.close();
+            this.dbPromise = null;
+            await promisifyRequest(indexedDB.deleteDatabase(this.dbName));
+        }
+    }
+
+    root.CredentialIndex = CredentialIndex;
+})(this);
@@ -0,0 +1,332 @@
+/**
+ * Filterable, sortable, paginated credential list
+ *
+ * Wraps the credential cards rendered by app.js with a filter toolbar (status, type, address,
+ * issuance and expiry ranges), sorting, paging and, when bulk actions are given, row selection.
+ * Filtering runs over the records already loaded from CredentialIndex, so changing a filter
+ * never touches the RPC.
+ *
+ * Load after contract-client.js; exposes window.CredentialTable.
+ */
+(function (root) {
+    'use strict';
+
+    const PAGE_SIZES = [10, 25, 50, 100];
+
+    const STATUSES = ['Valid', 'Revoked', 'Expired', 'Purged'];
+
+    const SORTS = {
+        'issued-desc': (a, b) => b.issuanceDate - a.issuanceDate,
+        'issued-asc': (a, b) => a.issuanceDate - b.issuanceDate,
+        // Credentials without an expiration sort after every dated one
+        'expiry-asc': (a, b) => (a.expirationDate || Infinity) - (b.expirationDate || Infinity),
+        'expiry-desc': (a, b) => (b.expirationDate || -Infinity) - (a.expirationDate || -Infinity)
+    };
+
+    const SECONDS_PER_DAY = 24 * 60 * 60;
+
+    const { escapeHtml } = ContractClient;
+
+    // Inclusive [from, to] range from two date inputs; the "to" day counts in full
+    function dateRange(fromValue, toValue) {
+        return {
+            from: ContractClient.toTimestamp(fromValue),
+            to: toValue ? ContractClient.toTimestamp(toValue) + SECONDS_PER_DAY - 1 : Infinity
+        };
+    }
+
+    function inRange(timestamp, range) {
+        return timestamp >= range.from && timestamp <= range.to;
+    }
+
+    class CredentialTable {
+        /**
+         * @param {Object} options
+         * @param {HTMLElement} options.container Element the toolbar, list and pager render into
+         * @param {Function} options.renderItem (credential) => HTMLElement for one card
+         * @param {string} [options.addressField] Record field the address filter matches ('subject' or 'issuer')
+         * @param {string} [options.emptyMessage] Shown when nothing has been loaded
+         * @param {Array<{ label, className, isEligible, onAction }>} [options.bulkActions]
+         *        Enables row selection; onAction receives the eligible selected hashes
+         */
+        constructor({ container, renderItem, addressField = 'subject', emptyMessage = 'No credentials found', bulkActions = [] }) {
+            this.container = container;
+            this.renderItem = renderItem;
+            this.addressField = addressField;
+            this.emptyMessage = emptyMessage;
+            this.bulkActions = bulkActions;
+
+            this.credentials = [];
+            this.currentPage = [];
+            this.selected = new Set();
+            this.page = 0;
+            this.loaded = false;
+        }
+
+        /**
+         * Replace the loaded records, keeping filters and any selection that still exists
+         */
+        setCredentials(credentials) {
+            // The toolbar appears with the first load, like the plain list it replaces
+            if (!this.container.querySelector('.table-toolbar')) {
+                this.renderShell();
+            }
+            this.credentials = credentials;
+            this.loaded = true;
+
+            const hashes = new Set(credentials.map(credential => credential.credentialHash));
+            this.selected.forEach(hash => {
+                if (!hashes.has(hash)) this.selected.delete(hash);
+            });
+
+            this.updateTypeOptions();
+            this.render();
+        }
+
+        /**
+         * Forget the loaded records and selection (e.g. after switching accounts)
+         */
+        clear() {
+            this.container.innerHTML = '';
+            this.credentials = [];
+            this.currentPage = [];
+            this.selected.clear();
+            this.page = 0;
+            this.loaded = false;
+        }
+
+        // ============ Layout ============
+
+        renderShell() {
+            const addressLabel = this.addressField === 'issuer' ? 'Issuer' : 'Subject';
+
+            this.container.innerHTML = `
+                <div class="table-toolbar">
+                    <div class="input-group">
+                        <label>Status</label>
+                        <select data-filter="status">
+                            <option value="">All</option>
+                            ${STATUSES.map(status => `<option value="${status}">${status}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="input-group">
+                        <label>Type</label>
+                        <select data-filter="type"><option value="">All</option></select>
+                    </div>
+                    <div class="input-group">
+                        <label>${addressLabel} Address</label>
+                        <input type="text" data-filter="address" placeholder="0x...">
+                    </div>
+                    <div class="input-group">
+                        <label>Issued From / To</label>
+                        <div class="date-range">
+                            <input type="date" data-filter="issuedFrom">
+                            <input type="date" data-filter="issuedTo">
+                        </div>
+                    </div>
+                    <div class="input-group">
+                        <label>Expires From / To</label>
+                        <div class="date-range">
+                            <input type="date" data-filter="expiresFrom">
+                            <input type="date" data-filter="expiresTo">
+                        </div>
+                    </div>
+                    <div class="input-group">
+                        <label>Sort</label>
+                        <select data-filter="sort">
+                            <option value="issued-desc">Newest first</option>
+                            <option value="issued-asc">Oldest first</option>
+                            <option value="expiry-asc">Expiring soonest</option>
+                            <option value="expiry-desc">Expiring latest</option>
+                        </select>
+                    </div>
+                    <div class="input-group">
+                        <label>Per Page</label>
+                        <select data-filter="pageSize">
+                            ${PAGE_SIZES.map(size => `<option value="${size}"${size === 25 ? ' selected' : ''}>${size}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+                ${this.bulkActions.length > 0 ? `
+                <div class="table-bulk-bar">
+                    <label class="select-page"><input type="checkbox" data-role="select-page"> Select page</label>
+                    <span data-role="selected-count">0 selected</span>
+                    ${this.bulkActions.map((action, index) => `
+                        <button class="${action.className || 'btn-secondary'}" data-bulk-action="${index}" disabled>${escapeHtml(action.label)}</button>
+                    `).join('')}
+                    <button class="btn-secondary" data-role="clear-selection">Clear</button>
+                </div>
+                ` : ''}
+                <div class="table-summary" data-role="summary"></div>
+                <div data-role="rows"></div>
+                <div class="table-pager">
+                    <button class="btn-secondary" data-page="prev">← Prev</button>
+                    <span data-role="page-label"></span>
+                    <button class="btn-secondary" data-page="next">Next →</button>
+                </div>
+            `;
+
+            this.container.querySelectorAll('[data-filter]').forEach(input => {
+                const eventName = input.tagName === 'SELECT' || input.type === 'date' ? 'change' : 'input';
+                input.addEventListener(eventName, () => {
+                    this.page = 0;
+                    this.render();
+                });
+            });
+
+            this.container.querySelector('[data-page="prev"]').addEventListener('click', () => {
+                this.page--;
+                this.render();
+            });
+            this.container.querySelector('[data-page="next"]').addEventListener('click', () => {
+                this.page++;
+                this.render();
+            });
+
+            if (this.bulkActions.length > 0) {
+                this.container.querySelector('[data-role="select-page"]').addEventListener('change', (e) => {
+                    this.currentPage.forEach(credential => {
+                        if (e.target.checked) this.selected.add(credential.credentialHash);
+                        else this.selected.delete(credential.credentialHash);
+                    });
+                    this.render();
+                });
+                this.container.querySelector('[data-role="clear-selection"]').addEventListener('click', () => {
+                    this.selected.clear();
+                    this.render();
+                });
+                this.container.querySelectorAll('[data-bulk-action]').forEach(button => {
+                    button.addEventListener('click', () => this.runBulkAction(this.bulkActions[button.dataset.bulkAction]));
+                });
+            }
+        }
+
+        updateTypeOptions() {
+            const select = this.container.querySelector('[data-filter="type"]');
+            const current = select.value;
+            const types = [...new Set(this.credentials.map(credential => credential.credentialType))].sort();
+
+            select.innerHTML = '<option value="">All</option>' +
+                types.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('');
+            select.value = types.includes(current) ? current : '';
+        }
+
+        // ============ Filtering ============
+
+        filterValue(name) {
+            return this.container.querySelector(`[data-filter="${name}"]`).value.trim();
+        }
+
+        /**
+         * Records matching the toolbar filters, in the selected sort order
+         */
+        filtered() {
+            const status = this.filterValue('status');
+            const type = this.filterValue('type');
+            const address = this.filterValue('address').toLowerCase();
+            const issued = dateRange(this.filterValue('issuedFrom'), this.filterValue('issuedTo'));
+            const expires = dateRange(this.filterValue('expiresFrom'), this.filterValue('expiresTo'));
+            const expiryFiltered = expires.from > 0 || expires.to !== Infinity;
+            const now = Date.now() / 1000;
+
+            return this.credentials
+                .filter(credential => {
+                    if (status && ContractClient.getCredentialStatus(credential, now).status !== status) return false;
+                    if (type && credential.credentialType !== type) return false;
+                    if (address && !credential[this.addressField].toLowerCase().includes(address)) return false;
+                    if (!inRange(credential.issuanceDate, issued)) return false;
+                    // A credential that never expires has no date to fall inside an expiry range
+                    if (expiryFiltered && (credential.expirationDate === 0 || !inRange(credential.expirationDate, expires))) {
+                        return false;
+                    }
+                    return true;
+                })
+                .sort(SORTS[this.filterValue('sort')]);
+        }
+
+        // ============ Rendering ============
+
+        render() {
+            const rows = this.container.querySelector('[data-role="rows"]');
+            const matches = this.filtered();
+            const pageSize = Number(this.filterValue('pageSize'));
+            const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+
+            this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+            const start = this.page * pageSize;
+            this.currentPage = matches.slice(start, start + pageSize);
+
+            rows.innerHTML = '';
+            if (this.credentials.length === 0 || matches.length === 0) {
+                const message = this.credentials.length === 0 ? this.emptyMessage : 'No credentials match these filters';
+                rows.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 20px;">${message}</p>`;
+            }
+
+            this.currentPage.forEach(credential => rows.appendChild(this.renderRow(credential)));
+
+            this.container.querySelector('[data-role="summary"]').textContent = matches.length === 0 ? '' :
+                `Showing ${start + 1}-${start + this.currentPage.length} of ${matches.length}` +
+                (matches.length < this.credentials.length ? ` (filtered from ${this.credentials.length})` : '');
+            this.container.querySelector('[data-role="page-label"]').textContent = `Page ${this.page + 1} of ${pageCount}`;
+            this.container.querySelector('[data-page="prev"]').disabled = this.page === 0;
+            this.container.querySelector('[data-page="next"]').disabled = this.page >= pageCount - 1;
+
+            this.updateBulkBar();
+        }
+
+        renderRow(credential) {
+            const item = this.renderItem(credential);
+            if (this.bulkActions.length === 0) return item;
+
+            const row = document.createElement('div');
+            row.className = 'credential-row';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'row-select';
+            checkbox.checked = this.selected.has(credential.credentialHash);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.selected.add(credential.credentialHash);
+                else this.selected.delete(credential.credentialHash);
+                this.updateBulkBar();
+            });
+
+            row.appendChild(checkbox);
+            row.appendChild(item);
+            return row;
+        }
+
+        updateBulkBar() {
+            if (this.bulkActions.length === 0) return;
+
+            const selected = this.selectedCredentials();
+            this.container.querySelector('[data-role="selected-count"]').textContent = `${selected.length} selected`;
+            this.container.querySelector('[data-role="select-page"]').checked = this.currentPage.length > 0 &&
+                this.currentPage.every(credential => this.selected.has(credential.credentialHash));
+
+            this.container.querySelectorAll('[data-bulk-action]').forEach(button => {
+                const action = this.bulkActions[button.dataset.bulkAction];
+                const eligible = selected.filter(action.isEligible).length;
+                button.textContent = eligible > 0 ? `${action.label} (${eligible})` : action.label;
+                button.disabled = eligible === 0;
+            });
+        }
+
+        // ============ Selection ============
+
+        selectedCredentials() {
+            return this.credentials.filter(credential => this.selected.has(credential.credentialHash));
+        }
+
+        async runBulkAction(action) {
+            const hashes = this.selectedCredentials()
+                .filter(action.isEligible)
+                .map(credential => credential.credentialHash);
+
+            if (hashes.length === 0) return;
+            await action.onAction(hashes);
+        }
+    }
+
+    root.CredentialTable = CredentialTable;
+})(this);
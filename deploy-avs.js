@@ -1,68 +1,77 @@
 const hre = require("hardhat");
+const ContractClient = require("./contract-client");
+const Networks = require("./networks");
 
 async function main() {
-    console.log("Deploying AVSVCRegistry to Base Sepolia...");
+    const network = Networks.getNetwork(hre.network.name);
+    if (!network) {
+        throw new Error(`No "${hre.network.name}" entry in networks.js - add the chain there first`);
+    }
+    console.log(`Deploying AVSVCRegistry to ${network.chainName}...`);
 
     const [deployer] = await hre.ethers.getSigners();
     const deployerAddress = await deployer.getAddress();
 
     console.log("Deploying contracts with account:", deployerAddress);
 
-    const balance = await deployer.getBalance();
-    console.log("Account balance:", hre.ethers.utils.formatEther(balance), "ETH");
+    const balance = await hre.ethers.provider.getBalance(deployerAddress);
+    console.log("Account balance:", hre.ethers.formatEther(balance), "ETH");
 
     // Deploy AVSVCRegistry
     const AVSVCRegistry = await hre.ethers.getContractFactory("AVSVCRegistry");
     const registry = await AVSVCRegistry.deploy();
 
-    await registry.deployed();
+    await registry.waitForDeployment();
+    const registryAddress = await registry.getAddress();
 
-    console.log("AVSVCRegistry deployed to:", registry.address);
+    console.log("AVSVCRegistry deployed to:", registryAddress);
     console.log("Admin address:", deployerAddress);
 
-    // Get contract constants
-    const did3TokenAddress = await registry.DID3_TOKEN();
-    const minimumStake = await registry.MINIMUM_STAKE();
-    const quorumPercentage = await registry.QUORUM_PERCENTAGE();
-    const votingPeriod = await registry.VOTING_PERIOD();
+    // Get contract constants through the shared client used by avs-wallet.js
+    const { avsVcRegistry } = ContractClient.createContracts({
+        ethers: hre.ethers,
+        runner: deployer,
+        addresses: { avsVcRegistry: registryAddress }
+    });
+    const did3TokenAddress = await avsVcRegistry.contract.DID3_TOKEN();
+    const minimumStake = await avsVcRegistry.minimumStake();
+    const quorumPercentage = await avsVcRegistry.contract.QUORUM_PERCENTAGE();
+    const votingPeriod = await avsVcRegistry.contract.VOTING_PERIOD();
 
     console.log("\n=== Deployment Summary ===");
-    console.log("Contract Address:", registry.address);
-    console.log("Network: Base Sepolia (Chain ID: 84532)");
-    console.log("Block Explorer:", `https://sepolia.basescan.org/address/${registry.address}`);
+    console.log("Contract Address:", registryAddress);
+    console.log(`Network: ${network.chainName} (Chain ID: ${network.chainId})`);
+    if (network.explorerUrl) console.log("Block Explorer:", Networks.explorerLink(network, "address", registryAddress));
     console.log("\n=== Configuration ===");
     console.log("DID3 Token Address:", did3TokenAddress);
-    console.log("Minimum Stake:", hre.ethers.utils.formatEther(minimumStake), "DID3 tokens");
+    console.log("Minimum Stake:", hre.ethers.formatEther(minimumStake), "DID3 tokens");
     console.log("Quorum Percentage:", quorumPercentage.toString(), "basis points (66%)");
     console.log("Voting Period:", votingPeriod.toString(), "seconds (3 days)");
 
-    // Save deployment info
-    const fs = require('fs');
-    const deploymentInfo = {
-        contractAddress: registry.address,
-        deployer: deployerAddress,
-        network: "Base Sepolia",
-        chainId: 84532,
-        deploymentTime: new Date().toISOString(),
-        did3TokenAddress: did3TokenAddress,
-        minimumStake: minimumStake.toString(), // 999,999 DID3 in wei
-        minimumStakeFormatted: hre.ethers.utils.formatEther(minimumStake) + " DID3",
-        quorumPercentage: quorumPercentage.toString(),
-        votingPeriod: votingPeriod.toString(), // 3 days in seconds
-        stakingType: "DID3 ERC20 Token"
-    };
+    // The token address is a constant in the contract, so only chains that have that token can stake
+    if ((await hre.ethers.provider.getCode(did3TokenAddress)) === "0x") {
+        console.log(`\n⚠️  No DID3 token at ${did3TokenAddress} on ${network.chainName} - staking will fail here`);
+    }
 
-    fs.writeFileSync(
-        'avs-deployment.json',
-        JSON.stringify(deploymentInfo, null, 2)
-    );
+    // Record the deployment in the network's manifest, which avs-dashboard.html loads
+    const manifestPath = Networks.writeDeployment(network, {
+        AVSVCRegistry: {
+            address: registryAddress,
+            deployer: deployerAddress,
+            deployedAt: new Date().toISOString(),
+            did3Token: did3TokenAddress,
+            minimumStake: minimumStake.toString(), // 999,999 DID3 in wei
+            quorumPercentage: quorumPercentage.toString(),
+            votingPeriod: votingPeriod.toString(), // 3 days in seconds
+            description: "AVS operator registry with DID3 staking and governance"
+        }
+    });
 
-    console.log("\nDeployment info saved to avs-deployment.json");
+    console.log(`\nDeployment info saved to ${manifestPath}`);
     console.log("\n=== Next Steps ===");
     console.log("1. Users need DID3 tokens at:", did3TokenAddress);
     console.log("2. Users must approve the AVS contract before staking");
     console.log("3. Minimum stake required: 999,999 DID3 tokens");
-    console.log("4. Update avs-dashboard.html with contract address:", registry.address);
 }
 
 main()
@@ -1,74 +1,125 @@
 const hre = require("hardhat");
-const fs = require("fs");
+const ContractClient = require("./contract-client");
+const Networks = require("./networks");
 
 async function main() {
-    console.log("🚀 Starting deployment of refactored VC system to Base Sepolia...\n");
+    const network = Networks.getNetwork(hre.network.name);
+    if (!network) {
+        throw new Error(`No "${hre.network.name}" entry in networks.js - add the chain there first`);
+    }
+    console.log(`🚀 Starting deployment of refactored VC system to ${network.chainName}...\n`);
 
     const [deployer] = await hre.ethers.getSigners();
     console.log("📝 Deploying contracts with account:", deployer.address);
-    console.log("💰 Account balance:", (await deployer.getBalance()).toString(), "\n");
+    console.log("💰 Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString(), "\n");
 
-    // DID3 Token address on Base Sepolia
-    const DID3_TOKEN_ADDRESS = "0x4e754738cb69D6f066C9A036f67EE44cC3e9aBff";
+    // DID3 token from the registry; a local node has none, so it gets a mintable stand-in
+    const deployment = {};
+    let DID3_TOKEN_ADDRESS = network.did3Token;
+    if (!DID3_TOKEN_ADDRESS) {
+        console.log("📦 No DID3 token on this network, deploying a mock...");
+        const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("DID3 Token", "DID3", hre.ethers.parseEther("10000000"));
+        await token.waitForDeployment();
+        DID3_TOKEN_ADDRESS = await token.getAddress();
+        deployment.DID3Token = {
+            address: DID3_TOKEN_ADDRESS,
+            description: "Mock DID3 token (anyone can mint); 10,000,000 minted to the deployer"
+        };
+    }
     console.log("🪙 DID3 Token Address:", DID3_TOKEN_ADDRESS, "\n");
 
     // Step 1: Deploy AVSManagement contract
     console.log("📦 Deploying AVSManagement contract...");
     const AVSManagement = await hre.ethers.getContractFactory("AVSManagement");
     const avsManagement = await AVSManagement.deploy(DID3_TOKEN_ADDRESS);
-    await avsManagement.deployed();
-    console.log("✅ AVSManagement deployed to:", avsManagement.address);
+    await avsManagement.waitForDeployment();
+    const avsManagementAddress = await avsManagement.getAddress();
+    const avsManagementReceipt = await avsManagement.deploymentTransaction().wait();
+    console.log("✅ AVSManagement deployed to:", avsManagementAddress);
     console.log("   - Minimum Stake: 999,999 DID3 tokens");
     console.log("   - DID3 Token: ", DID3_TOKEN_ADDRESS, "\n");
 
     // Step 2: Deploy VCRegistry contract
     console.log("📦 Deploying VCRegistry contract...");
     const VCRegistry = await hre.ethers.getContractFactory("VCRegistry");
-    const vcRegistry = await VCRegistry.deploy(avsManagement.address);
-    await vcRegistry.deployed();
-    console.log("✅ VCRegistry deployed to:", vcRegistry.address);
-    console.log("   - AVSManagement: ", avsManagement.address, "\n");
+    const vcRegistry = await VCRegistry.deploy(avsManagementAddress);
+    await vcRegistry.waitForDeployment();
+    const vcRegistryAddress = await vcRegistry.getAddress();
+    const vcRegistryReceipt = await vcRegistry.deploymentTransaction().wait();
+    console.log("✅ VCRegistry deployed to:", vcRegistryAddress);
+    console.log("   - AVSManagement: ", avsManagementAddress);
 
-    // Save deployment info
-    const deploymentInfo = {
-        network: "baseSepolia",
-        chainId: 84532,
-        deployedAt: new Date().toISOString(),
-        deployer: deployer.address,
-        contracts: {
-            AVSManagement: {
-                address: avsManagement.address,
-                did3Token: DID3_TOKEN_ADDRESS,
-                minimumStake: "999999000000000000000000", // 999,999 * 10^18
-                description: "Manages issuer staking in DID3 tokens"
-            },
-            VCRegistry: {
-                address: vcRegistry.address,
-                avsManagement: avsManagement.address,
-                description: "Primary Verifiable Credential Registry with purge functionality"
-            }
-        }
-    };
+    // Challenges read credentials from, and revoke them through, this registry
+    await (await avsManagement.setCredentialRegistry(vcRegistryAddress)).wait();
+    console.log("   - Linked as AVSManagement's credential registry for challenges\n");
+
+    // Step 3: Multicall3 for batched reads - Base Sepolia has the canonical one, local nodes get a copy
+    let multicallAddress = ContractClient.MULTICALL3_ADDRESS;
+    if ((await hre.ethers.provider.getCode(multicallAddress)) === "0x") {
+        console.log("📦 No Multicall3 on this network, deploying one...");
+        const Multicall3 = await hre.ethers.getContractFactory("Multicall3");
+        const multicall = await Multicall3.deploy();
+        await multicall.waitForDeployment();
+        multicallAddress = await multicall.getAddress();
+    }
+    console.log("✅ Multicall3:", multicallAddress, "\n");
+
+    // Read back through the same client the frontends use, so an ABI mismatch fails here
+    const client = ContractClient.createContracts({
+        ethers: hre.ethers,
+        runner: deployer,
+        addresses: { avsManagement: avsManagementAddress, vcRegistry: vcRegistryAddress, multicall: multicallAddress }
+    });
+    const [minimumStake, [totalCredentials]] = await client.multicall.call([
+        { client: client.avsManagement, method: "MINIMUM_STAKE" },
+        { client: client.vcRegistry, method: "getStatistics" }
+    ]);
+    console.log("🔎 Client check: minimum stake", minimumStake.toString(), "- credentials", totalCredentials.toString(), "\n");
 
-    // Write to deployment file
-    fs.writeFileSync(
-        "deployment-refactored.json",
-        JSON.stringify(deploymentInfo, null, 2)
-    );
+    // Record the deployment in the network's manifest, which the frontends load
+    const deployedAt = new Date().toISOString();
+    Object.assign(deployment, {
+        AVSManagement: {
+            address: avsManagementAddress,
+            did3Token: DID3_TOKEN_ADDRESS,
+            minimumStake: minimumStake.toString(), // 999,999 * 10^18
+            deploymentBlock: avsManagementReceipt.blockNumber, // issuer analytics scan stake events from here
+            deployer: deployer.address,
+            deployedAt,
+            description: "Manages issuer staking in DID3 tokens"
+        },
+        VCRegistry: {
+            address: vcRegistryAddress,
+            avsManagement: avsManagementAddress,
+            deploymentBlock: vcRegistryReceipt.blockNumber, // frontends scan events from here
+            deployer: deployer.address,
+            deployedAt,
+            description: "Primary Verifiable Credential Registry with purge functionality"
+        },
+        Multicall3: {
+            address: multicallAddress,
+            description: "Batches frontend view calls"
+        }
+    });
+    const manifestPath = Networks.writeDeployment(network, deployment);
 
-    console.log("📄 Deployment info saved to deployment-refactored.json\n");
+    console.log(`📄 Deployment info saved to ${manifestPath}\n`);
 
     // Display summary
     console.log("=" .repeat(60));
     console.log("🎉 DEPLOYMENT COMPLETE!");
     console.log("=" .repeat(60));
     console.log("\n📋 Contract Addresses:");
-    console.log("   AVSManagement:", avsManagement.address);
-    console.log("   VCRegistry:   ", vcRegistry.address);
-    console.log("\n🔗 Network: Base Sepolia (Chain ID: 84532)");
-    console.log("🔗 Explorer: https://sepolia.basescan.org");
+    console.log("   AVSManagement:", avsManagementAddress);
+    console.log("   VCRegistry:   ", vcRegistryAddress);
+    console.log("   Multicall3:   ", multicallAddress);
+    console.log(`\n🔗 Network: ${network.chainName} (Chain ID: ${network.chainId})`);
+    if (network.explorerUrl) console.log("🔗 Explorer:", network.explorerUrl);
     console.log("\n📝 Next Steps:");
-    console.log("   1. Verify contracts on BaseScan");
+    console.log(network.local
+        ? "   1. Mint DID3 to your wallet: MockERC20.mint(address, amount)"
+        : "   1. Verify contracts on BaseScan");
     console.log("   2. Register as issuer by staking 999,999 DID3 tokens");
     console.log("   3. Issue verifiable credentials");
     console.log("   4. Use frontend to interact with contracts");
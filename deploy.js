@@ -1,66 +1,100 @@
 /**
- * Deployment script for VCRegistry contract on Base Sepolia
+ * Deployment script for a VCRegistry linked to an existing AVSManagement
  *
  * Prerequisites:
- * 1. Install dependencies: npm install --save-dev hardhat @nomiclabs/hardhat-ethers ethers
+ * 1. Install dependencies: npm install
  * 2. Set up .env file with PRIVATE_KEY and BASE_SEPOLIA_RPC_URL
- * 3. Run: npx hardhat run deploy.js --network baseSepolia
+ * 3. An AVSManagement deployment: AVS_MANAGEMENT_ADDRESS, or the one in deployments/<network>.json
+ *    (use deploy-refactored.js to deploy both)
+ * 4. Run: npx hardhat run deploy.js --network baseSepolia
  */
 
 const hre = require("hardhat");
+const ContractClient = require("./contract-client");
+const Networks = require("./networks");
 
 async function main() {
-    console.log("Starting deployment of VCRegistry to Base Sepolia...\n");
+    const network = Networks.getNetwork(hre.network.name);
+    if (!network) {
+        throw new Error(`No "${hre.network.name}" entry in networks.js - add the chain there first`);
+    }
+    console.log(`Starting deployment of VCRegistry to ${network.chainName}...\n`);
 
     // Get deployer account
     const [deployer] = await hre.ethers.getSigners();
     const deployerAddress = await deployer.getAddress();
     console.log("Deploying contracts with account:", deployerAddress);
 
-    const balance = await deployer.getBalance();
-    console.log("Account balance:", hre.ethers.utils.formatEther(balance), "ETH\n");
+    const balance = await hre.ethers.provider.getBalance(deployerAddress);
+    console.log("Account balance:", hre.ethers.formatEther(balance), "ETH\n");
+
+    const avsManagementAddress = process.env.AVS_MANAGEMENT_ADDRESS
+        || Networks.deploymentAddresses(network, Networks.readDeployment(network)).avsManagement;
+    if (!avsManagementAddress) {
+        throw new Error(`AVS_MANAGEMENT_ADDRESS is not set and ${Networks.manifestPath(network)} has no AVSManagement`);
+    }
 
     // Deploy VCRegistry
     console.log("Deploying VCRegistry contract...");
     const VCRegistry = await hre.ethers.getContractFactory("VCRegistry");
-    const vcRegistry = await VCRegistry.deploy();
+    const vcRegistry = await VCRegistry.deploy(avsManagementAddress);
 
-    await vcRegistry.deployed();
+    await vcRegistry.waitForDeployment();
+    const vcRegistryAddress = await vcRegistry.getAddress();
+    const deployTransaction = vcRegistry.deploymentTransaction();
+    const deployReceipt = await deployTransaction.wait();
 
     console.log("\n✅ VCRegistry deployed successfully!");
-    console.log("Contract address:", vcRegistry.address);
-    console.log("Transaction hash:", vcRegistry.deployTransaction.hash);
-    console.log("\nDeployer is set as admin and authorized issuer");
+    console.log("Contract address:", vcRegistryAddress);
+    console.log("Transaction hash:", deployTransaction.hash);
+    console.log("\nDeployer is set as admin; issuers are authorized by staking in AVSManagement");
 
-    // Verify deployment
+    // Verify deployment through the shared client used by the frontends
     console.log("\nVerifying deployment...");
-    const admin = await vcRegistry.admin();
-    const isAuthorized = await vcRegistry.isAuthorizedIssuer(deployerAddress);
+    const { vcRegistry: client } = ContractClient.createContracts({
+        ethers: hre.ethers,
+        runner: deployer,
+        addresses: { vcRegistry: vcRegistryAddress }
+    });
+    const admin = await client.contract.admin();
+    const linkedAVSManagement = await client.contract.avsManagement();
     console.log("Admin address:", admin);
-    console.log("Deployer is authorized issuer:", isAuthorized);
+    console.log("AVSManagement:", linkedAVSManagement);
+
+    // Challenges read credentials from, and revoke them through, AVSManagement's linked registry
+    const avsManagement = await hre.ethers.getContractAt("AVSManagement", avsManagementAddress, deployer);
+    if ((await avsManagement.owner()).toLowerCase() === deployerAddress.toLowerCase()) {
+        await (await avsManagement.setCredentialRegistry(vcRegistryAddress)).wait();
+        console.log("Linked as AVSManagement's credential registry for challenges");
+    } else {
+        console.log("⚠️  The AVSManagement owner must call setCredentialRegistry(" + vcRegistryAddress + ") to enable challenges");
+    }
 
-    // Save deployment info
+    // Record the deployment in the network's manifest, which the frontends load
     const deploymentInfo = {
-        network: "Base Sepolia",
-        contractAddress: vcRegistry.address,
+        address: vcRegistryAddress,
+        avsManagement: avsManagementAddress,
+        deploymentBlock: deployReceipt.blockNumber, // frontends scan events from here
         deployer: deployerAddress,
-        transactionHash: vcRegistry.deployTransaction.hash,
-        blockNumber: vcRegistry.deployTransaction.blockNumber,
-        timestamp: new Date().toISOString()
+        transactionHash: deployTransaction.hash,
+        deployedAt: new Date().toISOString(),
+        description: "Primary Verifiable Credential Registry with purge functionality"
     };
+    const manifestPath = Networks.writeDeployment(network, { VCRegistry: deploymentInfo });
 
     console.log("\n📋 Deployment Information:");
     console.log(JSON.stringify(deploymentInfo, null, 2));
+    console.log(`Saved to ${manifestPath}`);
 
-    console.log("\n🔗 View on Base Sepolia Explorer:");
-    console.log(`https://sepolia.basescan.org/address/${vcRegistry.address}`);
+    if (network.explorerUrl) {
+        console.log(`\n🔗 View on ${network.chainName} Explorer:`);
+        console.log(Networks.explorerLink(network, "address", vcRegistryAddress));
+    }
 
     console.log("\n📝 Next Steps:");
-    console.log("1. Update wallet.js with the contract address");
-    console.log("2. Or use the 'Deploy Registry Contract' button in the UI");
-    console.log("3. Authorize additional issuers if needed using setAuthorizedIssuer()");
+    console.log("1. Issuers register by staking DID3 in AVSManagement");
 
-    return vcRegistry.address;
+    return vcRegistryAddress;
 }
 
 // Execute deployment
@@ -0,0 +1,60 @@
+/**
+ * Generates contract-abis.js from the Hardhat artifacts
+ *
+ * Runs automatically after every `npx hardhat compile` (see hardhat.config.js), so the
+ * ABIs used by app.js, wallet.js and avs-wallet.js always match what is in contracts/.
+ * The output is a plain script that works both as a browser <script> (window.CONTRACT_ABIS)
+ * and as a CommonJS module for the deploy scripts.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const OUTPUT_FILE = "contract-abis.js";
+
+async function generateContractAbis(hre) {
+    const { Interface } = require("ethers");
+
+    const names = await hre.artifacts.getAllFullyQualifiedNames();
+    const abis = {};
+
+    for (const fullyQualifiedName of names.sort()) {
+        if (!fullyQualifiedName.startsWith("contracts/")) continue;
+
+        // Interfaces (IERC20, IAVSManagement) have no bytecode and would shadow each other by name
+        const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+        if (artifact.bytecode === "0x") continue;
+
+        // Human-readable form so the generated file diffs cleanly when a contract changes
+        abis[artifact.contractName] = new Interface(artifact.abi).format();
+    }
+
+    const body = Object.entries(abis).map(([name, fragments]) => {
+        const lines = fragments.map(fragment => `            ${JSON.stringify(fragment)}`).join(",\n");
+        return `        ${name}: [\n${lines}\n        ]`;
+    }).join(",\n");
+
+    const source = `// AUTO-GENERATED by generate-contract-abis.js from the Hardhat artifacts - do not edit.
+// Run \`npm run compile\` to regenerate after changing anything in contracts/.
+(function (root) {
+    const CONTRACT_ABIS = {
+${body}
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = CONTRACT_ABIS;
+    } else {
+        root.CONTRACT_ABIS = CONTRACT_ABIS;
+    }
+})(this);
+`;
+
+    const outputPath = path.join(hre.config.paths.root, OUTPUT_FILE);
+    const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, "utf8") : "";
+    if (current !== source) {
+        fs.writeFileSync(outputPath, source);
+        console.log(`Generated ${OUTPUT_FILE} for ${Object.keys(abis).length} contracts`);
+    }
+}
+
+module.exports = { generateContractAbis };
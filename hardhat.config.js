@@ -1,14 +1,65 @@
 require("@nomicfoundation/hardhat-chai-matchers");
 require("@nomicfoundation/hardhat-ethers");
 require("@nomicfoundation/hardhat-verify");
+require("@typechain/hardhat");
 require("dotenv").config();
 
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { generateContractAbis } = require("./generate-contract-abis");
+const Networks = require("./networks");
+
+// Regenerate the shared frontend ABIs whenever the contracts are compiled
+task(TASK_COMPILE).setAction(async (args, hre, runSuper) => {
+    const result = await runSuper(args);
+    await generateContractAbis(hre);
+    return result;
+});
+
+// Every chain in networks.js becomes a --network target; remote ones sign with PRIVATE_KEY
+function hardhatNetworks() {
+    const networks = {};
+    for (const network of Object.values(Networks.NETWORKS)) {
+        networks[network.name] = network.local
+            ? { url: Networks.rpcUrl(network), chainId: network.chainId }
+            : {
+                url: Networks.rpcUrl(network),
+                accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+                chainId: network.chainId,
+                gasPrice: "auto"
+            };
+    }
+    return networks;
+}
+
+// BaseScan-style explorers for contract verification
+function explorerChains() {
+    const chains = Object.values(Networks.NETWORKS).filter(network => network.explorerApiUrl);
+    return {
+        apiKey: Object.fromEntries(chains.map(network => [network.name, process.env[network.explorerApiKeyEnv] || ""])),
+        customChains: chains.map(network => ({
+            network: network.name,
+            chainId: network.chainId,
+            urls: {
+                apiURL: network.explorerApiUrl,
+                browserURL: network.explorerUrl
+            }
+        }))
+    };
+}
+
 /**
- * Hardhat configuration for deploying VCRegistry to Base Sepolia
+ * Hardhat configuration for deploying the VC system
+ *
+ * Networks (chain IDs, RPC and explorer URLs) come from networks.js.
  *
  * Environment Variables Required:
  * - PRIVATE_KEY: Your wallet private key (never commit this!)
  * - BASE_SEPOLIA_RPC_URL: RPC URL for Base Sepolia (default: https://sepolia.base.org)
+ * - BASESCAN_API_KEY: For `npm run verify`
+ *
+ * Compiling also emits typechain bindings (typechain-types/) for the deploy scripts and
+ * tests, and contract-abis.js for the browser frontends.
  */
 
 module.exports = {
@@ -21,36 +72,16 @@ module.exports = {
       }
     }
   },
-  networks: {
-    baseSepolia: {
-      url: process.env.BASE_SEPOLIA_RPC_URL || "https://sepolia.base.org",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 84532,
-      gasPrice: "auto"
-    },
-    localhost: {
-      url: "http://127.0.0.1:8545"
-    }
-  },
+  networks: hardhatNetworks(),
   paths: {
     sources: "./contracts",
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts"
   },
-  etherscan: {
-    apiKey: {
-      baseSepolia: process.env.BASESCAN_API_KEY || ""
-    },
-    customChains: [
-      {
-        network: "baseSepolia",
-        chainId: 84532,
-        urls: {
-          apiURL: "https://api-sepolia.basescan.org/api",
-          browserURL: "https://sepolia.basescan.org"
-        }
-      }
-    ]
-  }
+  typechain: {
+    outDir: "typechain-types",
+    target: "ethers-v6"
+  },
+  etherscan: explorerChains()
 };
@@ -0,0 +1,678 @@
+/**
+ * Issuer analytics: track records rebuilt from contract events
+ *
+ * AVSManagement and VCRegistry only keep running totals. This scans the IssuerRegistered,
+ * StakeAdded, StakeWithdrawn, IssuerSlashed, CredentialIssued, CredentialRevoked and CredentialPurged logs of
+ * every issuer once (afterwards only new blocks) and derives per issuer: stake over time,
+ * issuance volume per period, the revocation ratio, the median credential lifetime and a 0-100
+ * reputation score that verifiers can use as a trust threshold.
+ *
+ * In the browser the scanned events and the last-scanned block are kept in IndexedDB, so a page
+ * load only fetches logs for new blocks. Scanning needs AVSManagement's deployment block; without
+ * one load() throws rather than walking the chain from genesis.
+ *
+ * Browser: load after contract-client.js and log-scan.js, then use window.IssuerAnalytics.
+ * Node:    const IssuerAnalytics = require("./issuer-analytics"); pass hre.ethers as ethers.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./contract-client'), require('./log-scan'));
+    } else {
+        root.IssuerAnalytics = factory(root.ContractClient, root.LogScan);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (ContractClient, LogScan) {
+    'use strict';
+
+    const DB_VERSION = 1;
+
+    const DAY_SECONDS = 24 * 60 * 60;
+
+    // Issuance volume is counted per week
+    const DEFAULT_BUCKET_SECONDS = 7 * DAY_SECONDS;
+
+    const STAKE_EVENTS = ['IssuerRegistered', 'StakeAdded', 'StakeWithdrawn', 'IssuerSlashed'];
+    const CREDENTIAL_EVENTS = ['CredentialIssued', 'CredentialRevoked', 'CredentialPurged'];
+
+    // ============ Reputation score ============
+    //
+    // Points per component, out of 100. An issuer the contract does not let issue (isActiveIssuer is
+    // false, e.g. below the self-stake or total stake minimum) scores 0 whatever its history.
+    //   stake       - effective stake (own plus delegated) relative to STAKE_TARGET_MULTIPLE x
+    //                 MINIMUM_STAKE, linear
+    //   volume      - credentials issued, log scale up to VOLUME_TARGET
+    //   revocations - full when no credential was revoked for issuer fault, none at
+    //                 MAX_FAULT_REVOCATION_RATIO or above; an issuer with no credentials has no record
+    //   tenure      - time since registration, linear up to TENURE_TARGET_SECONDS
+
+    const SCORE_WEIGHTS = { stake: 30, volume: 20, revocations: 35, tenure: 15 };
+
+    const STAKE_TARGET_MULTIPLE = 10;
+
+    const VOLUME_TARGET = 1000;
+
+    const MAX_FAULT_REVOCATION_RATIO = 0.1;
+
+    const TENURE_TARGET_SECONDS = 365 * DAY_SECONDS;
+
+    // RevocationReason codes that count against the issuer: Unspecified (the issuer chose not to
+    // say), Fraudulent information and Issuer error. Key compromise, changed information,
+    // superseded and subject requests are the normal life of a credential.
+    const FAULT_REVOCATION_REASONS = [0, 2, 6];
+
+    // ============ Helpers ============
+
+    const { defaultEthers } = ContractClient;
+
+    function utilsOf(ethersLib) {
+        return ethersLib.utils || ethersLib;
+    }
+
+    function toNumber(value) {
+        return typeof value === 'number' ? value : Number(value.toString());
+    }
+
+    // DID3 amounts as plain numbers; precise enough for charts and scores
+    function toTokens(value, ethersLib) {
+        return Number(utilsOf(ethersLib).formatEther(value));
+    }
+
+    function compareEvents(a, b) {
+        return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+    }
+
+    function median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Named event arguments with numbers as decimal strings, so events can be stored as they are
+     */
+    function plainArgs(args) {
+        const named = typeof args.toObject === 'function'
+            ? args.toObject()
+            : Object.fromEntries(Object.entries(args).filter(([key]) => isNaN(Number(key))));
+
+        return Object.fromEntries(Object.entries(named).map(([key, value]) => [
+            key,
+            typeof value === 'bigint' || (value && value._isBigNumber) ? value.toString() : value
+        ]));
+    }
+
+    /**
+     * One log as a plain record; ethers v5 and v6 name the event and log index differently
+     */
+    function normalizeEvent(log) {
+        const logIndex = log.logIndex !== undefined ? log.logIndex : log.index;
+        return {
+            key: `${log.transactionHash}:${logIndex}`,
+            name: log.event || log.eventName || (log.fragment && log.fragment.name),
+            issuer: String(log.args.issuer).toLowerCase(),
+            args: plainArgs(log.args),
+            blockNumber: log.blockNumber,
+            logIndex,
+            transactionHash: log.transactionHash,
+            timestamp: null
+        };
+    }
+
+    // ============ Metrics ============
+
+    /**
+     * Stake after each staking event, oldest first
+     * @return {Array<{ timestamp, stake }>} stake in DID3
+     */
+    function stakeSeries(events, ethersLib = defaultEthers()) {
+        return events
+            .filter(event => STAKE_EVENTS.includes(event.name))
+            .sort(compareEvents)
+            .map(event => {
+                const { args } = event;
+                const stake = event.name === 'IssuerRegistered' ? args.stakedAmount
+                    : event.name === 'StakeAdded' ? args.newTotal
+                    : args.remaining;
+                return { timestamp: event.timestamp, stake: toTokens(stake, ethersLib) };
+            });
+    }
+
+    /**
+     * Fold credential events into one record per credential
+     * @return {Array<{ credentialHash, issuanceDate, expirationDate, revocationTimestamp,
+     *         revocationReason, purgeTimestamp }>} Timestamps are 0 when it did not happen
+     */
+    function credentialRecords(events) {
+        const records = new Map();
+        const record = hash => {
+            if (!records.has(hash)) {
+                records.set(hash, {
+                    credentialHash: hash,
+                    issuanceDate: 0,
+                    expirationDate: 0,
+                    revocationTimestamp: 0,
+                    revocationReason: null,
+                    purgeTimestamp: 0
+                });
+            }
+            return records.get(hash);
+        };
+
+        events
+            .filter(event => CREDENTIAL_EVENTS.includes(event.name))
+            .sort(compareEvents)
+            .forEach(({ name, args }) => {
+                const entry = record(args.credentialHash);
+                if (name === 'CredentialIssued') {
+                    entry.issuanceDate = toNumber(args.issuanceDate);
+                    entry.expirationDate = toNumber(args.expirationDate);
+                } else if (name === 'CredentialRevoked') {
+                    entry.revocationTimestamp = toNumber(args.revocationDate);
+                    entry.revocationReason = toNumber(args.reason);
+                } else {
+                    entry.purgeTimestamp = toNumber(args.purgeDate);
+                }
+            });
+
+        // Purges and revocations of credentials issued before the scan window have no issuance to count
+        return [...records.values()].filter(entry => entry.issuanceDate > 0);
+    }
+
+    /**
+     * Credentials issued and revoked per period, with empty periods included
+     * @return {Array<{ start, issued, revoked }>} start is the period's first second
+     */
+    function issuanceSeries(records, { now, bucketSeconds = DEFAULT_BUCKET_SECONDS }) {
+        if (records.length === 0) return [];
+
+        const bucketOf = timestamp => Math.floor(timestamp / bucketSeconds) * bucketSeconds;
+        const first = bucketOf(Math.min(...records.map(record => record.issuanceDate)));
+        const buckets = [];
+        for (let start = first; start <= bucketOf(now); start += bucketSeconds) {
+            buckets.push({ start, issued: 0, revoked: 0 });
+        }
+
+        const bucketAt = timestamp => buckets[(bucketOf(timestamp) - first) / bucketSeconds];
+        records.forEach(record => {
+            const issued = bucketAt(record.issuanceDate);
+            if (issued) issued.issued++;
+            if (record.revocationTimestamp) {
+                const revoked = bucketAt(record.revocationTimestamp);
+                if (revoked) revoked.revoked++;
+            }
+        });
+        return buckets;
+    }
+
+    /**
+     * Seconds from issuance until the credential stopped being valid: revoked, expired or purged,
+     * whichever came first
+     * @return {number|null} null while it is still valid
+     */
+    function credentialLifetime(record, now) {
+        const ends = [record.revocationTimestamp, record.purgeTimestamp, record.expirationDate]
+            .filter(timestamp => timestamp > 0 && timestamp <= now);
+        return ends.length > 0 ? Math.max(0, Math.min(...ends) - record.issuanceDate) : null;
+    }
+
+    /**
+     * 0-100 score from an issuer's metrics; see SCORE_WEIGHTS
+     * @param {Object} metrics { isActive, stake, minimumStake, issued, faultRevocations, registeredAt, now }
+     *        isActive is AVSManagement.isActiveIssuer and stake the effective stake, in DID3
+     * @return {{ score, components: { stake, volume, revocations, tenure } }}
+     */
+    function reputationScore({ isActive, stake, minimumStake, issued, faultRevocations, registeredAt, now }) {
+        const stakeTarget = minimumStake * STAKE_TARGET_MULTIPLE;
+        const components = {
+            stake: SCORE_WEIGHTS.stake * (stakeTarget > 0 ? Math.min(1, stake / stakeTarget) : 0),
+            volume: SCORE_WEIGHTS.volume * Math.min(1, Math.log10(1 + issued) / Math.log10(1 + VOLUME_TARGET)),
+            revocations: issued > 0
+                ? SCORE_WEIGHTS.revocations * Math.max(0, 1 - faultRevocations / issued / MAX_FAULT_REVOCATION_RATIO)
+                : 0,
+            tenure: registeredAt > 0
+                ? SCORE_WEIGHTS.tenure * Math.min(1, Math.max(0, now - registeredAt) / TENURE_TARGET_SECONDS)
+                : 0
+        };
+        Object.keys(components).forEach(key => {
+            components[key] = Math.round(components[key] * 10) / 10;
+        });
+
+        const total = Object.values(components).reduce((sum, points) => sum + points, 0);
+        return { score: isActive ? Math.round(total) : 0, components };
+    }
+
+    /**
+     * Everything the dashboard shows about one issuer
+     * @param {Array<Object>} events The issuer's normalized events, with timestamps
+     * @param {Object} context
+     * @param {Object} context.info AVSManagement.getIssuerInfo result
+     * @param {boolean} context.isActive AVSManagement.isActiveIssuer, i.e. whether it may issue
+     * @param {Object} context.effectiveStake AVSManagement.effectiveStake (own plus delegated)
+     * @param {Object} context.minimumStake AVSManagement.MINIMUM_STAKE
+     * @param {number} context.now Latest block timestamp
+     */
+    function summarizeIssuer(issuer, events, { info, isActive, effectiveStake, minimumStake, now }, ethersLib = defaultEthers()) {
+        const records = credentialRecords(events);
+        const revoked = records.filter(record => record.revocationTimestamp > 0);
+        const faultRevocations = revoked.filter(record => FAULT_REVOCATION_REASONS.includes(record.revocationReason)).length;
+        const lifetimes = records.map(record => credentialLifetime(record, now)).filter(lifetime => lifetime !== null);
+
+        const metrics = {
+            isActive: Boolean(isActive),
+            stake: toTokens(effectiveStake, ethersLib),
+            minimumStake: toTokens(minimumStake, ethersLib),
+            issued: records.length,
+            faultRevocations,
+            registeredAt: toNumber(info.registrationTimestamp),
+            now
+        };
+
+        return Object.assign(metrics, {
+            issuer,
+            revoked: revoked.length,
+            revocationRatio: records.length > 0 ? revoked.length / records.length : 0,
+            slashes: events.filter(event => event.name === 'IssuerSlashed').length,
+            medianLifetime: median(lifetimes),
+            endedCredentials: lifetimes.length,
+            stakeSeries: stakeSeries(events, ethersLib),
+            issuanceSeries: issuanceSeries(records, { now }),
+            reputation: reputationScore(metrics)
+        });
+    }
+
+    // ============ Event cache ============
+
+    const { promisifyRequest, transactionDone } = LogScan;
+
+    /**
+     * Scanned events keyed by log, plus the last-scanned block, in one IndexedDB database
+     */
+    class EventCache {
+        constructor(name) {
+            this.name = name;
+            this.dbPromise = null;
+        }
+
+        db() {
+            if (!this.dbPromise) {
+                const request = indexedDB.open(this.name, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('events', { keyPath: 'key' });
+                    request.result.createObjectStore('cursors', { keyPath: 'scope' });
+                };
+                this.dbPromise = promisifyRequest(request).then(db => {
+                    // Another page (or index) clearing the cache must not wait on this connection
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    return db;
+                });
+            }
+            return this.dbPromise;
+        }
+
+        /**
+         * @return {Promise<{ events: Array<Object>, lastScannedBlock: number|null }>}
+         */
+        async read() {
+            const tx = (await this.db()).transaction(['events', 'cursors']);
+            const [events, cursor] = await Promise.all([
+                promisifyRequest(tx.objectStore('events').getAll()),
+                promisifyRequest(tx.objectStore('cursors').get('scan'))
+            ]);
+            return { events, lastScannedBlock: cursor ? cursor.lastScannedBlock : null };
+        }
+
+        /**
+         * Drop the re-scanned events, store the new ones and move the cursor in one transaction
+         */
+        async write({ removedKeys, events, lastScannedBlock }) {
+            const tx = (await this.db()).transaction(['events', 'cursors'], 'readwrite');
+            const store = tx.objectStore('events');
+            removedKeys.forEach(key => store.delete(key));
+            events.forEach(event => store.put(event));
+            tx.objectStore('cursors').put({ scope: 'scan', lastScannedBlock });
+            return transactionDone(tx);
+        }
+
+        async clear() {
+            const db = await this.db();
+            db.close();
+            this.dbPromise = null;
+            await promisifyRequest(indexedDB.deleteDatabase(this.name));
+        }
+    }
+
+    // ============ Event scanner ============
+
+    /**
+     * Every issuer's staking and credential events, topped up on each load and cached in
+     * IndexedDB where there is one
+     */
+    class IssuerAnalyticsIndex {
+        /**
+         * @param {Object} options
+         * @param {AVSManagementClient} options.avsManagement
+         * @param {VCRegistryClient} options.vcRegistry
+         * @param {MulticallClient} options.multicall Batches the getIssuerInfo reads
+         * @param {Object} options.provider ethers provider for block numbers and timestamps
+         * @param {number|null} options.startBlock Block AVSManagement was deployed in; null refuses
+         *        to scan
+         * @param {number} [options.chainId] Chain the contracts live on; with IndexedDB available,
+         *        scans are cached under it and the AVSManagement address
+         * @param {Object} [options.ethers] ethers library (defaults to the browser global)
+         */
+        constructor({ avsManagement, vcRegistry, multicall, provider, startBlock = null, chainId, ethers: ethersLib = defaultEthers() }) {
+            this.avsManagement = avsManagement;
+            this.vcRegistry = vcRegistry;
+            this.multicall = multicall;
+            this.provider = provider;
+            this.startBlock = startBlock;
+            this.ethersLib = ethersLib;
+            this.cache = chainId !== undefined && typeof indexedDB !== 'undefined'
+                ? new EventCache(`vc-issuer-analytics-${chainId}-${avsManagement.address.toLowerCase()}`)
+                : null;
+            this.restored = false;
+            this.events = new Map(); // issuer -> Map(log key -> event)
+            this.blockTimestamps = new Map();
+            this.lastScannedBlock = null;
+            this.now = 0;
+            this.syncing = null;
+            this.minimumStakePromise = null;
+        }
+
+        /**
+         * Analytics for each issuer, in the order given
+         * @param {Array<string>} issuers
+         * @return {Promise<Array<Object>>} summarizeIssuer results
+         */
+        async load(issuers) {
+            await this.sync();
+            if (!this.minimumStakePromise) {
+                this.minimumStakePromise = this.avsManagement.minimumStake();
+            }
+            const args = issuers.map(issuer => [issuer]);
+            const [minimumStake, infos, active, effectiveStakes] = await Promise.all([
+                this.minimumStakePromise,
+                this.multicall.map(this.avsManagement, 'getIssuerInfo', args),
+                this.multicall.map(this.avsManagement, 'isActiveIssuer', args),
+                this.multicall.map(this.avsManagement, 'effectiveStake', args)
+            ]);
+
+            return issuers.map((issuer, index) => summarizeIssuer(
+                issuer,
+                [...(this.events.get(issuer.toLowerCase()) || new Map()).values()],
+                {
+                    info: infos[index],
+                    isActive: active[index],
+                    effectiveStake: effectiveStakes[index],
+                    minimumStake,
+                    now: this.now
+                },
+                this.ethersLib
+            ));
+        }
+
+        /**
+         * Reputation scores by lowercase issuer address
+         * @return {Promise<Map<string, number>>}
+         */
+        async scores(issuers) {
+            const unique = [...new Set(issuers.map(issuer => issuer.toLowerCase()))];
+            const summaries = await this.load(unique);
+            return new Map(unique.map((issuer, index) => [issuer, summaries[index].reputation.score]));
+        }
+
+        /**
+         * Scan blocks since the last scan
+         * @dev Concurrent calls share one scan
+         */
+        sync() {
+            if (!this.syncing) {
+                this.syncing = this.runSync().finally(() => {
+                    this.syncing = null;
+                });
+            }
+            return this.syncing;
+        }
+
+        async runSync() {
+            if (!LogScan.canScan(this.startBlock)) {
+                throw new Error('No AVSManagement deployment block in the manifest, so track records cannot be scanned');
+            }
+            await this.restore();
+
+            const latestBlock = await this.provider.getBlockNumber();
+            const fromBlock = LogScan.scanFrom(this.startBlock, this.lastScannedBlock);
+            // Events from the re-scanned blocks are dropped first, so logs a reorg removed do not linger
+            const removedKeys = this.dropEventsFrom(fromBlock);
+
+            const scanned = [];
+            await LogScan.forEachWindow(fromBlock, latestBlock, async (windowFrom, windowTo) => {
+                const logs = await this.fetchEvents(windowFrom, windowTo);
+                scanned.push(...logs.map(normalizeEvent));
+            });
+            scanned.forEach(event => this.addEvent(event));
+
+            await this.fillTimestamps();
+            this.now = (await this.provider.getBlock(latestBlock)).timestamp;
+            this.lastScannedBlock = latestBlock;
+
+            if (this.cache) {
+                await this.cache.write({ removedKeys, events: scanned, lastScannedBlock: latestBlock });
+            }
+        }
+
+        /**
+         * Load the cached scan once per page
+         */
+        async restore() {
+            if (this.restored || !this.cache) return;
+            const { events, lastScannedBlock } = await this.cache.read();
+            events.forEach(event => this.addEvent(event));
+            this.lastScannedBlock = lastScannedBlock;
+            this.restored = true;
+        }
+
+        addEvent(event) {
+            if (!this.events.has(event.issuer)) this.events.set(event.issuer, new Map());
+            this.events.get(event.issuer).set(event.key, event);
+        }
+
+        /**
+         * Forget events from blocks about to be re-scanned
+         * @return {Array<string>} Keys of the dropped events
+         */
+        dropEventsFrom(fromBlock) {
+            const removed = [];
+            this.events.forEach(events => events.forEach((event, key) => {
+                if (event.blockNumber >= fromBlock) {
+                    events.delete(key);
+                    removed.push(key);
+                }
+            }));
+            return removed;
+        }
+
+        async fetchEvents(fromBlock, toBlock) {
+            const avs = this.avsManagement.contract;
+            const registry = this.vcRegistry.contract;
+
+            const results = await Promise.all([
+                ...STAKE_EVENTS.map(name => avs.queryFilter(avs.filters[name](), fromBlock, toBlock)),
+                ...CREDENTIAL_EVENTS.map(name => registry.queryFilter(registry.filters[name](), fromBlock, toBlock))
+            ]);
+            return results.flat();
+        }
+
+        /**
+         * IssuerRegistered carries its timestamp; the other staking events take their block's
+         */
+        async fillTimestamps() {
+            const pending = [];
+            this.events.forEach(events => events.forEach(event => {
+                if (event.timestamp === null && STAKE_EVENTS.includes(event.name)) pending.push(event);
+            }));
+
+            const blocks = [...new Set(pending.map(event => event.blockNumber))]
+                .filter(blockNumber => !this.blockTimestamps.has(blockNumber));
+            await Promise.all(blocks.map(async blockNumber => {
+                this.blockTimestamps.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+            }));
+
+            pending.forEach(event => {
+                event.timestamp = event.name === 'IssuerRegistered'
+                    ? toNumber(event.args.timestamp)
+                    : this.blockTimestamps.get(event.blockNumber);
+            });
+        }
+
+        /**
+         * Drop everything scanned, cached scans included (e.g. after a redeploy on a local node)
+         */
+        async clear() {
+            this.events.clear();
+            this.blockTimestamps.clear();
+            this.lastScannedBlock = null;
+            if (this.cache) await this.cache.clear();
+        }
+    }
+
+    // ============ Dashboard ============
+
+    const CHART_WIDTH = 480;
+    const CHART_HEIGHT = 120;
+
+    /**
+     * Human-readable length of time, e.g. "3 days" or "5.5 months"
+     */
+    function formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) return '-';
+        const days = seconds / DAY_SECONDS;
+        if (days < 1) return `${Math.round(seconds / 3600)} hours`;
+        if (days < 60) return `${Math.round(days)} days`;
+        if (days < 730) return `${Math.round(days / 30.4 * 10) / 10} months`;
+        return `${Math.round(days / 365 * 10) / 10} years`;
+    }
+
+    function formatDate(timestamp) {
+        return new Date(timestamp * 1000).toLocaleDateString();
+    }
+
+    /**
+     * Step chart of stake over time, carried forward to now
+     * @return {string} SVG markup
+     */
+    function stakeChart(series, now) {
+        if (series.length === 0) return '<p class="chart-empty">No staking history</p>';
+
+        const points = [...series, { timestamp: now, stake: series[series.length - 1].stake }];
+        const start = points[0].timestamp;
+        const span = Math.max(1, now - start);
+        const top = Math.max(...points.map(point => point.stake)) || 1;
+        const x = timestamp => ((timestamp - start) / span) * CHART_WIDTH;
+        const y = stake => CHART_HEIGHT - (stake / top) * (CHART_HEIGHT - 10);
+
+        const path = points.slice(1).reduce(
+            (line, point) => `${line} H ${x(point.timestamp)} V ${y(point.stake)}`,
+            `M 0 ${y(points[0].stake)}`
+        );
+
+        const markers = series.map(point => `
+            <circle class="chart-point" cx="${x(point.timestamp)}" cy="${y(point.stake)}" r="3">
+                <title>${formatDate(point.timestamp)}: ${point.stake.toLocaleString()} DID3</title>
+            </circle>`).join('');
+
+        return `
+            <svg class="analytics-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Stake over time">
+                <path class="chart-line" d="${path}" />
+                ${markers}
+            </svg>
+            <div class="chart-axis"><span>${formatDate(start)}</span><span>${top.toLocaleString()} DID3 peak</span><span>Now</span></div>
+        `;
+    }
+
+    /**
+     * Bars of credentials issued per period, with the period's revocations overlaid
+     * @return {string} SVG markup
+     */
+    function issuanceChart(buckets) {
+        if (buckets.length === 0) return '<p class="chart-empty">No credentials issued</p>';
+
+        const top = Math.max(...buckets.map(bucket => Math.max(bucket.issued, bucket.revoked))) || 1;
+        const width = CHART_WIDTH / buckets.length;
+        const height = count => (count / top) * (CHART_HEIGHT - 10);
+
+        const bars = buckets.map((bucket, index) => `
+            <g>
+                <title>Week of ${formatDate(bucket.start)}: ${bucket.issued} issued, ${bucket.revoked} revoked</title>
+                <rect class="chart-bar-issued" x="${index * width}" y="${CHART_HEIGHT - height(bucket.issued)}" width="${Math.max(1, width - 1)}" height="${height(bucket.issued)}" />
+                <rect class="chart-bar-revoked" x="${index * width + width / 4}" y="${CHART_HEIGHT - height(bucket.revoked)}" width="${Math.max(1, width / 2 - 1)}" height="${height(bucket.revoked)}" />
+            </g>`).join('');
+
+        return `
+            <svg class="analytics-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Credentials issued per week">
+                ${bars}
+            </svg>
+            <div class="chart-axis"><span>${formatDate(buckets[0].start)}</span><span>${top} per week peak</span><span>Now</span></div>
+        `;
+    }
+
+    /**
+     * Score, ratios and charts for one issuer
+     * @param {Object} summary summarizeIssuer result
+     * @return {string} HTML; summaries only hold numbers, so nothing needs escaping
+     */
+    function renderDashboard(summary) {
+        const { reputation } = summary;
+        const components = Object.entries(reputation.components).map(([name, points]) => `
+            <li><span>${name}</span><span>${points} / ${SCORE_WEIGHTS[name]}</span></li>`).join('');
+
+        return `
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="stat-label">Reputation Score</div>
+                    <div class="stat-value">${reputation.score}</div>
+                    <div class="stat-unit">${summary.isActive ? 'out of 100' : 'inactive issuer'}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-label">Revocation Ratio</div>
+                    <div class="stat-value">${(summary.revocationRatio * 100).toFixed(1)}%</div>
+                    <div class="stat-unit">${summary.revoked} of ${summary.issued}, ${summary.faultRevocations} for issuer fault${summary.slashes > 0 ? `, slashed ${summary.slashes} time(s)` : ''}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-label">Median Credential Lifetime</div>
+                    <div class="stat-value">${formatDuration(summary.medianLifetime)}</div>
+                    <div class="stat-unit">over ${summary.endedCredentials} ended credential(s)</div>
+                </div>
+            </div>
+            <div class="analytics-charts">
+                <div>
+                    <h4>Stake over time</h4>
+                    ${stakeChart(summary.stakeSeries, summary.now)}
+                </div>
+                <div>
+                    <h4>Issued <span class="legend-issued">■</span> and revoked <span class="legend-revoked">■</span> per week</h4>
+                    ${issuanceChart(summary.issuanceSeries)}
+                </div>
+            </div>
+            <ul class="score-breakdown">${components}</ul>
+        `;
+    }
+
+    return {
+        SCORE_WEIGHTS,
+        FAULT_REVOCATION_REASONS,
+        DEFAULT_BUCKET_SECONDS,
+        stakeSeries,
+        credentialRecords,
+        issuanceSeries,
+        credentialLifetime,
+        reputationScore,
+        summarizeIssuer,
+        IssuerAnalyticsIndex,
+        formatDuration,
+        renderDashboard
+    };
+});
@@ -0,0 +1,328 @@
+/**
+ * Issuer profiles: signed metadata issuers publish through AVSManagement
+ *
+ * An issuer signs a profile document (legal name, DID, website, jurisdiction and the keccak256
+ * of its logo) as EIP-712 typed data bound to the chain and AVSManagement, then records where
+ * the document lives and the keccak256 of its bytes with AVSManagement.setIssuerProfile.
+ * Readers fetch the document, check its bytes against the on-chain hash and recover the signer,
+ * so a profile is only shown when both match the issuer. Documents can live at an https:// or
+ * ipfs:// URI, or inline as a data: URI when there is nowhere to host them.
+ *
+ * Browser: load after contract-client.js, then use window.IssuerProfiles.
+ * Node:    const IssuerProfiles = require("./issuer-profiles"); pass hre.ethers as ethersLib.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./contract-client'));
+    } else {
+        root.IssuerProfiles = factory(root.ContractClient);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (ContractClient) {
+    'use strict';
+
+    const EIP712_DOMAIN_NAME = 'VC Registry Issuer Profile';
+    const EIP712_DOMAIN_VERSION = '1';
+
+    const PROFILE_TYPES = {
+        IssuerProfile: [
+            { name: 'issuer', type: 'address' },
+            { name: 'name', type: 'string' },
+            { name: 'did', type: 'string' },
+            { name: 'website', type: 'string' },
+            { name: 'jurisdiction', type: 'string' },
+            { name: 'logoHash', type: 'bytes32' },
+            { name: 'issuedAt', type: 'uint256' }
+        ]
+    };
+
+    const DOCUMENT_TYPE = 'VCRegistryIssuerProfile';
+
+    const NO_LOGO_HASH = '0x' + '0'.repeat(64);
+
+    const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+
+    // ============ Helpers ============
+
+    const { defaultEthers } = ContractClient;
+
+    function defaultFetch() {
+        return typeof fetch === 'function' ? fetch : null;
+    }
+
+    function utilsOf(ethersLib) {
+        return ethersLib.utils || ethersLib;
+    }
+
+    function sameAddress(a, b) {
+        return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+    }
+
+    function typedDataDomain(chainId, avsManagementAddress) {
+        return {
+            name: EIP712_DOMAIN_NAME,
+            version: EIP712_DOMAIN_VERSION,
+            chainId: Number(chainId),
+            verifyingContract: avsManagementAddress
+        };
+    }
+
+    function profileMessage(profileDocument) {
+        return {
+            issuer: profileDocument.issuer,
+            name: profileDocument.name,
+            did: profileDocument.did,
+            website: profileDocument.website,
+            jurisdiction: profileDocument.jurisdiction,
+            logoHash: profileDocument.logoHash,
+            issuedAt: profileDocument.issuedAt
+        };
+    }
+
+    // ============ Issuer ============
+
+    /**
+     * Sign a profile document for the connected issuer
+     * @param {Object} signer ethers signer of the issuer
+     * @param {Object} fields { name, did, website, jurisdiction, logoHash }; only name is required
+     * @param {Object} options
+     * @param {number} options.chainId Chain AVSManagement lives on
+     * @param {string} options.avsManagementAddress
+     * @return {Promise<Object>} The document, with signature
+     */
+    async function createProfile(signer, fields, { chainId, avsManagementAddress }) {
+        const name = String(fields.name || '').trim();
+        if (!name) {
+            throw new Error('The profile needs the issuer\'s legal name');
+        }
+        const logoHash = fields.logoHash || NO_LOGO_HASH;
+        if (!/^0x[0-9a-fA-F]{64}$/.test(logoHash)) {
+            throw new Error('The logo hash must be 32 bytes (0x followed by 64 hex characters)');
+        }
+
+        const profileDocument = {
+            type: DOCUMENT_TYPE,
+            issuer: await signer.getAddress(),
+            name,
+            did: String(fields.did || '').trim(),
+            website: String(fields.website || '').trim(),
+            jurisdiction: String(fields.jurisdiction || '').trim(),
+            logoHash,
+            issuedAt: Math.floor(Date.now() / 1000),
+            chainId: Number(chainId),
+            avsManagement: avsManagementAddress
+        };
+
+        const domain = typedDataDomain(chainId, avsManagementAddress);
+        // ethers v5 exposes typed-data signing as _signTypedData
+        profileDocument.signature = signer.signTypedData
+            ? await signer.signTypedData(domain, PROFILE_TYPES, profileMessage(profileDocument))
+            : await signer._signTypedData(domain, PROFILE_TYPES, profileMessage(profileDocument));
+
+        return profileDocument;
+    }
+
+    /**
+     * The exact text to host; contentHash is taken over these bytes
+     */
+    function serializeProfile(profileDocument) {
+        return JSON.stringify(profileDocument, null, 2);
+    }
+
+    /**
+     * keccak256 of a document's UTF-8 bytes, as recorded on-chain
+     */
+    function contentHash(text, ethersLib = defaultEthers()) {
+        const utils = utilsOf(ethersLib);
+        return utils.keccak256(utils.toUtf8Bytes(text));
+    }
+
+    /**
+     * Inline the document in the URI itself, for issuers with nowhere to host it
+     */
+    function toDataUri(text) {
+        return `data:application/json;charset=utf-8,${encodeURIComponent(text)}`;
+    }
+
+    // ============ Readers ============
+
+    /**
+     * Fetch a profile document's text from an https://, ipfs:// or data: URI
+     */
+    async function readProfileUri(uri, { fetch: fetchFn = defaultFetch(), ethersLib = defaultEthers() } = {}) {
+        if (uri.startsWith('data:')) {
+            const comma = uri.indexOf(',');
+            const meta = uri.substring(0, comma);
+            const payload = uri.substring(comma + 1);
+            if (!meta.endsWith(';base64')) return decodeURIComponent(payload);
+
+            const utils = utilsOf(ethersLib);
+            const bytes = utils.base64 ? utils.base64.decode(payload) : ethersLib.decodeBase64(payload);
+            return utils.toUtf8String(bytes);
+        }
+
+        const url = uri.startsWith('ipfs://') ? IPFS_GATEWAY + uri.substring('ipfs://'.length) : uri;
+        if (!/^https?:\/\//.test(url)) {
+            throw new Error(`Unsupported profile URI: ${uri}`);
+        }
+        if (!fetchFn) {
+            throw new Error('No fetch available to read the profile');
+        }
+
+        const response = await fetchFn(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Profile not found at ${uri} (HTTP ${response.status})`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Check a fetched document against the on-chain record
+     * @param {string} text Document text as fetched
+     * @param {Object} expected
+     * @param {string} expected.issuer Issuer whose profile record pointed at it
+     * @param {string} expected.contentHash The record's contentHash
+     * @param {number} expected.chainId
+     * @param {string} expected.avsManagementAddress
+     * @return {{ isValid, profile, error }} profile is the parsed document (null if unreadable);
+     *         error says which check failed
+     */
+    function verifyProfile(text, expected, ethersLib = defaultEthers()) {
+        const utils = utilsOf(ethersLib);
+        const fail = (error, profile = null) => ({ isValid: false, profile, error });
+
+        if (contentHash(text, ethersLib).toLowerCase() !== String(expected.contentHash).toLowerCase()) {
+            return fail('The document does not match the hash recorded on-chain');
+        }
+
+        let profileDocument;
+        try {
+            profileDocument = JSON.parse(text);
+        } catch (error) {
+            return fail('The document is not JSON');
+        }
+        if (profileDocument.type !== DOCUMENT_TYPE) {
+            return fail('Not an issuer profile document', profileDocument);
+        }
+        if (!sameAddress(profileDocument.issuer, expected.issuer)) {
+            return fail('The document names a different issuer', profileDocument);
+        }
+
+        let signer = null;
+        try {
+            signer = utils.verifyTypedData(
+                typedDataDomain(expected.chainId, expected.avsManagementAddress),
+                PROFILE_TYPES,
+                profileMessage(profileDocument),
+                profileDocument.signature
+            );
+        } catch (error) {
+            signer = null;
+        }
+        if (!sameAddress(signer, expected.issuer)) {
+            return fail('The document is not signed by the issuer for this network', profileDocument);
+        }
+
+        return { isValid: true, profile: profileDocument, error: null };
+    }
+
+    // ============ Cache ============
+
+    /**
+     * Verified profiles by issuer address, loaded in batches as credentials are shown
+     */
+    class IssuerProfileCache {
+        /**
+         * @param {Object} options
+         * @param {AVSManagementClient} options.avsManagement
+         * @param {MulticallClient} options.multicall Batches the profile record reads
+         * @param {number} options.chainId
+         * @param {Function} [options.fetch] fetch implementation (defaults to the global)
+         * @param {Object} [options.ethers] ethers library (defaults to the browser global)
+         */
+        constructor({ avsManagement, multicall, chainId, fetch: fetchFn = defaultFetch(), ethers: ethersLib = defaultEthers() }) {
+            this.avsManagement = avsManagement;
+            this.multicall = multicall;
+            this.chainId = Number(chainId);
+            this.fetch = fetchFn;
+            this.ethersLib = ethersLib;
+            this.entries = new Map();
+        }
+
+        /**
+         * Read and verify the profiles of issuers not loaded yet
+         * @param {Array<string>} issuers
+         * @return {Promise<Array<Object>>} Entries in the order given: { issuer, uri, contentHash,
+         *         updatedAt, isValid, profile, error }; uri is '' when none was published
+         */
+        async load(issuers) {
+            const missing = [...new Set(issuers.map(issuer => issuer.toLowerCase()))]
+                .filter(key => !this.entries.has(key));
+
+            if (missing.length > 0) {
+                const records = await this.multicall.map(this.avsManagement, 'getIssuerProfile', missing.map(key => [key]));
+                await Promise.all(missing.map(async (key, index) => {
+                    this.entries.set(key, await this.resolve(key, records[index]));
+                }));
+            }
+
+            return issuers.map(issuer => this.entries.get(issuer.toLowerCase()));
+        }
+
+        async resolve(issuer, record) {
+            const entry = {
+                issuer,
+                uri: record.uri,
+                contentHash: record.contentHash,
+                updatedAt: Number(record.updatedAt),
+                isValid: false,
+                profile: null,
+                error: null
+            };
+            if (!record.uri) return entry;
+
+            try {
+                const text = await readProfileUri(record.uri, { fetch: this.fetch, ethersLib: this.ethersLib });
+                return Object.assign(entry, verifyProfile(text, {
+                    issuer,
+                    contentHash: record.contentHash,
+                    chainId: this.chainId,
+                    avsManagementAddress: this.avsManagement.address
+                }, this.ethersLib));
+            } catch (error) {
+                entry.error = error.message;
+                return entry;
+            }
+        }
+
+        get(issuer) {
+            return this.entries.get(String(issuer).toLowerCase()) || null;
+        }
+
+        /**
+         * The issuer's verified legal name, or null
+         */
+        name(issuer) {
+            const entry = this.get(issuer);
+            return entry && entry.isValid ? entry.profile.name : null;
+        }
+
+        // After the issuer publishes a new profile
+        forget(issuer) {
+            this.entries.delete(String(issuer).toLowerCase());
+        }
+    }
+
+    return {
+        EIP712_DOMAIN_NAME,
+        PROFILE_TYPES,
+        DOCUMENT_TYPE,
+        NO_LOGO_HASH,
+        createProfile,
+        serializeProfile,
+        contentHash,
+        toDataUri,
+        readProfileUri,
+        verifyProfile,
+        IssuerProfileCache
+    };
+});
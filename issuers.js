@@ -0,0 +1,264 @@
+// Issuer directory: every active issuer on a network with its stake, track record, reputation
+// score and verified profile. Read-only over the network's public RPC, so it needs no wallet.
+
+// Shared helpers from contract-client.js
+const { showStatus, escapeHtml } = ContractClient;
+
+// Same key as app.js, so both pages open on the network picked last
+const DIRECTORY_NETWORK_KEY = 'vcReadOnlyNetwork';
+
+const DIRECTORY_SORTS = {
+    reputation: (a, b) => reputationOf(b) - reputationOf(a),
+    stake: (a, b) => compareBigNumbers(effectiveStake(b), effectiveStake(a)),
+    issued: (a, b) => Number(b.info.totalCredentialsIssued) - Number(a.info.totalCredentialsIssued),
+    activity: (a, b) => Number(b.info.lastActivityTimestamp) - Number(a.info.lastActivityTimestamp),
+    name: (a, b) => displayName(a).localeCompare(displayName(b))
+};
+
+let network;
+let directoryContracts = {};
+let directoryAnalytics = null; // IssuerAnalytics.IssuerAnalyticsIndex for the open network
+let issuers = []; // { address, info, delegated, profile, analytics } for every active issuer
+let selectedIssuer = null; // address whose track record is shown
+
+function compareBigNumbers(a, b) {
+    return a.lt(b) ? -1 : a.gt(b) ? 1 : 0;
+}
+
+// Verified profile name, else the address
+function displayName(issuer) {
+    return issuer.profile && issuer.profile.isValid ? issuer.profile.profile.name : issuer.address;
+}
+
+// Own stake plus delegations
+function effectiveStake(issuer) {
+    return issuer.info.stakedAmount.add(issuer.delegated);
+}
+
+// Issuers whose track record could not be loaded sort last
+function reputationOf(issuer) {
+    return issuer.analytics ? issuer.analytics.reputation.score : -1;
+}
+
+// Only http(s) websites become links
+function safeWebsite(url) {
+    return /^https?:\/\//i.test(url || '') ? url : '';
+}
+
+window.addEventListener('DOMContentLoaded', async () => {
+    const select = document.getElementById('directoryNetwork');
+    Object.values(Networks.NETWORKS).forEach(entry => select.add(new Option(entry.chainName, entry.name)));
+    select.addEventListener('change', event => selectNetwork(event.target.value));
+
+    document.getElementById('directorySearch').addEventListener('input', renderDirectory);
+    document.getElementById('directorySort').addEventListener('change', renderDirectory);
+    document.getElementById('refreshDirectory').addEventListener('click', () => loadDirectory());
+
+    const saved = Networks.getNetwork(localStorage.getItem(DIRECTORY_NETWORK_KEY) || '');
+    await openNetwork(saved || Networks.defaultNetwork());
+});
+
+async function selectNetwork(name) {
+    localStorage.setItem(DIRECTORY_NETWORK_KEY, name);
+    await openNetwork(Networks.getNetwork(name));
+}
+
+async function openNetwork(targetNetwork) {
+    network = targetNetwork;
+    document.getElementById('directoryNetwork').value = network.name;
+    document.getElementById('footerNetworkName').textContent = network.chainName;
+    document.getElementById('footerChainId').textContent = `Chain ID: ${network.chainId}`;
+
+    let manifest = null;
+    try {
+        manifest = await Networks.loadDeployment(network);
+    } catch (error) {
+        console.error(`Could not load ${Networks.manifestPath(network)}:`, error);
+    }
+    const addresses = Networks.deploymentAddresses(network, manifest);
+    document.getElementById('avsAddress').textContent = `AVSManagement: ${addresses.avsManagement || 'Not deployed'}`;
+
+    const provider = ContractClient.readOnlyProvider(network);
+    directoryContracts = addresses.avsManagement
+        ? ContractClient.createContracts({
+            runner: provider,
+            addresses: { avsManagement: addresses.avsManagement, vcRegistry: addresses.vcRegistry, multicall: addresses.multicall }
+        })
+        : {};
+    directoryAnalytics = directoryContracts.vcRegistry
+        ? new IssuerAnalytics.IssuerAnalyticsIndex({
+            avsManagement: directoryContracts.avsManagement,
+            vcRegistry: directoryContracts.vcRegistry,
+            multicall: directoryContracts.multicall,
+            provider,
+            chainId: network.chainId,
+            startBlock: addresses.avsManagementDeploymentBlock || addresses.vcRegistryDeploymentBlock
+        })
+        : null;
+    selectedIssuer = null;
+
+    await loadDirectory();
+}
+
+// Active issuers, their IssuerInfo, verified profiles and track records
+async function loadDirectory() {
+    issuers = [];
+
+    if (!directoryContracts.avsManagement) {
+        renderStatistics(null);
+        renderDirectory();
+        renderIssuerAnalytics();
+        showStatus(`No AVSManagement is deployed on ${network.chainName} - pick another network`, 'error');
+        return;
+    }
+
+    try {
+        showStatus('Loading issuers...', 'info');
+        const { avsManagement, multicall } = directoryContracts;
+
+        const [addresses, statistics] = await Promise.all([avsManagement.getActiveIssuers(), avsManagement.getStatistics()]);
+        const [infos, pools] = await Promise.all([
+            multicall.map(avsManagement, 'getIssuerInfo', addresses.map(address => [address])),
+            multicall.map(avsManagement, 'delegationPools', addresses.map(address => [address]))
+        ]);
+
+        const profiles = new IssuerProfiles.IssuerProfileCache({ avsManagement, multicall, chainId: network.chainId });
+        const entries = await profiles.load(addresses);
+
+        // Track records come from event scans, which some RPCs limit; the directory works without them
+        let summaries = [];
+        let analyticsError = null;
+        if (directoryAnalytics) {
+            try {
+                summaries = await directoryAnalytics.load(addresses);
+            } catch (error) {
+                console.error('Error loading issuer track records:', error);
+                analyticsError = error;
+            }
+        }
+
+        issuers = addresses.map((address, index) => ({
+            address,
+            info: infos[index],
+            delegated: pools[index].amount,
+            profile: entries[index],
+            analytics: summaries[index] || null
+        }));
+        renderStatistics(statistics);
+        renderDirectory();
+        renderIssuerAnalytics();
+        if (analyticsError) {
+            showStatus(`Loaded ${issuers.length} active issuer(s) without track records: ${ContractErrors.describeError(analyticsError)}`, 'error');
+        } else {
+            showStatus(`Loaded ${issuers.length} active issuer(s)`, 'success');
+        }
+    } catch (error) {
+        console.error('Error loading issuer directory:', error);
+        showStatus('Failed to load issuers: ' + ContractErrors.describeError(error, { contract: 'AVSManagement' }), 'error');
+    }
+}
+
+function renderStatistics(statistics) {
+    document.getElementById('statTotalIssuers').textContent = statistics ? statistics.totalIssuers.toString() : '-';
+    document.getElementById('statActiveIssuers').textContent = statistics ? statistics.activeIssuers.toString() : '-';
+    document.getElementById('statTotalStaked').textContent = statistics
+        ? parseFloat(ethers.utils.formatEther(statistics.totalStakedAmount)).toLocaleString()
+        : '-';
+}
+
+function renderDirectory() {
+    const container = document.getElementById('issuerDirectory');
+    const query = document.getElementById('directorySearch').value.trim().toLowerCase();
+    const sort = DIRECTORY_SORTS[document.getElementById('directorySort').value] || DIRECTORY_SORTS.stake;
+
+    const shown = issuers
+        .filter(issuer => !query ||
+            issuer.address.toLowerCase().includes(query) ||
+            displayName(issuer).toLowerCase().includes(query))
+        .sort(sort);
+
+    if (shown.length === 0) {
+        container.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 20px;">${issuers.length === 0 ? 'No active issuers' : 'No issuers match the search'}</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Issuer</th>
+                    <th>Reputation</th>
+                    <th>Jurisdiction</th>
+                    <th>Stake (DID3)</th>
+                    <th>Delegated (DID3)</th>
+                    <th>Issued</th>
+                    <th>Revoked</th>
+                    <th>Last Activity</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${shown.map(renderIssuerRow).join('')}
+            </tbody>
+        </table>
+    `;
+    container.querySelectorAll('[data-issuer]').forEach(button => {
+        button.addEventListener('click', () => selectIssuer(button.dataset.issuer));
+    });
+}
+
+function renderIssuerRow(issuer) {
+    const { info, profile } = issuer;
+    const details = profile && profile.isValid ? profile.profile : null;
+    const addressLink = Networks.explorerLink(network, 'address', issuer.address);
+    const address = addressLink
+        ? `<a href="${addressLink}" target="_blank" rel="noopener">${issuer.address}</a>`
+        : issuer.address;
+
+    let identity;
+    if (details) {
+        const website = safeWebsite(details.website);
+        identity = `
+            <strong>${escapeHtml(details.name)}</strong> <span class="profile-verified" title="Signed by the issuer and matching the on-chain hash">✓</span>
+            ${details.did ? `<br><small>${escapeHtml(details.did)}</small>` : ''}
+            ${website ? `<br><small><a href="${escapeHtml(website)}" target="_blank" rel="noopener noreferrer">${escapeHtml(website)}</a></small>` : ''}
+        `;
+    } else if (profile && profile.uri) {
+        identity = `<span class="profile-unverified" title="${escapeHtml(profile.error || '')}">⚠️ Profile does not verify</span>`;
+    } else {
+        identity = '<span class="profile-missing">No profile published</span>';
+    }
+
+    const reputation = issuer.analytics
+        ? `<button type="button" class="btn-secondary" data-issuer="${issuer.address}" title="Show the track record">${issuer.analytics.reputation.score} 📈</button>`
+        : '-';
+
+    return `
+        <tr>
+            <td>${identity}<br><small>${address}</small></td>
+            <td>${reputation}</td>
+            <td>${details && details.jurisdiction ? escapeHtml(details.jurisdiction) : '-'}</td>
+            <td>${parseFloat(ethers.utils.formatEther(info.stakedAmount)).toLocaleString()}</td>
+            <td>${parseFloat(ethers.utils.formatEther(issuer.delegated)).toLocaleString()}</td>
+            <td>${info.totalCredentialsIssued.toString()}</td>
+            <td>${info.totalCredentialsRevoked.toString()}</td>
+            <td>${new Date(Number(info.lastActivityTimestamp) * 1000).toLocaleString()}</td>
+        </tr>
+    `;
+}
+
+function selectIssuer(address) {
+    selectedIssuer = address;
+    renderIssuerAnalytics();
+    document.getElementById('issuerAnalyticsPanel').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Dashboard of the selected issuer, hidden until one is picked
+function renderIssuerAnalytics() {
+    const panel = document.getElementById('issuerAnalyticsPanel');
+    const issuer = issuers.find(entry => entry.address === selectedIssuer);
+    panel.hidden = !issuer || !issuer.analytics;
+    if (panel.hidden) return;
+
+    document.getElementById('analyticsIssuerName').textContent = displayName(issuer);
+    document.getElementById('issuerAnalytics').innerHTML = IssuerAnalytics.renderDashboard(issuer.analytics);
+}
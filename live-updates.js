@@ -0,0 +1,73 @@
+/**
+ * Live contract event subscriptions
+ *
+ * Listens for VCRegistry and AVSManagement events and hands each one, once, to a single
+ * callback. Listeners are unfiltered so the callback can match against whatever address the
+ * page currently cares about; on an account or chain change the page stops this instance and
+ * starts a new one on the fresh provider.
+ *
+ * Load after ethers and contract-client.js; exposes window.LiveUpdates.
+ */
+(function (root) {
+    'use strict';
+
+    // Client key in ContractClient.createContracts -> events the pages react to
+    const SUBSCRIPTIONS = {
+        vcRegistry: ['CredentialIssued', 'CredentialRevoked', 'CredentialPurged'],
+        avsManagement: ['StakeAdded', 'StakeWithdrawn', 'WithdrawalClaimed', 'IssuerDeactivated', 'IssuerProfileUpdated', 'ChallengeOpened', 'ChallengeResolved', 'IssuerSlashed', 'Delegated', 'UndelegationRequested']
+    };
+
+    // Logs can be delivered twice around reorgs and filter re-installs; remember this many
+    const SEEN_LOG_LIMIT = 500;
+
+    class LiveUpdates {
+        /**
+         * @param {Object} options
+         * @param {Object} options.contracts Clients from ContractClient.createContracts
+         * @param {Function} options.onEvent ({ name, args, log }) => void, errors are logged
+         */
+        constructor({ contracts, onEvent }) {
+            this.contracts = contracts;
+            this.onEvent = onEvent;
+            this.listeners = [];
+            this.seen = new Set();
+        }
+
+        start() {
+            Object.entries(SUBSCRIPTIONS).forEach(([key, eventNames]) => {
+                const client = this.contracts[key];
+                if (!client) return;
+
+                eventNames.forEach(name => {
+                    // ethers v5 passes the decoded arguments followed by the event object
+                    const listener = (...params) => this.dispatch(name, params[params.length - 1]);
+                    client.contract.on(name, listener);
+                    this.listeners.push({ contract: client.contract, name, listener });
+                });
+            });
+        }
+
+        stop() {
+            this.listeners.forEach(({ contract, name, listener }) => contract.off(name, listener));
+            this.listeners = [];
+        }
+
+        async dispatch(name, log) {
+            const key = `${log.transactionHash}:${log.logIndex}`;
+            if (this.seen.has(key)) return;
+
+            this.seen.add(key);
+            if (this.seen.size > SEEN_LOG_LIMIT) {
+                this.seen.delete(this.seen.values().next().value);
+            }
+
+            try {
+                await this.onEvent({ name, args: log.args, log });
+            } catch (error) {
+                console.error(`Error handling ${name}:`, error);
+            }
+        }
+    }
+
+    root.LiveUpdates = LiveUpdates;
+})(this);
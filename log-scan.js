@@ -0,0 +1,83 @@
+/**
+ * Shared pieces of the event-sourced caches (credential-index.js, issuer-analytics.js)
+ *
+ * Both scan contract logs in fixed-size block windows from a deployment block, re-scan a few
+ * blocks behind their cursor to pick up short reorgs, and keep what they scanned in IndexedDB.
+ *
+ * Browser: load before credential-index.js and issuer-analytics.js, then use window.LogScan.
+ * Node:    const LogScan = require("./log-scan");
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LogScan = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // Most public RPCs cap eth_getLogs ranges, so scan in fixed-size windows
+    const LOG_CHUNK_SIZE = 5000;
+
+    // Re-scan a few blocks behind the cursor so short reorgs are picked up; the caller drops what
+    // it took from those blocks first, so logs a reorg removed do not linger
+    const REORG_DEPTH = 12;
+
+    // ============ Block windows ============
+
+    /**
+     * Scanning from genesis would take thousands of eth_getLogs calls on a public chain, so a scan
+     * needs the contract's deployment block
+     */
+    function canScan(startBlock) {
+        return startBlock !== null && startBlock !== undefined;
+    }
+
+    /**
+     * First block to scan: startBlock on the first scan, REORG_DEPTH behind the cursor afterwards
+     * @param {number} startBlock Deployment block
+     * @param {number|null} lastScannedBlock Cursor of the previous scan, null if there was none
+     */
+    function scanFrom(startBlock, lastScannedBlock) {
+        return lastScannedBlock === null || lastScannedBlock === undefined
+            ? startBlock
+            : Math.max(startBlock, lastScannedBlock - REORG_DEPTH);
+    }
+
+    /**
+     * Call scanWindow for each LOG_CHUNK_SIZE window of [fromBlock, toBlock], in order
+     * @param {function(number, number): Promise} scanWindow Receives the window's first and last block
+     */
+    async function forEachWindow(fromBlock, toBlock, scanWindow) {
+        for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+            await scanWindow(start, Math.min(start + LOG_CHUNK_SIZE - 1, toBlock));
+        }
+    }
+
+    // ============ IndexedDB helpers ============
+
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    return {
+        LOG_CHUNK_SIZE,
+        REORG_DEPTH,
+        canScan,
+        scanFrom,
+        forEachWindow,
+        promisifyRequest,
+        transactionDone
+    };
+});
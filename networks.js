@@ -0,0 +1,186 @@
+/**
+ * Network registry and deployment manifests
+ *
+ * One entry per chain the app runs on. hardhat.config.js builds its networks from it, the deploy
+ * scripts record what they deployed in deployments/<network>.json, and the frontends load the
+ * manifest for whatever chain the wallet is on. To support another chain, add an entry here and
+ * deploy to it.
+ *
+ * Browser: load before contract-client.js, then use window.Networks.
+ * Node:    const Networks = require("./networks");
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('fs'), require('path'));
+    } else {
+        root.Networks = factory(null, null);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (fs, path) {
+    'use strict';
+
+    // ============ Registry ============
+
+    const NETWORKS = {
+        localhost: {
+            name: 'localhost',
+            chainId: 31337,
+            chainName: 'Hardhat Localhost',
+            rpcUrl: 'http://127.0.0.1:8545',
+            explorerUrl: '',
+            // `npx hardhat node` has no DID3 token; deploy-refactored.js deploys a mock and records it
+            did3Token: '',
+            local: true
+        },
+        baseSepolia: {
+            name: 'baseSepolia',
+            chainId: 84532,
+            chainName: 'Base Sepolia',
+            rpcUrl: 'https://sepolia.base.org',
+            rpcUrlEnv: 'BASE_SEPOLIA_RPC_URL',
+            explorerUrl: 'https://sepolia.basescan.org',
+            explorerApiUrl: 'https://api-sepolia.basescan.org/api',
+            explorerApiKeyEnv: 'BASESCAN_API_KEY',
+            did3Token: '0x4e754738cb69D6f066C9A036f67EE44cC3e9aBff',
+            local: false
+        }
+    };
+
+    // Offered when the wallet is on a chain that is not in the registry
+    const DEFAULT_NETWORK = 'baseSepolia';
+
+    const NATIVE_CURRENCY = { name: 'ETH', symbol: 'ETH', decimals: 18 };
+
+    const DEPLOYMENTS_DIR = 'deployments';
+
+    // ============ Lookup ============
+
+    /**
+     * Find a network by registry name or chain ID
+     * @return {Object|null}
+     */
+    function getNetwork(nameOrChainId) {
+        if (typeof nameOrChainId === 'string' && NETWORKS[nameOrChainId]) {
+            return NETWORKS[nameOrChainId];
+        }
+        const chainId = Number(nameOrChainId);
+        return Object.values(NETWORKS).find(network => network.chainId === chainId) || null;
+    }
+
+    function defaultNetwork() {
+        return NETWORKS[DEFAULT_NETWORK];
+    }
+
+    /**
+     * 0x-prefixed chain ID for wallet_switchEthereumChain / wallet_addEthereumChain
+     */
+    function chainIdHex(network) {
+        return '0x' + network.chainId.toString(16);
+    }
+
+    /**
+     * RPC URL, honouring the network's environment override in Node
+     */
+    function rpcUrl(network) {
+        if (network.rpcUrlEnv && typeof process !== 'undefined' && process.env[network.rpcUrlEnv]) {
+            return process.env[network.rpcUrlEnv];
+        }
+        return network.rpcUrl;
+    }
+
+    /**
+     * Block explorer link for a transaction or address
+     * @param {'tx'|'address'} kind
+     * @return {string} Empty if the network has no explorer (e.g. a local node)
+     */
+    function explorerLink(network, kind, value) {
+        if (!network || !network.explorerUrl) return '';
+        return `${network.explorerUrl}/${kind}/${value}`;
+    }
+
+    // ============ Deployment manifests ============
+
+    function manifestPath(network) {
+        return `${DEPLOYMENTS_DIR}/${network.name}.json`;
+    }
+
+    /**
+     * Fetch deployments/<network>.json next to the page
+     * @return {Promise<Object|null>} null if nothing has been deployed to the network
+     */
+    async function loadDeployment(network) {
+        if (!network) return null;
+
+        const response = await fetch(manifestPath(network), { cache: 'no-cache' });
+        if (!response.ok) return null;
+        return response.json();
+    }
+
+    /**
+     * Contract addresses from a manifest, in the shape ContractClient.createContracts takes
+     * @dev The DID3 token falls back to the registry's address for the network. Deployment blocks
+     *      are null when the deploy script did not record one
+     */
+    function deploymentAddresses(network, manifest) {
+        const contracts = (manifest && manifest.contracts) || {};
+        const address = name => (contracts[name] ? contracts[name].address : '');
+        // null when the manifest has no block: scanning logs from genesis is not an option
+        const deploymentBlock = name => (contracts[name] && contracts[name].deploymentBlock) || null;
+
+        return {
+            vcRegistry: address('VCRegistry'),
+            vcRegistryDeploymentBlock: deploymentBlock('VCRegistry'),
+            avsManagement: address('AVSManagement'),
+            avsManagementDeploymentBlock: deploymentBlock('AVSManagement'),
+            avsVcRegistry: address('AVSVCRegistry'),
+            did3Token: address('DID3Token') || (network ? network.did3Token : ''),
+            multicall: address('Multicall3')
+        };
+    }
+
+    /**
+     * Read deployments/<network>.json from disk (Node only)
+     * @return {Object|null}
+     */
+    function readDeployment(network) {
+        const file = path.join(__dirname, manifestPath(network));
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    /**
+     * Merge deployed contracts into deployments/<network>.json (Node only)
+     * @dev Each deploy script records only what it deployed, so running one leaves the others'
+     *      entries in place
+     * @param {Object} contracts { ContractName: { address, ... } }
+     * @return {string} Path of the manifest
+     */
+    function writeDeployment(network, contracts) {
+        const file = path.join(__dirname, manifestPath(network));
+        const existing = readDeployment(network);
+        const manifest = {
+            network: network.name,
+            chainId: network.chainId,
+            updatedAt: new Date().toISOString(),
+            contracts: Object.assign({}, existing && existing.contracts, contracts)
+        };
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+        return manifestPath(network);
+    }
+
+    return {
+        NETWORKS,
+        DEFAULT_NETWORK,
+        NATIVE_CURRENCY,
+        getNetwork,
+        defaultNetwork,
+        chainIdHex,
+        rpcUrl,
+        explorerLink,
+        manifestPath,
+        loadDeployment,
+        deploymentAddresses,
+        readDeployment,
+        writeDeployment
+    };
+});
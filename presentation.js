@@ -0,0 +1,295 @@
+/**
+ * Verifiable presentations: challenge / EIP-712 signature / verification
+ *
+ * Proves that whoever presents credentials controls the subject address:
+ *
+ *   1. the verifier (DeFi view) creates a challenge - random nonce, its domain and an expiry -
+ *      and remembers it in a ChallengeStore
+ *   2. the holder (user view) signs a Presentation over the challenge and the credential
+ *      hashes they choose, as EIP-712 typed data bound to the chain and VCRegistry
+ *   3. the verifier recovers the signer, checks the challenge is its own, unexpired and unused,
+ *      then checks every credential is valid on-chain and issued to the signer
+ *
+ * A challenge is consumed by the first presentation that carries a valid signature for it, so
+ * a replayed presentation fails even if the challenge has not expired yet.
+ *
+ * Browser: load after contract-client.js, then use window.Presentation.
+ * Node:    const Presentation = require("./presentation"); pass hre.ethers as ethersLib.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./contract-client'));
+    } else {
+        root.Presentation = factory(root.ContractClient);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (ContractClient) {
+    'use strict';
+
+    const EIP712_DOMAIN_NAME = 'VC Registry Presentation';
+    const EIP712_DOMAIN_VERSION = '1';
+
+    const PRESENTATION_TYPES = {
+        Presentation: [
+            { name: 'holder', type: 'address' },
+            { name: 'credentialHashes', type: 'bytes32[]' },
+            { name: 'nonce', type: 'bytes32' },
+            { name: 'domain', type: 'string' },
+            { name: 'expiresAt', type: 'uint256' }
+        ]
+    };
+
+    // How long a holder has to answer a challenge
+    const DEFAULT_CHALLENGE_TTL = 5 * 60;
+
+    const STORAGE_PREFIX = 'vcPresentationChallenges';
+
+    // ============ Helpers ============
+
+    const { defaultEthers } = ContractClient;
+
+    function nowSeconds() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    function typedDataDomain(chainId, registryAddress) {
+        return {
+            name: EIP712_DOMAIN_NAME,
+            version: EIP712_DOMAIN_VERSION,
+            chainId: Number(chainId),
+            verifyingContract: registryAddress
+        };
+    }
+
+    function presentationMessage(presentation) {
+        return {
+            holder: presentation.holder,
+            credentialHashes: presentation.credentialHashes,
+            nonce: presentation.challenge.nonce,
+            domain: presentation.challenge.domain,
+            expiresAt: presentation.challenge.expiresAt
+        };
+    }
+
+    // ============ Challenges ============
+
+    /**
+     * Challenges a verifier has handed out, persisted so replays are caught across reloads
+     */
+    class ChallengeStore {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.key] Storage key suffix, e.g. chain and registry
+         * @param {Storage} [options.storage] localStorage-like store (in-memory if omitted)
+         */
+        constructor({ key = 'default', storage } = {}) {
+            this.storageKey = `${STORAGE_PREFIX}:${key}`;
+            this.storage = storage || null;
+            this.challenges = this.read();
+        }
+
+        read() {
+            if (!this.storage) return {};
+            try {
+                return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+            } catch (error) {
+                return {};
+            }
+        }
+
+        write() {
+            if (this.storage) this.storage.setItem(this.storageKey, JSON.stringify(this.challenges));
+        }
+
+        /**
+         * Create and remember a challenge
+         * @param {string} domain Verifier the presentation is meant for (e.g. location.host)
+         * @param {number} [ttlSeconds]
+         * @return {{ nonce, domain, expiresAt }}
+         */
+        create(domain, ttlSeconds = DEFAULT_CHALLENGE_TTL, ethersLib = defaultEthers()) {
+            const utils = ethersLib.utils || ethersLib;
+            this.prune();
+
+            const challenge = {
+                nonce: utils.hexlify(utils.randomBytes(32)),
+                domain,
+                expiresAt: nowSeconds() + ttlSeconds
+            };
+            this.challenges[challenge.nonce] = { domain, expiresAt: challenge.expiresAt, usedAt: 0 };
+            this.write();
+            return challenge;
+        }
+
+        get(nonce) {
+            return this.challenges[String(nonce).toLowerCase()] || null;
+        }
+
+        /**
+         * Mark a challenge used
+         * @return {boolean} false if it was already used
+         */
+        consume(nonce) {
+            const entry = this.get(nonce);
+            if (!entry || entry.usedAt) return false;
+
+            entry.usedAt = nowSeconds();
+            this.write();
+            return true;
+        }
+
+        // Expired challenges can no longer verify, so there is nothing left to replay
+        prune(now = nowSeconds()) {
+            Object.keys(this.challenges).forEach(nonce => {
+                if (this.challenges[nonce].expiresAt < now) delete this.challenges[nonce];
+            });
+        }
+    }
+
+    // ============ Holder ============
+
+    /**
+     * Parse a pasted challenge and check its shape
+     * @throws If it is not a challenge
+     */
+    function parseChallenge(input) {
+        const challenge = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!/^0x[0-9a-fA-F]{64}$/.test(challenge.nonce || '') || !challenge.domain || !challenge.expiresAt) {
+            throw new Error('Not a presentation challenge (needs nonce, domain and expiresAt)');
+        }
+        return challenge;
+    }
+
+    /**
+     * Sign a presentation of the chosen credentials in answer to a challenge
+     * @param {Object} signer ethers signer of the credentials' subject
+     * @param {Object} options
+     * @param {Object} options.challenge { nonce, domain, expiresAt } from the verifier
+     * @param {Array<string>} options.credentialHashes Credentials to present
+     * @param {number} options.chainId Chain the registry lives on
+     * @param {string} options.registryAddress VCRegistry address
+     * @return {{ holder, credentialHashes, challenge, chainId, registry, signature }}
+     */
+    async function createPresentation(signer, { challenge, credentialHashes, chainId, registryAddress }) {
+        if (challenge.expiresAt <= nowSeconds()) {
+            throw new Error('This challenge has expired; ask the verifier for a new one');
+        }
+        if (credentialHashes.length === 0) {
+            throw new Error('Choose at least one credential to present');
+        }
+
+        const presentation = {
+            holder: await signer.getAddress(),
+            credentialHashes,
+            challenge: { nonce: challenge.nonce, domain: challenge.domain, expiresAt: challenge.expiresAt },
+            chainId: Number(chainId),
+            registry: registryAddress
+        };
+
+        const domain = typedDataDomain(chainId, registryAddress);
+        const message = presentationMessage(presentation);
+        // ethers v5 exposes typed-data signing as _signTypedData
+        presentation.signature = signer.signTypedData
+            ? await signer.signTypedData(domain, PRESENTATION_TYPES, message)
+            : await signer._signTypedData(domain, PRESENTATION_TYPES, message);
+
+        return presentation;
+    }
+
+    // ============ Verifier ============
+
+    /**
+     * Verify a presentation against this verifier's challenges and the registry
+     * @param {Object|string} input Presentation object or pasted JSON
+     * @param {Object} options
+     * @param {ChallengeStore} options.challenges Challenges this verifier issued
+     * @param {string} options.domain This verifier's domain
+     * @param {number} options.chainId
+     * @param {string} options.registryAddress
+     * @param {VCRegistryClient} options.vcRegistry
+     * @param {MulticallClient} options.multicall Batches the credential reads
+     * @return {{ isValid, checks: Array<{ name, passed, detail }>, holder, credentials }}
+     */
+    async function verifyPresentation(input, options, ethersLib = defaultEthers()) {
+        const utils = ethersLib.utils || ethersLib;
+        const presentation = typeof input === 'string' ? JSON.parse(input) : input;
+        const challenge = presentation.challenge || {};
+        const hashes = [].concat(presentation.credentialHashes || []);
+        const checks = [];
+        const check = (name, passed, detail = '') => checks.push({ name, passed, detail });
+        const result = { isValid: false, checks, holder: presentation.holder || null, credentials: [] };
+
+        const issued = options.challenges.get(challenge.nonce || '');
+        check('Challenge', Boolean(issued), issued ? '' : 'Not a challenge this verifier issued');
+
+        const sameDomain = challenge.domain === options.domain && (!issued || issued.domain === options.domain);
+        check('Domain', sameDomain, challenge.domain || 'None');
+
+        // The expiry that counts is the one recorded when the challenge was issued
+        const expiresAt = issued ? issued.expiresAt : Number(challenge.expiresAt || 0);
+        const fresh = Number(challenge.expiresAt) === expiresAt && expiresAt > nowSeconds();
+        check('Not expired', fresh, expiresAt ? new Date(expiresAt * 1000).toLocaleString() : '');
+
+        const sameRegistry = Number(presentation.chainId) === Number(options.chainId) &&
+            String(presentation.registry).toLowerCase() === options.registryAddress.toLowerCase();
+        check('Registry', sameRegistry, sameRegistry ? '' : `Signed for ${presentation.registry} on chain ${presentation.chainId}`);
+
+        let signer = null;
+        try {
+            signer = utils.verifyTypedData(
+                typedDataDomain(options.chainId, options.registryAddress),
+                PRESENTATION_TYPES,
+                presentationMessage(presentation),
+                presentation.signature
+            );
+        } catch (error) {
+            signer = null;
+        }
+        const signedByHolder = Boolean(signer) && Boolean(presentation.holder) &&
+            signer.toLowerCase() === presentation.holder.toLowerCase();
+        check('Holder signature', signedByHolder, signedByHolder ? presentation.holder : 'Signature does not match the holder');
+
+        if (!issued || !sameDomain || !fresh || !sameRegistry || !signedByHolder) {
+            return result;
+        }
+
+        // First valid answer wins; anything after that is a replay
+        const firstUse = options.challenges.consume(challenge.nonce);
+        check('Not replayed', firstUse, firstUse ? '' : 'This challenge was already answered');
+        if (!firstUse) return result;
+
+        check('Credentials', hashes.length > 0, `${hashes.length} presented`);
+
+        const client = options.vcRegistry;
+        const reads = await options.multicall.call(hashes.flatMap(hash => [
+            { client, method: 'getCredential', args: [hash] },
+            { client, method: 'isCredentialValid', args: [hash] }
+        ]));
+
+        hashes.forEach((hash, index) => {
+            const credential = reads[index * 2];
+            const valid = reads[index * 2 + 1];
+            const ownedByHolder = credential.subject.toLowerCase() === presentation.holder.toLowerCase();
+            result.credentials.push({ credentialHash: hash, credentialType: credential.credentialType, credential, isValid: valid && ownedByHolder });
+
+            const label = credential.credentialType || `${hash.substring(0, 10)}...`;
+            if (!ownedByHolder) {
+                check(label, false, 'Not issued to the holder');
+            } else {
+                check(label, valid, valid ? 'Valid on-chain' : 'Revoked, expired or purged');
+            }
+        });
+
+        result.isValid = checks.every(entry => entry.passed);
+        return result;
+    }
+
+    return {
+        EIP712_DOMAIN_NAME,
+        PRESENTATION_TYPES,
+        DEFAULT_CHALLENGE_TTL,
+        ChallengeStore,
+        parseChallenge,
+        createPresentation,
+        verifyPresentation
+    };
+});
@@ -0,0 +1,143 @@
+/**
+ * QR codes for challenges and presentations
+ *
+ * Renders text (compact JSON) as a QR code and reads one back from the camera or an uploaded
+ * image, so a presentation can change hands at a desk without copying hashes by hand.
+ * Uses qrcode-generator (global qrcode) to draw and jsQR (global jsQR) to decode, both loaded
+ * from the CDN before this file.
+ *
+ * Exposes window.QRCodes.
+ */
+(function (root) {
+    'use strict';
+
+    // Medium error correction still fits a multi-credential presentation in one code
+    const ERROR_CORRECTION = 'M';
+    const CELL_SIZE = 4;
+
+    /**
+     * Draw text as a QR code into a container
+     * @return {boolean} false if the text is too long for a QR code
+     */
+    function renderQRCode(container, text) {
+        try {
+            // Type number 0 picks the smallest version that fits
+            const code = qrcode(0, ERROR_CORRECTION);
+            code.addData(text);
+            code.make();
+            container.innerHTML = code.createSvgTag({ cellSize: CELL_SIZE, margin: CELL_SIZE * 2, scalable: true });
+            return true;
+        } catch (error) {
+            container.innerHTML = '<small>Too much data for a QR code - copy the JSON instead</small>';
+            return false;
+        }
+    }
+
+    function decodeCanvas(canvas, context) {
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const result = jsQR(image.data, image.width, image.height, { inversionAttempts: 'attemptBoth' });
+        return result ? result.data : null;
+    }
+
+    /**
+     * Read a QR code from an image file
+     * @return {Promise<string>} The encoded text
+     * @throws If the image has no readable QR code
+     */
+    async function decodeImageFile(file) {
+        const url = URL.createObjectURL(file);
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not read the image'));
+                img.src = url;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth;
+            canvas.height = image.naturalHeight;
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(image, 0, 0);
+
+            const text = decodeCanvas(canvas, context);
+            if (!text) throw new Error('No QR code found in the image');
+            return text;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Camera scanner: shows the camera in a <video> and reports the first QR code it sees
+     */
+    class QRScanner {
+        /**
+         * @param {Object} options
+         * @param {HTMLVideoElement} options.video Element the camera preview plays in
+         * @param {Function} options.onResult (text) => void, called once; the camera stops first
+         */
+        constructor({ video, onResult }) {
+            this.video = video;
+            this.onResult = onResult;
+            this.stream = null;
+            this.frame = null;
+            this.canvas = document.createElement('canvas');
+            this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        get scanning() {
+            return this.stream !== null;
+        }
+
+        async start() {
+            if (this.scanning) return;
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('This browser cannot use the camera - upload a photo of the code instead');
+            }
+
+            // Prefer the rear camera on phones
+            this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            this.video.srcObject = this.stream;
+            this.video.setAttribute('playsinline', '');
+            this.video.hidden = false;
+            await this.video.play();
+            this.scan();
+        }
+
+        stop() {
+            if (this.frame) cancelAnimationFrame(this.frame);
+            if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+            this.frame = null;
+            this.stream = null;
+            this.video.srcObject = null;
+            this.video.hidden = true;
+        }
+
+        scan() {
+            this.frame = requestAnimationFrame(() => {
+                if (!this.scanning) return;
+
+                if (this.video.readyState === this.video.HAVE_ENOUGH_DATA) {
+                    this.canvas.width = this.video.videoWidth;
+                    this.canvas.height = this.video.videoHeight;
+                    this.context.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+
+                    const text = decodeCanvas(this.canvas, this.context);
+                    if (text) {
+                        this.stop();
+                        this.onResult(text);
+                        return;
+                    }
+                }
+                this.scan();
+            });
+        }
+    }
+
+    root.QRCodes = {
+        renderQRCode,
+        decodeImageFile,
+        QRScanner
+    };
+})(this);
@@ -0,0 +1,144 @@
+/**
+ * Issuance form fields generated from a credential type's JSON Schema
+ *
+ * Renders one input per credentialSubject property (the subject id comes from the address
+ * field): enums become selects, date/date-time/email/uri formats get the matching input type,
+ * numbers carry their min/max, and required properties are marked. values() returns the claims
+ * converted to the types the schema expects, ready for SchemaRegistry.validate.
+ *
+ * Load after contract-client.js and schema-registry.js; exposes window.SchemaForm.
+ */
+(function (root) {
+    'use strict';
+
+    const INPUT_TYPES = {
+        date: 'date',
+        'date-time': 'datetime-local',
+        email: 'email',
+        uri: 'url'
+    };
+
+    const { escapeHtml } = ContractClient;
+
+    function primaryType(schema) {
+        return [].concat(schema.type || ['string']).find(type => type !== 'null');
+    }
+
+    class SchemaForm {
+        /**
+         * @param {Object} options
+         * @param {HTMLElement} options.container Element the generated fields render into
+         * @param {string} [options.idPrefix] Prefix for generated input ids
+         */
+        constructor({ container, idPrefix = 'claim-' }) {
+            this.container = container;
+            this.idPrefix = idPrefix;
+            this.fields = [];
+        }
+
+        /**
+         * Replace the fields with those of a schema
+         */
+        render(schema) {
+            this.fields = SchemaRegistry.claimFields(schema);
+            this.container.innerHTML = `
+                <div class="form-grid">
+                    ${this.fields.map(field => this.renderField(field)).join('')}
+                </div>
+            `;
+        }
+
+        clear() {
+            this.fields = [];
+            this.container.innerHTML = '';
+        }
+
+        inputId(name) {
+            return this.idPrefix + name;
+        }
+
+        renderField({ name, schema, required }) {
+            const id = this.inputId(name);
+            const label = escapeHtml(schema.title || name);
+            const hint = schema.description ? `<small>${escapeHtml(schema.description.trim())}</small>` : '';
+            const requiredAttr = required ? ' required' : '';
+
+            return `
+                <div class="input-group">
+                    <label for="${id}">${label}${required ? ' *' : ''}</label>
+                    ${this.renderInput(id, schema, requiredAttr)}
+                    ${hint}
+                </div>
+            `;
+        }
+
+        renderInput(id, schema, requiredAttr) {
+            const type = primaryType(schema);
+            const options = schema.enum || (type === 'array' && schema.items && schema.items.enum);
+
+            if (options) {
+                const multiple = type === 'array' ? ' multiple' : '';
+                return `
+                    <select id="${id}"${multiple}${requiredAttr}>
+                        ${multiple ? '' : '<option value="">Select</option>'}
+                        ${options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+                    </select>
+                `;
+            }
+
+            if (type === 'boolean') {
+                return `<input type="checkbox" id="${id}">`;
+            }
+
+            if (type === 'integer' || type === 'number') {
+                const attrs = [
+                    schema.minimum !== undefined ? ` min="${schema.minimum}"` : '',
+                    schema.maximum !== undefined ? ` max="${schema.maximum}"` : '',
+                    ` step="${type === 'integer' ? 1 : 'any'}"`
+                ].join('');
+                return `<input type="number" id="${id}"${attrs}${requiredAttr}>`;
+            }
+
+            const attrs = [
+                schema.minLength !== undefined ? ` minlength="${schema.minLength}"` : '',
+                schema.maxLength !== undefined ? ` maxlength="${schema.maxLength}"` : '',
+                type === 'array' ? ' placeholder="Comma-separated values"' : ''
+            ].join('');
+            return `<input type="${INPUT_TYPES[schema.format] || 'text'}" id="${id}"${attrs}${requiredAttr}>`;
+        }
+
+        /**
+         * Claims keyed by schema property, coerced to their schema types; empty fields are left out
+         */
+        values() {
+            const claims = {};
+
+            this.fields.forEach(({ name, schema }) => {
+                const input = document.getElementById(this.inputId(name));
+                let value;
+
+                if (input.type === 'checkbox') {
+                    value = input.checked;
+                } else if (input.multiple) {
+                    value = [...input.selectedOptions].map(option => SchemaRegistry.coerceValue(schema.items || {}, option.value));
+                    if (value.length === 0) value = undefined;
+                } else {
+                    value = SchemaRegistry.coerceValue(schema, input.value);
+                }
+
+                if (value !== undefined) claims[name] = value;
+            });
+
+            return claims;
+        }
+
+        /**
+         * Schema property -> input id, for SchemaRegistry.renderFieldErrors
+         */
+        inputIds() {
+            return Object.fromEntries(this.fields.map(({ name }) => [name, this.inputId(name)]));
+        }
+    }
+
+    root.SchemaForm = SchemaForm;
+})(this);
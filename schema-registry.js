@@ -0,0 +1,355 @@
+/**
+ * Credential-type schema registry and validation
+ *
+ * Maps each credential type to its JSON Schema (the iden3-style files shipped next to the
+ * pages, e.g. "KYC Verification V2.json") and validates a credentialSubject against it before
+ * issueCredential is sent. The validator covers the keywords these schemas use: type, required,
+ * properties, enum/const, string length/pattern/format, number ranges and array items.
+ *
+ * The types come from credential-schemas.json ([{ type, label, file }]); adding a credential
+ * type means adding its schema file and a manifest entry. Every schema file carries a stable
+ * $id, which is what credentials record, so the id does not depend on where the pages are hosted.
+ *
+ * Browser: load after contract-client.js, then use window.SchemaRegistry.
+ * Node:    const SchemaRegistry = require("./schema-registry"); pass a fetch implementation.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SchemaRegistry = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    const MANIFEST_FILE = 'credential-schemas.json';
+
+    const SCHEMA_TYPE = 'JsonSchema';
+
+    const FORMATS = {
+        date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value),
+        'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value)),
+        email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        uri: value => /^[a-zA-Z][a-zA-Z0-9+.-]*:\S+$/.test(value)
+    };
+
+    const FORMAT_LABELS = {
+        date: 'a valid date (YYYY-MM-DD)',
+        'date-time': 'a valid date and time',
+        email: 'a valid email address',
+        uri: 'a valid URI'
+    };
+
+    // ============ Validation ============
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    function isMissing(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    /**
+     * Validate a value against a JSON Schema
+     * @param {Object} schema Schema (or sub-schema) to check against
+     * @param {*} value Value to check
+     * @return {Array<{ field, message }>} One entry per failed rule; field is the property path
+     */
+    function validateSchema(schema, value, path = '') {
+        const errors = [];
+        const label = schema.title || path || 'Value';
+        const fail = message => errors.push({ field: path, message: `${label} ${message}` });
+
+        const types = [].concat(schema.type || []);
+        if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+            fail(`must be of type ${types.join(' or ')}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of: ${schema.enum.join(', ')}`);
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            fail(`must be ${schema.const}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(`must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail('has an invalid format');
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+                fail(`must be ${FORMAT_LABELS[schema.format]}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail(`must be greater than ${schema.exclusiveMinimum}`);
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                fail(`must be less than ${schema.exclusiveMaximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail(`needs at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`allows at most ${schema.maxItems} items`);
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            const childPath = key => (path ? `${path}.${key}` : key);
+
+            (schema.required || []).forEach(key => {
+                if (isMissing(value[key])) {
+                    const title = (properties[key] && properties[key].title) || key;
+                    errors.push({ field: childPath(key), message: `${title} is required` });
+                }
+            });
+
+            Object.entries(value).forEach(([key, child]) => {
+                if (isMissing(child)) return;
+                if (properties[key]) {
+                    errors.push(...validateSchema(properties[key], child, childPath(key)));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ field: childPath(key), message: `${key} is not allowed by the schema` });
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    // ============ Coercion ============
+
+    /**
+     * Convert one text value (form input, CSV cell) to the JSON type its property expects
+     * @dev Values that do not convert are returned unchanged so validation reports them
+     * @return {*} undefined for an empty value, i.e. the claim is left out
+     */
+    function coerceValue(propertySchema, text) {
+        const value = typeof text === 'string' ? text.trim() : text;
+        if (value === undefined || value === null || value === '') return undefined;
+        if (typeof value !== 'string') return value;
+
+        const types = [].concat(propertySchema.type || []);
+        if (types.includes('integer') || types.includes('number')) {
+            const number = Number(value);
+            return isNaN(number) ? value : number;
+        }
+        if (types.includes('boolean')) {
+            if (/^(true|yes|1)$/i.test(value)) return true;
+            if (/^(false|no|0)$/i.test(value)) return false;
+            return value;
+        }
+        if (types.includes('array')) {
+            const itemSchema = propertySchema.items || {};
+            return value.split(/[;,]/).map(item => coerceValue(itemSchema, item)).filter(item => item !== undefined);
+        }
+        if (propertySchema.format === 'date-time' && !isNaN(Date.parse(value))) {
+            return new Date(value).toISOString();
+        }
+        return value;
+    }
+
+    /**
+     * Coerce text values keyed by credentialSubject property, dropping empty ones
+     */
+    function coerceClaims(schema, values) {
+        const properties = schema.properties.credentialSubject.properties;
+        const claims = {};
+
+        Object.entries(values).forEach(([key, text]) => {
+            const value = properties[key] ? coerceValue(properties[key], text) : text;
+            if (value !== undefined && value !== '') claims[key] = value;
+        });
+
+        return claims;
+    }
+
+    /**
+     * credentialSubject properties an issuer fills in, in schema order (the subject id is set from the address)
+     * @return {Array<{ name, schema, required }>}
+     */
+    function claimFields(schema) {
+        const subjectSchema = schema.properties.credentialSubject;
+        const required = subjectSchema.required || [];
+
+        return Object.entries(subjectSchema.properties)
+            .filter(([name]) => name !== 'id')
+            .map(([name, propertySchema]) => ({ name, schema: propertySchema, required: required.includes(name) }));
+    }
+
+    // ============ Registry ============
+
+    class SchemaRegistry {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.baseUrl] URL schema files are resolved against (defaults to the page)
+         * @param {Array<{ type, label, file }>} [options.manifest] Registered types; fetched from
+         *        credential-schemas.json when omitted
+         * @param {Function} [options.fetch] fetch implementation (defaults to the global one)
+         */
+        constructor({ baseUrl, manifest, fetch: fetchFn } = {}) {
+            this.baseUrl = baseUrl || (typeof location !== 'undefined' ? location.href : undefined);
+            this.fetch = fetchFn || ((...args) => globalThis.fetch(...args));
+            this.entries = new Map((manifest || []).map(entry => [entry.type, entry]));
+            this.manifestLoaded = manifest ? Promise.resolve() : null;
+            this.schemas = new Map();
+        }
+
+        async fetchJson(file) {
+            const url = new URL(encodeURI(file), this.baseUrl).href;
+            const response = await this.fetch(url);
+            if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+            return response.json();
+        }
+
+        /**
+         * Load the manifest (once); the synchronous lookups below need it
+         */
+        ready() {
+            if (!this.manifestLoaded) {
+                this.manifestLoaded = this.fetchJson(MANIFEST_FILE).then(manifest => {
+                    manifest.forEach(entry => this.entries.set(entry.type, entry));
+                });
+                // A failed load is retried on the next call
+                this.manifestLoaded.catch(() => { this.manifestLoaded = null; });
+            }
+            return this.manifestLoaded;
+        }
+
+        /**
+         * Registered types in manifest order
+         * @return {Array<{ type, label, file }>}
+         */
+        types() {
+            return [...this.entries.values()];
+        }
+
+        has(credentialType) {
+            return this.entries.has(credentialType);
+        }
+
+        /**
+         * Where this page fetches a type's schema file from (host-specific, never recorded)
+         */
+        schemaUrl(credentialType) {
+            if (!this.has(credentialType)) {
+                throw new Error(`No schema registered for credential type "${credentialType}"`);
+            }
+            return new URL(encodeURI(this.entries.get(credentialType).file), this.baseUrl).href;
+        }
+
+        /**
+         * Fetch (once) and return a type's schema
+         */
+        async load(credentialType) {
+            await this.ready();
+            const url = this.schemaUrl(credentialType);
+
+            if (!this.schemas.has(credentialType)) {
+                const request = this.fetch(url).then(response => {
+                    if (!response.ok) throw new Error(`Failed to load schema ${url}: ${response.status}`);
+                    return response.json();
+                });
+                // A failed load is retried on the next call
+                request.catch(() => this.schemas.delete(credentialType));
+                this.schemas.set(credentialType, request);
+            }
+
+            return this.schemas.get(credentialType);
+        }
+
+        /**
+         * A type's stable schema id (the file's $id), the same wherever the schema is served from
+         */
+        async schemaId(credentialType) {
+            const schema = await this.load(credentialType);
+            if (!schema.$id) {
+                throw new Error(`Schema for credential type "${credentialType}" has no $id`);
+            }
+            return schema.$id;
+        }
+
+        /**
+         * Schema reference stored with a credential so verifiers know which schema applies
+         * @return {{ id, type, version }}
+         */
+        async reference(credentialType) {
+            const schema = await this.load(credentialType);
+            return {
+                id: await this.schemaId(credentialType),
+                type: SCHEMA_TYPE,
+                version: (schema.$metadata && schema.$metadata.version) || '1'
+            };
+        }
+
+        /**
+         * Validate claims against the credentialSubject part of a type's schema
+         * @param {string} credentialType
+         * @param {Object} credentialSubject Claims keyed by schema property (e.g. Full_Legal_Name)
+         * @return {{ valid, errors: Array<{ field, message }> }}
+         */
+        async validate(credentialType, credentialSubject) {
+            const schema = await this.load(credentialType);
+            const errors = validateSchema(schema.properties.credentialSubject, credentialSubject);
+            return { valid: errors.length === 0, errors };
+        }
+    }
+
+    // ============ Form errors ============
+
+    /**
+     * Show validation errors under the inputs they belong to, clearing previous ones
+     * @param {HTMLFormElement} form
+     * @param {Array<{ field, message }>} errors
+     * @param {Object} inputIds Schema property -> input element id
+     */
+    function renderFieldErrors(form, errors, inputIds) {
+        form.querySelectorAll('.field-error').forEach(element => element.remove());
+        form.querySelectorAll('.invalid').forEach(element => element.classList.remove('invalid'));
+
+        errors.forEach(({ field, message }) => {
+            const input = document.getElementById(inputIds[field.split(/[.[]/)[0]]);
+            if (!input) return;
+
+            const error = document.createElement('span');
+            error.className = 'field-error';
+            error.textContent = message;
+            input.classList.add('invalid');
+            input.insertAdjacentElement('afterend', error);
+        });
+    }
+
+    SchemaRegistry.MANIFEST_FILE = MANIFEST_FILE;
+    SchemaRegistry.SCHEMA_TYPE = SCHEMA_TYPE;
+    SchemaRegistry.validateSchema = validateSchema;
+    SchemaRegistry.coerceValue = coerceValue;
+    SchemaRegistry.coerceClaims = coerceClaims;
+    SchemaRegistry.claimFields = claimFields;
+    SchemaRegistry.renderFieldErrors = renderFieldErrors;
+
+    return SchemaRegistry;
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("AVSManagement", function () {
     let AVSManagement;
@@ -62,8 +63,8 @@ describe("AVSManagement", function () {
             expect(issuerInfo.isActive).to.be.true;
         });
 
-        it("Should reject registration below minimum stake", async function () {
-            const lowStake = ethers.parseEther("999998");
+        it("Should reject registration below minimum self-stake", async function () {
+            const lowStake = ethers.parseEther("99999");
             await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), lowStake);
             await expect(
                 avsManagement.connect(issuer1).registerIssuer(lowStake)
@@ -125,7 +126,114 @@ describe("AVSManagement", function () {
         });
     });
 
+    describe("Permit Staking", function () {
+        async function signPermit(signer, value, deadline) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const signature = await signer.signTypedData(
+                {
+                    name: await did3Token.name(),
+                    version: "1",
+                    chainId,
+                    verifyingContract: await did3Token.getAddress()
+                },
+                {
+                    Permit: [
+                        { name: "owner", type: "address" },
+                        { name: "spender", type: "address" },
+                        { name: "value", type: "uint256" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" }
+                    ]
+                },
+                {
+                    owner: signer.address,
+                    spender: await avsManagement.getAddress(),
+                    value,
+                    nonce: await did3Token.nonces(signer.address),
+                    deadline
+                }
+            );
+            return ethers.Signature.from(signature);
+        }
+
+        async function futureDeadline() {
+            const block = await ethers.provider.getBlock("latest");
+            return BigInt(block.timestamp + 3600);
+        }
+
+        it("Should register in one transaction with a permit", async function () {
+            const deadline = await futureDeadline();
+            const { v, r, s } = await signPermit(issuer1, MINIMUM_STAKE, deadline);
+
+            await expect(avsManagement.connect(issuer1).registerIssuerWithPermit(MINIMUM_STAKE, deadline, v, r, s))
+                .to.emit(avsManagement, "IssuerRegistered");
+
+            expect(await avsManagement.isActiveIssuer(issuer1.address)).to.be.true;
+            expect(await did3Token.nonces(issuer1.address)).to.equal(1n);
+            expect(await did3Token.allowance(issuer1.address, await avsManagement.getAddress())).to.equal(0n);
+        });
+
+        it("Should add stake in one transaction with a permit", async function () {
+            await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), MINIMUM_STAKE);
+            await avsManagement.connect(issuer1).registerIssuer(MINIMUM_STAKE);
+
+            const additionalStake = ethers.parseEther("500000");
+            const deadline = await futureDeadline();
+            const { v, r, s } = await signPermit(issuer1, additionalStake, deadline);
+
+            await expect(avsManagement.connect(issuer1).addStakeWithPermit(additionalStake, deadline, v, r, s))
+                .to.emit(avsManagement, "StakeAdded")
+                .withArgs(issuer1.address, additionalStake, MINIMUM_STAKE + additionalStake);
+        });
+
+        it("Should still register when the permit was submitted first by someone else", async function () {
+            const deadline = await futureDeadline();
+            const { v, r, s } = await signPermit(issuer1, MINIMUM_STAKE, deadline);
+
+            await did3Token.connect(user).permit(
+                issuer1.address, await avsManagement.getAddress(), MINIMUM_STAKE, deadline, v, r, s
+            );
+
+            await expect(avsManagement.connect(issuer1).registerIssuerWithPermit(MINIMUM_STAKE, deadline, v, r, s))
+                .to.emit(avsManagement, "IssuerRegistered");
+        });
+
+        it("Should reject an expired permit", async function () {
+            const block = await ethers.provider.getBlock("latest");
+            const deadline = BigInt(block.timestamp - 1);
+            const { v, r, s } = await signPermit(issuer1, MINIMUM_STAKE, deadline);
+
+            await expect(
+                avsManagement.connect(issuer1).registerIssuerWithPermit(MINIMUM_STAKE, deadline, v, r, s)
+            ).to.be.revertedWith("Permit failed");
+        });
+
+        it("Should reject a permit signed by another account", async function () {
+            const deadline = await futureDeadline();
+            const { v, r, s } = await signPermit(issuer2, MINIMUM_STAKE, deadline);
+
+            await expect(
+                avsManagement.connect(issuer1).registerIssuerWithPermit(MINIMUM_STAKE, deadline, v, r, s)
+            ).to.be.revertedWith("Permit failed");
+        });
+
+        it("Should delegate in one transaction with a permit", async function () {
+            await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), MINIMUM_STAKE);
+            await avsManagement.connect(issuer1).registerIssuer(MINIMUM_STAKE);
+
+            const amount = ethers.parseEther("1000");
+            const deadline = await futureDeadline();
+            const { v, r, s } = await signPermit(issuer2, amount, deadline);
+
+            await expect(avsManagement.connect(issuer2).delegateWithPermit(issuer1.address, amount, deadline, v, r, s))
+                .to.emit(avsManagement, "Delegated")
+                .withArgs(issuer2.address, issuer1.address, amount, amount);
+        });
+    });
+
     describe("Withdraw Stake", function () {
+        const UNBONDING_PERIOD = 7 * 24 * 60 * 60;
+
         beforeEach(async function () {
             await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), MINIMUM_STAKE * 2n);
             await avsManagement.connect(issuer1).registerIssuer(MINIMUM_STAKE * 2n);
@@ -134,7 +242,7 @@ describe("AVSManagement", function () {
         it("Should allow partial withdrawal above minimum", async function () {
             const withdrawAmount = ethers.parseEther("500000");
 
-            await expect(avsManagement.connect(issuer1).withdrawStake(withdrawAmount))
+            await expect(avsManagement.connect(issuer1).requestWithdrawal(withdrawAmount))
                 .to.emit(avsManagement, "StakeWithdrawn");
 
             const issuerInfo = await avsManagement.getIssuerInfo(issuer1.address);
@@ -145,7 +253,7 @@ describe("AVSManagement", function () {
         it("Should allow full withdrawal and deactivate", async function () {
             const fullStake = MINIMUM_STAKE * 2n;
 
-            await expect(avsManagement.connect(issuer1).withdrawStake(fullStake))
+            await expect(avsManagement.connect(issuer1).requestWithdrawal(fullStake))
                 .to.emit(avsManagement, "StakeWithdrawn")
                 .to.emit(avsManagement, "IssuerDeactivated");
 
@@ -159,18 +267,127 @@ describe("AVSManagement", function () {
             const withdrawAmount = MINIMUM_STAKE + ethers.parseEther("1");
 
             await expect(
-                avsManagement.connect(issuer1).withdrawStake(withdrawAmount)
+                avsManagement.connect(issuer1).requestWithdrawal(withdrawAmount)
             ).to.be.revertedWith("Must withdraw all if going below minimum");
         });
 
-        it("Should return tokens to issuer", async function () {
+        it("Should queue the withdrawal until the unbonding period ends", async function () {
             const withdrawAmount = ethers.parseEther("500000");
+
+            const tx = await avsManagement.connect(issuer1).requestWithdrawal(withdrawAmount);
+            const unlockTime = BigInt(await time.latest()) + BigInt(UNBONDING_PERIOD);
+            await expect(tx)
+                .to.emit(avsManagement, "WithdrawalRequested")
+                .withArgs(issuer1.address, 1, withdrawAmount, unlockTime);
+
+            const [withdrawal] = await avsManagement.getPendingWithdrawals(issuer1.address);
+            expect(withdrawal.id).to.equal(1);
+            expect(withdrawal.amount).to.equal(withdrawAmount);
+            expect(withdrawal.unlockTime).to.equal(unlockTime);
+            expect(await avsManagement.unbondingStake(issuer1.address)).to.equal(withdrawAmount);
+            expect(await avsManagement.totalUnbonding()).to.equal(withdrawAmount);
+            expect(await avsManagement.totalStaked()).to.equal(MINIMUM_STAKE * 2n - withdrawAmount);
+        });
+
+        it("Should not count unbonding stake toward an active issuer", async function () {
+            await avsManagement.connect(issuer1).requestWithdrawal(MINIMUM_STAKE * 2n);
+
+            expect(await avsManagement.isActiveIssuer(issuer1.address)).to.be.false;
+            expect(await avsManagement.getActiveIssuers()).to.deep.equal([]);
+        });
+
+        it("Should reject claims before the unbonding period ends", async function () {
+            await avsManagement.connect(issuer1).requestWithdrawal(ethers.parseEther("500000"));
+            await time.increase(UNBONDING_PERIOD - 10);
+
+            await expect(avsManagement.connect(issuer1).claimWithdrawal(1))
+                .to.be.revertedWith("Withdrawal still unbonding");
+        });
+
+        it("Should return tokens to issuer once unbonded", async function () {
+            const withdrawAmount = ethers.parseEther("500000");
+            await avsManagement.connect(issuer1).requestWithdrawal(withdrawAmount);
             const balanceBefore = await did3Token.balanceOf(issuer1.address);
 
-            await avsManagement.connect(issuer1).withdrawStake(withdrawAmount);
+            await time.increase(UNBONDING_PERIOD);
+            await expect(avsManagement.connect(issuer1).claimWithdrawal(1))
+                .to.emit(avsManagement, "WithdrawalClaimed")
+                .withArgs(issuer1.address, 1, withdrawAmount);
 
-            const balanceAfter = await did3Token.balanceOf(issuer1.address);
-            expect(balanceAfter - balanceBefore).to.equal(withdrawAmount);
+            expect(await did3Token.balanceOf(issuer1.address) - balanceBefore).to.equal(withdrawAmount);
+            expect(await avsManagement.getPendingWithdrawals(issuer1.address)).to.deep.equal([]);
+            expect(await avsManagement.unbondingStake(issuer1.address)).to.equal(0);
+            expect(await avsManagement.totalUnbonding()).to.equal(0);
+        });
+
+        it("Should let each withdrawal be claimed once, only by its issuer", async function () {
+            await avsManagement.connect(issuer1).requestWithdrawal(ethers.parseEther("500000"));
+            await time.increase(UNBONDING_PERIOD);
+
+            await expect(avsManagement.connect(issuer2).claimWithdrawal(1))
+                .to.be.revertedWith("Withdrawal not found");
+
+            await avsManagement.connect(issuer1).claimWithdrawal(1);
+            await expect(avsManagement.connect(issuer1).claimWithdrawal(1))
+                .to.be.revertedWith("Withdrawal not found");
+        });
+
+        it("Should claim withdrawals independently", async function () {
+            await avsManagement.connect(issuer1).requestWithdrawal(ethers.parseEther("100000"));
+            await time.increase(UNBONDING_PERIOD / 2);
+            await avsManagement.connect(issuer1).requestWithdrawal(ethers.parseEther("200000"));
+            await time.increase(UNBONDING_PERIOD / 2);
+
+            await expect(avsManagement.connect(issuer1).claimWithdrawal(2))
+                .to.be.revertedWith("Withdrawal still unbonding");
+            await avsManagement.connect(issuer1).claimWithdrawal(1);
+
+            const pending = await avsManagement.getPendingWithdrawals(issuer1.address);
+            expect(pending.map(withdrawal => withdrawal.id)).to.deep.equal([2n]);
+            expect(await avsManagement.unbondingStake(issuer1.address)).to.equal(ethers.parseEther("200000"));
+        });
+
+        it("Should cap the number of pending withdrawals", async function () {
+            const max = await avsManagement.MAX_PENDING_WITHDRAWALS();
+            for (let i = 0n; i < max; i++) {
+                await avsManagement.connect(issuer1).requestWithdrawal(ethers.parseEther("1"));
+            }
+
+            await expect(avsManagement.connect(issuer1).requestWithdrawal(ethers.parseEther("1")))
+                .to.be.revertedWith("Too many pending withdrawals");
+        });
+
+        it("Should apply a new unbonding period to new withdrawals only", async function () {
+            await avsManagement.connect(issuer1).requestWithdrawal(ethers.parseEther("100000"));
+
+            await expect(avsManagement.setUnbondingPeriod(30 * 24 * 60 * 60))
+                .to.emit(avsManagement, "UnbondingPeriodUpdated")
+                .withArgs(30 * 24 * 60 * 60);
+            await avsManagement.connect(issuer1).requestWithdrawal(ethers.parseEther("100000"));
+
+            await time.increase(UNBONDING_PERIOD);
+            await avsManagement.connect(issuer1).claimWithdrawal(1);
+            await expect(avsManagement.connect(issuer1).claimWithdrawal(2))
+                .to.be.revertedWith("Withdrawal still unbonding");
+        });
+
+        it("Should restrict and bound the unbonding period", async function () {
+            await expect(avsManagement.connect(issuer1).setUnbondingPeriod(0))
+                .to.be.revertedWith("Only owner can call this function");
+            await expect(avsManagement.setUnbondingPeriod(91 * 24 * 60 * 60))
+                .to.be.revertedWith("Unbonding period too long");
+        });
+
+        it("Should not let the unbonding period drop below the challenge period", async function () {
+            const challengePeriod = await avsManagement.CHALLENGE_PERIOD();
+
+            await expect(avsManagement.setUnbondingPeriod(0))
+                .to.be.revertedWith("Unbonding period too short");
+            await expect(avsManagement.setUnbondingPeriod(challengePeriod - 1n))
+                .to.be.revertedWith("Unbonding period too short");
+            await expect(avsManagement.setUnbondingPeriod(challengePeriod))
+                .to.emit(avsManagement, "UnbondingPeriodUpdated")
+                .withArgs(challengePeriod);
         });
     });
 
@@ -178,7 +395,7 @@ describe("AVSManagement", function () {
         beforeEach(async function () {
             await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), MINIMUM_STAKE);
             await avsManagement.connect(issuer1).registerIssuer(MINIMUM_STAKE);
-            await avsManagement.connect(issuer1).withdrawStake(MINIMUM_STAKE);
+            await avsManagement.connect(issuer1).requestWithdrawal(MINIMUM_STAKE);
         });
 
         it("Should allow reactivation with minimum stake", async function () {
@@ -190,8 +407,16 @@ describe("AVSManagement", function () {
             expect(await avsManagement.isActiveIssuer(issuer1.address)).to.be.true;
         });
 
-        it("Should reject reactivation below minimum", async function () {
-            const lowStake = ethers.parseEther("999998");
+        it("Should record the reactivation stake as StakeAdded", async function () {
+            await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), MINIMUM_STAKE);
+
+            await expect(avsManagement.connect(issuer1).reactivateIssuer(MINIMUM_STAKE))
+                .to.emit(avsManagement, "StakeAdded")
+                .withArgs(issuer1.address, MINIMUM_STAKE, MINIMUM_STAKE);
+        });
+
+        it("Should reject reactivation below minimum self-stake", async function () {
+            const lowStake = ethers.parseEther("99999");
             await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), lowStake);
 
             await expect(
@@ -210,6 +435,59 @@ describe("AVSManagement", function () {
         });
     });
 
+    describe("Issuer Profiles", function () {
+        const PROFILE_URI = "https://issuer.example/profile.json";
+        const PROFILE_HASH = ethers.keccak256(ethers.toUtf8Bytes("{\"name\":\"Example Issuer\"}"));
+
+        beforeEach(async function () {
+            await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), MINIMUM_STAKE);
+            await avsManagement.connect(issuer1).registerIssuer(MINIMUM_STAKE);
+        });
+
+        it("Should publish an issuer profile", async function () {
+            await expect(avsManagement.connect(issuer1).setIssuerProfile(PROFILE_URI, PROFILE_HASH))
+                .to.emit(avsManagement, "IssuerProfileUpdated")
+                .withArgs(issuer1.address, PROFILE_URI, PROFILE_HASH);
+
+            const profile = await avsManagement.getIssuerProfile(issuer1.address);
+            expect(profile.uri).to.equal(PROFILE_URI);
+            expect(profile.contentHash).to.equal(PROFILE_HASH);
+            expect(profile.updatedAt).to.be.gt(0);
+        });
+
+        it("Should replace an earlier profile", async function () {
+            await avsManagement.connect(issuer1).setIssuerProfile(PROFILE_URI, PROFILE_HASH);
+
+            const newHash = ethers.keccak256(ethers.toUtf8Bytes("{\"name\":\"Renamed Issuer\"}"));
+            await avsManagement.connect(issuer1).setIssuerProfile("ipfs://profile", newHash);
+
+            const profile = await avsManagement.getIssuerProfile(issuer1.address);
+            expect(profile.uri).to.equal("ipfs://profile");
+            expect(profile.contentHash).to.equal(newHash);
+        });
+
+        it("Should return an empty profile for an issuer without one", async function () {
+            const profile = await avsManagement.getIssuerProfile(issuer2.address);
+            expect(profile.uri).to.equal("");
+            expect(profile.contentHash).to.equal(ethers.ZeroHash);
+        });
+
+        it("Should reject a profile from an account that never registered", async function () {
+            await expect(
+                avsManagement.connect(user).setIssuerProfile(PROFILE_URI, PROFILE_HASH)
+            ).to.be.revertedWith("Issuer never registered");
+        });
+
+        it("Should reject an empty URI or hash", async function () {
+            await expect(
+                avsManagement.connect(issuer1).setIssuerProfile("", PROFILE_HASH)
+            ).to.be.revertedWith("Profile URI required");
+            await expect(
+                avsManagement.connect(issuer1).setIssuerProfile(PROFILE_URI, ethers.ZeroHash)
+            ).to.be.revertedWith("Profile hash required");
+        });
+    });
+
     describe("Statistics", function () {
         it("Should track total staked amount", async function () {
             await did3Token.connect(issuer1).approve(await avsManagement.getAddress(), MINIMUM_STAKE);
@@ -234,7 +512,7 @@ describe("AVSManagement", function () {
             expect(stats.activeIssuers).to.equal(2);
 
             // Deactivate one
-            await avsManagement.connect(issuer1).withdrawStake(MINIMUM_STAKE);
+            await avsManagement.connect(issuer1).requestWithdrawal(MINIMUM_STAKE);
 
             stats = await avsManagement.getStatistics();
             expect(stats.totalIssuers).to.equal(2);
@@ -284,7 +562,7 @@ describe("AVSManagement", function () {
         });
 
         it("Should reject recording for inactive issuer", async function () {
-            await avsManagement.connect(issuer1).withdrawStake(MINIMUM_STAKE);
+            await avsManagement.connect(issuer1).requestWithdrawal(MINIMUM_STAKE);
 
             const credentialHash = ethers.keccak256(ethers.toUtf8Bytes("test"));
             await expect(
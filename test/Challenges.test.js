@@ -0,0 +1,519 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    CHALLENGE_BOND,
+    EVIDENCE_HASH,
+    REASON_FRAUDULENT_INFORMATION,
+    deployChallengeFixture,
+    challengeHelpers
+} = require("./helpers/challenges");
+
+describe("Challenges and Slashing", function () {
+    let avsManagement;
+    let vcRegistry;
+    let did3Token;
+    let owner;
+    let issuer;
+    let voter1;
+    let voter2;
+    let challenger;
+    let subject;
+    let credentialHash;
+    let register;
+    let issueCredential;
+    let openChallenge;
+
+    const MINIMUM_STAKE = ethers.parseEther("999999");
+    const ISSUER_STAKE = ethers.parseEther("2000000");
+    const CHALLENGE_PERIOD = 7 * 24 * 60 * 60;
+    const UNBONDING_PERIOD = 7 * 24 * 60 * 60;
+    const RESPONSE_HASH = ethers.keccak256(ethers.toUtf8Bytes("response"));
+
+    // VCRegistry.RevocationReason
+    const REASON_SUBJECT_REQUEST = 5;
+    const REASON_ISSUER_ERROR = 6;
+
+    // AVSManagement.ChallengeStatus
+    const STATUS_OPEN = 1;
+    const STATUS_UPHELD = 2;
+    const STATUS_DISMISSED = 3;
+
+    beforeEach(async function () {
+        [owner, issuer, voter1, voter2, challenger, subject] = await ethers.getSigners();
+
+        const fixture = await loadFixture(deployChallengeFixture);
+        ({ did3Token, avsManagement, vcRegistry } = fixture);
+        const helpers = challengeHelpers(fixture);
+        register = helpers.register;
+        issueCredential = (account = issuer, data) => helpers.issueCredential(account, subject, data);
+        openChallenge = (hash = credentialHash, reason = REASON_FRAUDULENT_INFORMATION) =>
+            helpers.openChallenge(challenger, hash, reason);
+
+        await register(issuer, ISSUER_STAKE);
+        await register(voter1, MINIMUM_STAKE);
+        await register(voter2, MINIMUM_STAKE);
+        await did3Token.transfer(challenger.address, CHALLENGE_BOND * 3n);
+
+        credentialHash = await issueCredential();
+    });
+
+    describe("Configuration", function () {
+        it("Should default to the deployer as arbiter, a 10% slash and a 10,000 DID3 bond", async function () {
+            expect(await avsManagement.arbiter()).to.equal(owner.address);
+            expect(await avsManagement.slashBasisPoints()).to.equal(1000);
+            expect(await avsManagement.challengeBond()).to.equal(CHALLENGE_BOND);
+            expect(await avsManagement.credentialRegistry()).to.equal(await vcRegistry.getAddress());
+            expect(await avsManagement.treasury()).to.equal(owner.address);
+        });
+
+        it("Should let the owner change the treasury", async function () {
+            await expect(avsManagement.setTreasury(subject.address))
+                .to.emit(avsManagement, "TreasuryUpdated")
+                .withArgs(owner.address, subject.address);
+            expect(await avsManagement.treasury()).to.equal(subject.address);
+
+            await expect(avsManagement.setTreasury(ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid treasury address");
+        });
+
+        it("Should let the owner change the slash share and bond", async function () {
+            await expect(avsManagement.setSlashingParameters(5000, ethers.parseEther("1")))
+                .to.emit(avsManagement, "SlashingParametersUpdated")
+                .withArgs(5000, ethers.parseEther("1"));
+
+            expect(await avsManagement.slashBasisPoints()).to.equal(5000);
+            expect(await avsManagement.challengeBond()).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should reject invalid slashing parameters", async function () {
+            await expect(avsManagement.setSlashingParameters(0, CHALLENGE_BOND))
+                .to.be.revertedWith("Invalid slash share");
+            await expect(avsManagement.setSlashingParameters(10001, CHALLENGE_BOND))
+                .to.be.revertedWith("Invalid slash share");
+            await expect(avsManagement.setSlashingParameters(10000, CHALLENGE_BOND))
+                .to.be.revertedWith("Invalid slash share");
+            await expect(avsManagement.setSlashingParameters(1000, 0))
+                .to.be.revertedWith("Challenge bond required");
+        });
+
+        it("Should restrict configuration to the owner", async function () {
+            await expect(avsManagement.connect(issuer).setSlashingParameters(5000, CHALLENGE_BOND))
+                .to.be.revertedWith("Only owner can call this function");
+            await expect(avsManagement.connect(issuer).setArbiter(issuer.address))
+                .to.be.revertedWith("Only owner can call this function");
+            await expect(avsManagement.connect(issuer).setCredentialRegistry(issuer.address))
+                .to.be.revertedWith("Only owner can call this function");
+            await expect(avsManagement.connect(issuer).setTreasury(issuer.address))
+                .to.be.revertedWith("Only owner can call this function");
+        });
+
+        it("Should only accept challenge revocations from AVSManagement", async function () {
+            await expect(
+                vcRegistry.connect(owner).revokeChallengedCredential(credentialHash, REASON_FRAUDULENT_INFORMATION, EVIDENCE_HASH)
+            ).to.be.revertedWith("Only AVSManagement can revoke challenged credentials");
+        });
+    });
+
+    describe("Opening Challenges", function () {
+        it("Should open a challenge and lock the bond", async function () {
+            await did3Token.connect(challenger).approve(await avsManagement.getAddress(), CHALLENGE_BOND);
+
+            await expect(avsManagement.connect(challenger).openChallenge(credentialHash, REASON_FRAUDULENT_INFORMATION, EVIDENCE_HASH))
+                .to.emit(avsManagement, "ChallengeOpened")
+                .withArgs(1, credentialHash, issuer.address, challenger.address, REASON_FRAUDULENT_INFORMATION, EVIDENCE_HASH, CHALLENGE_BOND);
+
+            const challenge = await avsManagement.getChallenge(1);
+            expect(challenge.issuer).to.equal(issuer.address);
+            expect(challenge.challenger).to.equal(challenger.address);
+            expect(challenge.bond).to.equal(CHALLENGE_BOND);
+            expect(challenge.eligibleStake).to.equal(MINIMUM_STAKE * 2n);
+            expect(challenge.status).to.equal(STATUS_OPEN);
+
+            expect(await avsManagement.getIssuerChallenges(issuer.address)).to.deep.equal([1n]);
+            expect(await avsManagement.openChallengeCount(issuer.address)).to.equal(1);
+            expect(await avsManagement.openChallengeOf(credentialHash)).to.equal(1);
+            expect(await did3Token.balanceOf(challenger.address)).to.equal(CHALLENGE_BOND * 2n);
+        });
+
+        it("Should reject invalid challenges", async function () {
+            await did3Token.connect(challenger).approve(await avsManagement.getAddress(), CHALLENGE_BOND);
+
+            await expect(avsManagement.connect(challenger).openChallenge(credentialHash, REASON_SUBJECT_REQUEST, EVIDENCE_HASH))
+                .to.be.revertedWith("Invalid challenge reason");
+            await expect(avsManagement.connect(challenger).openChallenge(credentialHash, REASON_ISSUER_ERROR, ethers.ZeroHash))
+                .to.be.revertedWith("Evidence hash required");
+            await expect(avsManagement.connect(challenger).openChallenge(ethers.ZeroHash, REASON_ISSUER_ERROR, EVIDENCE_HASH))
+                .to.be.revertedWith("Credential does not exist");
+            await expect(avsManagement.connect(issuer).openChallenge(credentialHash, REASON_ISSUER_ERROR, EVIDENCE_HASH))
+                .to.be.revertedWith("Cannot challenge own credential");
+        });
+
+        it("Should reject a second open challenge against the same credential", async function () {
+            await openChallenge();
+            await did3Token.connect(challenger).approve(await avsManagement.getAddress(), CHALLENGE_BOND);
+
+            await expect(avsManagement.connect(challenger).openChallenge(credentialHash, REASON_ISSUER_ERROR, EVIDENCE_HASH))
+                .to.be.revertedWith("Credential already challenged");
+        });
+
+        it("Should require the bond", async function () {
+            await expect(avsManagement.connect(challenger).openChallenge(credentialHash, REASON_ISSUER_ERROR, EVIDENCE_HASH))
+                .to.be.revertedWith("Insufficient allowance");
+        });
+
+        it("Should require a linked credential registry", async function () {
+            const AVSManagement = await ethers.getContractFactory("AVSManagement");
+            const unlinked = await AVSManagement.deploy(await did3Token.getAddress());
+
+            await expect(unlinked.connect(challenger).openChallenge(credentialHash, REASON_ISSUER_ERROR, EVIDENCE_HASH))
+                .to.be.revertedWith("Credential registry not set");
+        });
+
+        it("Should hold unbonded withdrawals while a challenge is open", async function () {
+            await avsManagement.connect(issuer).requestWithdrawal(ISSUER_STAKE);
+            await openChallenge();
+            await time.increase(UNBONDING_PERIOD);
+
+            await expect(avsManagement.connect(issuer).claimWithdrawal(1))
+                .to.be.revertedWith("Open challenges against issuer");
+        });
+    });
+
+    describe("Issuer Response", function () {
+        it("Should record the issuer's response", async function () {
+            const id = await openChallenge();
+
+            await expect(avsManagement.connect(issuer).respondToChallenge(id, RESPONSE_HASH))
+                .to.emit(avsManagement, "ChallengeResponded")
+                .withArgs(id, issuer.address, RESPONSE_HASH);
+
+            const challenge = await avsManagement.getChallenge(id);
+            expect(challenge.responseHash).to.equal(RESPONSE_HASH);
+            expect(challenge.respondedAt).to.be.gt(0);
+        });
+
+        it("Should only accept a response from the challenged issuer", async function () {
+            const id = await openChallenge();
+
+            await expect(avsManagement.connect(voter1).respondToChallenge(id, RESPONSE_HASH))
+                .to.be.revertedWith("Only challenged issuer can respond");
+        });
+
+        it("Should reject a response after the challenge period", async function () {
+            const id = await openChallenge();
+            await time.increase(CHALLENGE_PERIOD + 1);
+
+            await expect(avsManagement.connect(issuer).respondToChallenge(id, RESPONSE_HASH))
+                .to.be.revertedWith("Challenge period ended");
+        });
+    });
+
+    describe("Arbiter Resolution", function () {
+        it("Should slash the issuer, revoke the credential and pay the challenger when upheld", async function () {
+            const id = await openChallenge();
+            const slashed = ISSUER_STAKE / 10n;
+            const reward = slashed / 2n;
+            const totalStaked = await avsManagement.totalStaked();
+            const treasuryBalance = await did3Token.balanceOf(owner.address);
+
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.emit(avsManagement, "IssuerSlashed")
+                .withArgs(issuer.address, slashed, ISSUER_STAKE - slashed, id)
+                .and.to.emit(avsManagement, "ChallengeResolved")
+                .withArgs(id, issuer.address, true, true, slashed)
+                .and.to.emit(avsManagement, "SlashDistributed")
+                .withArgs(id, challenger.address, reward, owner.address, slashed - reward)
+                .and.to.emit(vcRegistry, "CredentialRevoked")
+                .withArgs(credentialHash, subject.address, issuer.address, await time.latest() + 1, REASON_FRAUDULENT_INFORMATION, EVIDENCE_HASH);
+
+            const info = await avsManagement.getIssuerInfo(issuer.address);
+            expect(info.stakedAmount).to.equal(ISSUER_STAKE - slashed);
+            expect(info.totalCredentialsRevoked).to.equal(1);
+            expect(await avsManagement.totalStaked()).to.equal(totalStaked - slashed);
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.true;
+
+            expect(await vcRegistry.isCredentialValid(credentialHash)).to.be.false;
+            expect(await did3Token.balanceOf(challenger.address)).to.equal(CHALLENGE_BOND * 3n + reward);
+            expect(await did3Token.balanceOf(owner.address)).to.equal(treasuryBalance + slashed - reward);
+
+            const challenge = await avsManagement.getChallenge(id);
+            expect(challenge.status).to.equal(STATUS_UPHELD);
+            expect(challenge.slashedAmount).to.equal(slashed);
+            expect(challenge.challengerReward).to.equal(reward);
+            expect(await avsManagement.openChallengeCount(issuer.address)).to.equal(0);
+        });
+
+        it("Should deactivate an issuer slashed below the minimum stake", async function () {
+            const hash = await issueCredential(voter1, "0x02");
+            const id = await openChallenge(hash, REASON_ISSUER_ERROR);
+
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.emit(avsManagement, "IssuerDeactivated");
+
+            expect(await avsManagement.isActiveIssuer(voter1.address)).to.be.false;
+            await expect(vcRegistry.connect(voter1).issueCredential(subject.address, "KYCVerification", "0x03", 0))
+                .to.be.revertedWith("Caller must be active issuer with minimum stake");
+        });
+
+        it("Should pay the bond to the issuer when dismissed", async function () {
+            const id = await openChallenge();
+            const issuerBalance = await did3Token.balanceOf(issuer.address);
+
+            await expect(avsManagement.resolveChallenge(id, false))
+                .to.emit(avsManagement, "ChallengeResolved")
+                .withArgs(id, issuer.address, false, true, 0);
+
+            expect(await did3Token.balanceOf(issuer.address)).to.equal(issuerBalance + CHALLENGE_BOND);
+            expect((await avsManagement.getIssuerInfo(issuer.address)).stakedAmount).to.equal(ISSUER_STAKE);
+            expect(await vcRegistry.isCredentialValid(credentialHash)).to.be.true;
+            expect((await avsManagement.getChallenge(id)).status).to.equal(STATUS_DISMISSED);
+        });
+
+        it("Should release withdrawals once resolved", async function () {
+            await avsManagement.connect(issuer).requestWithdrawal(ISSUER_STAKE);
+            const id = await openChallenge();
+            await time.increase(UNBONDING_PERIOD);
+            await avsManagement.resolveChallenge(id, false);
+
+            await expect(avsManagement.connect(issuer).claimWithdrawal(1))
+                .to.emit(avsManagement, "WithdrawalClaimed")
+                .withArgs(issuer.address, 1, ISSUER_STAKE);
+        });
+
+        it("Should slash withdrawals that are still unbonding", async function () {
+            const withdrawn = ethers.parseEther("500000");
+            await avsManagement.connect(issuer).requestWithdrawal(withdrawn);
+            const id = await openChallenge();
+
+            const slashed = (ISSUER_STAKE - withdrawn) / 10n + withdrawn / 10n;
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.emit(avsManagement, "IssuerSlashed")
+                .withArgs(issuer.address, slashed, (ISSUER_STAKE - withdrawn) * 9n / 10n, id);
+
+            const [withdrawal] = await avsManagement.getPendingWithdrawals(issuer.address);
+            expect(withdrawal.amount).to.equal(withdrawn * 9n / 10n);
+            expect(await avsManagement.unbondingStake(issuer.address)).to.equal(withdrawn * 9n / 10n);
+            expect(await did3Token.balanceOf(challenger.address)).to.equal(CHALLENGE_BOND * 3n + slashed / 2n);
+
+            await time.increase(UNBONDING_PERIOD);
+            await expect(avsManagement.connect(issuer).claimWithdrawal(1))
+                .to.emit(avsManagement, "WithdrawalClaimed")
+                .withArgs(issuer.address, 1, withdrawn * 9n / 10n);
+        });
+
+        it("Should slash an issuer whose whole stake is unbonding", async function () {
+            await avsManagement.connect(issuer).requestWithdrawal(ISSUER_STAKE);
+            const id = await openChallenge();
+
+            await avsManagement.resolveChallenge(id, true);
+            expect((await avsManagement.getChallenge(id)).slashedAmount).to.equal(ISSUER_STAKE / 10n);
+            expect(await avsManagement.unbondingStake(issuer.address)).to.equal(ISSUER_STAKE * 9n / 10n);
+        });
+
+        it("Should allow a new challenge after a dismissal but not after an upheld one", async function () {
+            let id = await openChallenge();
+            await avsManagement.resolveChallenge(id, false);
+
+            id = await openChallenge();
+            await avsManagement.resolveChallenge(id, true);
+
+            await did3Token.connect(challenger).approve(await avsManagement.getAddress(), CHALLENGE_BOND);
+            await expect(avsManagement.connect(challenger).openChallenge(credentialHash, REASON_ISSUER_ERROR, EVIDENCE_HASH))
+                .to.be.revertedWith("Issuer already slashed for credential");
+        });
+
+        it("Should still slash when the issuer revoked the credential during the challenge", async function () {
+            const id = await openChallenge();
+            await vcRegistry.connect(issuer).revokeCredential(credentialHash, REASON_SUBJECT_REQUEST, ethers.ZeroHash);
+
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.emit(avsManagement, "IssuerSlashed")
+                .and.not.to.emit(vcRegistry, "CredentialRevoked");
+
+            const credential = await vcRegistry.getFullCredential(credentialHash);
+            expect(credential.revocationReason).to.equal(REASON_SUBJECT_REQUEST);
+            expect((await avsManagement.getIssuerInfo(issuer.address)).totalCredentialsRevoked).to.equal(1);
+        });
+
+        it("Should only let the arbiter resolve, and only open challenges", async function () {
+            const id = await openChallenge();
+
+            await expect(avsManagement.connect(voter1).resolveChallenge(id, true))
+                .to.be.revertedWith("Only arbiter can call this function");
+
+            await avsManagement.resolveChallenge(id, false);
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.be.revertedWith("Challenge not open");
+        });
+
+        it("Should leave challenges to the vote when the arbiter is removed", async function () {
+            const id = await openChallenge();
+            await expect(avsManagement.setArbiter(ethers.ZeroAddress))
+                .to.emit(avsManagement, "ArbiterUpdated")
+                .withArgs(owner.address, ethers.ZeroAddress);
+
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.be.revertedWith("Only arbiter can call this function");
+        });
+
+        it("Should resolve open challenges in their own registry after the registry changes", async function () {
+            const id = await openChallenge();
+            const VCRegistry = await ethers.getContractFactory("VCRegistry");
+            const newRegistry = await VCRegistry.deploy(await avsManagement.getAddress());
+            await avsManagement.setCredentialRegistry(await newRegistry.getAddress());
+
+            expect((await avsManagement.getChallenge(id)).registry).to.equal(await vcRegistry.getAddress());
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.emit(vcRegistry, "CredentialRevoked");
+            expect(await vcRegistry.isCredentialValid(credentialHash)).to.be.false;
+            expect(await avsManagement.openChallengeCount(issuer.address)).to.equal(0);
+        });
+
+        it("Should slash the configured share", async function () {
+            await avsManagement.setSlashingParameters(5000, CHALLENGE_BOND);
+            const id = await openChallenge();
+            await avsManagement.resolveChallenge(id, true);
+
+            expect((await avsManagement.getChallenge(id)).slashedAmount).to.equal(ISSUER_STAKE / 2n);
+        });
+    });
+
+    describe("Stake-Weighted Vote", function () {
+        it("Should record votes weighted by stake", async function () {
+            const id = await openChallenge();
+
+            await expect(avsManagement.connect(voter1).voteOnChallenge(id, true))
+                .to.emit(avsManagement, "ChallengeVoteCast")
+                .withArgs(id, voter1.address, true, MINIMUM_STAKE);
+            await avsManagement.connect(voter2).voteOnChallenge(id, false);
+
+            const challenge = await avsManagement.getChallenge(id);
+            expect(challenge.votesFor).to.equal(MINIMUM_STAKE);
+            expect(challenge.votesAgainst).to.equal(MINIMUM_STAKE);
+            expect(await avsManagement.hasVotedOnChallenge(id, voter1.address)).to.be.true;
+        });
+
+        it("Should reject votes from the parties, non-issuers and repeat voters", async function () {
+            const id = await openChallenge();
+
+            await expect(avsManagement.connect(issuer).voteOnChallenge(id, false))
+                .to.be.revertedWith("Parties cannot vote");
+            await expect(avsManagement.connect(subject).voteOnChallenge(id, true))
+                .to.be.revertedWith("Caller is not an active issuer");
+
+            await avsManagement.connect(voter1).voteOnChallenge(id, true);
+            await expect(avsManagement.connect(voter1).voteOnChallenge(id, true))
+                .to.be.revertedWith("Already voted");
+        });
+
+        it("Should reject votes from issuers registered after the challenge opened", async function () {
+            const id = await openChallenge();
+            await register(subject, MINIMUM_STAKE);
+
+            await expect(avsManagement.connect(subject).voteOnChallenge(id, true))
+                .to.be.revertedWith("No voting stake when challenge opened");
+        });
+
+        it("Should weigh votes by the stake held when the challenge opened", async function () {
+            const id = await openChallenge();
+            await did3Token.transfer(voter1.address, MINIMUM_STAKE);
+            await did3Token.connect(voter1).approve(await avsManagement.getAddress(), MINIMUM_STAKE);
+            await avsManagement.connect(voter1).addStake(MINIMUM_STAKE);
+
+            await expect(avsManagement.connect(voter1).voteOnChallenge(id, true))
+                .to.emit(avsManagement, "ChallengeVoteCast")
+                .withArgs(id, voter1.address, true, MINIMUM_STAKE);
+        });
+
+        it("Should measure quorum against the voting stake when the challenge opened", async function () {
+            // Stake of an issuer below the minimum, and of the challenger, can never vote
+            await register(owner, ethers.parseEther("900000"));
+            await register(challenger, MINIMUM_STAKE);
+            const id = await openChallenge();
+            expect((await avsManagement.getChallenge(id)).eligibleStake).to.equal(MINIMUM_STAKE * 2n);
+
+            await avsManagement.connect(voter1).voteOnChallenge(id, true);
+            // Later stake changes move neither the votes nor the quorum
+            await avsManagement.connect(voter1).requestWithdrawal(MINIMUM_STAKE);
+            await register(subject, MINIMUM_STAKE);
+            await time.increase(CHALLENGE_PERIOD + 1);
+
+            await expect(avsManagement.finalizeChallenge(id))
+                .to.emit(avsManagement, "ChallengeResolved")
+                .withArgs(id, issuer.address, true, false, ISSUER_STAKE / 10n);
+        });
+
+        it("Should checkpoint voting stake by block", async function () {
+            const registered = await ethers.provider.getBlockNumber();
+            await avsManagement.connect(voter1).requestWithdrawal(MINIMUM_STAKE);
+            const withdrawn = await ethers.provider.getBlockNumber();
+            await mine();
+
+            expect(await avsManagement.getPastVotingStake(voter1.address, registered)).to.equal(MINIMUM_STAKE);
+            expect(await avsManagement.getPastVotingStake(voter1.address, withdrawn)).to.equal(0);
+            expect(await avsManagement.getPastTotalVotingStake(registered)).to.equal(ISSUER_STAKE + MINIMUM_STAKE * 2n);
+            expect(await avsManagement.getPastTotalVotingStake(withdrawn)).to.equal(ISSUER_STAKE + MINIMUM_STAKE);
+            await expect(avsManagement.getPastTotalVotingStake(await ethers.provider.getBlockNumber() + 1))
+                .to.be.revertedWith("Block not yet mined");
+        });
+
+        it("Should reject votes after the challenge period", async function () {
+            const id = await openChallenge();
+            await time.increase(CHALLENGE_PERIOD + 1);
+
+            await expect(avsManagement.connect(voter1).voteOnChallenge(id, true))
+                .to.be.revertedWith("Challenge period ended");
+        });
+
+        it("Should not finalize before the challenge period is over", async function () {
+            const id = await openChallenge();
+
+            await expect(avsManagement.finalizeChallenge(id))
+                .to.be.revertedWith("Challenge period not over");
+        });
+
+        it("Should uphold a challenge the vote supports", async function () {
+            const id = await openChallenge();
+            await avsManagement.connect(voter1).voteOnChallenge(id, true);
+            await avsManagement.connect(voter2).voteOnChallenge(id, true);
+            await time.increase(CHALLENGE_PERIOD + 1);
+
+            await expect(avsManagement.connect(subject).finalizeChallenge(id))
+                .to.emit(avsManagement, "ChallengeResolved")
+                .withArgs(id, issuer.address, true, false, ISSUER_STAKE / 10n);
+
+            expect(await vcRegistry.isCredentialValid(credentialHash)).to.be.false;
+        });
+
+        it("Should dismiss a challenge without quorum", async function () {
+            await register(owner, MINIMUM_STAKE * 3n);
+            const id = await openChallenge();
+            await avsManagement.connect(voter1).voteOnChallenge(id, true);
+            await time.increase(CHALLENGE_PERIOD + 1);
+
+            // 999,999 of the 4,999,995 DID3 other issuers could vote with voted: below 50%
+            await expect(avsManagement.finalizeChallenge(id))
+                .to.emit(avsManagement, "ChallengeResolved")
+                .withArgs(id, issuer.address, false, false, 0);
+        });
+
+        it("Should dismiss a challenge on a tied vote", async function () {
+            const id = await openChallenge();
+            await avsManagement.connect(voter1).voteOnChallenge(id, true);
+            await avsManagement.connect(voter2).voteOnChallenge(id, false);
+            await time.increase(CHALLENGE_PERIOD + 1);
+
+            await avsManagement.finalizeChallenge(id);
+            expect((await avsManagement.getChallenge(id)).status).to.equal(STATUS_DISMISSED);
+        });
+
+        it("Should let the arbiter decide after the period if nobody finalized", async function () {
+            const id = await openChallenge();
+            await time.increase(CHALLENGE_PERIOD + 1);
+
+            await avsManagement.resolveChallenge(id, true);
+            expect((await avsManagement.getChallenge(id)).status).to.equal(STATUS_UPHELD);
+        });
+    });
+});
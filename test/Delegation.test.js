@@ -0,0 +1,315 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { CHALLENGE_BOND, deployChallengeFixture, challengeHelpers } = require("./helpers/challenges");
+
+describe("Delegated Staking", function () {
+    let avsManagement;
+    let did3Token;
+    let owner;
+    let issuer;
+    let delegator1;
+    let delegator2;
+    let voter;
+    let challenger;
+    let subject;
+    let register;
+    let issueCredential;
+    let openChallenge;
+
+    const MINIMUM_STAKE = ethers.parseEther("999999");
+    const MINIMUM_SELF_STAKE = ethers.parseEther("100000");
+    const SELF_STAKE = ethers.parseEther("200000");
+    const DELEGATION = ethers.parseEther("900000");
+    const UNBONDING_PERIOD = 7 * 24 * 60 * 60;
+
+    async function delegate(delegator, amount, to = issuer) {
+        await did3Token.connect(delegator).approve(await avsManagement.getAddress(), amount);
+        return avsManagement.connect(delegator).delegate(to.address, amount);
+    }
+
+    beforeEach(async function () {
+        [owner, issuer, delegator1, delegator2, voter, challenger, subject] = await ethers.getSigners();
+
+        const fixture = await loadFixture(deployChallengeFixture);
+        ({ did3Token, avsManagement } = fixture);
+        const helpers = challengeHelpers(fixture);
+        register = helpers.register;
+        issueCredential = () => helpers.issueCredential(issuer, subject);
+        openChallenge = hash => helpers.openChallenge(challenger, hash);
+
+        await register(issuer, SELF_STAKE);
+        await did3Token.transfer(delegator1.address, ethers.parseEther("2000000"));
+        await did3Token.transfer(delegator2.address, ethers.parseEther("2000000"));
+        await did3Token.transfer(challenger.address, CHALLENGE_BOND);
+    });
+
+    describe("Delegating", function () {
+        it("Should set the minimum self-stake", async function () {
+            expect(await avsManagement.MINIMUM_SELF_STAKE()).to.equal(MINIMUM_SELF_STAKE);
+        });
+
+        it("Should register an issuer below the minimum stake without activating it", async function () {
+            const info = await avsManagement.getIssuerInfo(issuer.address);
+            expect(info.isActive).to.be.true;
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.false;
+            await expect(issueCredential()).to.be.revertedWith("Caller must be active issuer with minimum stake");
+        });
+
+        it("Should activate the issuer once delegations reach the minimum stake", async function () {
+            await expect(delegate(delegator1, DELEGATION))
+                .to.emit(avsManagement, "Delegated")
+                .withArgs(delegator1.address, issuer.address, DELEGATION, DELEGATION);
+
+            expect(await avsManagement.effectiveStake(issuer.address)).to.equal(SELF_STAKE + DELEGATION);
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.true;
+            expect(await avsManagement.totalDelegated()).to.equal(DELEGATION);
+            expect(await avsManagement.totalStaked()).to.equal(SELF_STAKE + DELEGATION);
+            expect((await avsManagement.getIssuerInfo(issuer.address)).stakedAmount).to.equal(SELF_STAKE);
+
+            await issueCredential();
+        });
+
+        it("Should list a delegator's positions", async function () {
+            await register(voter, MINIMUM_STAKE);
+            await delegate(delegator1, DELEGATION);
+            await delegate(delegator1, ethers.parseEther("5000"), voter);
+            await delegate(delegator2, ethers.parseEther("1000"));
+
+            const positions = await avsManagement.getDelegations(delegator1.address);
+            expect(positions.map(position => position.issuer)).to.have.members([issuer.address, voter.address]);
+            expect(positions.find(position => position.issuer === issuer.address).amount).to.equal(DELEGATION);
+            expect(await avsManagement.delegationOf(voter.address, delegator1.address)).to.equal(ethers.parseEther("5000"));
+            expect((await avsManagement.delegationPools(issuer.address)).amount).to.equal(DELEGATION + ethers.parseEther("1000"));
+        });
+
+        it("Should reject invalid delegations", async function () {
+            await expect(delegate(delegator1, 0)).to.be.revertedWith("Amount must be greater than 0");
+            await expect(delegate(delegator1, DELEGATION, delegator2)).to.be.revertedWith("Issuer not registered");
+
+            await did3Token.connect(issuer).approve(await avsManagement.getAddress(), DELEGATION);
+            await expect(avsManagement.connect(issuer).delegate(issuer.address, DELEGATION))
+                .to.be.revertedWith("Cannot delegate to self");
+        });
+
+        it("Should reject delegations to an issuer that withdrew", async function () {
+            await avsManagement.connect(issuer).requestWithdrawal(SELF_STAKE);
+            await expect(delegate(delegator1, DELEGATION)).to.be.revertedWith("Issuer not registered");
+        });
+    });
+
+    describe("Undelegating", function () {
+        beforeEach(async function () {
+            await delegate(delegator1, DELEGATION);
+        });
+
+        it("Should queue an undelegation and stop counting it at once", async function () {
+            const amount = ethers.parseEther("200000");
+            const tx = await avsManagement.connect(delegator1).requestUndelegation(issuer.address, amount);
+            const unlockTime = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp + UNBONDING_PERIOD);
+
+            await expect(tx)
+                .to.emit(avsManagement, "UndelegationRequested")
+                .withArgs(delegator1.address, issuer.address, 1, amount, unlockTime)
+                .and.to.emit(avsManagement, "IssuerDeactivated");
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.false;
+            expect(await avsManagement.delegationOf(issuer.address, delegator1.address)).to.equal(DELEGATION - amount);
+            expect(await avsManagement.totalUnbonding()).to.equal(amount);
+
+            const [pending, amounts] = await avsManagement.getPendingUndelegations(delegator1.address);
+            expect(pending.length).to.equal(1);
+            expect(pending[0].issuer).to.equal(issuer.address);
+            expect(pending[0].unlockTime).to.equal(unlockTime);
+            expect(amounts[0]).to.equal(amount);
+        });
+
+        it("Should make an issuer an undelegation took below the minimum active again on a new delegation", async function () {
+            // One wei short of MINIMUM_STAKE
+            const amount = SELF_STAKE + DELEGATION - MINIMUM_STAKE + 1n;
+            await expect(avsManagement.connect(delegator1).requestUndelegation(issuer.address, amount))
+                .to.emit(avsManagement, "IssuerDeactivated");
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.false;
+
+            await delegate(delegator2, ethers.parseEther("5"));
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.true;
+
+            await did3Token.transfer(issuer.address, ethers.parseEther("1"));
+            await did3Token.connect(issuer).approve(await avsManagement.getAddress(), ethers.parseEther("1"));
+            await avsManagement.connect(issuer).addStake(ethers.parseEther("1"));
+            await issueCredential();
+        });
+
+        it("Should not deactivate an issuer that stays above the minimum stake", async function () {
+            await delegate(delegator2, ethers.parseEther("100000"));
+
+            await expect(avsManagement.connect(delegator2).requestUndelegation(issuer.address, ethers.parseEther("100000")))
+                .not.to.emit(avsManagement, "IssuerDeactivated");
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.true;
+        });
+
+        it("Should cap pending undelegations per delegator", async function () {
+            const max = await avsManagement.MAX_PENDING_UNDELEGATIONS();
+            for (let i = 0n; i < max; i++) {
+                await avsManagement.connect(delegator1).requestUndelegation(issuer.address, ethers.parseEther("1"));
+            }
+
+            await expect(avsManagement.connect(delegator1).requestUndelegation(issuer.address, ethers.parseEther("1")))
+                .to.be.revertedWith("Too many pending undelegations");
+        });
+
+        it("Should drop the position once everything is undelegated", async function () {
+            await avsManagement.connect(delegator1).requestUndelegation(issuer.address, DELEGATION);
+
+            expect(await avsManagement.getDelegations(delegator1.address)).to.have.length(0);
+            expect((await avsManagement.delegationPools(issuer.address)).shares).to.equal(0);
+        });
+
+        it("Should reject undelegating more than was delegated", async function () {
+            await expect(avsManagement.connect(delegator1).requestUndelegation(issuer.address, DELEGATION + 1n))
+                .to.be.revertedWith("Insufficient delegation");
+
+            await delegate(delegator2, ethers.parseEther("1000"));
+            await expect(avsManagement.connect(delegator2).requestUndelegation(issuer.address, ethers.parseEther("1001")))
+                .to.be.revertedWith("Insufficient delegation");
+        });
+
+        it("Should pay out only after the unbonding period", async function () {
+            await avsManagement.connect(delegator1).requestUndelegation(issuer.address, DELEGATION);
+            await expect(avsManagement.connect(delegator1).claimUndelegation(1))
+                .to.be.revertedWith("Undelegation still unbonding");
+
+            await time.increase(UNBONDING_PERIOD);
+            const balanceBefore = await did3Token.balanceOf(delegator1.address);
+            await expect(avsManagement.connect(delegator1).claimUndelegation(1))
+                .to.emit(avsManagement, "UndelegationClaimed")
+                .withArgs(delegator1.address, issuer.address, 1, DELEGATION);
+
+            expect(await did3Token.balanceOf(delegator1.address)).to.equal(balanceBefore + DELEGATION);
+            expect(await avsManagement.totalUnbonding()).to.equal(0);
+            const [pending] = await avsManagement.getPendingUndelegations(delegator1.address);
+            expect(pending.length).to.equal(0);
+        });
+
+        it("Should let only the delegator claim, once", async function () {
+            await avsManagement.connect(delegator1).requestUndelegation(issuer.address, DELEGATION);
+            await time.increase(UNBONDING_PERIOD);
+
+            await expect(avsManagement.connect(delegator2).claimUndelegation(1))
+                .to.be.revertedWith("Undelegation not found");
+            await avsManagement.connect(delegator1).claimUndelegation(1);
+            await expect(avsManagement.connect(delegator1).claimUndelegation(1))
+                .to.be.revertedWith("Undelegation not found");
+        });
+
+        it("Should hold the issuer to both minimums when it withdraws", async function () {
+            await expect(avsManagement.connect(issuer).requestWithdrawal(SELF_STAKE - MINIMUM_SELF_STAKE + 1n))
+                .to.be.revertedWith("Must withdraw all if going below minimum");
+
+            await delegate(delegator2, ethers.parseEther("100000"));
+            await avsManagement.connect(issuer).requestWithdrawal(SELF_STAKE - MINIMUM_SELF_STAKE);
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.true;
+
+            await expect(avsManagement.connect(issuer).requestWithdrawal(MINIMUM_SELF_STAKE))
+                .to.emit(avsManagement, "IssuerDeactivated");
+            await avsManagement.connect(delegator1).requestUndelegation(issuer.address, DELEGATION);
+        });
+    });
+
+    describe("Slashing", function () {
+        let credentialHash;
+
+        beforeEach(async function () {
+            await delegate(delegator1, DELEGATION);
+            await delegate(delegator2, ethers.parseEther("100000"));
+            await avsManagement.connect(delegator2).requestUndelegation(issuer.address, ethers.parseEther("100000"));
+            credentialHash = await issueCredential();
+        });
+
+        it("Should slash delegations and undelegations along with the issuer's stake", async function () {
+            const id = await openChallenge(credentialHash);
+            const selfSlashed = SELF_STAKE / 10n;
+            const delegationSlashed = DELEGATION / 10n + ethers.parseEther("10000");
+
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.emit(avsManagement, "DelegationsSlashed")
+                .withArgs(issuer.address, delegationSlashed, id)
+                .and.to.emit(avsManagement, "IssuerSlashed")
+                .withArgs(issuer.address, selfSlashed + delegationSlashed, SELF_STAKE - selfSlashed, id)
+                .and.to.emit(avsManagement, "IssuerDeactivated");
+
+            expect(await avsManagement.delegationOf(issuer.address, delegator1.address)).to.equal(DELEGATION * 9n / 10n);
+            expect(await avsManagement.totalDelegated()).to.equal(DELEGATION * 9n / 10n);
+            expect(await did3Token.balanceOf(challenger.address)).to.equal(CHALLENGE_BOND + selfSlashed / 2n);
+
+            const [, amounts] = await avsManagement.getPendingUndelegations(delegator2.address);
+            expect(amounts[0]).to.equal(ethers.parseEther("90000"));
+
+            await time.increase(UNBONDING_PERIOD);
+            await expect(avsManagement.connect(delegator2).claimUndelegation(1))
+                .to.emit(avsManagement, "UndelegationClaimed")
+                .withArgs(delegator2.address, issuer.address, 1, ethers.parseEther("90000"));
+        });
+
+        it("Should send slashed delegations to the treasury rather than the challenger", async function () {
+            // An issuer challenging itself from another address only recovers part of its own slash
+            await avsManagement.setTreasury(voter.address);
+            const id = await openChallenge(credentialHash);
+            const selfSlashed = SELF_STAKE / 10n;
+            const delegationSlashed = DELEGATION / 10n + ethers.parseEther("10000");
+
+            await expect(avsManagement.resolveChallenge(id, true))
+                .to.emit(avsManagement, "SlashDistributed")
+                .withArgs(id, challenger.address, selfSlashed / 2n, voter.address, selfSlashed / 2n + delegationSlashed);
+
+            expect(await did3Token.balanceOf(voter.address)).to.equal(selfSlashed / 2n + delegationSlashed);
+            expect(await did3Token.balanceOf(await avsManagement.getAddress()))
+                .to.equal((await avsManagement.totalStaked()) + (await avsManagement.totalUnbonding()));
+        });
+
+        it("Should let delegations restore an issuer slashed below the minimum stake", async function () {
+            await expect(avsManagement.resolveChallenge(await openChallenge(credentialHash), true))
+                .to.emit(avsManagement, "IssuerDeactivated");
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.false;
+            expect((await avsManagement.getIssuerInfo(issuer.address)).isActive).to.be.true;
+
+            await delegate(delegator2, ethers.parseEther("50000"));
+            expect(await avsManagement.isActiveIssuer(issuer.address)).to.be.true;
+            await issueCredential();
+        });
+
+        it("Should deactivate an issuer slashed below the minimum self-stake", async function () {
+            await avsManagement.setSlashingParameters(9500, CHALLENGE_BOND);
+            await avsManagement.resolveChallenge(await openChallenge(credentialHash), true);
+
+            expect((await avsManagement.getIssuerInfo(issuer.address)).isActive).to.be.false;
+            await expect(delegate(delegator2, ethers.parseEther("50000"))).to.be.revertedWith("Issuer not registered");
+        });
+
+        it("Should price later delegations at the slashed share value", async function () {
+            await avsManagement.resolveChallenge(await openChallenge(credentialHash), true);
+
+            await delegate(delegator2, ethers.parseEther("50000"));
+            expect(await avsManagement.delegationOf(issuer.address, delegator2.address)).to.be.closeTo(ethers.parseEther("50000"), 1n);
+            expect(await avsManagement.delegationOf(issuer.address, delegator1.address)).to.be.closeTo(DELEGATION * 9n / 10n, 1n);
+        });
+
+        it("Should hold undelegation claims while a challenge is open", async function () {
+            await openChallenge(credentialHash);
+            await time.increase(UNBONDING_PERIOD);
+
+            await expect(avsManagement.connect(delegator2).claimUndelegation(1))
+                .to.be.revertedWith("Open challenges against issuer");
+        });
+
+        it("Should count delegations in challenge votes", async function () {
+            await avsManagement.setArbiter(ethers.ZeroAddress);
+            await register(voter, MINIMUM_SELF_STAKE);
+            await delegate(delegator2, DELEGATION, voter);
+            const id = await openChallenge(credentialHash);
+
+            await expect(avsManagement.connect(voter).voteOnChallenge(id, true))
+                .to.emit(avsManagement, "ChallengeVoteCast")
+                .withArgs(id, voter.address, true, MINIMUM_SELF_STAKE + DELEGATION);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Multicall3", function () {
+    let multicall;
+    let avsManagement;
+    let vcRegistry;
+    let did3Token;
+    let issuer;
+    let subject;
+
+    const MINIMUM_STAKE = ethers.parseEther("999999");
+
+    beforeEach(async function () {
+        [, issuer, subject] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        did3Token = await MockERC20.deploy("DID3 Token", "DID3", ethers.parseEther("10000000"));
+
+        const AVSManagement = await ethers.getContractFactory("AVSManagement");
+        avsManagement = await AVSManagement.deploy(await did3Token.getAddress());
+
+        const VCRegistry = await ethers.getContractFactory("VCRegistry");
+        vcRegistry = await VCRegistry.deploy(await avsManagement.getAddress());
+
+        const Multicall3 = await ethers.getContractFactory("Multicall3");
+        multicall = await Multicall3.deploy();
+
+        await did3Token.transfer(issuer.address, MINIMUM_STAKE);
+        await did3Token.connect(issuer).approve(await avsManagement.getAddress(), MINIMUM_STAKE);
+        await avsManagement.connect(issuer).registerIssuer(MINIMUM_STAKE);
+    });
+
+    describe("aggregate3", function () {
+        it("Should return results for calls across contracts in order", async function () {
+            const calls = [
+                {
+                    target: await avsManagement.getAddress(),
+                    allowFailure: false,
+                    callData: avsManagement.interface.encodeFunctionData("isActiveIssuer", [issuer.address])
+                },
+                {
+                    target: await did3Token.getAddress(),
+                    allowFailure: false,
+                    callData: did3Token.interface.encodeFunctionData("balanceOf", [issuer.address])
+                }
+            ];
+
+            const results = await multicall.aggregate3.staticCall(calls);
+
+            expect(results.length).to.equal(2);
+            expect(results[0].success).to.be.true;
+            expect(avsManagement.interface.decodeFunctionResult("isActiveIssuer", results[0].returnData)[0]).to.be.true;
+            expect(did3Token.interface.decodeFunctionResult("balanceOf", results[1].returnData)[0]).to.equal(0);
+        });
+
+        it("Should report failed calls that allow failure", async function () {
+            const calls = [{
+                target: await vcRegistry.getAddress(),
+                allowFailure: true,
+                callData: vcRegistry.interface.encodeFunctionData("revokeCredential", [ethers.ZeroHash, 0, ethers.ZeroHash])
+            }];
+
+            const [result] = await multicall.aggregate3.staticCall(calls);
+
+            expect(result.success).to.be.false;
+            expect(vcRegistry.interface.decodeErrorResult("Error", result.returnData)[0])
+                .to.equal("Credential does not exist");
+        });
+
+        it("Should revert when a call that does not allow failure fails", async function () {
+            const calls = [{
+                target: await vcRegistry.getAddress(),
+                allowFailure: false,
+                callData: vcRegistry.interface.encodeFunctionData("revokeCredential", [ethers.ZeroHash, 0, ethers.ZeroHash])
+            }];
+
+            await expect(multicall.aggregate3.staticCall(calls))
+                .to.be.revertedWith("Multicall3: call failed");
+        });
+    });
+
+    describe("aggregate", function () {
+        it("Should return the block number with the results", async function () {
+            const calls = [{
+                target: await vcRegistry.getAddress(),
+                callData: vcRegistry.interface.encodeFunctionData("totalCredentials")
+            }];
+
+            const [blockNumber, returnData] = await multicall.aggregate.staticCall(calls);
+
+            expect(blockNumber).to.equal(await ethers.provider.getBlockNumber());
+            expect(vcRegistry.interface.decodeFunctionResult("totalCredentials", returnData[0])[0]).to.equal(0);
+        });
+
+        it("Should revert when any call fails", async function () {
+            const calls = [{
+                target: await vcRegistry.getAddress(),
+                callData: vcRegistry.interface.encodeFunctionData("revokeCredential", [ethers.ZeroHash, 0, ethers.ZeroHash])
+            }];
+
+            await expect(multicall.aggregate.staticCall(calls))
+                .to.be.revertedWith("Multicall3: call failed");
+        });
+    });
+
+    describe("Block Helpers", function () {
+        it("Should expose block number, timestamp and balances", async function () {
+            const block = await ethers.provider.getBlock("latest");
+
+            expect(await multicall.getBlockNumber()).to.equal(block.number);
+            expect(await multicall.getCurrentBlockTimestamp()).to.equal(block.timestamp);
+            expect(await multicall.getEthBalance(subject.address))
+                .to.equal(await ethers.provider.getBalance(subject.address));
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("VCRegistry", function () {
     let AVSManagement;
@@ -16,6 +17,11 @@ describe("VCRegistry", function () {
     const MINIMUM_STAKE = ethers.parseEther("999999");
     const CREDENTIAL_TYPE = "KYCVerification";
 
+    // VCRegistry.RevocationReason
+    const REASON_UNSPECIFIED = 0;
+    const REASON_FRAUDULENT_INFORMATION = 2;
+    const REASON_SUPERSEDED = 4;
+
     beforeEach(async function () {
         [admin, issuer, subject, other] = await ethers.getSigners();
 
@@ -96,6 +102,69 @@ describe("VCRegistry", function () {
         });
     });
 
+    describe("Batch Issue Credentials", function () {
+        it("Should issue one credential per subject in input order", async function () {
+            const expirationDate = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
+            const subjects = [subject.address, other.address, subject.address];
+            const credentialData = subjects.map((_, i) => ethers.toUtf8Bytes(`credential ${i}`));
+            const expirationDates = [0, expirationDate, 0];
+
+            const tx = await vcRegistry.connect(issuer).batchIssueCredentials(
+                subjects, CREDENTIAL_TYPE, credentialData, expirationDates
+            );
+            const receipt = await tx.wait();
+            const events = receipt.logs.map(log => vcRegistry.interface.parseLog(log)).filter(Boolean);
+            const hashes = events.map(event => event.args.credentialHash);
+
+            expect(events.map(event => event.args.subject)).to.deep.equal(subjects);
+            await expect(tx).to.emit(vcRegistry, "CredentialIssued")
+                .withArgs(hashes[1], other.address, issuer.address, CREDENTIAL_TYPE, anyValue, expirationDate);
+
+            expect(await vcRegistry.totalCredentials()).to.equal(3);
+            expect(await vcRegistry.getIssuerCredentials(issuer.address)).to.deep.equal(hashes);
+            expect(await vcRegistry.getSubjectCredentials(subject.address)).to.deep.equal([hashes[0], hashes[2]]);
+            expect((await avsManagement.issuers(issuer.address)).totalCredentialsIssued).to.equal(3);
+
+            const credential = await vcRegistry.getFullCredential(hashes[2]);
+            expect(credential.credentialData).to.equal(ethers.hexlify(credentialData[2]));
+        });
+
+        it("Should reject a batch from a non-issuer", async function () {
+            await expect(
+                vcRegistry.connect(other).batchIssueCredentials(
+                    [subject.address], CREDENTIAL_TYPE, [ethers.toUtf8Bytes("test")], [0]
+                )
+            ).to.be.revertedWith("Caller must be active issuer with minimum stake");
+        });
+
+        it("Should reject an empty batch", async function () {
+            await expect(
+                vcRegistry.connect(issuer).batchIssueCredentials([], CREDENTIAL_TYPE, [], [])
+            ).to.be.revertedWith("No credentials to issue");
+        });
+
+        it("Should reject mismatched array lengths", async function () {
+            await expect(
+                vcRegistry.connect(issuer).batchIssueCredentials(
+                    [subject.address, other.address], CREDENTIAL_TYPE, [ethers.toUtf8Bytes("test")], [0, 0]
+                )
+            ).to.be.revertedWith("Array lengths mismatch");
+        });
+
+        it("Should revert the whole batch if one subject is invalid", async function () {
+            await expect(
+                vcRegistry.connect(issuer).batchIssueCredentials(
+                    [subject.address, ethers.ZeroAddress],
+                    CREDENTIAL_TYPE,
+                    [ethers.toUtf8Bytes("a"), ethers.toUtf8Bytes("b")],
+                    [0, 0]
+                )
+            ).to.be.revertedWith("Invalid subject address");
+
+            expect(await vcRegistry.totalCredentials()).to.equal(0);
+        });
+    });
+
     describe("Revoke Credential", function () {
         let credentialHash;
 
@@ -119,18 +188,95 @@ describe("VCRegistry", function () {
         });
 
         it("Should allow issuer to revoke their credential", async function () {
-            await expect(vcRegistry.connect(issuer).revokeCredential(credentialHash))
+            await expect(vcRegistry.connect(issuer).revokeCredential(credentialHash, REASON_UNSPECIFIED, ethers.ZeroHash))
                 .to.emit(vcRegistry, "CredentialRevoked");
 
             const credential = await vcRegistry.getCredential(credentialHash);
             expect(credential.isRevoked).to.be.true;
         });
 
+        it("Should store and emit the reason and evidence hash", async function () {
+            const evidenceHash = ethers.keccak256(ethers.toUtf8Bytes("case file 42"));
+
+            await expect(vcRegistry.connect(issuer).revokeCredential(credentialHash, REASON_FRAUDULENT_INFORMATION, evidenceHash))
+                .to.emit(vcRegistry, "CredentialRevoked")
+                .withArgs(credentialHash, subject.address, issuer.address, anyValue, REASON_FRAUDULENT_INFORMATION, evidenceHash);
+
+            const credential = await vcRegistry.getFullCredential(credentialHash);
+            expect(credential.revocationReason).to.equal(REASON_FRAUDULENT_INFORMATION);
+            expect(credential.revocationEvidenceHash).to.equal(evidenceHash);
+        });
+
+        it("Should reject an unknown reason code", async function () {
+            await expect(
+                vcRegistry.connect(issuer).revokeCredential(credentialHash, 99, ethers.ZeroHash)
+            ).to.be.reverted;
+        });
+
         it("Should reject revocation from non-issuer", async function () {
             await expect(
-                vcRegistry.connect(other).revokeCredential(credentialHash)
+                vcRegistry.connect(other).revokeCredential(credentialHash, REASON_UNSPECIFIED, ethers.ZeroHash)
             ).to.be.revertedWith("Only original issuer can revoke");
         });
+
+        it("Should reject revoking twice", async function () {
+            await vcRegistry.connect(issuer).revokeCredential(credentialHash, REASON_UNSPECIFIED, ethers.ZeroHash);
+            await expect(
+                vcRegistry.connect(issuer).revokeCredential(credentialHash, REASON_SUPERSEDED, ethers.ZeroHash)
+            ).to.be.revertedWith("Credential already revoked");
+        });
+    });
+
+    describe("Batch Revoke Credentials", function () {
+        let hashes;
+
+        beforeEach(async function () {
+            for (let i = 0; i < 3; i++) {
+                await vcRegistry.connect(issuer).issueCredential(
+                    subject.address,
+                    CREDENTIAL_TYPE,
+                    ethers.toUtf8Bytes(`credential ${i}`),
+                    0
+                );
+            }
+            hashes = await vcRegistry.getSubjectCredentials(subject.address);
+        });
+
+        it("Should revoke every credential with the same reason and evidence", async function () {
+            const evidenceHash = ethers.keccak256(ethers.toUtf8Bytes("superseded by V3"));
+
+            const tx = vcRegistry.connect(issuer).batchRevokeCredentials([...hashes], REASON_SUPERSEDED, evidenceHash);
+            for (const hash of hashes) {
+                await expect(tx).to.emit(vcRegistry, "CredentialRevoked")
+                    .withArgs(hash, subject.address, issuer.address, anyValue, REASON_SUPERSEDED, evidenceHash);
+            }
+
+            for (const hash of hashes) {
+                const credential = await vcRegistry.getFullCredential(hash);
+                expect(credential.isRevoked).to.be.true;
+                expect(credential.revocationReason).to.equal(REASON_SUPERSEDED);
+                expect(credential.revocationEvidenceHash).to.equal(evidenceHash);
+            }
+            expect((await avsManagement.issuers(issuer.address)).totalCredentialsRevoked).to.equal(3);
+        });
+
+        it("Should skip missing, already revoked and other issuers' credentials", async function () {
+            await vcRegistry.connect(issuer).revokeCredential(hashes[0], REASON_UNSPECIFIED, ethers.ZeroHash);
+            const fakeHash = ethers.keccak256(ethers.toUtf8Bytes("fake"));
+
+            const batch = [hashes[0], hashes[1], fakeHash];
+            expect(await vcRegistry.connect(issuer).batchRevokeCredentials.staticCall(batch, REASON_SUPERSEDED, ethers.ZeroHash))
+                .to.equal(1);
+            expect(await vcRegistry.connect(other).batchRevokeCredentials.staticCall([hashes[2]], REASON_SUPERSEDED, ethers.ZeroHash))
+                .to.equal(0);
+
+            await vcRegistry.connect(issuer).batchRevokeCredentials(batch, REASON_SUPERSEDED, ethers.ZeroHash);
+
+            // The first revocation's reason is kept
+            expect((await vcRegistry.getFullCredential(hashes[0])).revocationReason).to.equal(REASON_UNSPECIFIED);
+            expect((await vcRegistry.getFullCredential(hashes[1])).revocationReason).to.equal(REASON_SUPERSEDED);
+            expect(await vcRegistry.isCredentialValid(hashes[2])).to.be.true;
+        });
     });
 
     describe("Purge Credential", function () {
@@ -155,7 +301,7 @@ describe("VCRegistry", function () {
                 }
             });
             revokedCredentialHash = vcRegistry.interface.parseLog(event).args.credentialHash;
-            await vcRegistry.connect(issuer).revokeCredential(revokedCredentialHash);
+            await vcRegistry.connect(issuer).revokeCredential(revokedCredentialHash, REASON_UNSPECIFIED, ethers.ZeroHash);
 
             // Create expired credential
             const pastDate = Math.floor(Date.now() / 1000) - 1000;
@@ -260,7 +406,7 @@ describe("VCRegistry", function () {
             });
             const credentialHash = vcRegistry.interface.parseLog(event).args.credentialHash;
 
-            await vcRegistry.connect(issuer).revokeCredential(credentialHash);
+            await vcRegistry.connect(issuer).revokeCredential(credentialHash, REASON_UNSPECIFIED, ethers.ZeroHash);
             expect(await vcRegistry.isCredentialValid(credentialHash)).to.be.false;
         });
 
@@ -290,4 +436,55 @@ describe("VCRegistry", function () {
             expect(await vcRegistry.isCredentialValid(fakeHash)).to.be.false;
         });
     });
+
+    describe("Paginated Views", function () {
+        let hashes;
+
+        beforeEach(async function () {
+            for (let i = 0; i < 5; i++) {
+                await vcRegistry.connect(issuer).issueCredential(
+                    subject.address,
+                    CREDENTIAL_TYPE,
+                    ethers.toUtf8Bytes(`credential ${i}`),
+                    0
+                );
+            }
+            hashes = await vcRegistry.getSubjectCredentials(subject.address);
+        });
+
+        it("Should return a page of subject credentials with the total", async function () {
+            const [page, total] = await vcRegistry.getSubjectCredentialsPaginated(subject.address, 1, 2);
+
+            expect(total).to.equal(5);
+            expect(page).to.deep.equal([hashes[1], hashes[2]]);
+        });
+
+        it("Should truncate the last page", async function () {
+            const [page, total] = await vcRegistry.getIssuerCredentialsPaginated(issuer.address, 3, 10);
+
+            expect(total).to.equal(5);
+            expect(page).to.deep.equal([hashes[3], hashes[4]]);
+        });
+
+        it("Should truncate a maximal limit without overflowing", async function () {
+            const [page, total] = await vcRegistry.getIssuerCredentialsPaginated(issuer.address, 3, ethers.MaxUint256);
+
+            expect(total).to.equal(5);
+            expect(page).to.deep.equal([hashes[3], hashes[4]]);
+        });
+
+        it("Should return an empty page for an offset past the end", async function () {
+            const [page, total] = await vcRegistry.getIssuerCredentialsPaginated(issuer.address, 5, 10);
+
+            expect(total).to.equal(5);
+            expect(page).to.deep.equal([]);
+        });
+
+        it("Should return only the total when limit is zero", async function () {
+            const [page, total] = await vcRegistry.getSubjectCredentialsPaginated(other.address, 0, 0);
+
+            expect(total).to.equal(0);
+            expect(page).to.deep.equal([]);
+        });
+    });
 });
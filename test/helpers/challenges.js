@@ -0,0 +1,66 @@
+const { ethers } = require("hardhat");
+
+// Shared by the challenge and delegation tests
+
+const CHALLENGE_BOND = ethers.parseEther("10000");
+const EVIDENCE_HASH = ethers.keccak256(ethers.toUtf8Bytes("evidence"));
+
+// VCRegistry.RevocationReason
+const REASON_FRAUDULENT_INFORMATION = 2;
+
+/**
+ * Mock DID3 token, AVSManagement and a VCRegistry linked to it for challenges.
+ * Pass to loadFixture so each test starts from the same deployment
+ */
+async function deployChallengeFixture() {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const did3Token = await MockERC20.deploy("DID3 Token", "DID3", ethers.parseEther("10000000"));
+
+    const AVSManagement = await ethers.getContractFactory("AVSManagement");
+    const avsManagement = await AVSManagement.deploy(await did3Token.getAddress());
+
+    const VCRegistry = await ethers.getContractFactory("VCRegistry");
+    const vcRegistry = await VCRegistry.deploy(await avsManagement.getAddress());
+    await avsManagement.setCredentialRegistry(await vcRegistry.getAddress());
+
+    return { did3Token, avsManagement, vcRegistry };
+}
+
+/**
+ * Helpers acting on one deployment from deployChallengeFixture
+ */
+function challengeHelpers({ did3Token, avsManagement, vcRegistry }) {
+    // Fund the account from the deployer and register it with that stake
+    async function register(account, stake) {
+        await did3Token.transfer(account.address, stake);
+        await did3Token.connect(account).approve(await avsManagement.getAddress(), stake);
+        await avsManagement.connect(account).registerIssuer(stake);
+    }
+
+    // Issue a KYCVerification credential and return its hash
+    async function issueCredential(issuer, subject, data = "0x01") {
+        const tx = await vcRegistry.connect(issuer).issueCredential(subject.address, "KYCVerification", data, 0);
+        const receipt = await tx.wait();
+        const event = receipt.logs
+            .map(log => vcRegistry.interface.parseLog(log))
+            .find(parsed => parsed && parsed.name === "CredentialIssued");
+        return event.args.credentialHash;
+    }
+
+    // Approve the bond, challenge the credential and return the challenge ID
+    async function openChallenge(challenger, hash, reason = REASON_FRAUDULENT_INFORMATION) {
+        await did3Token.connect(challenger).approve(await avsManagement.getAddress(), await avsManagement.challengeBond());
+        await avsManagement.connect(challenger).openChallenge(hash, reason, EVIDENCE_HASH);
+        return avsManagement.challengeCount();
+    }
+
+    return { register, issueCredential, openChallenge };
+}
+
+module.exports = {
+    CHALLENGE_BOND,
+    EVIDENCE_HASH,
+    REASON_FRAUDULENT_INFORMATION,
+    deployChallengeFixture,
+    challengeHelpers
+};
@@ -0,0 +1,566 @@
+/**
+ * Persistent transaction tracking
+ *
+ * Every transaction the page sends goes through a TransactionManager, which records it
+ * (action, arguments, hash, nonce and the fields needed to re-send it) in localStorage before
+ * waiting for it. One polling loop settles each record as confirmed or failed from its receipt,
+ * as replaced when another transaction took its nonce, or as dropped when the node forgets it.
+ * After a reload the saved pending records are picked up again, so no result is lost.
+ *
+ * Speed-up and cancel re-send with the same nonce and higher fees (cancel is an empty transfer to
+ * yourself); whichever transaction is mined first settles every other record with that nonce.
+ *
+ * Load after ethers, contract-errors.js and contract-client.js; exposes window.TransactionManager.
+ */
+(function (root) {
+    'use strict';
+
+    const STORAGE_PREFIX = 'vcTransactions';
+
+    // Settled records beyond this many are forgotten, oldest first
+    const MAX_RECORDS = 50;
+
+    const POLL_INTERVAL_MS = 4000;
+
+    // Nodes and wallets reject a same-nonce replacement that raises fees by less than 10%
+    const FEE_BUMP_PERCENT = 120;
+
+    // How long the node may not know a transaction whose nonce is still unused before it counts as dropped
+    const DROPPED_AFTER_MS = 5 * 60 * 1000;
+
+    // Blocks searched, newest first, for whatever transaction took a record's nonce
+    const MAX_REPLACEMENT_SCAN_BLOCKS = 200;
+
+    const STATUS_LABELS = {
+        pending: 'Pending',
+        confirmed: 'Confirmed',
+        failed: 'Failed',
+        replaced: 'Replaced',
+        cancelled: 'Cancelled',
+        dropped: 'Dropped'
+    };
+
+    const STATUS_CLASSES = {
+        pending: 'status-expired',
+        confirmed: 'status-valid',
+        failed: 'status-revoked',
+        replaced: 'status-purged',
+        cancelled: 'status-purged',
+        dropped: 'status-revoked'
+    };
+
+    const STATUS_ERRORS = {
+        failed: 'Transaction reverted',
+        replaced: 'Transaction was replaced by another with the same nonce',
+        cancelled: 'Transaction was cancelled',
+        dropped: 'Transaction was dropped by the network'
+    };
+
+    // ============ Helpers ============
+
+    const { escapeHtml } = ContractClient;
+
+    function shortHash(hash) {
+        return `${hash.substring(0, 10)}...${hash.substring(hash.length - 6)}`;
+    }
+
+    function toHex(value) {
+        return value === null || value === undefined ? null : root.ethers.BigNumber.from(value).toHexString();
+    }
+
+    function sameAddress(a, b) {
+        return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+    }
+
+    // A replacement that makes the same call is a speed-up; anything else replaced the action
+    function sameCall(record, tx) {
+        return sameAddress(record.to, tx.to) &&
+            String(record.data).toLowerCase() === String(tx.data).toLowerCase() &&
+            root.ethers.BigNumber.from(record.value || 0).eq(tx.value || 0);
+    }
+
+    // Arguments as JSON: numbers as decimal strings, byte arrays and long hex shortened for display
+    function serializeArgs(args) {
+        return JSON.parse(JSON.stringify(args, (key, value) => {
+            if (value && value.type === 'BigNumber' && value.hex) return root.ethers.BigNumber.from(value.hex).toString();
+            if (typeof value === 'bigint') return value.toString();
+            if (ArrayBuffer.isView(value)) value = root.ethers.utils.hexlify(value);
+            if (typeof value === 'string' && /^0x[0-9a-fA-F]{130,}$/.test(value)) {
+                return `${value.substring(0, 18)}... (${(value.length - 2) / 2} bytes)`;
+            }
+            return value;
+        }));
+    }
+
+    function bumpFee(value, current) {
+        if (!value) return current;
+        const bumped = root.ethers.BigNumber.from(value).mul(FEE_BUMP_PERCENT).div(100);
+        return current && current.gt(bumped) ? current : bumped;
+    }
+
+    class TransactionManager {
+        /**
+         * @param {Object} options
+         * @param {Object} options.provider ethers provider the records are checked against
+         * @param {Object} options.signer ethers signer that sends speed-ups and cancels
+         * @param {string} [options.key] Storage key suffix, e.g. chain and account
+         * @param {Storage} [options.storage] localStorage-like store (in-memory if omitted)
+         * @param {HTMLElement} [options.container] Element the activity list renders into
+         * @param {HTMLElement} [options.badge] Element that shows the pending count
+         * @param {string} [options.explorerUrl] Block explorer for transaction links
+         * @param {Function} [options.onSettled] (record, awaited) => void when a record leaves pending;
+         *        awaited is false if nothing in this page was waiting for it (e.g. resumed after a reload)
+         * @param {Function} [options.onError] (error, kind) => void when a speed-up or cancel from the list fails
+         */
+        constructor({ provider, signer, key = 'default', storage, container = null, badge = null, explorerUrl = '', onSettled = () => {}, onError = error => console.error(error) }) {
+            this.provider = provider;
+            this.signer = signer;
+            this.storageKey = `${STORAGE_PREFIX}:${key}`;
+            this.storage = storage || null;
+            this.container = container;
+            this.badge = badge;
+            this.explorerUrl = explorerUrl;
+            this.onSettled = onSettled;
+            this.onError = onError;
+            this.records = this.read();
+            this.waiters = new Map();
+            this.timer = null;
+            this.polling = false;
+            this.stopped = false;
+
+            if (this.container) {
+                this.onClick = event => this.handleClick(event);
+                this.container.addEventListener('click', this.onClick);
+            }
+        }
+
+        read() {
+            if (!this.storage) return [];
+            try {
+                return JSON.parse(this.storage.getItem(this.storageKey)) || [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        save() {
+            const settled = this.records.filter(record => record.status !== 'pending');
+            if (settled.length > MAX_RECORDS) {
+                const forget = new Set(settled.slice(MAX_RECORDS));
+                this.records = this.records.filter(record => !forget.has(record));
+            }
+            if (this.storage) this.storage.setItem(this.storageKey, JSON.stringify(this.records));
+            this.render();
+        }
+
+        get pending() {
+            return this.records.filter(record => record.status === 'pending');
+        }
+
+        get(hash) {
+            return this.records.find(record => record.hash.toLowerCase() === String(hash).toLowerCase()) || null;
+        }
+
+        has(hash) {
+            return this.get(hash) !== null;
+        }
+
+        // ============ Sending ============
+
+        /**
+         * Send a transaction and record it; does not wait for it to be mined
+         * @param {string} action What the transaction does, e.g. 'Revoke credential'
+         * @param {Object|Array} args The call's arguments, kept for the activity list
+         * @param {Function} send () => Promise<TransactionResponse>
+         * @return {Promise<Object>} The record, with hash
+         */
+        async submit(action, args, send) {
+            const tx = await send();
+            return this.record(tx, { action, args: serializeArgs(args) });
+        }
+
+        /**
+         * Send a transaction, record it and wait for it
+         * @return {Promise<Object>} Receipt (a sped-up transaction's receipt if it was sped up)
+         * @throws If it reverts or is cancelled, replaced or dropped
+         */
+        async run(action, args, send) {
+            const record = await this.submit(action, args, send);
+            return this.waitFor(record.hash);
+        }
+
+        /**
+         * Start tracking a transaction sent elsewhere (e.g. by a previous version of the page)
+         * @return {Promise<Object|null>} The record, null if the node does not know the hash
+         */
+        async track(hash, action, args = {}) {
+            if (this.has(hash)) return this.get(hash);
+
+            const tx = await this.provider.getTransaction(hash);
+            return tx ? this.record(tx, { action, args: serializeArgs(args) }) : null;
+        }
+
+        async record(tx, fields) {
+            const record = Object.assign({
+                hash: tx.hash,
+                from: tx.from,
+                to: tx.to,
+                nonce: tx.nonce,
+                value: toHex(tx.value || 0),
+                data: tx.data,
+                gasLimit: toHex(tx.gasLimit),
+                gasPrice: tx.maxFeePerGas ? null : toHex(tx.gasPrice),
+                maxFeePerGas: toHex(tx.maxFeePerGas),
+                maxPriorityFeePerGas: toHex(tx.maxPriorityFeePerGas),
+                startBlock: await this.provider.getBlockNumber(),
+                submittedAt: Date.now(),
+                lastSeenAt: Date.now(),
+                status: 'pending',
+                error: null
+            }, fields);
+
+            this.records.unshift(record);
+            this.save();
+            this.start();
+            return record;
+        }
+
+        /**
+         * Wait for a recorded transaction to settle
+         * @return {Promise<Object>} Receipt
+         */
+        waitFor(hash) {
+            const record = this.get(hash);
+            if (!record) return Promise.reject(new Error(`Transaction ${hash} is not being tracked`));
+            if (record.status !== 'pending') return this.result(record);
+
+            return new Promise((resolve, reject) => {
+                const key = record.hash.toLowerCase();
+                if (!this.waiters.has(key)) this.waiters.set(key, []);
+                this.waiters.get(key).push({ resolve, reject });
+            });
+        }
+
+        async result(record) {
+            if (record.status === 'confirmed') {
+                return this.provider.getTransactionReceipt(record.hash);
+            }
+            // A speed-up that went through counts as the original going through
+            if (record.status === 'replaced' && record.sameCall && record.replacedBy) {
+                const receipt = await this.provider.getTransactionReceipt(record.replacedBy);
+                if (receipt && receipt.status === 1) return receipt;
+            }
+            throw new Error(record.error || STATUS_ERRORS[record.status]);
+        }
+
+        // ============ Polling ============
+
+        start() {
+            if (this.timer || this.stopped) return;
+            this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+            this.poll();
+        }
+
+        // Stops watching; pending records stay saved and resume with the next instance
+        stop() {
+            this.stopped = true;
+            if (this.timer) clearInterval(this.timer);
+            this.timer = null;
+            if (this.container) this.container.removeEventListener('click', this.onClick);
+            this.waiters.clear();
+        }
+
+        async poll() {
+            if (this.polling) return;
+            this.polling = true;
+
+            try {
+                for (const record of this.pending) {
+                    // An earlier record's receipt may have settled this one already
+                    if (this.stopped) break;
+                    if (record.status !== 'pending') continue;
+                    try {
+                        await this.check(record);
+                    } catch (error) {
+                        console.error(`Error checking transaction ${record.hash}:`, error);
+                    }
+                }
+            } finally {
+                this.polling = false;
+                if (this.pending.length === 0 && this.timer) {
+                    clearInterval(this.timer);
+                    this.timer = null;
+                }
+            }
+        }
+
+        async check(record) {
+            let receipt = await this.provider.getTransactionReceipt(record.hash);
+            if (!receipt) {
+                const nonceUsed = await this.provider.getTransactionCount(record.from, 'latest') > record.nonce;
+                if (!nonceUsed) {
+                    await this.checkDropped(record);
+                    return;
+                }
+
+                // Mined between the two calls, or something else took the nonce
+                receipt = await this.provider.getTransactionReceipt(record.hash);
+                if (!receipt) {
+                    await this.settleReplaced(record);
+                    return;
+                }
+            }
+
+            await this.settleMined(record, receipt);
+        }
+
+        async checkDropped(record) {
+            if (await this.provider.getTransaction(record.hash)) {
+                record.lastSeenAt = Date.now();
+                return;
+            }
+            if (Date.now() - record.lastSeenAt > DROPPED_AFTER_MS) {
+                this.settle(record, 'dropped', { error: STATUS_ERRORS.dropped });
+            }
+        }
+
+        // The mined record settles from its receipt; every other record with its nonce lost the race
+        async settleMined(record, receipt) {
+            const minedOk = receipt.status === 1;
+            const rivals = this.pending
+                .filter(other => other !== record && other.nonce === record.nonce && sameAddress(other.from, record.from))
+                .map(other => ({ other, matches: sameCall(other, record) }));
+
+            this.settle(record, minedOk ? 'confirmed' : 'failed', {
+                blockNumber: receipt.blockNumber,
+                error: minedOk ? null : await this.revertReason(record, receipt)
+            });
+
+            rivals.forEach(({ other, matches }) => {
+                const status = record.kind === 'cancel' ? 'cancelled' : 'replaced';
+                this.settle(other, status, {
+                    replacedBy: record.hash,
+                    sameCall: matches,
+                    error: status === 'replaced' && (!matches || !minedOk)
+                        ? `Replaced by ${shortHash(record.hash)}${minedOk ? '' : ', which reverted'}`
+                        : null
+                });
+            });
+        }
+
+        // Replay a reverted transaction on the state before its block to recover the reason
+        async revertReason(record, receipt) {
+            if (!record.data || !root.ContractErrors) return STATUS_ERRORS.failed;
+
+            let failure = null;
+            try {
+                const result = await this.provider.call({ from: record.from, to: record.to, data: record.data, value: record.value }, receipt.blockNumber - 1);
+                // ethers v5 returns revert data as the result; return data is whole 32-byte words, revert data has a 4-byte selector on top
+                if ((result.length - 2) % 64 === 8) failure = { code: 'CALL_EXCEPTION', data: result };
+            } catch (error) {
+                failure = error;
+            }
+
+            const decoded = failure && root.ContractErrors.decodeError(failure);
+            return decoded && decoded.code !== 'UNKNOWN' ? `${STATUS_ERRORS.failed}: ${decoded.message}` : STATUS_ERRORS.failed;
+        }
+
+        async settleReplaced(record) {
+            // A speed-up or cancel from this page would have its own record; look for it first
+            const siblings = this.pending.filter(other => other !== record &&
+                other.nonce === record.nonce && sameAddress(other.from, record.from));
+            for (const sibling of siblings) {
+                const receipt = await this.provider.getTransactionReceipt(sibling.hash);
+                if (receipt) {
+                    await this.settleMined(sibling, receipt);
+                    return;
+                }
+            }
+
+            // Otherwise the wallet (or another tab) replaced it
+            const replacement = await this.findByNonce(record.from, record.nonce, record.startBlock);
+            if (!replacement) {
+                this.settle(record, 'replaced', { error: `Another transaction used nonce ${record.nonce}` });
+                return;
+            }
+
+            const receipt = await this.provider.getTransactionReceipt(replacement.hash);
+            const matches = sameCall(record, replacement);
+            const minedOk = Boolean(receipt) && receipt.status === 1;
+            this.settle(record, 'replaced', {
+                replacedBy: replacement.hash,
+                sameCall: matches,
+                error: matches && minedOk ? null : `Replaced by ${shortHash(replacement.hash)}${minedOk ? '' : ', which reverted'}`
+            });
+        }
+
+        async findByNonce(from, nonce, startBlock) {
+            const latest = await this.provider.getBlockNumber();
+            const earliest = Math.max(startBlock || 0, latest - MAX_REPLACEMENT_SCAN_BLOCKS);
+
+            for (let blockNumber = latest; blockNumber >= earliest; blockNumber--) {
+                const block = await this.provider.getBlockWithTransactions(blockNumber);
+                const tx = block.transactions.find(candidate => candidate.nonce === nonce && sameAddress(candidate.from, from));
+                if (tx) return tx;
+            }
+            return null;
+        }
+
+        settle(record, status, fields = {}) {
+            // A stopped instance must not overwrite what its successor saves
+            if (this.stopped) return;
+
+            Object.assign(record, fields, { status, settledAt: Date.now() });
+            // Calldata is only kept to re-send the transaction
+            delete record.data;
+            this.save();
+
+            const key = record.hash.toLowerCase();
+            const waiters = this.waiters.get(key) || [];
+            this.waiters.delete(key);
+
+            // The record's call data is gone, so the outcome is read from the settled fields
+            const outcome = this.result(record);
+            outcome.catch(() => {});
+            waiters.forEach(({ resolve, reject }) => outcome.then(resolve, reject));
+
+            try {
+                this.onSettled(record, waiters.length > 0);
+            } catch (error) {
+                console.error('Error handling settled transaction:', error);
+            }
+        }
+
+        // ============ Speed up and cancel ============
+
+        speedUp(hash) {
+            return this.replace(hash, 'speedup');
+        }
+
+        cancel(hash) {
+            return this.replace(hash, 'cancel');
+        }
+
+        /**
+         * Re-send a pending record's nonce with higher fees
+         * @param {string} hash Record to replace
+         * @param {string} kind 'speedup' repeats the call, 'cancel' sends nothing to yourself
+         * @return {Promise<Object>} The replacement's record
+         */
+        async replace(hash, kind) {
+            const record = this.get(hash);
+            if (!record || record.status !== 'pending') throw new Error('Only pending transactions can be replaced');
+
+            // Outbid every pending transaction with this nonce, including earlier replacements
+            const rivals = this.pending.filter(other => other.nonce === record.nonce && sameAddress(other.from, record.from));
+            const original = rivals.find(other => other.kind !== 'cancel' && other.data) || record;
+            const feeData = await this.provider.getFeeData();
+            const overrides = { nonce: record.nonce };
+
+            if (record.maxFeePerGas) {
+                overrides.maxFeePerGas = bumpFee(this.highest(rivals, 'maxFeePerGas'), feeData.maxFeePerGas);
+                overrides.maxPriorityFeePerGas = bumpFee(this.highest(rivals, 'maxPriorityFeePerGas'), feeData.maxPriorityFeePerGas);
+            } else {
+                overrides.gasPrice = bumpFee(this.highest(rivals, 'gasPrice'), feeData.gasPrice);
+            }
+
+            const request = kind === 'cancel'
+                ? { to: record.from, value: 0, data: '0x', gasLimit: 21000 }
+                : { to: original.to, value: original.value, data: original.data, gasLimit: original.gasLimit };
+            if (!request.data) throw new Error('The original call data is no longer available');
+
+            const tx = await this.signer.sendTransaction(Object.assign(request, overrides));
+            const action = original.action.replace(/^(Speed up|Cancel): /, '');
+            const replacement = await this.record(tx, {
+                action: `${kind === 'cancel' ? 'Cancel' : 'Speed up'}: ${action}`,
+                args: original.args,
+                kind,
+                replaces: record.hash
+            });
+
+            // Some wallets pick their own nonce, which makes this a separate transaction
+            if (tx.nonce !== record.nonce) {
+                replacement.error = `The wallet sent this with nonce ${tx.nonce} instead of ${record.nonce}, so it does not replace the original`;
+                this.save();
+            }
+            return replacement;
+        }
+
+        highest(records, field) {
+            return records
+                .map(record => record[field])
+                .filter(Boolean)
+                .map(value => root.ethers.BigNumber.from(value))
+                .reduce((max, value) => (max && max.gt(value) ? max : value), null);
+        }
+
+        // Forget every settled record
+        clearSettled() {
+            this.records = this.pending;
+            this.save();
+        }
+
+        // ============ Rendering ============
+
+        render() {
+            if (this.badge) {
+                const count = this.pending.length;
+                this.badge.textContent = count > 0 ? String(count) : '';
+                this.badge.hidden = count === 0;
+            }
+            if (!this.container) return;
+
+            if (this.records.length === 0) {
+                this.container.innerHTML = '<p class="loading">No transactions yet</p>';
+                return;
+            }
+
+            this.container.innerHTML = this.records.map(record => this.renderRecord(record)).join('');
+        }
+
+        renderRecord(record) {
+            const link = this.explorerUrl
+                ? `<a href="${this.explorerUrl}/tx/${record.hash}" target="_blank" rel="noopener">${shortHash(record.hash)}</a>`
+                : shortHash(record.hash);
+            const args = Object.entries(record.args || {})
+                .map(([name, value]) => `<div><small>${escapeHtml(name)}: <code>${escapeHtml(typeof value === 'string' ? value : JSON.stringify(value))}</code></small></div>`)
+                .join('');
+            const replacedBy = record.replacedBy ? `<div><small>Replaced by <code>${shortHash(record.replacedBy)}</code></small></div>` : '';
+            const actions = record.status === 'pending' && record.kind !== 'cancel'
+                ? `<div class="activity-actions">
+                        <button class="btn-secondary" data-tx-action="speedup" data-tx-hash="${record.hash}">Speed up</button>
+                        <button class="btn-danger" data-tx-action="cancel" data-tx-hash="${record.hash}">Cancel</button>
+                   </div>`
+                : '';
+
+            return `
+                <div class="activity-item">
+                    <div class="activity-title">
+                        <strong>${escapeHtml(record.action)}</strong>
+                        <span class="credential-status ${STATUS_CLASSES[record.status]}">${STATUS_LABELS[record.status]}</span>
+                    </div>
+                    <div><small>${link} · nonce ${record.nonce} · ${new Date(record.submittedAt).toLocaleString()}</small></div>
+                    ${args}
+                    ${replacedBy}
+                    ${record.error ? `<div class="activity-error"><small>${escapeHtml(record.error)}</small></div>` : ''}
+                    ${actions}
+                </div>
+            `;
+        }
+
+        async handleClick(event) {
+            const button = event.target.closest('[data-tx-action]');
+            if (!button) return;
+
+            button.disabled = true;
+            try {
+                await this.replace(button.dataset.txHash, button.dataset.txAction);
+            } catch (error) {
+                button.disabled = false;
+                this.onError(error, button.dataset.txAction);
+            }
+        }
+    }
+
+    root.TransactionManager = TransactionManager;
+})(this);
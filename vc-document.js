@@ -0,0 +1,253 @@
+/**
+ * W3C Verifiable Credential documents for registry credentials
+ *
+ * Builds a JSON-LD VC from a getFullCredential struct using the @context and type declared in
+ * the credential type's schema (see schema-registry.js), and verifies a pasted document by rebuilding it from the registry
+ * and comparing field by field. The registry entry is the proof: a document is only as valid as
+ * VCRegistry.isCredentialValid for its id.
+ *
+ * Encrypted payloads (credential-crypto.js) are disclosed in the document's evidence as the
+ * decrypted plaintext, which a verifier checks against the digest in the on-chain envelope.
+ *
+ * Browser: load after contract-client.js and credential-crypto.js, then use window.VCDocument.
+ * Node:    const VCDocument = require("./vc-document");
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./contract-client'), require('./credential-crypto'));
+    } else {
+        root.VCDocument = factory(root.ContractClient, root.CredentialCrypto);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (ContractClient, CredentialCrypto) {
+    'use strict';
+
+    // ============ Configuration ============
+
+    const W3C_CREDENTIALS_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+
+    const STATUS_TYPE = 'VCRegistryValidity';
+
+    const SCHEMA_TYPE = 'JsonSchema';
+
+    const DISCLOSURE_TYPE = 'CredentialDataDisclosure';
+
+    // Keys app.js stores in credentialData -> credentialSubject properties in the schema
+    const CREDENTIAL_DATA_FIELDS = {
+        fullName: 'Full_Legal_Name',
+        dateOfBirth: 'DateOfBirth',
+        country: 'Country',
+        email: 'Email'
+    };
+
+    // ============ Helpers ============
+
+    function toNumber(value) {
+        return typeof value === 'number' ? value : Number(value.toString());
+    }
+
+    function toIsoDate(timestamp) {
+        return new Date(toNumber(timestamp) * 1000).toISOString();
+    }
+
+    /**
+     * did:pkh identifier for an account on an EVM chain
+     */
+    function accountDid(chainId, address) {
+        return `did:pkh:eip155:${chainId}:${address}`;
+    }
+
+    /**
+     * Payload object for a credential: plaintext credentialData as stored, or the disclosed
+     * plaintext of an encrypted one
+     */
+    function readCredentialData(credential, plaintext, ethersLib) {
+        if (!CredentialCrypto.parseEnvelope(credential.credentialData, ethersLib)) {
+            return ContractClient.decodeCredentialData(credential.credentialData, ethersLib);
+        }
+        if (!plaintext) {
+            throw new Error('Credential data is encrypted; decrypt it before building the document');
+        }
+
+        const data = ContractClient.decodeCredentialData(plaintext, ethersLib);
+        delete data.salt;
+        return data;
+    }
+
+    /**
+     * Map stored credentialData onto the schema's credentialSubject properties
+     * @dev Keys that already match a schema property pass through; anything else
+     *      (e.g. issuedAt) is not part of the schema and is left out
+     */
+    function buildCredentialSubject(data, schema) {
+        const properties = schema.properties.credentialSubject.properties;
+        const subject = {};
+
+        Object.entries(data).forEach(([key, value]) => {
+            const property = CREDENTIAL_DATA_FIELDS[key] || key;
+            if (property !== 'id' && properties[property] && value !== '' && value !== undefined) {
+                subject[property] = value;
+            }
+        });
+
+        return subject;
+    }
+
+    // ============ Export ============
+
+    /**
+     * Build a VC document for one registry credential
+     * @param {Object} credential getFullCredential result (or a CredentialIndex record with credentialData)
+     * @param {Object} options
+     * @param {Object} options.schema Parsed schema for the credential's type
+     * @param {string} options.schemaId The schema's $id (credentialSchema.id when the credential does
+     *        not record its own schema reference)
+     * @param {number} options.chainId Chain the registry lives on
+     * @param {string} options.registryAddress VCRegistry address (credentialStatus target)
+     * @param {string} [options.plaintext] Decrypted payload (hex) when credentialData is encrypted
+     * @param {Object} [options.ethers] ethers library for decoding credentialData
+     */
+    function createVerifiableCredential(credential, { schema, schemaId, chainId, registryAddress, plaintext, ethers: ethersLib }) {
+        const data = readCredentialData(credential, plaintext, ethersLib);
+
+        const uris = schema.$metadata.uris || {};
+
+        const vc = {
+            '@context': uris.jsonLdContext ? [W3C_CREDENTIALS_CONTEXT, uris.jsonLdContext] : [W3C_CREDENTIALS_CONTEXT],
+            id: credential.credentialHash,
+            // The type name is spelled as in the schema's $metadata, which the JSON-LD context defines
+            type: ['VerifiableCredential', schema.$metadata.type],
+            issuer: { id: accountDid(chainId, credential.issuer) },
+            issuanceDate: toIsoDate(credential.issuanceDate),
+            credentialSubject: Object.assign(
+                { id: accountDid(chainId, credential.subject) },
+                buildCredentialSubject(data, schema)
+            ),
+            // Credentials issued with schema validation record the schema id and version they were checked against
+            credentialSchema: data.credentialSchema
+                ? { id: data.credentialSchema.id, type: SCHEMA_TYPE, version: data.credentialSchema.version }
+                : { id: schemaId, type: SCHEMA_TYPE },
+            credentialStatus: {
+                id: `eip155:${chainId}:${registryAddress}#isCredentialValid(${credential.credentialHash})`,
+                type: STATUS_TYPE,
+                chainId,
+                registry: registryAddress,
+                method: 'isCredentialValid(bytes32)',
+                credentialHash: credential.credentialHash
+            }
+        };
+
+        if (toNumber(credential.expirationDate) > 0) {
+            vc.expirationDate = toIsoDate(credential.expirationDate);
+        }
+
+        if (plaintext) {
+            vc.evidence = [{ type: DISCLOSURE_TYPE, credentialData: plaintext }];
+        }
+
+        return vc;
+    }
+
+    // ============ Verification ============
+
+    // Key order does not matter in JSON-LD, so compare with keys sorted
+    function canonicalJson(value) {
+        if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    function sameJson(a, b) {
+        return canonicalJson(a) === canonicalJson(b);
+    }
+
+    /**
+     * Check a VC document against the registry
+     * @param {Object|string} input Parsed document or pasted JSON
+     * @param {Object} options Same options as createVerifiableCredential, plus:
+     * @param {VCRegistryClient} options.vcRegistry Client used for isCredentialValid / getFullCredential
+     * @return {{ isValid, checks: Array<{ name, passed, detail }>, credential, document }}
+     *         isValid is true only if the registry reports the credential valid and every check passes
+     */
+    async function verifyVerifiableCredential(input, options) {
+        const vc = typeof input === 'string' ? JSON.parse(input) : input;
+        const checks = [];
+        const check = (name, passed, detail = '') => checks.push({ name, passed, detail });
+
+        const missing = options.schema.required.filter(field => vc[field] === undefined);
+        check('Required fields', missing.length === 0, missing.length ? `Missing: ${missing.join(', ')}` : '');
+
+        const types = [].concat(vc.type || []);
+        check('Credential type', types.includes('VerifiableCredential') && types.includes(options.schema.$metadata.type),
+            types.join(', '));
+
+        const status = vc.credentialStatus || {};
+        const sameRegistry = status.type === STATUS_TYPE &&
+            Number(status.chainId) === Number(options.chainId) &&
+            String(status.registry).toLowerCase() === options.registryAddress.toLowerCase();
+        check('Status registry', sameRegistry,
+            sameRegistry ? '' : `Document points at ${status.registry || 'no registry'} on chain ${status.chainId || '?'}`);
+
+        const hasHashId = /^0x[0-9a-fA-F]{64}$/.test(vc.id || '');
+        check('Credential id', hasHashId, hasHashId ? '' : 'id must be the on-chain credential hash');
+
+        const result = { isValid: false, checks, credential: null, document: vc };
+        if (!hasHashId || !sameRegistry) {
+            return result;
+        }
+
+        const { isValid, credential } = await options.vcRegistry.verifyCredential(vc.id);
+        result.credential = credential;
+
+        const exists = toNumber(credential.issuanceDate) !== 0;
+        check('Registered on-chain', exists, exists ? '' : 'No credential with this id in the registry');
+        if (!exists) return result;
+
+        // An encrypted credential's claims come from the disclosure, which must match the envelope digest
+        const envelope = CredentialCrypto.parseEnvelope(credential.credentialData, options.ethers);
+        let plaintext;
+        if (envelope) {
+            const disclosure = [].concat(vc.evidence || []).find(entry => entry && entry.type === DISCLOSURE_TYPE);
+            plaintext = disclosure && disclosure.credentialData;
+
+            const disclosed = /^0x([0-9a-fA-F]{2})*$/.test(plaintext || '') &&
+                CredentialCrypto.matchesDigest(envelope, plaintext, options.ethers);
+            check('Disclosed data', disclosed, disclosed ? '' : 'Claims do not match the encrypted on-chain data');
+            if (!disclosed) return result;
+        }
+
+        // Rebuild the document from the registry; every claim in the pasted one must match
+        const expected = createVerifiableCredential(credential, Object.assign({}, options, { plaintext }));
+        check('Issuer', sameJson(vc.issuer, expected.issuer), expected.issuer.id);
+        check('Subject and claims', sameJson(vc.credentialSubject, expected.credentialSubject));
+        check('Credential schema', sameJson(vc.credentialSchema, expected.credentialSchema), expected.credentialSchema.id);
+        const knownSchema = expected.credentialSchema.id === options.schemaId;
+        check('Schema id', knownSchema,
+            knownSchema ? '' : `Issued against ${expected.credentialSchema.id}, not ${options.schemaId}`);
+        check('Issuance date', vc.issuanceDate === expected.issuanceDate, expected.issuanceDate);
+        check('Expiration date', vc.expirationDate === expected.expirationDate, expected.expirationDate || 'None');
+
+        const { status: registryStatus } = ContractClient.getCredentialStatus({
+            isPurged: credential.isPurged,
+            isRevoked: credential.isRevoked,
+            expirationDate: toNumber(credential.expirationDate)
+        });
+        const reason = credential.isRevoked ? ` (${ContractClient.revocationReasonLabel(credential.revocationReason)})` : '';
+        check('Registry status', isValid, registryStatus + reason);
+
+        result.isValid = checks.every(entry => entry.passed);
+        return result;
+    }
+
+    return {
+        W3C_CREDENTIALS_CONTEXT,
+        STATUS_TYPE,
+        DISCLOSURE_TYPE,
+        CREDENTIAL_DATA_FIELDS,
+        accountDid,
+        buildCredentialSubject,
+        createVerifiableCredential,
+        verifyVerifiableCredential
+    };
+});
@@ -1,20 +1,22 @@
 const hre = require("hardhat");
-const fs = require("fs");
+const Networks = require("./networks");
 
 async function main() {
-    console.log("🔍 Starting contract verification on BaseScan...\n");
+    const network = Networks.getNetwork(hre.network.name);
+    if (!network || !network.explorerApiUrl) {
+        throw new Error(`No block explorer configured for "${hre.network.name}" in networks.js`);
+    }
+    console.log(`🔍 Starting contract verification on ${network.explorerUrl}...\n`);
 
     // Load deployment info
-    let deploymentInfo;
-    try {
-        const deploymentFile = fs.readFileSync("deployment-refactored.json", "utf8");
-        deploymentInfo = JSON.parse(deploymentFile);
-        console.log("✅ Loaded deployment info from deployment-refactored.json\n");
-    } catch (error) {
-        console.error("❌ Error: deployment-refactored.json not found!");
+    const manifestPath = Networks.manifestPath(network);
+    const deploymentInfo = Networks.readDeployment(network);
+    if (!deploymentInfo || !deploymentInfo.contracts.AVSManagement || !deploymentInfo.contracts.VCRegistry) {
+        console.error(`❌ Error: ${manifestPath} has no AVSManagement/VCRegistry deployment!`);
         console.error("Please deploy contracts first using: npm run deploy:refactored\n");
         process.exit(1);
     }
+    console.log(`✅ Loaded deployment info from ${manifestPath}\n`);
 
     const avsManagementAddress = deploymentInfo.contracts.AVSManagement.address;
     const vcRegistryAddress = deploymentInfo.contracts.VCRegistry.address;
@@ -64,9 +66,9 @@ async function main() {
     console.log("=" .repeat(60));
     console.log("🎉 VERIFICATION COMPLETE!");
     console.log("=" .repeat(60));
-    console.log("\n📝 View verified contracts on BaseScan:");
-    console.log(`   AVSManagement: https://sepolia.basescan.org/address/${avsManagementAddress}#code`);
-    console.log(`   VCRegistry: https://sepolia.basescan.org/address/${vcRegistryAddress}#code`);
+    console.log("\n📝 View verified contracts:");
+    console.log(`   AVSManagement: ${Networks.explorerLink(network, "address", avsManagementAddress)}#code`);
+    console.log(`   VCRegistry: ${Networks.explorerLink(network, "address", vcRegistryAddress)}#code`);
     console.log("\n");
 }
 
@@ -0,0 +1,237 @@
+/**
+ * Wallet discovery and connection
+ *
+ * Finds every installed wallet through EIP-6963 (each extension announces its own EIP-1193
+ * provider, so several can coexist instead of fighting over window.ethereum), lets the user pick
+ * one and remembers the choice for the next visit. The connection follows the chosen wallet's
+ * account and chain switches, so pages rebuild their contracts in place instead of reloading.
+ * Wallets that predate EIP-6963 show up as "Browser wallet" via window.ethereum.
+ *
+ * Load after contract-client.js. Exposes window.WalletDiscovery.
+ */
+(function (root) {
+    'use strict';
+
+    const STORAGE_KEY = 'vcWallet';
+
+    // Wallets answer the request synchronously; this covers extensions that are slow to inject
+    const DISCOVERY_TIMEOUT_MS = 300;
+
+    const LEGACY_WALLET_RDNS = 'injected';
+
+    // uuid -> { info: { uuid, name, icon, rdns }, provider }, as announced since the page loaded
+    const announced = new Map();
+
+    root.addEventListener('eip6963:announceProvider', event => {
+        announced.set(event.detail.info.uuid, event.detail);
+    });
+
+    /**
+     * Ask installed wallets to announce themselves
+     * @return {Promise<Array<{ info, provider }>>} Empty if no wallet is installed
+     */
+    async function discoverWallets(timeoutMs = DISCOVERY_TIMEOUT_MS) {
+        root.dispatchEvent(new Event('eip6963:requestProvider'));
+        await new Promise(resolve => setTimeout(resolve, timeoutMs));
+
+        const wallets = [...announced.values()];
+        if (wallets.length === 0 && root.ethereum) {
+            wallets.push({
+                info: { uuid: LEGACY_WALLET_RDNS, name: 'Browser wallet', icon: '', rdns: LEGACY_WALLET_RDNS },
+                provider: root.ethereum
+            });
+        }
+        return wallets;
+    }
+
+    /**
+     * Show a modal list of wallets
+     * @param {string} [lastUsed] rdns of the remembered wallet, marked in the list
+     * @return {Promise<Object|null>} The chosen wallet, or null if the picker was dismissed
+     */
+    function pickWallet(wallets, lastUsed) {
+        return new Promise(resolve => {
+            const dialog = document.createElement('dialog');
+            dialog.className = 'wallet-picker';
+            dialog.innerHTML = `
+                <h3>Choose a wallet</h3>
+                <div class="wallet-options"></div>
+                <button type="button" class="btn-secondary wallet-picker-cancel">Cancel</button>
+            `;
+
+            const close = choice => {
+                dialog.close();
+                dialog.remove();
+                resolve(choice);
+            };
+
+            const options = dialog.querySelector('.wallet-options');
+            wallets.forEach(wallet => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'wallet-option';
+
+                // EIP-6963 icons are data URIs; an <img> keeps an SVG icon from running script
+                if (wallet.info.icon) {
+                    const icon = document.createElement('img');
+                    icon.src = wallet.info.icon;
+                    icon.alt = '';
+                    button.appendChild(icon);
+                }
+                const name = document.createElement('span');
+                name.textContent = wallet.info.rdns === lastUsed ? `${wallet.info.name} (last used)` : wallet.info.name;
+                button.appendChild(name);
+
+                button.addEventListener('click', () => close(wallet));
+                options.appendChild(button);
+            });
+
+            dialog.querySelector('.wallet-picker-cancel').addEventListener('click', () => close(null));
+            dialog.addEventListener('cancel', event => {
+                event.preventDefault();
+                close(null);
+            });
+
+            document.body.appendChild(dialog);
+            dialog.showModal();
+        });
+    }
+
+    /**
+     * The page's link to one wallet
+     *
+     * onConnect receives a ContractClient.connectWallet session plus `wallet` (the EIP-6963 info)
+     * and a reason: 'connect', 'restore', 'accountsChanged' or 'chainChanged'. onDisconnect gets
+     * 'disconnect' when the user disconnects here, or 'locked' when the wallet stops sharing
+     * accounts (locked, or the site's permission was revoked); it reconnects by itself once the
+     * wallet shares an account again.
+     */
+    class WalletConnection {
+        /**
+         * @param {Object} options
+         * @param {Storage} [options.storage] Where the chosen wallet is remembered (e.g. localStorage)
+         * @param {Function} options.onConnect async (session, reason) => void
+         * @param {Function} options.onDisconnect async (reason) => void
+         * @param {Function} [options.onError] (error) => void, for failures while following a switch
+         */
+        constructor({ storage = null, onConnect, onDisconnect, onError = error => console.error(error) }) {
+            this.storage = storage;
+            this.onConnect = onConnect;
+            this.onDisconnect = onDisconnect;
+            this.onError = onError;
+            this.wallet = null;
+            this.queue = Promise.resolve();
+
+            this.handleAccountsChanged = accounts => this.refresh(accounts.length > 0 ? 'accountsChanged' : null);
+            this.handleChainChanged = () => this.refresh('chainChanged');
+        }
+
+        /**
+         * The connected wallet's EIP-1193 provider, e.g. for ContractClient.switchNetwork
+         */
+        get ethereum() {
+            return this.wallet ? this.wallet.provider : undefined;
+        }
+
+        get lastUsed() {
+            return this.storage ? this.storage.getItem(STORAGE_KEY) : null;
+        }
+
+        /**
+         * Reconnect to the remembered wallet without prompting
+         * @return {Promise<Object|null>} The session, or null if there is nothing to restore
+         */
+        async restore() {
+            const lastUsed = this.lastUsed;
+            if (!lastUsed) return null;
+
+            const wallet = (await discoverWallets()).find(candidate => candidate.info.rdns === lastUsed);
+            return wallet ? this.open(wallet, { request: false, reason: 'restore' }) : null;
+        }
+
+        /**
+         * Let the user pick a wallet (when more than one is installed) and request its accounts
+         * @return {Promise<Object|null>} The session, or null if the picker was dismissed
+         */
+        async connect() {
+            const wallets = await discoverWallets();
+            if (wallets.length === 0) {
+                throw new Error('Please install MetaMask or another Web3 wallet!');
+            }
+
+            const wallet = wallets.length === 1 ? wallets[0] : await pickWallet(wallets, this.lastUsed);
+            return wallet ? this.open(wallet, { request: true, reason: 'connect' }) : null;
+        }
+
+        /**
+         * Forget the wallet: stop following it and do not reconnect on the next visit
+         */
+        async disconnect() {
+            if (this.storage) this.storage.removeItem(STORAGE_KEY);
+            this.unbind();
+            await this.onDisconnect('disconnect');
+        }
+
+        async open(wallet, { request, reason }) {
+            const session = await ContractClient.connectWallet(wallet.provider, { request });
+            if (!session) return null;
+
+            this.bind(wallet);
+            if (this.storage) this.storage.setItem(STORAGE_KEY, wallet.info.rdns);
+
+            session.wallet = wallet.info;
+            await this.onConnect(session, reason);
+            return session;
+        }
+
+        bind(wallet) {
+            if (this.wallet === wallet) return;
+            this.unbind();
+
+            this.wallet = wallet;
+            wallet.provider.on('accountsChanged', this.handleAccountsChanged);
+            wallet.provider.on('chainChanged', this.handleChainChanged);
+        }
+
+        unbind() {
+            if (!this.wallet) return;
+
+            const { provider } = this.wallet;
+            if (typeof provider.removeListener === 'function') {
+                provider.removeListener('accountsChanged', this.handleAccountsChanged);
+                provider.removeListener('chainChanged', this.handleChainChanged);
+            }
+            this.wallet = null;
+        }
+
+        /**
+         * Rebuild the session after a switch in the wallet
+         * @dev Queued, so a chain switch that also changes account settles on the final state
+         */
+        refresh(reason) {
+            const wallet = this.wallet;
+
+            this.queue = this.queue.then(async () => {
+                if (this.wallet !== wallet) return;
+
+                const session = reason ? await ContractClient.connectWallet(wallet.provider, { request: false }) : null;
+                if (this.wallet !== wallet) return;
+
+                if (!session) {
+                    await this.onDisconnect('locked');
+                    return;
+                }
+                session.wallet = wallet.info;
+                await this.onConnect(session, reason);
+            }).catch(this.onError);
+
+            return this.queue;
+        }
+    }
+
+    root.WalletDiscovery = {
+        discoverWallets,
+        pickWallet,
+        WalletConnection
+    };
+})(this);